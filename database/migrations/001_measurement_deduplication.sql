@@ -0,0 +1,43 @@
+-- FileName: database/migrations/001_measurement_deduplication.sql
+-- Author(s): Arturo Vargas
+-- Brief: One reading per (powermeter_id, timestamp) and storage for ingestion Idempotency-Key responses.
+-- Date: 2026-10-19
+--
+-- Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+-- All rights reserved.
+
+-- Remove readings that were inserted twice by gateway retries (keeps one copy of each).
+-- A given timestamp always lands in the same hypertable chunk, so comparing ctid is enough.
+DELETE FROM public.measurements a USING public.measurements b
+WHERE a.powermeter_id = b.powermeter_id AND a."timestamp" = b."timestamp" AND a.ctid < b.ctid;
+
+DELETE FROM demo.measurements a USING demo.measurements b
+WHERE a.powermeter_id = b.powermeter_id AND a."timestamp" = b."timestamp" AND a.ctid < b.ctid;
+
+DELETE FROM dev.measurements a USING dev.measurements b
+WHERE a.powermeter_id = b.powermeter_id AND a."timestamp" = b."timestamp" AND a.ctid < b.ctid;
+
+-- Required by the ON CONFLICT (powermeter_id, "timestamp") clauses used on ingestion
+CREATE UNIQUE INDEX IF NOT EXISTS measurements_powermeter_timestamp_uidx
+    ON public.measurements (powermeter_id, "timestamp");
+CREATE UNIQUE INDEX IF NOT EXISTS measurements_powermeter_timestamp_uidx
+    ON demo.measurements (powermeter_id, "timestamp");
+CREATE UNIQUE INDEX IF NOT EXISTS measurements_powermeter_timestamp_uidx
+    ON dev.measurements (powermeter_id, "timestamp");
+
+-- Responses returned for requests carrying an Idempotency-Key header. A request claims its key with a
+-- pending row before ingesting and completes it with the response (see src/functions/ingestion/idempotency.js).
+-- idempotency_key holds the header scoped by the request's serial numbers, so devices cannot collide.
+CREATE TABLE IF NOT EXISTS public.ingestion_idempotency_keys (
+    idempotency_key TEXT NOT NULL,
+    endpoint TEXT NOT NULL,
+    request_hash TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed')),
+    response_status INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (idempotency_key, endpoint)
+);
+
+CREATE INDEX IF NOT EXISTS ingestion_idempotency_keys_created_at_idx
+    ON public.ingestion_idempotency_keys (created_at);
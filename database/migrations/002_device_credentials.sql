@@ -0,0 +1,39 @@
+-- FileName: database/migrations/002_device_credentials.sql
+-- Author(s): Arturo Vargas
+-- Brief: Per-device ingestion secrets and the signatures already seen (replay protection).
+-- Date: 2026-10-19
+--
+-- Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+-- All rights reserved.
+
+-- Secrets are stored encrypted (AES-256-GCM, key in DEVICE_SECRET_ENCRYPTION_KEY) because the API
+-- needs the plain secret to verify HMAC signatures. Rotation keeps the previous secret valid until expires_at.
+CREATE TABLE IF NOT EXISTS public.device_credentials (
+    credential_id BIGSERIAL PRIMARY KEY,
+    serial_number TEXT NOT NULL,
+    secret_ciphertext TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    created_by TEXT,
+    expires_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    revoked_by TEXT
+);
+
+CREATE INDEX IF NOT EXISTS device_credentials_serial_number_idx
+    ON public.device_credentials (serial_number);
+
+-- One current credential per device (rotated ones wait out their grace period with expires_at set),
+-- so two concurrent issues or rotations cannot both insert one
+CREATE UNIQUE INDEX IF NOT EXISTS device_credentials_current_serial_number_idx
+    ON public.device_credentials (serial_number)
+    WHERE revoked_at IS NULL AND expires_at IS NULL;
+
+-- Signatures accepted within the allowed clock skew window; a repeated signature is a replay
+CREATE TABLE IF NOT EXISTS public.device_request_signatures (
+    signature TEXT PRIMARY KEY,
+    serial_number TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS device_request_signatures_created_at_idx
+    ON public.device_request_signatures (created_at);
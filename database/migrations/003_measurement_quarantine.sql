@@ -0,0 +1,23 @@
+-- FileName: database/migrations/003_measurement_quarantine.sql
+-- Author(s): Arturo Vargas
+-- Brief: Quarantine tables for readings that fail the physical plausibility checks of measurementSchema.json.
+-- Date: 2026-10-19
+--
+-- Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+-- All rights reserved.
+
+-- The original payload is kept as received (after type coercion) together with the violations found,
+-- so a reviewer can decide whether to move the reading into measurements or drop it.
+CREATE TABLE IF NOT EXISTS public.measurements_quarantine (
+    quarantine_id BIGSERIAL PRIMARY KEY,
+    powermeter_id BIGINT NOT NULL,
+    "timestamp" TIMESTAMPTZ NOT NULL,
+    payload JSONB NOT NULL,
+    violations JSONB NOT NULL,
+    received_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS measurements_quarantine_powermeter_timestamp_idx
+    ON public.measurements_quarantine (powermeter_id, "timestamp");
+
+CREATE TABLE IF NOT EXISTS demo.measurements_quarantine (LIKE public.measurements_quarantine INCLUDING ALL);
+CREATE TABLE IF NOT EXISTS dev.measurements_quarantine (LIKE public.measurements_quarantine INCLUDING ALL);
@@ -0,0 +1,22 @@
+-- FileName: database/migrations/004_measurements_raw.sql
+-- Author(s): Arturo Vargas
+-- Brief: Raw register values of readings ingested in raw mode, next to the engineering values in measurements.
+-- Date: 2026-10-19
+--
+-- Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+-- All rights reserved.
+
+-- raw_values holds the scaled fields as the device sent them; scaling holds the registry scale factors and
+-- CT/VT ratios used, so an engineering value can be recomputed even after the registry changes. Only readings
+-- accepted into measurements have a row here; quarantined ones keep both in measurements_quarantine.payload.
+CREATE TABLE IF NOT EXISTS public.measurements_raw (
+    powermeter_id BIGINT NOT NULL,
+    "timestamp" TIMESTAMPTZ NOT NULL,
+    raw_values JSONB NOT NULL,
+    scaling JSONB NOT NULL,
+    received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (powermeter_id, "timestamp")
+);
+
+CREATE TABLE IF NOT EXISTS demo.measurements_raw (LIKE public.measurements_raw INCLUDING ALL);
+CREATE TABLE IF NOT EXISTS dev.measurements_raw (LIKE public.measurements_raw INCLUDING ALL);
@@ -0,0 +1,14 @@
+-- FileName: database/migrations/005_supported_models_register_map.sql
+-- Author(s): Arturo Vargas
+-- Brief: Register map used to decode raw Modbus blocks of each supported model (postRegisterBlock).
+-- Date: 2026-10-19
+--
+-- Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+-- All rights reserved.
+
+-- register_map is the id of a file in src/functions/registerMaps. Models without a map cannot use
+-- postRegisterBlock. Assign the shipped SunSpec maps to the models that implement them, e.g.:
+--   UPDATE public.supported_models SET register_map = 'sunspec-meter-int'   WHERE model = '<model>';
+--   UPDATE public.supported_models SET register_map = 'sunspec-meter-float' WHERE model = '<model>';
+ALTER TABLE public.supported_models
+    ADD COLUMN IF NOT EXISTS register_map TEXT;
@@ -0,0 +1,40 @@
+-- FileName: database/migrations/006_measurement_dead_letters.sql
+-- Author(s): Arturo Vargas
+-- Brief: Dead-letter store for measurements rejected by the ingestion endpoints.
+-- Date: 2026-10-19
+--
+-- Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+-- All rights reserved.
+
+-- One row per rejected record. Shared by all environments: an unknown serial has no schema yet.
+-- status: pending -> replayed (stored on replay) | discarded (by an administrator)
+CREATE TABLE IF NOT EXISTS public.measurement_dead_letters (
+    dead_letter_id BIGSERIAL PRIMARY KEY,
+    serial_number TEXT,
+    endpoint TEXT NOT NULL,
+    mode TEXT NOT NULL DEFAULT 'engineering',
+    payload JSONB,
+    rejection_status TEXT NOT NULL,
+    error_type TEXT,
+    reason TEXT,
+    details JSONB,
+    source_ip TEXT,
+    user_agent TEXT,
+    received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_attempt_at TIMESTAMPTZ,
+    last_result JSONB,
+    replayed_payload JSONB,
+    resolved_at TIMESTAMPTZ,
+    resolved_by TEXT,
+    discard_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS measurement_dead_letters_status_received_idx
+    ON public.measurement_dead_letters (status, received_at DESC);
+
+-- Registration counts the pending unknown-serial rows of its serial number
+CREATE INDEX IF NOT EXISTS measurement_dead_letters_pending_serial_idx
+    ON public.measurement_dead_letters (serial_number)
+    WHERE status = 'pending';
@@ -0,0 +1,24 @@
+-- FileName: database/migrations/007_measurement_timestamps.sql
+-- Author(s): Arturo Vargas
+-- Brief: Receive time, device clock skew and timestamp window flag of every ingested reading.
+-- Date: 2026-10-19
+--
+-- Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+-- All rights reserved.
+
+-- clock_skew_seconds = "timestamp" - received_at (positive: the reading is ahead of the server clock).
+-- timestamp_flag is future or past when the reading was stored outside the accepted window.
+ALTER TABLE public.measurements
+    ADD COLUMN IF NOT EXISTS received_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS clock_skew_seconds DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS timestamp_flag TEXT;
+
+ALTER TABLE demo.measurements
+    ADD COLUMN IF NOT EXISTS received_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS clock_skew_seconds DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS timestamp_flag TEXT;
+
+ALTER TABLE dev.measurements
+    ADD COLUMN IF NOT EXISTS received_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS clock_skew_seconds DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS timestamp_flag TEXT;
@@ -0,0 +1,60 @@
+-- FileName: database/migrations/008_powermeter_heartbeat.sql
+-- Author(s): Arturo Vargas
+-- Brief: Last-seen tracking, expected reporting interval and offline incidents of powermeters.
+-- Date: 2026-10-19
+--
+-- Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+-- All rights reserved.
+
+-- last_seen_at:               when the API last accepted a reading of the meter
+-- last_measurement_at:        newest reading timestamp accepted for the meter
+-- expected_interval_seconds:  how often the meter reports; NULL uses METER_DEFAULT_INTERVAL_SECONDS
+ALTER TABLE public.powermeters
+    ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS last_measurement_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS expected_interval_seconds INTEGER CHECK (expected_interval_seconds > 0);
+
+ALTER TABLE demo.powermeters
+    ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS last_measurement_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS expected_interval_seconds INTEGER CHECK (expected_interval_seconds > 0);
+
+ALTER TABLE dev.powermeters
+    ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS last_measurement_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS expected_interval_seconds INTEGER CHECK (expected_interval_seconds > 0);
+
+-- Backfill from the stored readings so existing meters do not all start as never seen
+UPDATE public.powermeters p
+SET last_seen_at = m.last_timestamp, last_measurement_at = m.last_timestamp
+FROM (SELECT powermeter_id, MAX("timestamp") AS last_timestamp FROM public.measurements GROUP BY powermeter_id) m
+WHERE p.powermeter_id = m.powermeter_id AND p.last_seen_at IS NULL;
+
+UPDATE demo.powermeters p
+SET last_seen_at = m.last_timestamp, last_measurement_at = m.last_timestamp
+FROM (SELECT powermeter_id, MAX("timestamp") AS last_timestamp FROM demo.measurements GROUP BY powermeter_id) m
+WHERE p.powermeter_id = m.powermeter_id AND p.last_seen_at IS NULL;
+
+UPDATE dev.powermeters p
+SET last_seen_at = m.last_timestamp, last_measurement_at = m.last_timestamp
+FROM (SELECT powermeter_id, MAX("timestamp") AS last_timestamp FROM dev.measurements GROUP BY powermeter_id) m
+WHERE p.powermeter_id = m.powermeter_id AND p.last_seen_at IS NULL;
+
+-- Incidents opened by the meterOfflineIncidents timer; at most one open incident per meter and type
+CREATE TABLE IF NOT EXISTS public.meter_incidents (
+    incident_id     BIGSERIAL PRIMARY KEY,
+    schema_name     TEXT NOT NULL,
+    powermeter_id   INTEGER NOT NULL,
+    incident_type   TEXT NOT NULL DEFAULT 'meter_offline',
+    opened_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    closed_at       TIMESTAMPTZ,
+    last_seen_at    TIMESTAMPTZ,
+    details         JSONB
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS meter_incidents_open_idx
+    ON public.meter_incidents (schema_name, powermeter_id, incident_type)
+    WHERE closed_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS meter_incidents_opened_at_idx
+    ON public.meter_incidents (opened_at DESC);
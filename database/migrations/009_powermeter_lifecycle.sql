@@ -0,0 +1,30 @@
+-- FileName: database/migrations/009_powermeter_lifecycle.sql
+-- Author(s): Arturo Vargas
+-- Brief: Lifecycle status of powermeters: decommissioned meters keep their history but stop ingesting.
+-- Date: 2026-10-19
+--
+-- Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+-- All rights reserved.
+
+-- status: active or decommissioned (see src/functions/powermeterRegistry.js)
+ALTER TABLE public.powermeters
+    ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'decommissioned')),
+    ADD COLUMN IF NOT EXISTS decommissioned_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS decommissioned_by TEXT,
+    ADD COLUMN IF NOT EXISTS decommission_reason TEXT;
+
+ALTER TABLE demo.powermeters
+    ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'decommissioned')),
+    ADD COLUMN IF NOT EXISTS decommissioned_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS decommissioned_by TEXT,
+    ADD COLUMN IF NOT EXISTS decommission_reason TEXT;
+
+ALTER TABLE dev.powermeters
+    ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'decommissioned')),
+    ADD COLUMN IF NOT EXISTS decommissioned_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS decommissioned_by TEXT,
+    ADD COLUMN IF NOT EXISTS decommission_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS powermeters_installation_status_idx ON public.powermeters (installation_id, status);
+CREATE INDEX IF NOT EXISTS powermeters_installation_status_idx ON demo.powermeters (installation_id, status);
+CREATE INDEX IF NOT EXISTS powermeters_installation_status_idx ON dev.powermeters (installation_id, status);
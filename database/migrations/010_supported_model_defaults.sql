@@ -0,0 +1,16 @@
+-- FileName: database/migrations/010_supported_model_defaults.sql
+-- Author(s): Arturo Vargas
+-- Brief: Per-model registry defaults used to pre-fill new powermeters (see src/functions/powermeterReferences.js).
+-- Date: 2026-10-19
+--
+-- Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+-- All rights reserved.
+
+-- registry_defaults: JSON object of powermeters columns (scale factors, ct_ratio, vt_ratio, ct1_value...)
+-- copied into a new powermeter of the model when the registration does not send them, e.g.:
+--   UPDATE public.supported_models
+--   SET registry_defaults = '{"ct_ratio": 1, "vt_ratio": 1, "current_scale_factor": -2, "voltage_scale_factor": -1}'
+--   WHERE model = '<model>';
+ALTER TABLE public.supported_models
+    ADD COLUMN IF NOT EXISTS registry_defaults JSONB NOT NULL DEFAULT '{}'::jsonb
+        CHECK (jsonb_typeof(registry_defaults) = 'object');
@@ -0,0 +1,27 @@
+-- FileName: database/migrations/011_powermeter_promotions.sql
+-- Author(s): Arturo Vargas
+-- Brief: Audit trail of powermeter promotions between the dev, demo and public schemas.
+-- Date: 2026-10-19
+--
+-- Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+-- All rights reserved.
+
+-- One row per promotion (see src/functions/powermeterPromotion.js), written in the promotion's transaction.
+-- measurements_mode: move (readings follow the meter) or discard (commissioning readings are dropped)
+-- row_counts: rows moved or discarded per table ({"measurements": 1200, "measurements_raw": 0, ...})
+CREATE TABLE IF NOT EXISTS public.powermeter_promotions (
+    promotion_id            BIGSERIAL PRIMARY KEY,
+    serial_number           TEXT NOT NULL,
+    source_schema           TEXT NOT NULL CHECK (source_schema IN ('public', 'demo', 'dev')),
+    source_powermeter_id    INTEGER NOT NULL,
+    target_schema           TEXT NOT NULL CHECK (target_schema IN ('public', 'demo', 'dev')),
+    target_powermeter_id    INTEGER NOT NULL,
+    measurements_mode       TEXT NOT NULL CHECK (measurements_mode IN ('move', 'discard')),
+    row_counts              JSONB NOT NULL DEFAULT '{}'::jsonb,
+    promoted_by             TEXT NOT NULL,
+    reason                  TEXT,
+    promoted_at             TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS powermeter_promotions_serial_idx
+    ON public.powermeter_promotions (serial_number, promoted_at DESC);
@@ -0,0 +1,34 @@
+-- FileName: database/migrations/012_powermeter_replacements.sql
+-- Author(s): Arturo Vargas
+-- Brief: Physical device replacements of a powermeter and the counter offsets that keep its energy history continuous.
+-- Date: 2026-10-19
+--
+-- Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+-- All rights reserved.
+
+-- The powermeter row (powermeter_id) is the logical meter; a replacement swaps its serial_number to the new
+-- device at cutover_at (see src/functions/powermeterReplacement.js). The final reading of the old device and
+-- the initial reading of the new one give the offset added to every reading taken from cutover_at on, so
+-- the analytics see one continuous counter (see src/functions/counterStitching.js).
+CREATE TABLE IF NOT EXISTS public.powermeter_replacements (
+    replacement_id                  BIGSERIAL PRIMARY KEY,
+    schema_name                     TEXT NOT NULL CHECK (schema_name IN ('public', 'demo', 'dev')),
+    powermeter_id                   INTEGER NOT NULL,
+    old_serial_number               TEXT NOT NULL,
+    new_serial_number               TEXT NOT NULL,
+    cutover_at                      TIMESTAMPTZ NOT NULL,
+    final_kwh_imported_total        DOUBLE PRECISION NOT NULL,
+    initial_kwh_imported_total      DOUBLE PRECISION NOT NULL DEFAULT 0,
+    final_varh_imported_q1          DOUBLE PRECISION,
+    initial_varh_imported_q1        DOUBLE PRECISION,
+    kwh_offset                      DOUBLE PRECISION GENERATED ALWAYS AS
+                                        (final_kwh_imported_total - initial_kwh_imported_total) STORED,
+    varh_offset                     DOUBLE PRECISION GENERATED ALWAYS AS
+                                        (COALESCE(final_varh_imported_q1 - initial_varh_imported_q1, 0)) STORED,
+    replaced_by                     TEXT NOT NULL,
+    reason                          TEXT,
+    created_at                      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS powermeter_replacements_meter_cutover_uidx
+    ON public.powermeter_replacements (schema_name, powermeter_id, cutover_at);
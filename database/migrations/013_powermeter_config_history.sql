@@ -0,0 +1,53 @@
+-- FileName: database/migrations/013_powermeter_config_history.sql
+-- Author(s): Arturo Vargas
+-- Brief: Effective-dated history of the CT/VT configuration of powermeters.
+-- Date: 2026-10-19
+--
+-- Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+-- All rights reserved.
+
+-- Each row is the complete CT/VT configuration of a meter from effective_from until the next row of the same
+-- meter (see src/functions/transformerConfig.js); the powermeters columns keep the latest one. The first row
+-- of a meter is effective from -infinity. kwh_offset / varh_offset keep the energy counters continuous when a
+-- ratio change rescales raw-mode readings, and are added from effective_from on like the offsets of
+-- powermeter_replacements (see src/functions/counterStitching.js).
+CREATE TABLE IF NOT EXISTS public.powermeter_config_history (
+    config_id                       BIGSERIAL PRIMARY KEY,
+    schema_name                     TEXT NOT NULL CHECK (schema_name IN ('public', 'demo', 'dev')),
+    powermeter_id                   INTEGER NOT NULL,
+    effective_from                  TIMESTAMPTZ NOT NULL,
+    ct_ratio                        DOUBLE PRECISION,
+    vt_ratio                        DOUBLE PRECISION,
+    ct1_value                       DOUBLE PRECISION,
+    ct2_value                       DOUBLE PRECISION,
+    ctn_value                       DOUBLE PRECISION,
+    pt1_value                       DOUBLE PRECISION,
+    pt2_value                       DOUBLE PRECISION,
+    kwh_offset                      DOUBLE PRECISION NOT NULL DEFAULT 0,
+    varh_offset                     DOUBLE PRECISION NOT NULL DEFAULT 0,
+    changed_by                      TEXT NOT NULL,
+    reason                          TEXT,
+    created_at                      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS powermeter_config_history_meter_from_uidx
+    ON public.powermeter_config_history (schema_name, powermeter_id, effective_from);
+
+-- Current configuration of the registered meters, in force since always
+INSERT INTO public.powermeter_config_history
+    (schema_name, powermeter_id, effective_from, ct_ratio, vt_ratio, ct1_value, ct2_value, ctn_value, pt1_value, pt2_value, changed_by)
+SELECT 'public', powermeter_id, '-infinity', ct_ratio, vt_ratio, ct1_value, ct2_value, ctn_value, pt1_value, pt2_value, 'migration'
+FROM public.powermeters
+ON CONFLICT DO NOTHING;
+
+INSERT INTO public.powermeter_config_history
+    (schema_name, powermeter_id, effective_from, ct_ratio, vt_ratio, ct1_value, ct2_value, ctn_value, pt1_value, pt2_value, changed_by)
+SELECT 'demo', powermeter_id, '-infinity', ct_ratio, vt_ratio, ct1_value, ct2_value, ctn_value, pt1_value, pt2_value, 'migration'
+FROM demo.powermeters
+ON CONFLICT DO NOTHING;
+
+INSERT INTO public.powermeter_config_history
+    (schema_name, powermeter_id, effective_from, ct_ratio, vt_ratio, ct1_value, ct2_value, ctn_value, pt1_value, pt2_value, changed_by)
+SELECT 'dev', powermeter_id, '-infinity', ct_ratio, vt_ratio, ct1_value, ct2_value, ctn_value, pt1_value, pt2_value, 'migration'
+FROM dev.powermeters
+ON CONFLICT DO NOTHING;
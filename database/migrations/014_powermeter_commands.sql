@@ -0,0 +1,51 @@
+-- FileName: database/migrations/014_powermeter_commands.sql
+-- Author(s): Arturo Vargas
+-- Brief: Remote commands queued for powermeters (counter resets) and their audit trail.
+-- Date: 2026-10-19
+--
+-- Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+-- All rights reserved.
+
+-- One row per command (see src/functions/commands/commandQueue.js):
+--   pending -> delivered -> succeeded | failed, or expired (expires_at passed first) / cancelled (before delivery)
+-- A meter has at most one open (pending or delivered) command of each type.
+CREATE TABLE IF NOT EXISTS public.powermeter_commands (
+    command_id          BIGSERIAL PRIMARY KEY,
+    schema_name         TEXT NOT NULL CHECK (schema_name IN ('public', 'demo', 'dev')),
+    powermeter_id       INTEGER NOT NULL,
+    serial_number       TEXT NOT NULL,
+    command_type        TEXT NOT NULL CHECK (command_type IN
+                            ('reset_total_meters', 'reset_partial_meters', 'reset_hour_counter', 'reset_counters', 'reset_dmd_max')),
+    status              TEXT NOT NULL DEFAULT 'pending' CHECK (status IN
+                            ('pending', 'delivered', 'succeeded', 'failed', 'expired', 'cancelled')),
+    requested_by        TEXT NOT NULL,
+    reason              TEXT,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at          TIMESTAMPTZ NOT NULL,
+    delivery_count      INTEGER NOT NULL DEFAULT 0,
+    first_delivered_at  TIMESTAMPTZ,
+    last_delivered_at   TIMESTAMPTZ,
+    completed_at        TIMESTAMPTZ,
+    result              JSONB
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS powermeter_commands_open_idx
+    ON public.powermeter_commands (schema_name, powermeter_id, command_type)
+    WHERE status IN ('pending', 'delivered');
+
+CREATE INDEX IF NOT EXISTS powermeter_commands_meter_idx
+    ON public.powermeter_commands (schema_name, powermeter_id, created_at DESC);
+
+-- Every state change of a command: queued, delivered, succeeded, failed, expired, cancelled
+-- actor: user_id for users, the serial number for devices, 'system' for the expiry timer
+CREATE TABLE IF NOT EXISTS public.powermeter_command_events (
+    event_id            BIGSERIAL PRIMARY KEY,
+    command_id          BIGINT NOT NULL REFERENCES public.powermeter_commands (command_id),
+    event               TEXT NOT NULL,
+    actor               TEXT NOT NULL,
+    details             JSONB,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS powermeter_command_events_command_idx
+    ON public.powermeter_command_events (command_id, created_at);
@@ -0,0 +1,59 @@
+-- FileName: database/migrations/015_installation_management.sql
+-- Author(s): Arturo Vargas
+-- Brief: Region and tariff references of installations, and archiving of installations.
+-- Date: 2026-10-19
+--
+-- Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+-- All rights reserved.
+
+-- Codes accepted in installations.region and installations.tariff (see src/functions/installationRegistry.js)
+CREATE TABLE IF NOT EXISTS public.supported_regions (
+    region_code         TEXT PRIMARY KEY,
+    name                TEXT NOT NULL
+);
+
+INSERT INTO public.supported_regions (region_code, name) VALUES
+    ('BC', 'Baja California'),
+    ('BCS', 'Baja California Sur'),
+    ('CEN', 'Central'),
+    ('NE', 'Noreste'),
+    ('NO', 'Noroeste'),
+    ('NTE', 'Norte'),
+    ('PEN', 'Peninsular'),
+    ('SUR', 'Sur')
+ON CONFLICT (region_code) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS public.supported_tariffs (
+    tariff_code         TEXT PRIMARY KEY,
+    name                TEXT NOT NULL
+);
+
+INSERT INTO public.supported_tariffs (tariff_code, name) VALUES
+    ('1', 'Doméstico'),
+    ('1A', 'Doméstico 1A'),
+    ('1B', 'Doméstico 1B'),
+    ('1C', 'Doméstico 1C'),
+    ('1D', 'Doméstico 1D'),
+    ('1E', 'Doméstico 1E'),
+    ('1F', 'Doméstico 1F'),
+    ('DAC', 'Doméstico de alto consumo'),
+    ('PDBT', 'Pequeña demanda en baja tensión'),
+    ('GDBT', 'Gran demanda en baja tensión'),
+    ('GDMTO', 'Gran demanda en media tensión ordinaria'),
+    ('GDMTH', 'Gran demanda en media tensión horaria'),
+    ('DIST', 'Demanda industrial en subtransmisión'),
+    ('DIT', 'Demanda industrial en transmisión'),
+    ('RABT', 'Riego agrícola en baja tensión'),
+    ('RAMT', 'Riego agrícola en media tensión'),
+    ('APBT', 'Alumbrado público en baja tensión'),
+    ('APMT', 'Alumbrado público en media tensión')
+ON CONFLICT (tariff_code) DO NOTHING;
+
+-- status: active or archived; archived installations keep their rows and history but accept no changes
+ALTER TABLE public.installations
+    ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'archived')),
+    ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS archived_by TEXT,
+    ADD COLUMN IF NOT EXISTS archive_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS user_installations_user_idx ON public.user_installations (user_id, installation_id);
@@ -0,0 +1,74 @@
+-- FileName: database/migrations/016_maintenance.sql
+-- Author(s): Arturo Vargas
+-- Brief: Maintenance windows of installations and powermeters, their recurring schedules and service log.
+-- Date: 2026-10-19
+--
+-- Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+-- All rights reserved.
+
+-- A recurring schedule: a window of duration_minutes every recurrence_interval recurrence_unit from
+-- first_start_at (until until_at). Its occurrences are written to maintenance_windows up to generated_until
+-- (see src/functions/maintenance/maintenanceWindows.js).
+-- Installation-wide when schema_name / powermeter_id are null, otherwise for that meter only.
+CREATE TABLE IF NOT EXISTS public.maintenance_schedules (
+    schedule_id         BIGSERIAL PRIMARY KEY,
+    installation_id     INTEGER NOT NULL,
+    schema_name         TEXT CHECK (schema_name IN ('public', 'demo', 'dev')),
+    powermeter_id       INTEGER,
+    title               TEXT NOT NULL,
+    description         TEXT,
+    first_start_at      TIMESTAMPTZ NOT NULL,
+    duration_minutes    INTEGER NOT NULL CHECK (duration_minutes > 0),
+    recurrence_unit     TEXT NOT NULL CHECK (recurrence_unit IN ('day', 'week', 'month', 'year')),
+    recurrence_interval INTEGER NOT NULL DEFAULT 1 CHECK (recurrence_interval > 0),
+    until_at            TIMESTAMPTZ,
+    status              TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+    generated_until     TIMESTAMPTZ,
+    created_by          TEXT NOT NULL,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    cancelled_at        TIMESTAMPTZ,
+    cancelled_by        TEXT,
+    CHECK ((schema_name IS NULL) = (powermeter_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS maintenance_schedules_installation_idx
+    ON public.maintenance_schedules (installation_id, status);
+
+-- One maintenance window: scheduled, then completed (service log entry, with technician and notes) or cancelled.
+-- occurrence_at is the planned start of a schedule occurrence, kept when completion records the actual times.
+CREATE TABLE IF NOT EXISTS public.maintenance_windows (
+    window_id           BIGSERIAL PRIMARY KEY,
+    schedule_id         BIGINT REFERENCES public.maintenance_schedules (schedule_id),
+    occurrence_at       TIMESTAMPTZ,
+    installation_id     INTEGER NOT NULL,
+    schema_name         TEXT CHECK (schema_name IN ('public', 'demo', 'dev')),
+    powermeter_id       INTEGER,
+    title               TEXT NOT NULL,
+    description         TEXT,
+    starts_at           TIMESTAMPTZ NOT NULL,
+    ends_at             TIMESTAMPTZ NOT NULL,
+    status              TEXT NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'completed', 'cancelled')),
+    created_by          TEXT NOT NULL,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    completed_at        TIMESTAMPTZ,
+    completed_by        TEXT,
+    technician          TEXT,
+    completion_notes    TEXT,
+    cancelled_at        TIMESTAMPTZ,
+    cancelled_by        TEXT,
+    cancel_reason       TEXT,
+    CHECK (ends_at > starts_at),
+    CHECK ((schema_name IS NULL) = (powermeter_id IS NULL)),
+    UNIQUE (schedule_id, occurrence_at)
+);
+
+CREATE INDEX IF NOT EXISTS maintenance_windows_installation_idx
+    ON public.maintenance_windows (installation_id, starts_at);
+
+CREATE INDEX IF NOT EXISTS maintenance_windows_meter_idx
+    ON public.maintenance_windows (schema_name, powermeter_id, starts_at)
+    WHERE powermeter_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS maintenance_windows_due_idx
+    ON public.maintenance_windows (starts_at)
+    WHERE status = 'scheduled';
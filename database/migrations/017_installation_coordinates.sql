@@ -0,0 +1,36 @@
+-- FileName: database/migrations/017_installation_coordinates.sql
+-- Author(s): Arturo Vargas
+-- Brief: Coordinates of installations, parsed from installations.location, for the installation map.
+-- Date: 2026-10-19
+--
+-- Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+-- All rights reserved.
+
+-- WGS84 decimal degrees; written together with location (see src/functions/installationRegistry.js)
+ALTER TABLE public.installations
+    ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+    ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180);
+
+ALTER TABLE public.installations
+    DROP CONSTRAINT IF EXISTS installations_coordinates_check,
+    ADD CONSTRAINT installations_coordinates_check CHECK ((latitude IS NULL) = (longitude IS NULL));
+
+-- Existing locations written as "latitude,longitude"; any other text is kept and left without coordinates
+UPDATE public.installations i
+SET latitude = parsed.latitude,
+    longitude = parsed.longitude
+FROM (
+    SELECT installation_id,
+           ROUND(m[1]::numeric, 6)::double precision AS latitude,
+           ROUND(m[2]::numeric, 6)::double precision AS longitude
+    FROM public.installations,
+         regexp_match(location, '^\s*([-+]?\d{1,2}(?:\.\d+)?)\s*,\s*([-+]?\d{1,3}(?:\.\d+)?)\s*$') AS m
+    WHERE latitude IS NULL
+) parsed
+WHERE i.installation_id = parsed.installation_id
+  AND parsed.latitude BETWEEN -90 AND 90
+  AND parsed.longitude BETWEEN -180 AND 180;
+
+CREATE INDEX IF NOT EXISTS installations_coordinates_idx
+    ON public.installations (latitude, longitude)
+    WHERE latitude IS NOT NULL;
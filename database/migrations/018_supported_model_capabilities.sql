@@ -0,0 +1,16 @@
+-- FileName: database/migrations/018_supported_model_capabilities.sql
+-- Author(s): Arturo Vargas
+-- Brief: Measurement capabilities of supported models, used by ingestion and the analysis endpoints.
+-- Date: 2026-10-19
+--
+-- Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+-- All rights reserved.
+
+-- measured_fields: measurement fields the model produces (names of src/functions/measurementSchema.json);
+-- NULL means every field, as before this migration. measures_thd: false when the model has no harmonic
+-- analysis, whatever measured_fields says. See src/functions/modelCapabilities.js.
+ALTER TABLE public.supported_models
+    ADD COLUMN IF NOT EXISTS measured_fields TEXT[],
+    ADD COLUMN IF NOT EXISTS measures_thd BOOLEAN NOT NULL DEFAULT TRUE,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS updated_by TEXT;
@@ -0,0 +1,26 @@
+-- FileName: database/migrations/019_powermeter_counter_resets.sql
+-- Author(s): Arturo Vargas
+-- Brief: Counter offsets of powermeters whose energy counters were reset by a remote command.
+-- Date: 2026-10-19
+--
+-- Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+-- All rights reserved.
+
+-- One row per succeeded reset_total_meters / reset_counters command (see src/functions/commands/commandQueue.js).
+-- kwh_offset / varh_offset are the counter values before the reset, reported by the device (offset_source
+-- 'device') or taken from the last reading stored before reset_at ('last_reading'), and are added from
+-- reset_at on like the offsets of powermeter_replacements (see src/functions/counterStitching.js).
+CREATE TABLE IF NOT EXISTS public.powermeter_counter_resets (
+    reset_id            BIGSERIAL PRIMARY KEY,
+    command_id          BIGINT NOT NULL UNIQUE REFERENCES public.powermeter_commands (command_id),
+    schema_name         TEXT NOT NULL CHECK (schema_name IN ('public', 'demo', 'dev')),
+    powermeter_id       INTEGER NOT NULL,
+    reset_at            TIMESTAMPTZ NOT NULL,
+    kwh_offset          DOUBLE PRECISION NOT NULL DEFAULT 0,
+    varh_offset         DOUBLE PRECISION NOT NULL DEFAULT 0,
+    offset_source       TEXT NOT NULL CHECK (offset_source IN ('device', 'last_reading')),
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS powermeter_counter_resets_meter_idx
+    ON public.powermeter_counter_resets (schema_name, powermeter_id, reset_at);
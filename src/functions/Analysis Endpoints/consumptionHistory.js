@@ -11,6 +11,7 @@
 
 const { app } = require('@azure/functions');
 const { executeQuery } = require('../pgPool');
+const { counterOffsetJoin, stitchedCounter } = require('../counterStitching');
 
 const ALLOWED_ENVIROMENTS = ['production', 'demo', 'dev'];
 
@@ -61,10 +62,11 @@ app.http('consumptionHistory', {
             )
             SELECT
                 m."timestamp" AS utc_time,
-                m.kwh_imported_total AS real_energy_wh,
-                m.varh_imported_q1 AS reactive_energy_varh
+                ${stitchedCounter('kwh_imported_total')} AS real_energy_wh,
+                ${stitchedCounter('varh_imported_q1')} AS reactive_energy_varh
             FROM ${measurementsTable} m
             JOIN authorized_powermeter ap ON m.powermeter_id = ap.powermeter_id
+            ${counterOffsetJoin(schema)}
             WHERE m."timestamp" >= $3
               AND m."timestamp" < $4
               AND m."timestamp" <= NOW()
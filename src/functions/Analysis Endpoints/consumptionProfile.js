@@ -19,6 +19,7 @@
 
 const { app } = require('@azure/functions');
 const { executeQuery } = require('../pgPool');
+const { counterOffsetJoin, stitchedCounter } = require('../counterStitching');
 
 const ALLOWED_ENVIROMENTS = ['production', 'demo', 'dev'];
 const TIME_INTERVALS = ['hour', 'day', 'month'];
@@ -81,10 +82,11 @@ app.http('consumptionProfile', {
                         m."timestamp",
                         ('1970-01-01 ' || LPAD((0 - pi.offset_hours)::text, 2, '0') || ':00:00+00')::timestamptz
                     ) AS hour_start_utc,
-                    last(m.kwh_imported_total, m."timestamp") - first(m.kwh_imported_total, m."timestamp") AS wh,
-                    last(m.varh_imported_q1, m."timestamp") - first(m.varh_imported_q1, m."timestamp") AS varh
+                    last(${stitchedCounter('kwh_imported_total')}, m."timestamp") - first(${stitchedCounter('kwh_imported_total')}, m."timestamp") AS wh,
+                    last(${stitchedCounter('varh_imported_q1')}, m."timestamp") - first(${stitchedCounter('varh_imported_q1')}, m."timestamp") AS varh
                 FROM ${schema}.measurements m
                 JOIN powermeter_info pi ON m.powermeter_id = pi.powermeter_id
+                ${counterOffsetJoin(schema)}
                 WHERE m."timestamp" >= $3
                   AND m."timestamp" <  $4
                   AND m."timestamp" <= NOW()
@@ -99,10 +101,11 @@ app.http('consumptionProfile', {
                         m."timestamp",
                         ('1970-01-01 ' || LPAD((0 - pi.offset_hours)::text, 2, '0') || ':00:00+00')::timestamptz
                     ) AS day_start_utc,
-                    last(m.kwh_imported_total, m."timestamp") - first(m.kwh_imported_total, m."timestamp") AS wh,
-                    last(m.varh_imported_q1, m."timestamp") - first(m.varh_imported_q1, m."timestamp") AS varh
+                    last(${stitchedCounter('kwh_imported_total')}, m."timestamp") - first(${stitchedCounter('kwh_imported_total')}, m."timestamp") AS wh,
+                    last(${stitchedCounter('varh_imported_q1')}, m."timestamp") - first(${stitchedCounter('varh_imported_q1')}, m."timestamp") AS varh
                 FROM ${schema}.measurements m
                 JOIN powermeter_info pi ON m.powermeter_id = pi.powermeter_id
+                ${counterOffsetJoin(schema)}
                 WHERE m."timestamp" >= $3
                   AND m."timestamp" <  $4
                   AND m."timestamp" <= NOW()
@@ -128,10 +131,11 @@ app.http('consumptionProfile', {
                             ),
                             'YYYY-MM'
                         ) AS local_month,
-                        last(m.kwh_imported_total, m."timestamp") - first(m.kwh_imported_total, m."timestamp") AS wh,
-                        last(m.varh_imported_q1, m."timestamp") - first(m.varh_imported_q1, m."timestamp") AS varh
+                        last(${stitchedCounter('kwh_imported_total')}, m."timestamp") - first(${stitchedCounter('kwh_imported_total')}, m."timestamp") AS wh,
+                        last(${stitchedCounter('varh_imported_q1')}, m."timestamp") - first(${stitchedCounter('varh_imported_q1')}, m."timestamp") AS varh
                     FROM ${schema}.measurements m
                     JOIN powermeter_info pi ON m.powermeter_id = pi.powermeter_id
+                    ${counterOffsetJoin(schema)}
                     WHERE m."timestamp" >= $3
                       AND m."timestamp" <  $4
                       AND m."timestamp" <= NOW()
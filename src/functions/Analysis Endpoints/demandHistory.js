@@ -5,12 +5,16 @@
  * Brief: Fetch demand (watts, var) measurements for a powermeter, validating user access and UTC range.
  * Date: 2025-06-02
  * 
+ * Each row has in_maintenance (true when the reading was taken during a scheduled or completed maintenance
+ * window); exclude_maintenance=true leaves those readings out.
+ * 
  * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
  * All rights reserved.
  */
 
 const { app } = require('@azure/functions');
 const { executeQuery } = require('../pgPool');
+const { maintenanceWindowMatch, maintenanceExclusion } = require('../maintenance/maintenanceWindows');
 
 const ALLOWED_ENVIROMENTS = ['production', 'demo', 'dev'];
 
@@ -61,6 +65,7 @@ app.http('demandHistory', {
             )
             SELECT
                 m."timestamp" AS utc_time,
+                ${maintenanceWindowMatch(schema)} AS in_maintenance,
                 m.watts AS real_power_w,
                 m.var AS reactive_power_var
             FROM ${measurementsTable} m
@@ -68,6 +73,7 @@ app.http('demandHistory', {
             WHERE m."timestamp" >= $3
               AND m."timestamp" < $4
               AND m."timestamp" <= NOW()
+              ${maintenanceExclusion(request, schema)}
             ORDER BY m."timestamp" ASC;
         `;
 
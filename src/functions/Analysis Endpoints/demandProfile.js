@@ -15,10 +15,12 @@
  *   - start_utc (required, ISO string)
  *   - end_utc (required, ISO string)
  *   - enviroment: 'production' | 'demo' | 'dev' (optional)
+ *   - exclude_maintenance: 'true' leaves out readings taken during maintenance windows (optional)
  */
 
 const { app } = require('@azure/functions');
 const { executeQuery } = require('../pgPool');
+const { maintenanceExclusion } = require('../maintenance/maintenanceWindows');
 
 const ALLOWED_ENVIROMENTS = ['production', 'demo', 'dev'];
 const TIME_INTERVALS = ['hour', 'day', 'month'];
@@ -89,6 +91,7 @@ app.http('demandProfile', {
                 WHERE m."timestamp" >= $3
                   AND m."timestamp" <  $4
                   AND m."timestamp" <= NOW()
+                  ${maintenanceExclusion(request, schema)}
                 GROUP BY hour_start_utc
                 ORDER BY hour_start_utc ASC
             `;
@@ -109,6 +112,7 @@ app.http('demandProfile', {
                 WHERE m."timestamp" >= $3
                   AND m."timestamp" <  $4
                   AND m."timestamp" <= NOW()
+                  ${maintenanceExclusion(request, schema)}
                 GROUP BY day_start_utc
                 ORDER BY day_start_utc ASC
             `;
@@ -140,6 +144,7 @@ app.http('demandProfile', {
                     WHERE m."timestamp" >= $3
                       AND m."timestamp" <  $4
                       AND m."timestamp" <= NOW()
+                      ${maintenanceExclusion(request, schema)}
                     GROUP BY local_month_start_utc, local_month
                 )
                 SELECT
@@ -15,6 +15,7 @@
 
 const { app } = require('@azure/functions');
 const { executeQuery } = require('../pgPool');
+const { counterOffsetJoin, stitchedCounter } = require('../counterStitching');
 
 const ALLOWED_ENVIROMENTS = ['production', 'demo', 'dev'];
 
@@ -55,9 +56,10 @@ app.http('loadCenters', {
             consumption AS (
                 SELECT
                     m.powermeter_id,
-                    last(m.kwh_imported_total, m."timestamp")  - COALESCE(first(m.kwh_imported_total, m."timestamp"),0) AS consumption
+                    last(${stitchedCounter('kwh_imported_total')}, m."timestamp")  - COALESCE(first(${stitchedCounter('kwh_imported_total')}, m."timestamp"),0) AS consumption
                 FROM ${schema}.measurements m
                 JOIN authorized_powermeter ap ON m.powermeter_id = ap.powermeter_id
+                ${counterOffsetJoin(schema)}
                 CROSS JOIN month_range
                 WHERE m."timestamp" >= month_range.month_start
                   AND m."timestamp" < month_range.month_end
@@ -15,6 +15,7 @@
 
 const { app } = require('@azure/functions');
 const { executeQuery } = require('../pgPool');
+const { counterOffsetJoin, stitchedCounter } = require('../counterStitching');
 
 const ALLOWED_ENVIROMENTS = ['production', 'demo', 'dev'];
 
@@ -66,9 +67,10 @@ app.http('monthlyReport', {
         DATE_TRUNC('month', m."timestamp") AS month,
         avg(m.power_factor) AS avg_power_factor,
         max(m.watts) AS max_demand,
-        last(m.kwh_imported_total, m."timestamp")-first(m.kwh_imported_total, m."timestamp") AS consumption
+        last(${stitchedCounter('kwh_imported_total')}, m."timestamp") - first(${stitchedCounter('kwh_imported_total')}, m."timestamp") AS consumption
     FROM ${measurementsTable} m
     JOIN authorized_powermeter ap ON m.powermeter_id = ap.powermeter_id
+    ${counterOffsetJoin(schema)}
     WHERE m."timestamp" >= DATE_TRUNC('year', TO_TIMESTAMP($3, 'YYYY'))
       AND m."timestamp" < DATE_TRUNC('year', TO_TIMESTAMP($3, 'YYYY') + INTERVAL '1 year')
     GROUP BY month
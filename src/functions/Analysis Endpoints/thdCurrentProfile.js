@@ -15,10 +15,18 @@
  *   - start_utc (required, ISO string)
  *   - end_utc (required, ISO string)
  *   - enviroment: 'production' | 'demo' | 'dev' (optional)
+ *   - exclude_maintenance: 'true' leaves out readings taken during maintenance windows (optional)
+ *
+ * A meter whose supported model does not measure these fields gets 422 "not supported by this model".
  */
 
 const { app } = require('@azure/functions');
 const { executeQuery } = require('../pgPool');
+const { maintenanceExclusion } = require('../maintenance/maintenanceWindows');
+const { findUnsupportedSeries } = require('../modelCapabilities');
+
+// Fields of this series; the endpoint reports nothing when the model measures none of them
+const THD_CURRENT_FIELDS = ['thd_current_l1', 'thd_current_l2', 'thd_current_l3'];
 
 const ALLOWED_ENVIROMENTS = ['production', 'demo', 'dev'];
 const TIME_INTERVALS = ['hour', 'day', 'month'];
@@ -91,6 +99,7 @@ app.http('thdCurrentProfile', {
                 WHERE m."timestamp" >= $3
                   AND m."timestamp" <  $4
                   AND m."timestamp" <= NOW()
+                  ${maintenanceExclusion(request, schema)}
                 GROUP BY hour_start_utc
                 ORDER BY hour_start_utc ASC
             `;
@@ -113,6 +122,7 @@ app.http('thdCurrentProfile', {
                 WHERE m."timestamp" >= $3
                   AND m."timestamp" <  $4
                   AND m."timestamp" <= NOW()
+                  ${maintenanceExclusion(request, schema)}
                 GROUP BY day_start_utc
                 ORDER BY day_start_utc ASC
             `;
@@ -146,6 +156,7 @@ app.http('thdCurrentProfile', {
                     WHERE m."timestamp" >= $3
                       AND m."timestamp" <  $4
                       AND m."timestamp" <= NOW()
+                      ${maintenanceExclusion(request, schema)}
                     GROUP BY local_month_start_utc, local_month
                 )
                 SELECT
@@ -174,6 +185,15 @@ app.http('thdCurrentProfile', {
 
         // --- Execute SQL ---
         try {
+            const unsupported = await findUnsupportedSeries(schema, powermeter_id, user_id, THD_CURRENT_FIELDS);
+            if (unsupported) {
+                return {
+                    status: 422,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ success: false, unsupported: true, model: unsupported.model, error: `THD current is not supported by this model (${unsupported.model}).` }),
+                };
+            }
+
             const result = await executeQuery(sql, [powermeter_id, user_id, start_utc, end_utc]);
             
             return {
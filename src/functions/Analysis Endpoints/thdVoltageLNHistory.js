@@ -5,12 +5,22 @@
  * Brief: Fetch THD voltage (LN, L1, L2, L3) measurements for a powermeter, validating user access and UTC range.
  * Date: 2025-06-23
  * 
+ * Each row has in_maintenance (true when the reading was taken during a scheduled or completed maintenance
+ * window); exclude_maintenance=true leaves those readings out.
+ * 
+ * A meter whose supported model does not measure these fields gets 422 "not supported by this model".
+ * 
  * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
  * All rights reserved.
  */
 
 const { app } = require('@azure/functions');
 const { executeQuery } = require('../pgPool');
+const { maintenanceWindowMatch, maintenanceExclusion } = require('../maintenance/maintenanceWindows');
+const { findUnsupportedSeries } = require('../modelCapabilities');
+
+// Fields of this series; the endpoint reports nothing when the model measures none of them
+const THD_VOLTAGE_LN_FIELDS = ['thd_voltage_ln', 'thd_voltage_l1', 'thd_voltage_l2', 'thd_voltage_l3'];
 
 const ALLOWED_ENVIROMENTS = ['production', 'demo', 'dev'];
 
@@ -66,6 +76,7 @@ app.http('thdVoltageLNHistory', {
             )
             SELECT
                 m."timestamp" AS utc_time,
+                ${maintenanceWindowMatch(schema)} AS in_maintenance,
                 m.thd_voltage_ln,
                 m.thd_voltage_l1,
                 m.thd_voltage_l2,
@@ -75,6 +86,7 @@ app.http('thdVoltageLNHistory', {
             WHERE m."timestamp" >= $3
               AND m."timestamp" < $4
               AND m."timestamp" <= NOW()
+              ${maintenanceExclusion(request, schema)}
             ORDER BY m."timestamp" ASC;
         `;
 
@@ -82,6 +94,15 @@ app.http('thdVoltageLNHistory', {
 
         try {
             
+            const unsupported = await findUnsupportedSeries(schema, powermeter_id, user_id, THD_VOLTAGE_LN_FIELDS);
+            if (unsupported) {
+                return {
+                    status: 422,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ success: false, unsupported: true, model: unsupported.model, error: `THD voltage (L-N) is not supported by this model (${unsupported.model}).` }),
+                };
+            }
+
             const result = await executeQuery(query, params);
              // Release the client back to the pool
             return {
@@ -0,0 +1,32 @@
+/**
+ * FileName: src/functions/commands/commandExpiry.js
+ * Author(s): Arturo Vargas
+ * Trigger: Timer (COMMAND_EXPIRY_SCHEDULE, every minute by default)
+ * Brief: Expires the remote commands that were not acknowledged before their expires_at.
+ * Date: 2026-10-19
+ *
+ * Delivery and queueing already skip overdue commands; this timer records their final state and audit
+ * event, so command history shows them as expired (see commandQueue.js).
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const { expireCommands } = require('./commandQueue');
+
+const DEFAULT_SCHEDULE = '0 * * * * *';
+
+app.timer('powermeterCommandExpiry', {
+    schedule: process.env.COMMAND_EXPIRY_SCHEDULE || DEFAULT_SCHEDULE,
+    handler: async (timer, context) => {
+        try {
+            const expired = await expireCommands();
+            if (expired > 0) {
+                context.log(`Expired ${expired} powermeter command(s).`);
+            }
+        } catch (error) {
+            context.log.error('Error expiring powermeter commands:', error);
+        }
+    }
+});
@@ -0,0 +1,353 @@
+/**
+ * FileName: src/functions/commands/commandQueue.js
+ * Author(s): Arturo Vargas
+ * Brief: Remote command queue of powermeters: queueing, delivery to gateways, acknowledgement and expiry.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * The command types are the reset flags of the powermeter registry (COMMAND_TYPES). A user with one of
+ * COMMAND_SENDER_ROLES queues a command for a meter of their installations (see powermeterCommands.js); it
+ * stays open until the device acknowledges it or it expires:
+ *   - pending:   queued, not yet delivered
+ *   - delivered: handed to the gateway (by polling deviceCommands.js, or with ?commands=true in an ingestion
+ *                response); delivered again on every poll until acknowledged, so a lost response is retried
+ *   - succeeded / failed: acknowledged by the device, with its result
+ *   - expired:   expires_at passed before an acknowledgement (see commandExpiry.js)
+ *   - cancelled: withdrawn by a user before delivery
+ * Commands are only delivered to devices holding a credential, so the gateway taking them has signed the
+ * request (see ingestion/deviceAuth.js). Commands follow the meter's current serial number, so a replaced
+ * device receives the commands still open. Every state change is written to powermeter_command_events.
+ *
+ * A succeeded reset_total_meters or reset_counters zeroes the energy counters, so its acknowledgement also
+ * records a counter offset in public.powermeter_counter_resets, which counterOffsetJoin adds to the readings
+ * from the reset on. The offsets are the counter values before the reset as reported by the device in its
+ * result (kwh_imported_total, varh_imported_q1, in the stored units), or else those of the last reading
+ * stored before the reset. The reset time is result.reset_at, or else the first delivery of the command.
+ * Requires database/migrations/014_powermeter_commands.sql and 019_powermeter_counter_resets.sql.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { executeQuery } = require('../pgPool');
+const { ADMIN_ROLES, COMMAND_ROLES } = require('../dbUtils');
+const { resolveSerialNumbers } = require('../ingestion/measurementIngestion');
+const { findCredentialedSerials } = require('../ingestion/deviceAuth');
+const { STITCHED_COUNTERS } = require('../counterStitching');
+
+const COMMAND_TYPES = ['reset_total_meters', 'reset_partial_meters', 'reset_hour_counter', 'reset_counters', 'reset_dmd_max'];
+
+// Commands that zero the counters stitched by counterStitching.js
+const COUNTER_RESET_COMMANDS = ['reset_total_meters', 'reset_counters'];
+const OFFSET_SOURCE_DEVICE = 'device';
+const OFFSET_SOURCE_LAST_READING = 'last_reading';
+
+const COMMAND_STATUS_PENDING = 'pending';
+const COMMAND_STATUS_DELIVERED = 'delivered';
+const COMMAND_STATUS_SUCCEEDED = 'succeeded';
+const COMMAND_STATUS_FAILED = 'failed';
+const COMMAND_STATUS_EXPIRED = 'expired';
+const COMMAND_STATUS_CANCELLED = 'cancelled';
+const COMMAND_STATUSES = [
+    COMMAND_STATUS_PENDING,
+    COMMAND_STATUS_DELIVERED,
+    COMMAND_STATUS_SUCCEEDED,
+    COMMAND_STATUS_FAILED,
+    COMMAND_STATUS_EXPIRED,
+    COMMAND_STATUS_CANCELLED
+];
+const OPEN_COMMAND_STATUSES = [COMMAND_STATUS_PENDING, COMMAND_STATUS_DELIVERED];
+
+// Outcomes a device can report
+const ACKNOWLEDGEMENT_STATUSES = [COMMAND_STATUS_SUCCEEDED, COMMAND_STATUS_FAILED];
+
+// Roles allowed to queue and cancel commands (always within their own installations)
+const COMMAND_SENDER_ROLES = [...new Set([...COMMAND_ROLES, ...ADMIN_ROLES])];
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const MIN_TTL_SECONDS = 60;
+const MAX_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const COMMAND_COLUMNS = `
+    command_id, schema_name, powermeter_id, serial_number, command_type, status, requested_by, reason,
+    created_at, expires_at, delivery_count, first_delivered_at, last_delivered_at, completed_at, result`;
+
+// Fields a gateway needs to run a command
+const DELIVERED_COLUMNS = 'command_id, serial_number, command_type, created_at, expires_at';
+
+/**
+ * Resolves the lifetime of a new command
+ * @param {*} value - ttl_seconds of the request, COMMAND_DEFAULT_TTL_SECONDS (default 24 h) when missing
+ * @returns {Object} { ttlSeconds } or { error }
+ */
+function resolveCommandTtl(value) {
+    if (value === undefined || value === null) {
+        const configured = Number(process.env.COMMAND_DEFAULT_TTL_SECONDS);
+        return { ttlSeconds: Number.isInteger(configured) && configured >= MIN_TTL_SECONDS ? configured : DEFAULT_TTL_SECONDS };
+    }
+    if (!Number.isInteger(value) || value < MIN_TTL_SECONDS || value > MAX_TTL_SECONDS) {
+        return { error: `ttl_seconds must be an integer between ${MIN_TTL_SECONDS} and ${MAX_TTL_SECONDS}.` };
+    }
+    return { ttlSeconds: value };
+}
+
+/**
+ * Writes audit events of commands
+ * @param {Function} runQuery - client.query wrapper of the transaction changing the commands
+ * @param {Array<Object>} events - { command_id, event, actor, details }
+ * @returns {Promise<void>}
+ */
+async function recordCommandEvents(runQuery, events) {
+    if (events.length === 0) return;
+    await runQuery(
+        `INSERT INTO public.powermeter_command_events (command_id, event, actor, details)
+         SELECT e.command_id, e.event, e.actor, e.details
+         FROM jsonb_to_recordset($1::jsonb) AS e(command_id BIGINT, event TEXT, actor TEXT, details JSONB)`,
+        [JSON.stringify(events.map(({ command_id, event, actor, details = null }) => ({ command_id, event, actor: String(actor), details })))]
+    );
+}
+
+/**
+ * Queues a command for a meter
+ * @param {Object} client - Database client with an open transaction (the powermeters row locked)
+ * @param {Object} command - { schema, powermeterId, serialNumber, commandType, ttlSeconds, requestedBy, reason }
+ * @returns {Promise<Object>} { command } with the stored row, or { conflict } with the open command of the same type
+ */
+async function queueCommand(client, { schema, powermeterId, serialNumber, commandType, ttlSeconds, requestedBy, reason }) {
+    const open = await client.query(
+        `SELECT ${COMMAND_COLUMNS} FROM public.powermeter_commands
+         WHERE schema_name = $1 AND powermeter_id = $2 AND command_type = $3 AND status = ANY($4) AND expires_at > NOW()`,
+        [schema, powermeterId, commandType, OPEN_COMMAND_STATUSES]
+    );
+    if (open.rows.length > 0) return { conflict: open.rows[0] };
+
+    // An open command past its expiry blocks the unique index until the timer runs
+    await expireCommands((query, params) => client.query(query, params), { schema, powermeterId });
+
+    const inserted = await client.query(
+        `INSERT INTO public.powermeter_commands
+             (schema_name, powermeter_id, serial_number, command_type, requested_by, reason, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(secs => $7))
+         RETURNING ${COMMAND_COLUMNS}`,
+        [schema, powermeterId, String(serialNumber), commandType, String(requestedBy), reason, ttlSeconds]
+    );
+    const command = inserted.rows[0];
+    await recordCommandEvents((query, params) => client.query(query, params), [{
+        command_id: command.command_id,
+        event: 'queued',
+        actor: requestedBy,
+        details: { ttl_seconds: ttlSeconds, reason }
+    }]);
+    return { command };
+}
+
+/**
+ * Expires the open commands whose expires_at has passed
+ * @param {Function} [runQuery] - executeQuery, or a client.query wrapper
+ * @param {Object} [scope] - { schema, powermeterId } to expire the commands of one meter only
+ * @returns {Promise<number>} Commands expired
+ */
+async function expireCommands(runQuery = executeQuery, scope = null) {
+    const meterFilter = scope ? 'AND schema_name = $2 AND powermeter_id = $3' : '';
+    const expired = await runQuery(
+        `WITH expired AS (
+             UPDATE public.powermeter_commands
+             SET status = '${COMMAND_STATUS_EXPIRED}', completed_at = NOW()
+             WHERE status = ANY($1) AND expires_at <= NOW() ${meterFilter}
+             RETURNING command_id, delivery_count
+         ), audit AS (
+             INSERT INTO public.powermeter_command_events (command_id, event, actor, details)
+             SELECT command_id, '${COMMAND_STATUS_EXPIRED}', 'system', jsonb_build_object('delivery_count', delivery_count)
+             FROM expired
+         )
+         SELECT command_id FROM expired`,
+        scope ? [OPEN_COMMAND_STATUSES, scope.schema, scope.powermeterId] : [OPEN_COMMAND_STATUSES]
+    );
+    return expired.rows.length;
+}
+
+/**
+ * Hands the open commands of a set of devices to their gateway
+ * @param {Array<string>} serialNumbers - Serial numbers of the request, authenticated and holding a credential
+ * @returns {Promise<Array<Object>>} Commands to run, oldest first ({ command_id, serial_number, command_type, ... })
+ */
+async function deliverPendingCommands(serialNumbers) {
+    if (serialNumbers.length === 0) return [];
+
+    const routes = await resolveSerialNumbers(serialNumbers);
+    const meters = [...routes.entries()].map(([serial_number, route]) => ({ serial_number, schema: route.schema, powermeter_id: route.powermeter_id }));
+    if (meters.length === 0) return [];
+
+    const delivered = await executeQuery(
+        `WITH delivered AS (
+             UPDATE public.powermeter_commands c
+             SET status = '${COMMAND_STATUS_DELIVERED}',
+                 delivery_count = c.delivery_count + 1,
+                 first_delivered_at = COALESCE(c.first_delivered_at, NOW()),
+                 last_delivered_at = NOW(),
+                 serial_number = m.serial_number
+             FROM jsonb_to_recordset($1::jsonb) AS m(serial_number TEXT, schema TEXT, powermeter_id INTEGER)
+             WHERE c.schema_name = m.schema AND c.powermeter_id = m.powermeter_id
+               AND c.status = ANY($2) AND c.expires_at > NOW()
+             RETURNING ${DELIVERED_COLUMNS.split(', ').map(column => `c.${column}`).join(', ')}, c.delivery_count
+         ), audit AS (
+             INSERT INTO public.powermeter_command_events (command_id, event, actor, details)
+             SELECT command_id, '${COMMAND_STATUS_DELIVERED}', serial_number, jsonb_build_object('delivery_count', delivery_count)
+             FROM delivered
+         )
+         SELECT ${DELIVERED_COLUMNS} FROM delivered`,
+        [JSON.stringify(meters), OPEN_COMMAND_STATUSES]
+    );
+
+    return delivered.rows.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+/**
+ * Works out the counter offsets of a succeeded counter reset: the counter values before the reset, as
+ * reported by the device, or else those of the last reading stored before the reset
+ * @param {Object} command - Command being acknowledged
+ * @param {Object|null} result - Result reported by the device
+ * @returns {Promise<Object>} { resetAt, offsets (offset column -> value), source }
+ */
+async function resolveCounterReset(command, result) {
+    const reported = result && typeof result === 'object' && !Array.isArray(result) ? result : {};
+    const reportedAt = typeof reported.reset_at === 'string' ? Date.parse(reported.reset_at) : NaN;
+    const resetAt = Number.isFinite(reportedAt) ? new Date(reportedAt) : new Date(command.first_delivered_at);
+
+    const counters = Object.keys(STITCHED_COUNTERS);
+    const fromDevice = counters.every(counter => Number.isFinite(reported[counter]));
+    let lastReading = {};
+    if (!fromDevice) {
+        // schema_name is one of the schemas allowed by the powermeter_commands check constraint
+        const reading = await executeQuery(
+            `SELECT ${counters.join(', ')} FROM ${command.schema_name}.measurements
+             WHERE powermeter_id = $1 AND "timestamp" < $2
+             ORDER BY "timestamp" DESC
+             LIMIT 1`,
+            [command.powermeter_id, resetAt]
+        );
+        lastReading = reading.rows[0] || {};
+    }
+
+    const offsets = {};
+    counters.forEach(counter => {
+        const value = Number.isFinite(reported[counter]) ? reported[counter] : lastReading[counter];
+        offsets[STITCHED_COUNTERS[counter]] = value == null ? 0 : Number(value);
+    });
+    return { resetAt, offsets, source: fromDevice ? OFFSET_SOURCE_DEVICE : OFFSET_SOURCE_LAST_READING };
+}
+
+/**
+ * Records the outcome a device reports for a command
+ * @param {string} serialNumber - Serial number of the acknowledging device (already authenticated)
+ * @param {number|string} commandId - Command acknowledged
+ * @param {string} status - succeeded or failed
+ * @param {*} [result] - Details reported by the device (JSON)
+ * @returns {Promise<Object>} { command, counterReset } with the stored row and the offsets of a counter reset
+ *          (null for other commands), or { status, error }
+ */
+async function acknowledgeCommand(serialNumber, commandId, status, result = null) {
+    const route = (await resolveSerialNumbers([serialNumber])).get(String(serialNumber));
+    if (!route) return { status: 404, error: 'Serial number not found in any schema.' };
+
+    const current = await executeQuery(
+        `SELECT ${COMMAND_COLUMNS} FROM public.powermeter_commands
+         WHERE command_id = $1 AND schema_name = $2 AND powermeter_id = $3`,
+        [commandId, route.schema, route.powermeter_id]
+    );
+    const command = current.rows[0];
+    if (!command) return { status: 404, error: `Command ${commandId} not found for serial number ${serialNumber}.` };
+
+    // Gateways retry acknowledgements whose response was lost
+    if (command.status === status) return { command };
+
+    // A command run just before it expired is still recorded with its real outcome
+    const acknowledgeable = [COMMAND_STATUS_DELIVERED, COMMAND_STATUS_EXPIRED];
+    if (!acknowledgeable.includes(command.status) || (command.status === COMMAND_STATUS_EXPIRED && !command.first_delivered_at)) {
+        return { status: 409, error: `Command ${commandId} is ${command.status} and cannot be acknowledged.` };
+    }
+
+    const params = [
+        commandId, status, result === null ? null : JSON.stringify(result), command.status,
+        String(serialNumber), JSON.stringify({ result, after_expiry: command.status === COMMAND_STATUS_EXPIRED })
+    ];
+
+    // The counter offset is written in the same statement, so a reset is never stitched twice or not at all
+    let counterReset = null;
+    let resetInsert = '';
+    if (status === COMMAND_STATUS_SUCCEEDED && COUNTER_RESET_COMMANDS.includes(command.command_type)) {
+        counterReset = await resolveCounterReset(command, result);
+        const offsetColumns = Object.keys(counterReset.offsets);
+        params.push(counterReset.resetAt, counterReset.source);
+        const offsetPlaceholders = Object.values(counterReset.offsets).map(value => `$${params.push(value)}`);
+        resetInsert = `, counter_reset AS (
+             INSERT INTO public.powermeter_counter_resets
+                 (command_id, schema_name, powermeter_id, reset_at, offset_source, ${offsetColumns.join(', ')})
+             SELECT command_id, schema_name, powermeter_id, $7, $8, ${offsetPlaceholders.join(', ')}
+             FROM acknowledged
+         )`;
+    }
+
+    const updated = await executeQuery(
+        `WITH acknowledged AS (
+             UPDATE public.powermeter_commands
+             SET status = $2, completed_at = NOW(), result = $3
+             WHERE command_id = $1 AND status = $4
+             RETURNING ${COMMAND_COLUMNS}
+         ), audit AS (
+             INSERT INTO public.powermeter_command_events (command_id, event, actor, details)
+             SELECT command_id, $2, $5, $6::jsonb FROM acknowledged
+         )${resetInsert}
+         SELECT * FROM acknowledged`,
+        params
+    );
+    if (updated.rows.length === 0) {
+        return { status: 409, error: `Command ${commandId} changed while it was being acknowledged; retry the request.` };
+    }
+    return { command: updated.rows[0], counterReset };
+}
+
+/**
+ * Adds the open commands of the request's devices to an ingestion response when the gateway asks for them
+ * with ?commands=true; ingestion never fails because of the command queue. As in deviceCommands.js, devices
+ * without a credential get none: their requests may be unsigned, so the sender may not be the meter
+ * @param {Object} request - HTTP request
+ * @param {Object} response - Ingestion HTTP response (JSON body)
+ * @param {Array<string>} serialNumbers - Serial numbers of the request
+ * @param {Object} context - Function context used for logging
+ * @returns {Promise<Object>} The response, with a commands array in its body when requested
+ */
+async function withPendingCommands(request, response, serialNumbers, context) {
+    if (request.query.get('commands') !== 'true') return response;
+
+    try {
+        const credentialed = await findCredentialedSerials(serialNumbers.filter(serial => serial !== undefined && serial !== null));
+        const commands = await deliverPendingCommands(credentialed);
+        return { ...response, body: JSON.stringify({ ...JSON.parse(response.body), commands }) };
+    } catch (error) {
+        context.log.warn(`Pending commands not delivered: ${error.message}`);
+        return response;
+    }
+}
+
+module.exports = {
+    COMMAND_TYPES,
+    COUNTER_RESET_COMMANDS,
+    COMMAND_STATUS_PENDING,
+    COMMAND_STATUS_DELIVERED,
+    COMMAND_STATUS_SUCCEEDED,
+    COMMAND_STATUS_FAILED,
+    COMMAND_STATUS_EXPIRED,
+    COMMAND_STATUS_CANCELLED,
+    COMMAND_STATUSES,
+    OPEN_COMMAND_STATUSES,
+    ACKNOWLEDGEMENT_STATUSES,
+    COMMAND_SENDER_ROLES,
+    COMMAND_COLUMNS,
+    resolveCommandTtl,
+    queueCommand,
+    expireCommands,
+    deliverPendingCommands,
+    acknowledgeCommand,
+    withPendingCommands
+};
@@ -0,0 +1,132 @@
+/**
+ * FileName: src/functions/commands/deviceCommands.js
+ * Author(s): Arturo Vargas
+ * Endpoints: GET /api/deviceCommands, POST /api/acknowledgeDeviceCommand
+ * Brief: Gateway side of the remote command queue: poll the open commands and report their outcome.
+ * Date: 2026-10-19
+ *
+ * GET /api/deviceCommands?serial_number=A[,B...] returns the open commands of the given devices (up to
+ * MAX_POLL_SERIALS) and marks them delivered. A command is returned on every poll until it is acknowledged
+ * or expires, so gateways must run each command_id once.
+ *
+ * POST /api/acknowledgeDeviceCommand with a JSON body:
+ *   - serial_number, command_id (required)
+ *   - status (required): succeeded or failed
+ *   - result (optional): any JSON the device reports; for reset_total_meters and reset_counters, the counter
+ *     values before the reset (kwh_imported_total, varh_imported_q1) and reset_at keep the energy counters
+ *     continuous (see commandQueue.js)
+ * Repeating an acknowledgement with the same status is accepted, so a gateway can retry it.
+ *
+ * Both endpoints only serve devices holding a credential and must be signed like the ingestion endpoints
+ * (X-Device-Timestamp / X-Device-Signature, see ingestion/deviceAuth.js). The signature covers the method,
+ * path and query, so the serial_number list of a GET poll is signed too; GET signs an empty body.
+ * Gateways can also receive their commands with ingestion responses (?commands=true, see commandQueue.js).
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const { jsonResponse } = require('../dbUtils');
+const { authenticateDeviceRequest, findCredentialedSerials } = require('../ingestion/deviceAuth');
+const {
+    ACKNOWLEDGEMENT_STATUSES,
+    deliverPendingCommands,
+    acknowledgeCommand
+} = require('./commandQueue');
+
+const MAX_POLL_SERIALS = 100;
+
+/**
+ * Authenticates a gateway request for a set of devices
+ * @param {Object} request - HTTP request
+ * @param {string} rawBody - Raw request body the signatures were computed over
+ * @param {Array<string>} serialNumbers - Devices of the request
+ * @param {Object} context - Function context
+ * @returns {Promise<Object|null>} Error HTTP response, or null when every device is authenticated
+ */
+async function authenticateGateway(request, rawBody, serialNumbers, context) {
+    // Unsigned requests are only refused for credentialed devices, so devices without one are refused here
+    const credentialed = await findCredentialedSerials(serialNumbers);
+    const withoutCredential = serialNumbers.filter(serial => !credentialed.includes(serial));
+    if (withoutCredential.length > 0) {
+        return jsonResponse(403, { error: 'Commands are only available to devices holding a credential.', serialNumbers: withoutCredential });
+    }
+    return authenticateDeviceRequest(request, rawBody, serialNumbers, context);
+}
+
+app.http('deviceCommands', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const serialNumbers = [...new Set((request.query.get('serial_number') || '')
+            .split(',')
+            .map(serial => serial.trim())
+            .filter(Boolean))];
+
+        if (serialNumbers.length === 0) {
+            return jsonResponse(400, { error: 'Missing required parameter: serial_number' });
+        }
+        if (serialNumbers.length > MAX_POLL_SERIALS) {
+            return jsonResponse(400, { error: `At most ${MAX_POLL_SERIALS} serial numbers per request.` });
+        }
+
+        try {
+            const authFailure = await authenticateGateway(request, '', serialNumbers, context);
+            if (authFailure) return authFailure;
+
+            const commands = await deliverPendingCommands(serialNumbers);
+            if (commands.length > 0) {
+                context.log(`Delivered ${commands.length} command(s) to ${serialNumbers.join(', ')}.`);
+            }
+            return jsonResponse(200, { commands });
+        } catch (error) {
+            context.log.error('Error delivering device commands:', error);
+            return jsonResponse(500, { error: error.message });
+        }
+    }
+});
+
+app.http('acknowledgeDeviceCommand', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const rawBody = await request.text();
+        let body;
+        try {
+            body = JSON.parse(rawBody);
+        } catch (err) {
+            return jsonResponse(400, { error: 'Invalid JSON payload.' });
+        }
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            return jsonResponse(400, { error: 'Body must be a JSON object.' });
+        }
+
+        const { serial_number: serialNumber, command_id: commandId, status, result = null } = body;
+        if (serialNumber === undefined || serialNumber === null || serialNumber === '' || !Number.isInteger(commandId)) {
+            return jsonResponse(400, { error: 'Missing required field(s): serial_number and command_id (integer).' });
+        }
+        if (!ACKNOWLEDGEMENT_STATUSES.includes(status)) {
+            return jsonResponse(400, { error: `status is required. Allowed values: ${ACKNOWLEDGEMENT_STATUSES.join(', ')}.` });
+        }
+
+        try {
+            const authFailure = await authenticateGateway(request, rawBody, [String(serialNumber)], context);
+            if (authFailure) return authFailure;
+
+            const outcome = await acknowledgeCommand(String(serialNumber), commandId, status, result);
+            if (outcome.error) {
+                return jsonResponse(outcome.status, { error: outcome.error });
+            }
+
+            context.log(`Command ${commandId} acknowledged by ${serialNumber}: ${status}`);
+            if (outcome.counterReset) {
+                context.log(`Counter offsets of command ${commandId} (${outcome.counterReset.source}): ${JSON.stringify(outcome.counterReset.offsets)}`);
+            }
+            return jsonResponse(200, { command: outcome.command });
+        } catch (error) {
+            context.log.error('Error acknowledging device command:', error);
+            return jsonResponse(500, { error: error.message });
+        }
+    }
+});
@@ -0,0 +1,284 @@
+/**
+ * FileName: src/functions/commands/powermeterCommands.js
+ * Author(s): Arturo Vargas
+ * Endpoints: POST/GET /api/powermeterCommands, POST /api/cancelPowermeterCommand
+ * Brief: Queue, list and cancel the remote commands (counter resets) of a powermeter.
+ * Date: 2026-10-19
+ *
+ * POST /api/powermeterCommands?id=&user_id=&enviroment= queues a command (users with one of the
+ * COMMAND_SENDER_ROLES, on meters of their installations). JSON body:
+ *   - command_type (required): reset_total_meters, reset_partial_meters, reset_hour_counter, reset_counters
+ *     or reset_dmd_max
+ *   - ttl_seconds (optional, 60 to 604800, default COMMAND_DEFAULT_TTL_SECONDS or 24 h): the command expires
+ *     when the device has not acknowledged it by then
+ *   - reason (optional)
+ * A meter holds at most one open command of each type (409 with the open one).
+ *
+ * GET /api/powermeterCommands?id=&user_id=&enviroment= lists the commands of a meter, newest first, with
+ * optional status, command_type, limit (1-500, default 100) and offset filters; with &command_id= it returns
+ * that command and its audit events.
+ *
+ * POST /api/cancelPowermeterCommand?command_id=&user_id= (body { reason } optional) cancels a command that
+ * was not delivered yet. See commandQueue.js for the command states.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const { executeQuery, getClient } = require('../pgPool');
+const { validateUserRole, validateUserPowermeterAccess, jsonResponse, readJsonObject, MAX_REASON_LENGTH } = require('../dbUtils');
+const {
+    POWERMETER_STATUS_DECOMMISSIONED,
+    ALLOWED_ENVIROMENTS,
+    getPowermeterSchema
+} = require('../powermeterRegistry');
+const {
+    COMMAND_TYPES,
+    COMMAND_STATUSES,
+    COMMAND_STATUS_PENDING,
+    COMMAND_STATUS_CANCELLED,
+    COMMAND_SENDER_ROLES,
+    COMMAND_COLUMNS,
+    resolveCommandTtl,
+    queueCommand
+} = require('./commandQueue');
+
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 500;
+
+/**
+ * Checks an optional reason
+ * @param {*} reason - Value received
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkReason(reason) {
+    if (reason === undefined || reason === null) return null;
+    return typeof reason === 'string' && reason.length <= MAX_REASON_LENGTH
+        ? null
+        : `reason must be a string of at most ${MAX_REASON_LENGTH} characters.`;
+}
+
+/**
+ * Queues a command for a powermeter
+ * @param {Object} request - HTTP request
+ * @param {Object} context - Function context
+ * @param {Object} meter - { powermeterId, userId, schema }
+ * @returns {Promise<Object>} HTTP response
+ */
+async function postCommand(request, context, { powermeterId, userId, schema }) {
+    const body = await readJsonObject(request);
+    if (!body) {
+        return jsonResponse(400, { success: false, error: 'Body must be a JSON object.' });
+    }
+    const { command_type: commandType, ttl_seconds: ttlValue, reason = null } = body;
+    if (!COMMAND_TYPES.includes(commandType)) {
+        return jsonResponse(400, { success: false, error: `command_type is required. Allowed values: ${COMMAND_TYPES.join(', ')}.` });
+    }
+    const { ttlSeconds, error: ttlError } = resolveCommandTtl(ttlValue);
+    const reasonError = checkReason(reason);
+    if (ttlError || reasonError) {
+        return jsonResponse(400, { success: false, error: ttlError || reasonError });
+    }
+
+    let client;
+    try {
+        if (!await validateUserRole(userId, COMMAND_SENDER_ROLES)) {
+            return jsonResponse(403, { success: false, error: 'Role not allowed to send commands to powermeters.' });
+        }
+        if (!await validateUserPowermeterAccess(userId, powermeterId, schema)) {
+            return jsonResponse(404, { success: false, error: `Powermeter ID not found in ${schema} schema or not accessible to this user.` });
+        }
+
+        client = await getClient();
+        await client.query('BEGIN');
+        const meter = await client.query(
+            `SELECT serial_number, status FROM ${schema}.powermeters WHERE powermeter_id = $1 FOR UPDATE`,
+            [powermeterId]
+        );
+        if (meter.rows.length === 0 || meter.rows[0].status === POWERMETER_STATUS_DECOMMISSIONED) {
+            await client.query('ROLLBACK');
+            return meter.rows.length === 0
+                ? jsonResponse(404, { success: false, error: `Powermeter ID not found in ${schema} schema.` })
+                : jsonResponse(409, { success: false, error: 'Commands cannot be sent to decommissioned powermeters.' });
+        }
+
+        const { command, conflict } = await queueCommand(client, {
+            schema,
+            powermeterId,
+            serialNumber: meter.rows[0].serial_number,
+            commandType,
+            ttlSeconds,
+            requestedBy: userId,
+            reason
+        });
+        if (conflict) {
+            await client.query('ROLLBACK');
+            return jsonResponse(409, { success: false, error: `A ${commandType} command is already open for this powermeter.`, command: conflict });
+        }
+        await client.query('COMMIT');
+
+        context.log(`Command ${command.command_id} (${commandType}) queued for powermeter ${powermeterId} in ${schema} by user ${userId}`);
+        return jsonResponse(201, { success: true, command });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        context.log.error('Error queueing powermeter command:', error);
+        return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+    } finally {
+        if (client) client.release();
+    }
+}
+
+/**
+ * Lists the commands of a powermeter, or returns one command with its audit events
+ * @param {Object} request - HTTP request
+ * @param {Object} context - Function context
+ * @param {Object} meter - { powermeterId, userId, schema }
+ * @returns {Promise<Object>} HTTP response
+ */
+async function listCommands(request, context, { powermeterId, userId, schema }) {
+    const commandId = request.query.get('command_id');
+    const status = request.query.get('status');
+    const commandType = request.query.get('command_type');
+    const limit = request.query.get('limit') === null ? DEFAULT_LIST_LIMIT : Number(request.query.get('limit'));
+    const offset = request.query.get('offset') === null ? 0 : Number(request.query.get('offset'));
+
+    if (status && !COMMAND_STATUSES.includes(status)) {
+        return jsonResponse(400, { success: false, error: `Invalid status. Allowed values: ${COMMAND_STATUSES.join(', ')}.` });
+    }
+    if (commandType && !COMMAND_TYPES.includes(commandType)) {
+        return jsonResponse(400, { success: false, error: `Invalid command_type. Allowed values: ${COMMAND_TYPES.join(', ')}.` });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT || !Number.isInteger(offset) || offset < 0) {
+        return jsonResponse(400, { success: false, error: `limit must be an integer between 1 and ${MAX_LIST_LIMIT} and offset a non-negative integer.` });
+    }
+
+    try {
+        if (!await validateUserPowermeterAccess(userId, powermeterId, schema)) {
+            return jsonResponse(404, { success: false, error: `Powermeter ID not found in ${schema} schema or not accessible to this user.` });
+        }
+
+        if (commandId) {
+            const command = await executeQuery(
+                `SELECT ${COMMAND_COLUMNS} FROM public.powermeter_commands
+                 WHERE command_id = $1 AND schema_name = $2 AND powermeter_id = $3`,
+                [commandId, schema, powermeterId]
+            );
+            if (command.rows.length === 0) {
+                return jsonResponse(404, { success: false, error: `Command ${commandId} not found for this powermeter.` });
+            }
+            const events = await executeQuery(
+                `SELECT event_id, event, actor, details, created_at FROM public.powermeter_command_events
+                 WHERE command_id = $1 ORDER BY created_at, event_id`,
+                [commandId]
+            );
+            return jsonResponse(200, { success: true, command: { ...command.rows[0], events: events.rows } });
+        }
+
+        const filters = ['schema_name = $1', 'powermeter_id = $2'];
+        const params = [schema, powermeterId];
+        if (status) {
+            params.push(status);
+            filters.push(`status = $${params.length}`);
+        }
+        if (commandType) {
+            params.push(commandType);
+            filters.push(`command_type = $${params.length}`);
+        }
+        params.push(limit, offset);
+
+        const result = await executeQuery(
+            `SELECT ${COMMAND_COLUMNS}, COUNT(*) OVER() AS total_count
+             FROM public.powermeter_commands
+             WHERE ${filters.join(' AND ')}
+             ORDER BY created_at DESC, command_id DESC
+             LIMIT $${params.length - 1} OFFSET $${params.length}`,
+            params
+        );
+        const total = result.rows.length > 0 ? Number(result.rows[0].total_count) : 0;
+        const commands = result.rows.map(({ total_count, ...command }) => command);
+        return jsonResponse(200, { success: true, schema, powermeter_id: Number(powermeterId), total, limit, offset, commands });
+    } catch (error) {
+        context.log.error('Error listing powermeter commands:', error);
+        return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+    }
+}
+
+app.http('powermeterCommands', {
+    methods: ['GET', 'POST'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const powermeterId = request.query.get('id');
+        const userId = request.query.get('user_id');
+        const schema = getPowermeterSchema(request.query.get('enviroment'));
+
+        if (!powermeterId || !userId) {
+            return jsonResponse(400, { success: false, error: 'Missing required parameter(s): id and user_id' });
+        }
+        if (!schema) {
+            return jsonResponse(400, { success: false, error: `Invalid enviroment. Allowed values: ${ALLOWED_ENVIROMENTS.join(', ')}.` });
+        }
+
+        const meter = { powermeterId, userId, schema };
+        return request.method === 'POST'
+            ? postCommand(request, context, meter)
+            : listCommands(request, context, meter);
+    }
+});
+
+app.http('cancelPowermeterCommand', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const commandId = request.query.get('command_id');
+        const userId = request.query.get('user_id');
+        if (!commandId || !userId) {
+            return jsonResponse(400, { success: false, error: 'Missing required parameter(s): command_id and user_id' });
+        }
+
+        const body = await readJsonObject(request);
+        const reason = body ? body.reason ?? null : undefined;
+        const reasonError = body ? checkReason(reason) : 'Body must be a JSON object.';
+        if (reasonError) {
+            return jsonResponse(400, { success: false, error: reasonError });
+        }
+
+        try {
+            if (!await validateUserRole(userId, COMMAND_SENDER_ROLES)) {
+                return jsonResponse(403, { success: false, error: 'Role not allowed to send commands to powermeters.' });
+            }
+
+            const current = await executeQuery(
+                'SELECT schema_name, powermeter_id, status FROM public.powermeter_commands WHERE command_id = $1',
+                [commandId]
+            );
+            const command = current.rows[0];
+            if (!command || !await validateUserPowermeterAccess(userId, command.powermeter_id, command.schema_name)) {
+                return jsonResponse(404, { success: false, error: `Command ${commandId} not found or not accessible to this user.` });
+            }
+
+            // A delivered command may already be running on the device; it can only expire or be acknowledged
+            const cancelled = await executeQuery(
+                `WITH cancelled AS (
+                     UPDATE public.powermeter_commands SET status = $2, completed_at = NOW()
+                     WHERE command_id = $1 AND status = $3
+                     RETURNING ${COMMAND_COLUMNS}
+                 ), audit AS (
+                     INSERT INTO public.powermeter_command_events (command_id, event, actor, details)
+                     SELECT command_id, $2, $4, jsonb_build_object('reason', $5::text) FROM cancelled
+                 )
+                 SELECT * FROM cancelled`,
+                [commandId, COMMAND_STATUS_CANCELLED, COMMAND_STATUS_PENDING, String(userId), reason]
+            );
+            if (cancelled.rows.length === 0) {
+                return jsonResponse(409, { success: false, error: `Command ${commandId} is no longer pending (${command.status}); only pending commands can be cancelled.` });
+            }
+
+            context.log(`Command ${commandId} cancelled by user ${userId}`);
+            return jsonResponse(200, { success: true, command: cancelled.rows[0] });
+        } catch (error) {
+            context.log.error('Error cancelling powermeter command:', error);
+            return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+        }
+    }
+});
@@ -0,0 +1,119 @@
+/**
+ * FileName: src/functions/counterStitching.js
+ * Author(s): Arturo Vargas
+ * Brief: SQL fragments that stitch the energy counters of a powermeter across device replacements and CT/VT changes.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * When a failed meter is swapped, the new device's counters start near zero. Every replacement recorded in
+ * public.powermeter_replacements carries the offset (final reading of the old device minus initial reading
+ * of the new one) to add to the readings taken from its cutover on. Analytics select the stitched counter
+ * instead of the raw column, so last() - first() stays correct across the swap. A CT/VT ratio change of a
+ * raw-mode meter rescales its counters the same way; public.powermeter_config_history carries those offsets
+ * (see transformerConfig.js), and a remote counter reset zeroes them, with its offset in
+ * public.powermeter_counter_resets (see commands/commandQueue.js):
+ *
+ *   FROM ${schema}.measurements m
+ *   ${counterOffsetJoin(schema)}
+ *   ... ${stitchedCounter('kwh_imported_total')} ...
+ *
+ * loadMonthEnergy() applies this to the month-to-date energy shown in summaries (hierarchy, map).
+ * Stored readings are never modified; downloads and real-time data keep showing the device values.
+ * Requires database/migrations/012_powermeter_replacements.sql, 013_powermeter_config_history.sql and
+ * 019_powermeter_counter_resets.sql.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { executeQuery } = require('./pgPool');
+
+// Counter columns stitched across replacements and CT/VT changes, with their offset column in OFFSET_SOURCES
+const STITCHED_COUNTERS = {
+    kwh_imported_total: 'kwh_offset',
+    varh_imported_q1: 'varh_offset'
+};
+
+// Tables holding counter offsets, with the column each offset applies from
+const OFFSET_SOURCES = [
+    { table: 'public.powermeter_replacements', from: 'cutover_at' },
+    { table: 'public.powermeter_config_history', from: 'effective_from' },
+    { table: 'public.powermeter_counter_resets', from: 'reset_at' }
+];
+
+const OFFSET_ALIAS = 'counter_offsets';
+
+/**
+ * Builds the join adding the accumulated counter offsets to each reading.
+ * The offsets of the schema are pre-aggregated once per query into periods [offset_from, offset_until) with
+ * the running sum of every offset up to them, and each reading joins the one period containing it; a lateral
+ * subquery per reading would scan the offset tables once for every row of a long range.
+ * @param {string} schema - Schema of the measurements (already resolved from a fixed list)
+ * @param {string} [alias] - Alias of the measurements table
+ * @returns {string} LEFT JOIN clause
+ */
+function counterOffsetJoin(schema, alias = 'm') {
+    const offsets = Object.values(STITCHED_COUNTERS);
+    const sources = OFFSET_SOURCES.map(({ table, from }) => `
+                    SELECT powermeter_id, ${from} AS offset_from, ${offsets.join(', ')}
+                    FROM ${table}
+                    WHERE schema_name = '${schema}'`).join(`
+                    UNION ALL`);
+    // Offsets starting at the same instant are peers of the window, so they share the running sum
+    return `
+        LEFT JOIN (
+            SELECT
+                o.powermeter_id,
+                o.offset_from,
+                LEAD(o.offset_from, 1, 'infinity') OVER offset_periods AS offset_until,
+                ${offsets.map(offset => `SUM(o.${offset}) OVER offset_periods AS ${offset}`).join(`,
+                `)}
+            FROM (${sources}
+            ) o
+            WINDOW offset_periods AS (PARTITION BY o.powermeter_id ORDER BY o.offset_from)
+        ) ${OFFSET_ALIAS}
+            ON ${OFFSET_ALIAS}.powermeter_id = ${alias}.powermeter_id
+           AND ${alias}."timestamp" >= ${OFFSET_ALIAS}.offset_from
+           AND ${alias}."timestamp" < ${OFFSET_ALIAS}.offset_until`;
+}
+
+/**
+ * Builds the stitched value of a counter (requires counterOffsetJoin in the same query)
+ * @param {string} counter - Key of STITCHED_COUNTERS
+ * @param {string} [alias] - Alias of the measurements table
+ * @returns {string} SQL expression
+ */
+function stitchedCounter(counter, alias = 'm') {
+    const offset = STITCHED_COUNTERS[counter];
+    if (!offset) throw new Error(`Counter ${counter} is not stitched across replacements.`);
+    return `(${alias}.${counter} + COALESCE(${OFFSET_ALIAS}.${offset}, 0))`;
+}
+
+/**
+ * Imported energy of the current month of each meter, in the meter's time zone
+ * @param {string} schema - Schema of the meters (already resolved from a fixed list)
+ * @param {Array<number>} powermeterIds - Meters
+ * @param {Function} [runQuery] - executeQuery, or client.query to read inside a transaction
+ * @returns {Promise<Map<string, number|null>>} powermeter_id -> kWh; meters without readings this month are missing
+ */
+async function loadMonthEnergy(schema, powermeterIds, runQuery = executeQuery) {
+    const result = await runQuery(`
+        SELECT
+            m.powermeter_id,
+            last(${stitchedCounter('kwh_imported_total')}, m."timestamp") - first(${stitchedCounter('kwh_imported_total')}, m."timestamp") AS month_kwh
+        FROM ${schema}.measurements m
+        JOIN ${schema}.powermeters p ON p.powermeter_id = m.powermeter_id
+        ${counterOffsetJoin(schema)}
+        WHERE m.powermeter_id = ANY($1)
+          AND m."timestamp" >= DATE_TRUNC('month', NOW() AT TIME ZONE COALESCE(p.time_zone, 'UTC')) AT TIME ZONE COALESCE(p.time_zone, 'UTC')
+        GROUP BY m.powermeter_id
+    `, [powermeterIds]);
+    return new Map(result.rows.map(row => [String(row.powermeter_id), row.month_kwh === null ? null : Number(row.month_kwh)]));
+}
+
+module.exports = {
+    STITCHED_COUNTERS,
+    counterOffsetJoin,
+    stitchedCounter,
+    loadMonthEnergy
+};
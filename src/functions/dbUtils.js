@@ -25,6 +25,18 @@ const HTTP_STATUS_NOT_FOUND = 404;
 const HTTP_STATUS_INTERNAL_ERROR = 500;
 const HTTP_STATUS_SERVICE_UNAVAILABLE = 503;
 
+// Values of users.rol allowed to use administrative endpoints (comma separated in ADMIN_ROLES)
+const ADMIN_ROLES = (process.env.ADMIN_ROLES || 'admin').split(',').map(role => role.trim().toLowerCase());
+
+// Values of users.rol allowed to register and edit powermeters, besides ADMIN_ROLES (comma separated in INSTALLER_ROLES)
+const INSTALLER_ROLES = (process.env.INSTALLER_ROLES || 'installer').split(',').map(role => role.trim().toLowerCase());
+
+// Values of users.rol allowed to send remote commands to powermeters, besides ADMIN_ROLES (comma separated in COMMAND_ROLES)
+const COMMAND_ROLES = (process.env.COMMAND_ROLES || 'installer').split(',').map(role => role.trim().toLowerCase());
+
+// Longest free-text reason stored with an audited registry change
+const MAX_REASON_LENGTH = 500;
+
 /**
  * Logs API operations with environment tag for observability
  * @param {string} level - Log level (info, warn, error)
@@ -180,6 +192,60 @@ async function validateUserPowermeterAccess(userId, powermeterId, schema) {
     }
 }
 
+/**
+ * Checks if a user belongs to an installation (public.user_installations)
+ * @param {string} userId - User ID
+ * @param {string} installationId - Installation ID
+ * @returns {Promise<boolean>} True if the user belongs to the installation
+ */
+async function validateUserInstallationAccess(userId, installationId) {
+    const query = `
+        SELECT 1
+        FROM public.user_installations
+        WHERE user_id = $1 AND installation_id = $2
+        LIMIT 1
+    `;
+
+    try {
+        const result = await executeQuery(query, [userId, installationId]);
+        return result.rowCount > 0;
+    } catch (error) {
+        logApiOperation('error', 'Failed to validate user installation access', {
+            userId,
+            installationId,
+            error: error.message
+        });
+        throw error;
+    }
+}
+
+/**
+ * Checks if a user has one of the given roles (users.rol, case-insensitive)
+ * @param {string} userId - User ID
+ * @param {Array<string>} roles - Allowed roles
+ * @returns {Promise<boolean>} True if the user has one of the roles
+ */
+async function validateUserRole(userId, roles) {
+    const query = `
+        SELECT 1
+        FROM public.users
+        WHERE user_id = $1 AND LOWER(rol) = ANY($2)
+        LIMIT 1
+    `;
+
+    try {
+        const result = await executeQuery(query, [userId, roles.map(role => role.toLowerCase())]);
+        return result.rowCount > 0;
+    } catch (error) {
+        logApiOperation('error', 'Failed to validate user role', {
+            userId,
+            roles,
+            error: error.message
+        });
+        throw error;
+    }
+}
+
 /**
  * Creates standardized API response
  * @param {number} status - HTTP status code
@@ -208,6 +274,48 @@ function createApiResponse(status, data = null, message = null, metadata = {}) {
     return response;
 }
 
+/**
+ * Builds a plain JSON HTTP response (no envelope, unlike createApiResponse)
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ * @returns {Object} HTTP response
+ */
+function jsonResponse(status, body) {
+    return {
+        status,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    };
+}
+
+/**
+ * Reads a non-negative integer query parameter
+ * @param {string|null} value - Raw value
+ * @param {number} fallback - Value when missing
+ * @returns {number|null} Parsed value, or null when invalid
+ */
+function parseCount(value, fallback) {
+    if (value === null || value === '') return fallback;
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Reads an optional JSON object body
+ * @param {Object} request - HTTP request
+ * @returns {Promise<Object|null>} Parsed object ({} when empty), or null when the body is not a JSON object
+ */
+async function readJsonObject(request) {
+    const text = await request.text();
+    if (!text || !text.trim()) return {};
+    try {
+        const body = JSON.parse(text);
+        return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+    } catch (err) {
+        return null;
+    }
+}
+
 /**
  * Creates error response with proper error categorization
  * @param {Error} error - Error object
@@ -398,12 +506,19 @@ module.exports = {
     validateTimestamp,
     validateTimeRange,
     validateUserPowermeterAccess,
+    validateUserInstallationAccess,
+    validateUserRole,
     
     // Response functions
     createApiResponse,
+    jsonResponse,
     createErrorResponse,
     formatMeasurementData,
     
+    // Request functions
+    parseCount,
+    readJsonObject,
+
     // Database functions
     executeQueryWithLogging,
     
@@ -411,6 +526,10 @@ module.exports = {
     withErrorHandling,
     
     // Constants
+    ADMIN_ROLES,
+    INSTALLER_ROLES,
+    COMMAND_ROLES,
+    MAX_REASON_LENGTH,
     HTTP_STATUS_OK,
     HTTP_STATUS_BAD_REQUEST,
     HTTP_STATUS_UNAUTHORIZED,
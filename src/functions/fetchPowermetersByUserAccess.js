@@ -2,6 +2,7 @@
  * FileName: src/functions/fetchPowermetersByUserAccess.js
  * Author(s): Arturo Vargas Cuevas
  * Brief: HTTP GET endpoint to fetch powermeters accessible by a specific user.
+ * The same meters nested by client and installation, with rollups, are served by powermeterHierarchy.js.
  * Date: 2025-06-01
  * 
  * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
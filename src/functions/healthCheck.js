@@ -12,6 +12,7 @@
 const { app } = require('@azure/functions');
 const { getPoolMetrics, healthCheck, preWarmPool } = require('./pgPool');
 const { createApiResponse, HTTP_STATUS_OK, HTTP_STATUS_SERVICE_UNAVAILABLE } = require('./dbUtils');
+const { getSerialRoutingMetrics } = require('./ingestion/serialRoutingCache');
 
 // Constants following coding instructions
 const HEALTH_CHECK_TIMEOUT_MS = 25000; // Increased to 25 seconds for Azure cold starts
@@ -131,7 +132,14 @@ async function healthCheckHandler(request, context) {
             overallStatus = HEALTH_STATUS_DEGRADED;
         }
 
-        // Check 4: Environment configuration
+        // Check 4: Ingestion serial routing cache (informational, never degrades the overall status)
+        checks.serialRoutingCache = {
+            status: HEALTH_STATUS_HEALTHY,
+            metrics: getSerialRoutingMetrics(),
+            timestamp: new Date().toISOString()
+        };
+
+        // Check 5: Environment configuration
         const requiredEnvVars = ['PGHOST', 'PGDATABASE', 'PGPORT', 'PGUSER'];
         const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
         
@@ -0,0 +1,111 @@
+/**
+ * FileName: src/functions/heartbeat/meterHeartbeat.js
+ * Author(s): Arturo Vargas
+ * Brief: Last-seen tracking of powermeters and their online / late / offline status.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * Every accepted reading updates powermeters.last_seen_at (receive time) and last_measurement_at (newest
+ * reading timestamp). A meter is expected to report every expected_interval_seconds, falling back to
+ * METER_DEFAULT_INTERVAL_SECONDS (300). With s the seconds since it was last seen:
+ *   - online:  s <= interval * METER_LATE_INTERVALS (default 2)
+ *   - late:    s <= interval * METER_OFFLINE_INTERVALS (default 6)
+ *   - offline: beyond that, or never seen
+ * Requires database/migrations/008_powermeter_heartbeat.sql.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const METER_STATUS_ONLINE = 'online';
+const METER_STATUS_LATE = 'late';
+const METER_STATUS_OFFLINE = 'offline';
+const METER_STATUSES = [METER_STATUS_ONLINE, METER_STATUS_LATE, METER_STATUS_OFFLINE];
+
+const INCIDENT_TYPE_METER_OFFLINE = 'meter_offline';
+
+const DEFAULT_INTERVAL_SECONDS = 300;
+const DEFAULT_LATE_INTERVALS = 2;
+const DEFAULT_OFFLINE_INTERVALS = 6;
+
+/**
+ * Reads a positive number from the environment
+ * @param {string} name - Setting name
+ * @param {number} defaultValue - Value when unset or invalid
+ * @returns {number} Setting value
+ */
+function getPositiveSetting(name, defaultValue) {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : defaultValue;
+}
+
+/**
+ * Returns the heartbeat thresholds, from METER_DEFAULT_INTERVAL_SECONDS, METER_LATE_INTERVALS and
+ * METER_OFFLINE_INTERVALS
+ * @returns {{ defaultIntervalSeconds: number, lateIntervals: number, offlineIntervals: number }} Thresholds
+ */
+function getHeartbeatThresholds() {
+    const lateIntervals = getPositiveSetting('METER_LATE_INTERVALS', DEFAULT_LATE_INTERVALS);
+    return {
+        defaultIntervalSeconds: getPositiveSetting('METER_DEFAULT_INTERVAL_SECONDS', DEFAULT_INTERVAL_SECONDS),
+        lateIntervals,
+        offlineIntervals: Math.max(getPositiveSetting('METER_OFFLINE_INTERVALS', DEFAULT_OFFLINE_INTERVALS), lateIntervals)
+    };
+}
+
+/**
+ * Classifies a meter from the time since it was last seen
+ * @param {number|null} secondsSinceSeen - Seconds since last_seen_at, null when never seen
+ * @param {number|null} expectedIntervalSeconds - Reporting interval of the meter, null for the default
+ * @param {Object} [thresholds] - Result of getHeartbeatThresholds()
+ * @returns {string} online, late or offline
+ */
+function classifyMeterStatus(secondsSinceSeen, expectedIntervalSeconds, thresholds = getHeartbeatThresholds()) {
+    if (secondsSinceSeen === null || secondsSinceSeen === undefined) return METER_STATUS_OFFLINE;
+
+    const interval = Number(expectedIntervalSeconds) || thresholds.defaultIntervalSeconds;
+    if (secondsSinceSeen <= interval * thresholds.lateIntervals) return METER_STATUS_ONLINE;
+    if (secondsSinceSeen <= interval * thresholds.offlineIntervals) return METER_STATUS_LATE;
+    return METER_STATUS_OFFLINE;
+}
+
+/**
+ * Updates last_seen_at and last_measurement_at of the meters with accepted readings
+ * @param {Object} client - Database client inside the ingestion transaction
+ * @param {string} schema - Measurement schema (public, demo or dev)
+ * @param {Array<Object>} rows - Accepted rows ({ powermeter_id, timestamp })
+ * @param {number} receivedAtMs - Time the readings were received
+ * @returns {Promise<void>}
+ */
+async function recordHeartbeats(client, schema, rows, receivedAtMs) {
+    const newest = new Map();
+    for (const { powermeter_id: powermeterId, timestamp } of rows) {
+        const epochMs = Date.parse(timestamp);
+        if (!newest.has(powermeterId) || epochMs > newest.get(powermeterId)) newest.set(powermeterId, epochMs);
+    }
+    if (newest.size === 0) return;
+
+    const powermeterIds = [...newest.keys()];
+    const measurementTimes = powermeterIds.map(id => new Date(newest.get(id)).toISOString());
+
+    // GREATEST keeps the newest values when readings arrive out of order
+    await client.query(
+        `UPDATE ${schema}.powermeters p
+         SET last_seen_at = GREATEST(p.last_seen_at, $1::timestamptz),
+             last_measurement_at = GREATEST(p.last_measurement_at, h.measurement_at)
+         FROM UNNEST($2::int[], $3::timestamptz[]) AS h(powermeter_id, measurement_at)
+         WHERE p.powermeter_id = h.powermeter_id`,
+        [new Date(receivedAtMs).toISOString(), powermeterIds, measurementTimes]
+    );
+}
+
+module.exports = {
+    METER_STATUS_ONLINE,
+    METER_STATUS_LATE,
+    METER_STATUS_OFFLINE,
+    METER_STATUSES,
+    INCIDENT_TYPE_METER_OFFLINE,
+    getHeartbeatThresholds,
+    classifyMeterStatus,
+    recordHeartbeats
+};
@@ -0,0 +1,113 @@
+/**
+ * FileName: src/functions/heartbeat/meterOfflineIncidents.js
+ * Author(s): Arturo Vargas
+ * Trigger: Timer (METER_OFFLINE_SCHEDULE, every 5 minutes by default)
+ * Brief: Opens and closes "meter offline" incidents from the heartbeat of every powermeter.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * For the public, demo and dev schemas, meters that have reported at least once and are now offline get
+ * an open incident in public.meter_incidents (one per meter); open incidents are closed once the meter is
+ * back online. Late meters keep their current incident state, so a meter hovering around the offline
+ * threshold does not open and close incidents on every run. Meters that were never seen are left alone, and
+ * so are decommissioned meters (their open incident is closed when they are decommissioned).
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const { executeQuery } = require('../pgPool');
+const {
+    METER_STATUS_ONLINE,
+    METER_STATUS_OFFLINE,
+    INCIDENT_TYPE_METER_OFFLINE,
+    getHeartbeatThresholds,
+    classifyMeterStatus
+} = require('./meterHeartbeat');
+const { POWERMETER_STATUS_ACTIVE } = require('../powermeterRegistry');
+
+const SCHEMAS = ['public', 'demo', 'dev'];
+const DEFAULT_SCHEDULE = '0 */5 * * * *';
+
+/**
+ * Opens and closes the offline incidents of one schema
+ * @param {string} schema - Schema (public, demo or dev)
+ * @param {Object} thresholds - Result of getHeartbeatThresholds()
+ * @returns {Promise<{ opened: number, closed: number }>} Incidents changed
+ */
+async function updateSchemaIncidents(schema, thresholds) {
+    const result = await executeQuery(
+        `SELECT
+             p.powermeter_id,
+             p.serial_number,
+             p.expected_interval_seconds,
+             p.last_seen_at,
+             EXTRACT(EPOCH FROM (NOW() - p.last_seen_at)) AS seconds_since_seen,
+             mi.incident_id
+         FROM ${schema}.powermeters p
+         LEFT JOIN public.meter_incidents mi
+             ON mi.schema_name = $1
+            AND mi.powermeter_id = p.powermeter_id
+            AND mi.incident_type = $2
+            AND mi.closed_at IS NULL
+         WHERE p.last_seen_at IS NOT NULL AND p.status = $3`,
+        [schema, INCIDENT_TYPE_METER_OFFLINE, POWERMETER_STATUS_ACTIVE]
+    );
+
+    const toOpen = [];
+    const toClose = [];
+    for (const row of result.rows) {
+        const status = classifyMeterStatus(Number(row.seconds_since_seen), row.expected_interval_seconds, thresholds);
+        if (status === METER_STATUS_OFFLINE && !row.incident_id) toOpen.push(row);
+        if (status === METER_STATUS_ONLINE && row.incident_id) toClose.push(row.incident_id);
+    }
+
+    if (toOpen.length > 0) {
+        await executeQuery(
+            `INSERT INTO public.meter_incidents (schema_name, powermeter_id, incident_type, last_seen_at, details)
+             SELECT $1, o.powermeter_id, $2, o.last_seen_at,
+                    jsonb_build_object('serial_number', o.serial_number, 'expected_interval_seconds', o.expected_interval_seconds)
+             FROM UNNEST($3::int[], $4::text[], $5::timestamptz[], $6::int[])
+                  AS o(powermeter_id, serial_number, last_seen_at, expected_interval_seconds)
+             ON CONFLICT (schema_name, powermeter_id, incident_type) WHERE closed_at IS NULL DO NOTHING`,
+            [
+                schema,
+                INCIDENT_TYPE_METER_OFFLINE,
+                toOpen.map(row => row.powermeter_id),
+                toOpen.map(row => row.serial_number),
+                toOpen.map(row => row.last_seen_at),
+                toOpen.map(row => row.expected_interval_seconds || thresholds.defaultIntervalSeconds)
+            ]
+        );
+    }
+
+    if (toClose.length > 0) {
+        await executeQuery(
+            `UPDATE public.meter_incidents SET closed_at = NOW()
+             WHERE incident_id = ANY($1::bigint[]) AND closed_at IS NULL`,
+            [toClose]
+        );
+    }
+
+    return { opened: toOpen.length, closed: toClose.length };
+}
+
+app.timer('meterOfflineIncidents', {
+    schedule: process.env.METER_OFFLINE_SCHEDULE || DEFAULT_SCHEDULE,
+    handler: async (timer, context) => {
+        const thresholds = getHeartbeatThresholds();
+
+        // One schema failing (e.g. migration not applied yet) must not stop the others
+        for (const schema of SCHEMAS) {
+            try {
+                const { opened, closed } = await updateSchemaIncidents(schema, thresholds);
+                if (opened || closed) {
+                    context.log(`Meter offline incidents in ${schema}: ${opened} opened, ${closed} closed.`);
+                }
+            } catch (error) {
+                context.log.error(`Error updating meter offline incidents in ${schema}:`, error);
+            }
+        }
+    }
+});
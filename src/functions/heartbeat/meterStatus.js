@@ -0,0 +1,121 @@
+/**
+ * FileName: src/functions/heartbeat/meterStatus.js
+ * Author(s): Arturo Vargas
+ * Endpoint: GET /api/meterStatus
+ * Brief: Online / late / offline status of the powermeters in a user's installations.
+ * Date: 2026-10-19
+ *
+ * Parameters (query string):
+ *   - user_id (required): user whose installations are listed (user_installations)
+ *   - enviroment (optional): production (default), demo or dev
+ *   - installation_id (optional): only the meters of this installation
+ *   - status (optional): online, late or offline
+ *
+ * Decommissioned meters are not listed. Each meter reports last_seen_at, last_measurement_at, its expected interval, the seconds since it was
+ * last seen, its status (see meterHeartbeat.js) and the open "meter offline" incident, if any.
+ *
+ * Example:
+ * curl "http://localhost:7071/api/meterStatus?user_id=1&status=offline"
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const { executeQuery } = require('../pgPool');
+const { jsonResponse } = require('../dbUtils');
+const {
+    METER_STATUSES,
+    INCIDENT_TYPE_METER_OFFLINE,
+    getHeartbeatThresholds,
+    classifyMeterStatus
+} = require('./meterHeartbeat');
+const { POWERMETER_STATUS_ACTIVE, ALLOWED_ENVIROMENTS, getPowermeterSchema } = require('../powermeterRegistry');
+
+app.http('meterStatus', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const userId = request.query.get('user_id');
+        const installationId = request.query.get('installation_id');
+        const status = request.query.get('status');
+
+        if (!userId) {
+            return jsonResponse(400, { success: false, error: 'Missing required parameter: user_id' });
+        }
+        const schema = getPowermeterSchema(request.query.get('enviroment'));
+        if (!schema) {
+            return jsonResponse(400, { success: false, error: `Invalid enviroment. Allowed values: ${ALLOWED_ENVIROMENTS.join(', ')}.` });
+        }
+        if (status && !METER_STATUSES.includes(status)) {
+            return jsonResponse(400, { success: false, error: `Invalid status. Allowed values: ${METER_STATUSES.join(', ')}.` });
+        }
+
+        const params = [userId, schema, INCIDENT_TYPE_METER_OFFLINE, POWERMETER_STATUS_ACTIVE];
+        let installationFilter = '';
+        if (installationId) {
+            params.push(installationId);
+            installationFilter = `AND p.installation_id = $${params.length}`;
+        }
+
+        const query = `
+            SELECT
+                p.powermeter_id,
+                p.serial_number,
+                p.powermeter_alias,
+                p.installation_id,
+                p.expected_interval_seconds,
+                p.last_seen_at,
+                p.last_measurement_at,
+                EXTRACT(EPOCH FROM (NOW() - p.last_seen_at)) AS seconds_since_seen,
+                mi.incident_id,
+                mi.opened_at AS incident_opened_at
+            FROM ${schema}.powermeters p
+            JOIN public.user_installations ui ON p.installation_id = ui.installation_id
+            LEFT JOIN public.meter_incidents mi
+                ON mi.schema_name = $2
+               AND mi.powermeter_id = p.powermeter_id
+               AND mi.incident_type = $3
+               AND mi.closed_at IS NULL
+            WHERE ui.user_id = $1 AND p.status = $4 ${installationFilter}
+            ORDER BY p.powermeter_id
+        `;
+
+        try {
+            const result = await executeQuery(query, params);
+            const thresholds = getHeartbeatThresholds();
+
+            const meters = result.rows.map(row => {
+                const secondsSinceSeen = row.seconds_since_seen === null ? null : Math.round(Number(row.seconds_since_seen));
+                return {
+                    powermeter_id: row.powermeter_id,
+                    serial_number: row.serial_number,
+                    powermeter_alias: row.powermeter_alias,
+                    installation_id: row.installation_id,
+                    expected_interval_seconds: row.expected_interval_seconds || thresholds.defaultIntervalSeconds,
+                    last_seen_at: row.last_seen_at,
+                    last_measurement_at: row.last_measurement_at,
+                    seconds_since_seen: secondsSinceSeen,
+                    status: classifyMeterStatus(secondsSinceSeen, row.expected_interval_seconds, thresholds),
+                    open_incident: row.incident_id
+                        ? { incident_id: row.incident_id, opened_at: row.incident_opened_at }
+                        : null
+                };
+            });
+
+            const summary = Object.fromEntries(METER_STATUSES.map(name => [name, 0]));
+            meters.forEach(meter => { summary[meter.status]++; });
+
+            return jsonResponse(200, {
+                success: true,
+                schema,
+                thresholds,
+                summary,
+                meters: status ? meters.filter(meter => meter.status === status) : meters
+            });
+        } catch (error) {
+            context.log.error('Error fetching meter status:', error);
+            return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+        }
+    }
+});
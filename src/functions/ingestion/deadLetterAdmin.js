@@ -0,0 +1,199 @@
+/**
+ * FileName: src/functions/ingestion/deadLetterAdmin.js
+ * Author(s): Arturo Vargas
+ * Endpoints: GET /api/deadLetters, GET /api/deadLetter, POST /api/replayDeadLetter, POST /api/discardDeadLetter
+ * Brief: Administration of rejected measurements kept in the dead-letter store (see deadLetters.js).
+ * Date: 2026-10-19
+ *
+ * Parameters (query string):
+ *   - user_id (required): user whose role is in ADMIN_ROLES
+ *   - id (deadLetter, replayDeadLetter, discardDeadLetter): dead letter id
+ *   - status, serial_number, error_type, limit (max 500), offset (deadLetters)
+ *
+ * replayDeadLetter accepts an optional JSON body with the corrected measurement; without a body the
+ * stored payload is replayed as is. discardDeadLetter accepts an optional body { "reason": "..." }.
+ *
+ * Example:
+ * curl -X POST "http://localhost:7071/api/replayDeadLetter?user_id=1&id=42" \
+ *      -H "Content-Type: application/json" \
+ *      -d '{"serial_number":"DEMO0001","timestamp":"2025-06-02T10:00:00Z","watts":1200}'
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const {
+    validateUserRole,
+    ADMIN_ROLES,
+    HTTP_STATUS_OK,
+    HTTP_STATUS_BAD_REQUEST,
+    HTTP_STATUS_FORBIDDEN,
+    HTTP_STATUS_NOT_FOUND,
+    HTTP_STATUS_INTERNAL_ERROR,
+    jsonResponse
+} = require('../dbUtils');
+const {
+    DEAD_LETTER_STATUS_PENDING,
+    DEAD_LETTER_STATUSES,
+    STORED_STATUSES,
+    listDeadLetters,
+    getDeadLetter,
+    replayDeadLetters,
+    discardDeadLetter
+} = require('./deadLetters');
+
+const HTTP_STATUS_CONFLICT = 409;
+const HTTP_STATUS_UNPROCESSABLE_ENTITY = 422;
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Wraps a dead-letter operation with the administrator check and error handling
+ * @param {Function} operation - async (request, context, userId) => HTTP response
+ * @returns {Function} Azure Functions handler
+ */
+function adminHandler(operation) {
+    return async (request, context) => {
+        try {
+            const userId = request.query.get('user_id');
+            if (!userId) {
+                return jsonResponse(HTTP_STATUS_BAD_REQUEST, { success: false, error: 'Missing required parameter: user_id' });
+            }
+            if (!await validateUserRole(userId, ADMIN_ROLES)) {
+                return jsonResponse(HTTP_STATUS_FORBIDDEN, { success: false, error: 'Administrator role required.' });
+            }
+
+            return await operation(request, context, userId);
+        } catch (error) {
+            context.log.error('Error during dead letter operation:', error);
+            return jsonResponse(HTTP_STATUS_INTERNAL_ERROR, { success: false, message: `Dead letter operation failed: ${error.message}` });
+        }
+    };
+}
+
+/**
+ * Reads the id query parameter
+ * @param {Object} request - HTTP request
+ * @returns {number|null} Dead letter id, or null when missing or invalid
+ */
+function getDeadLetterId(request) {
+    const id = Number(request.query.get('id'));
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+app.http('deadLetters', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    handler: adminHandler(async (request) => {
+        const status = request.query.get('status');
+        if (status && !DEAD_LETTER_STATUSES.includes(status)) {
+            return jsonResponse(HTTP_STATUS_BAD_REQUEST, {
+                success: false,
+                error: `Invalid status. Allowed values: ${DEAD_LETTER_STATUSES.join(', ')}.`
+            });
+        }
+
+        const limit = Math.min(Number(request.query.get('limit')) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        const offset = Math.max(Number(request.query.get('offset')) || 0, 0);
+        const deadLetters = await listDeadLetters({
+            status,
+            serialNumber: request.query.get('serial_number'),
+            errorType: request.query.get('error_type'),
+            limit,
+            offset
+        });
+
+        return jsonResponse(HTTP_STATUS_OK, { success: true, limit, offset, count: deadLetters.length, deadLetters });
+    })
+});
+
+app.http('deadLetter', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    handler: adminHandler(async (request) => {
+        const id = getDeadLetterId(request);
+        if (!id) {
+            return jsonResponse(HTTP_STATUS_BAD_REQUEST, { success: false, error: 'Missing or invalid parameter: id' });
+        }
+
+        const deadLetter = await getDeadLetter(id);
+        if (!deadLetter) {
+            return jsonResponse(HTTP_STATUS_NOT_FOUND, { success: false, error: 'Dead letter not found.' });
+        }
+        return jsonResponse(HTTP_STATUS_OK, { success: true, deadLetter });
+    })
+});
+
+app.http('replayDeadLetter', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: adminHandler(async (request, context, userId) => {
+        const id = getDeadLetterId(request);
+        if (!id) {
+            return jsonResponse(HTTP_STATUS_BAD_REQUEST, { success: false, error: 'Missing or invalid parameter: id' });
+        }
+
+        // Optional corrected payload
+        const rawBody = (await request.text()).trim();
+        let payload;
+        if (rawBody) {
+            try {
+                payload = JSON.parse(rawBody);
+            } catch (err) {
+                return jsonResponse(HTTP_STATUS_BAD_REQUEST, { success: false, error: 'Invalid JSON payload.' });
+            }
+        }
+
+        const deadLetter = await getDeadLetter(id);
+        if (!deadLetter) {
+            return jsonResponse(HTTP_STATUS_NOT_FOUND, { success: false, error: 'Dead letter not found.' });
+        }
+        if (deadLetter.status !== DEAD_LETTER_STATUS_PENDING) {
+            return jsonResponse(HTTP_STATUS_CONFLICT, { success: false, error: `Dead letter is already ${deadLetter.status}.` });
+        }
+
+        const [{ result }] = await replayDeadLetters([deadLetter], context, { payload, userId });
+        const stored = STORED_STATUSES.includes(result.status);
+        context.log(`Dead letter ${id} replayed by ${userId} with status ${result.status}.`);
+
+        return jsonResponse(stored ? HTTP_STATUS_OK : HTTP_STATUS_UNPROCESSABLE_ENTITY, {
+            success: stored,
+            deadLetterId: id,
+            corrected: payload !== undefined,
+            result
+        });
+    })
+});
+
+app.http('discardDeadLetter', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: adminHandler(async (request, context, userId) => {
+        const id = getDeadLetterId(request);
+        if (!id) {
+            return jsonResponse(HTTP_STATUS_BAD_REQUEST, { success: false, error: 'Missing or invalid parameter: id' });
+        }
+
+        let reason = null;
+        const rawBody = (await request.text()).trim();
+        if (rawBody) {
+            try {
+                reason = JSON.parse(rawBody).reason || null;
+            } catch (err) {
+                return jsonResponse(HTTP_STATUS_BAD_REQUEST, { success: false, error: 'Invalid JSON payload.' });
+            }
+        }
+
+        if (!await discardDeadLetter(id, userId, reason)) {
+            const deadLetter = await getDeadLetter(id);
+            return deadLetter
+                ? jsonResponse(HTTP_STATUS_CONFLICT, { success: false, error: `Dead letter is already ${deadLetter.status}.` })
+                : jsonResponse(HTTP_STATUS_NOT_FOUND, { success: false, error: 'Dead letter not found.' });
+        }
+
+        context.log(`Dead letter ${id} discarded by ${userId}.`);
+        return jsonResponse(HTTP_STATUS_OK, { success: true, deadLetterId: id });
+    })
+});
@@ -0,0 +1,292 @@
+/**
+ * FileName: src/functions/ingestion/deadLetters.js
+ * Author(s): Arturo Vargas
+ * Brief: Dead-letter store for measurements rejected by the ingestion endpoints, and their replay.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * Every record an ingestion endpoint rejects (validation, plausibility, database error) or cannot route
+ * (unknown serial number) is kept in public.measurement_dead_letters with the original payload, the
+ * rejection reason, the source IP, user agent and time. Duplicate rejections are not kept: they are the
+ * configured duplicate policy working as intended.
+ *
+ * A dead letter is pending until it is replayed successfully (optionally with a corrected payload) or
+ * discarded. Unknown-serial dead letters are not replayed when the serial number is registered: they were
+ * posted before the meter had a credential, so anyone could have sent them. They stay pending for an
+ * administrator to review and replay (deadLetterAdmin.js); registration only reports how many wait. Replays keep the original receive time for the timestamp window and the stored
+ * received_at, and leave the meters' heartbeat alone. Requires database/migrations/006_measurement_dead_letters.sql.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { executeQuery } = require('../pgPool');
+const {
+    ingestMeasurements,
+    INGESTION_MODE_ENGINEERING,
+    RECORD_STATUS_ACCEPTED,
+    RECORD_STATUS_REJECTED,
+    RECORD_STATUS_UNKNOWN_SERIAL,
+    RECORD_STATUS_DUPLICATE,
+    RECORD_STATUS_QUARANTINED,
+    ERROR_TYPE_DUPLICATE
+} = require('./measurementIngestion');
+
+const DEAD_LETTER_STATUS_PENDING = 'pending';
+const DEAD_LETTER_STATUS_REPLAYED = 'replayed';
+const DEAD_LETTER_STATUS_DISCARDED = 'discarded';
+const DEAD_LETTER_STATUSES = [DEAD_LETTER_STATUS_PENDING, DEAD_LETTER_STATUS_REPLAYED, DEAD_LETTER_STATUS_DISCARDED];
+
+// Replay outcomes that mean the reading is now stored (or already was)
+const STORED_STATUSES = [RECORD_STATUS_ACCEPTED, RECORD_STATUS_DUPLICATE, RECORD_STATUS_QUARANTINED];
+
+/**
+ * Returns the client IP of a request (first X-Forwarded-For hop, without port)
+ * @param {Object} request - HTTP request
+ * @returns {string|null} IP address
+ */
+function getSourceIp(request) {
+    const forwarded = request.headers.get('x-forwarded-for') || request.headers.get('x-client-ip');
+    if (!forwarded) return null;
+
+    const ip = forwarded.split(',')[0].trim();
+    // Azure appends the port to IPv4 addresses (1.2.3.4:5678)
+    return /^\d+\.\d+\.\d+\.\d+:\d+$/.test(ip) ? ip.split(':')[0] : ip;
+}
+
+/**
+ * Builds the source description stored with dead letters
+ * @param {Object} request - HTTP request
+ * @param {string} endpoint - Ingestion endpoint name
+ * @param {string} [mode] - Ingestion mode of the request
+ * @returns {Object} { endpoint, ip, userAgent, mode }
+ */
+function getDeadLetterSource(request, endpoint, mode = INGESTION_MODE_ENGINEERING) {
+    return {
+        endpoint,
+        ip: getSourceIp(request),
+        userAgent: request.headers.get('user-agent'),
+        mode
+    };
+}
+
+/**
+ * Stores the rejected and unknown-serial records of an ingestion call as dead letters.
+ * Adds deadLetterId to the matching results. Never throws: losing the dead letter must not fail ingestion.
+ * @param {Array<Object>} records - Records as received
+ * @param {Array<Object>} results - Per-record results from ingestMeasurements
+ * @param {Object} source - From getDeadLetterSource
+ * @param {Object} context - Function context used for logging
+ * @returns {Promise<number>} Number of dead letters stored
+ */
+async function recordDeadLetters(records, results, source, context) {
+    const deadResults = results.filter(result =>
+        result.status === RECORD_STATUS_UNKNOWN_SERIAL ||
+        (result.status === RECORD_STATUS_REJECTED && result.errorType !== ERROR_TYPE_DUPLICATE)
+    );
+    if (deadResults.length === 0) return 0;
+
+    const query = `
+        INSERT INTO public.measurement_dead_letters
+            (serial_number, endpoint, mode, payload, rejection_status, error_type, reason, details, source_ip, user_agent)
+        SELECT d.serial_number, d.endpoint, d.mode, d.payload, d.rejection_status, d.error_type, d.reason, d.details,
+               d.source_ip, d.user_agent
+        FROM jsonb_to_recordset($1::jsonb) AS d(
+            serial_number TEXT, endpoint TEXT, mode TEXT, payload JSONB, rejection_status TEXT, error_type TEXT,
+            reason TEXT, details JSONB, source_ip TEXT, user_agent TEXT, ord INTEGER
+        )
+        ORDER BY d.ord
+        RETURNING dead_letter_id
+    `;
+    const recordset = deadResults.map((result, ord) => ({
+        serial_number: result.serial_number === null ? null : String(result.serial_number),
+        endpoint: source.endpoint,
+        mode: source.mode,
+        payload: records[result.index] === undefined ? null : records[result.index],
+        rejection_status: result.status,
+        error_type: result.errorType || null,
+        reason: result.reason,
+        details: result.details || (result.violations && { violations: result.violations }) || null,
+        source_ip: source.ip,
+        user_agent: source.userAgent,
+        ord
+    }));
+
+    try {
+        const inserted = await executeQuery(query, [JSON.stringify(recordset)]);
+        inserted.rows.forEach((row, position) => { deadResults[position].deadLetterId = Number(row.dead_letter_id); });
+        return inserted.rows.length;
+    } catch (error) {
+        context.log.error(`Failed to store ${deadResults.length} dead letter(s) from ${source.endpoint}:`, error);
+        return 0;
+    }
+}
+
+/**
+ * Lists dead letters, newest first
+ * @param {Object} filters - { status, serialNumber, errorType, limit, offset }
+ * @returns {Promise<Array<Object>>} Dead letters without payload
+ */
+async function listDeadLetters({ status, serialNumber, errorType, limit, offset }) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+    }
+    if (serialNumber) {
+        params.push(serialNumber);
+        conditions.push(`serial_number = $${params.length}`);
+    }
+    if (errorType) {
+        // unknown_serial records have no error type; filter them by their rejection status
+        params.push(errorType);
+        conditions.push(`COALESCE(error_type, rejection_status) = $${params.length}`);
+    }
+    params.push(limit, offset);
+
+    const query = `
+        SELECT dead_letter_id, serial_number, endpoint, mode, rejection_status, error_type, reason,
+               source_ip, user_agent, received_at, status, attempts, last_attempt_at, resolved_at, resolved_by
+        FROM public.measurement_dead_letters
+        ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY received_at DESC, dead_letter_id DESC
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+    `;
+    const result = await executeQuery(query, params);
+    return result.rows;
+}
+
+/**
+ * Returns a dead letter with its payload
+ * @param {number} deadLetterId - Dead letter id
+ * @returns {Promise<Object|null>} Dead letter or null
+ */
+async function getDeadLetter(deadLetterId) {
+    const result = await executeQuery(
+        'SELECT * FROM public.measurement_dead_letters WHERE dead_letter_id = $1',
+        [deadLetterId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Records the outcome of replay attempts
+ * @param {Array<Object>} outcomes - { deadLetterId, result, payload }
+ * @param {string|null} userId - User who triggered the replay (null for automatic replays)
+ * @returns {Promise<void>}
+ */
+async function saveReplayOutcomes(outcomes, userId) {
+    const query = `
+        UPDATE public.measurement_dead_letters d
+        SET attempts = d.attempts + 1,
+            last_attempt_at = NOW(),
+            last_result = o.result,
+            replayed_payload = o.payload,
+            status = CASE WHEN o.stored THEN '${DEAD_LETTER_STATUS_REPLAYED}' ELSE d.status END,
+            resolved_at = CASE WHEN o.stored THEN NOW() ELSE d.resolved_at END,
+            resolved_by = CASE WHEN o.stored THEN $2 ELSE d.resolved_by END
+        FROM jsonb_to_recordset($1::jsonb) AS o(dead_letter_id BIGINT, result JSONB, payload JSONB, stored BOOLEAN)
+        WHERE d.dead_letter_id = o.dead_letter_id
+    `;
+    const recordset = outcomes.map(({ deadLetterId, result, payload }) => ({
+        dead_letter_id: deadLetterId,
+        result,
+        payload,
+        stored: STORED_STATUSES.includes(result.status)
+    }));
+    await executeQuery(query, [JSON.stringify(recordset), userId]);
+}
+
+/**
+ * Replays pending dead letters through the ingestion pipeline.
+ * Readings are checked against the time they originally reached the API, not the replay time, and
+ * replays do not touch the meters' last-seen time.
+ * @param {Array<Object>} deadLetters - Dead letters (dead_letter_id, payload, mode, received_at)
+ * @param {Object} context - Function context used for logging
+ * @param {Object} [options]
+ * @param {Object} [options.payload] - Corrected payload (single dead letter only)
+ * @param {string|null} [options.userId] - User who triggered the replay
+ * @returns {Promise<Array<Object>>} Per dead letter: { deadLetterId, result }
+ */
+async function replayDeadLetters(deadLetters, context, { payload, userId = null } = {}) {
+    const outcomes = [];
+
+    // Records of one ingestion call share a mode and a receive time
+    const groups = new Map();
+    deadLetters.forEach(deadLetter => {
+        const mode = deadLetter.mode || INGESTION_MODE_ENGINEERING;
+        const receivedAt = deadLetter.received_at ? new Date(deadLetter.received_at).getTime() : Date.now();
+        const key = `${mode}|${receivedAt}`;
+        if (!groups.has(key)) groups.set(key, { mode, receivedAt, group: [] });
+        groups.get(key).group.push(deadLetter);
+    });
+
+    for (const { mode, receivedAt, group } of groups.values()) {
+        const records = group.map(deadLetter => (payload !== undefined ? payload : deadLetter.payload));
+        const { results } = await ingestMeasurements(records, context, { mode, receivedAt, trackHeartbeat: false });
+        group.forEach((deadLetter, position) => {
+            outcomes.push({
+                deadLetterId: Number(deadLetter.dead_letter_id),
+                result: results[position],
+                payload: payload !== undefined ? payload : null
+            });
+        });
+    }
+
+    if (outcomes.length > 0) await saveReplayOutcomes(outcomes, userId);
+    return outcomes.map(({ deadLetterId, result }) => ({ deadLetterId, result }));
+}
+
+/**
+ * Marks a pending dead letter as discarded
+ * @param {number} deadLetterId - Dead letter id
+ * @param {string} userId - User discarding it
+ * @param {string|null} reason - Why it was discarded
+ * @returns {Promise<boolean>} True if a pending dead letter was discarded
+ */
+async function discardDeadLetter(deadLetterId, userId, reason) {
+    const query = `
+        UPDATE public.measurement_dead_letters
+        SET status = $2, resolved_at = NOW(), resolved_by = $3, discard_reason = $4
+        WHERE dead_letter_id = $1 AND status = $5
+    `;
+    const result = await executeQuery(query, [
+        deadLetterId,
+        DEAD_LETTER_STATUS_DISCARDED,
+        userId,
+        reason,
+        DEAD_LETTER_STATUS_PENDING
+    ]);
+    return result.rowCount > 0;
+}
+
+/**
+ * Counts the pending unknown-serial dead letters of a serial number, left for an administrator to replay
+ * @param {string} serialNumber - Newly registered serial number
+ * @returns {Promise<number>} Number of pending dead letters
+ */
+async function countUnknownSerialDeadLetters(serialNumber) {
+    const query = `
+        SELECT COUNT(*) AS pending_count
+        FROM public.measurement_dead_letters
+        WHERE serial_number = $1 AND status = $2 AND rejection_status = $3
+    `;
+    const result = await executeQuery(query, [String(serialNumber), DEAD_LETTER_STATUS_PENDING, RECORD_STATUS_UNKNOWN_SERIAL]);
+    return Number(result.rows[0].pending_count);
+}
+
+module.exports = {
+    DEAD_LETTER_STATUS_PENDING,
+    DEAD_LETTER_STATUS_REPLAYED,
+    DEAD_LETTER_STATUS_DISCARDED,
+    DEAD_LETTER_STATUSES,
+    STORED_STATUSES,
+    getDeadLetterSource,
+    recordDeadLetters,
+    listDeadLetters,
+    getDeadLetter,
+    replayDeadLetters,
+    discardDeadLetter,
+    countUnknownSerialDeadLetters
+};
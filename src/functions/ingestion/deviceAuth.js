@@ -0,0 +1,375 @@
+/**
+ * FileName: src/functions/ingestion/deviceAuth.js
+ * Author(s): Arturo Vargas
+ * Brief: Device secrets and HMAC request signatures for the measurement ingestion endpoints.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * Every powermeter can hold a device secret (public.device_credentials). A signed ingestion request carries:
+ *   - X-Device-Timestamp: Unix time in seconds when the request was signed
+ *   - X-Device-Signature: comma separated "<serial_number>=<hex HMAC-SHA256>" entries
+ * where each HMAC is computed with that device's secret over the newline separated string
+ *   <X-Device-Timestamp>\n<METHOD>\n<path>\n<canonical query>\n<raw request body>
+ * METHOD is upper case and path is the URL path (e.g. /api/postMeasurements). The canonical query lists the
+ * query parameters as percent-encoded name=value pairs (encodeURIComponent) sorted by name, then value, and
+ * joined with "&" (empty without parameters), so ?mode=raw, ?async=true or a command poll cannot be changed
+ * without breaking the signature. For compressed requests the body is the decompressed one; a GET signs an
+ * empty body.
+ * A batch holding readings of several meters carries one entry per serial number.
+ *
+ * A serial number must be signed once it has ever been issued a credential (a revoked device cannot fall
+ * back to unsigned requests), and every serial number must be signed when DEVICE_AUTH_REQUIRED=true.
+ * Requests outside the allowed clock skew or reusing an accepted signature are refused.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const crypto = require('crypto');
+const { executeQuery, getClient } = require('../pgPool');
+
+const TIMESTAMP_HEADER = 'x-device-timestamp';
+const SIGNATURE_HEADER = 'x-device-signature';
+
+const SECRET_BYTES = 32;
+const ENCRYPTION_KEY_BYTES = 32;
+const GCM_IV_BYTES = 12;
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+const SIGNATURE_ALGORITHM = 'sha256';
+const MAX_CLOCK_SKEW_SECONDS = 300; // Signed requests are valid for 5 minutes either way
+const MS_PER_SECOND = 1000;
+const ROTATION_GRACE_HOURS = 24; // Previous secret keeps working while gateways pick up the new one
+
+const HTTP_STATUS_UNAUTHORIZED = 401;
+
+/**
+ * Reads the AES key used to encrypt device secrets at rest
+ * @returns {Buffer} 32-byte key
+ * @throws {Error} When DEVICE_SECRET_ENCRYPTION_KEY is missing or malformed
+ */
+function getEncryptionKey() {
+    const key = Buffer.from(process.env.DEVICE_SECRET_ENCRYPTION_KEY || '', 'base64');
+    if (key.length !== ENCRYPTION_KEY_BYTES) {
+        throw new Error(`DEVICE_SECRET_ENCRYPTION_KEY must be a base64 encoded ${ENCRYPTION_KEY_BYTES}-byte key.`);
+    }
+    return key;
+}
+
+/**
+ * Encrypts a device secret for storage
+ * @param {string} secret - Plain device secret
+ * @returns {string} iv.authTag.ciphertext, each part base64 encoded
+ */
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(GCM_IV_BYTES);
+    const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, getEncryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+/**
+ * Decrypts a stored device secret
+ * @param {string} stored - Value produced by encryptSecret
+ * @returns {string} Plain device secret
+ */
+function decryptSecret(stored) {
+    const [iv, authTag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, getEncryptionKey(), iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Generates a new random device secret
+ * @returns {string} base64url encoded secret
+ */
+function generateDeviceSecret() {
+    return crypto.randomBytes(SECRET_BYTES).toString('base64url');
+}
+
+/**
+ * Code unit order comparison, independent of the locale
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Negative, zero or positive
+ */
+function compareStrings(a, b) {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+}
+
+/**
+ * Builds the canonical query string of a request URL
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @returns {string} name=value pairs sorted by name, then value, joined with "&"
+ */
+function canonicalQueryString(searchParams) {
+    return [...searchParams.entries()]
+        .map(([name, value]) => [encodeURIComponent(name), encodeURIComponent(value)])
+        .sort(([nameA, valueA], [nameB, valueB]) => (nameA === nameB ? compareStrings(valueA, valueB) : compareStrings(nameA, nameB)))
+        .map(([name, value]) => `${name}=${value}`)
+        .join('&');
+}
+
+/**
+ * Builds the string a device signs for a request
+ * @param {string} timestamp - Value of X-Device-Timestamp
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {string} rawBody - Raw request body
+ * @returns {string} Timestamp, method, path, canonical query and body separated by newlines
+ */
+function buildSigningString(timestamp, method, url, rawBody) {
+    const { pathname, searchParams } = new URL(url);
+    return [timestamp, method.toUpperCase(), pathname, canonicalQueryString(searchParams), rawBody || ''].join('\n');
+}
+
+/**
+ * Computes the signature a device must send for a request
+ * @param {string} secret - Device secret
+ * @param {string} signingString - From buildSigningString
+ * @returns {string} Hex encoded HMAC-SHA256
+ */
+function computeSignature(secret, signingString) {
+    return crypto.createHmac(SIGNATURE_ALGORITHM, secret).update(signingString).digest('hex');
+}
+
+/**
+ * Parses the X-Device-Signature header
+ * @param {string} header - Header value
+ * @returns {Map<string, string>} serial_number to hex signature
+ */
+function parseSignatureHeader(header) {
+    const signatures = new Map();
+    (header || '').split(',').forEach(entry => {
+        const separator = entry.lastIndexOf('=');
+        if (separator <= 0) return;
+        signatures.set(entry.slice(0, separator).trim(), entry.slice(separator + 1).trim().toLowerCase());
+    });
+    return signatures;
+}
+
+/**
+ * Constant time comparison of two hex signatures
+ * @param {string} expected - Signature computed by the API
+ * @param {string} received - Signature sent by the device
+ * @returns {boolean} True if both are equal
+ */
+function signaturesMatch(expected, received) {
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const receivedBuffer = Buffer.from(received || '', 'hex');
+    return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Builds the 401 response returned when device authentication fails
+ * @param {string} error - Reason
+ * @param {Object} details - Extra fields for the body
+ * @returns {Object} HTTP response
+ */
+function unauthorized(error, details = {}) {
+    return {
+        status: HTTP_STATUS_UNAUTHORIZED,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error, ...details })
+    };
+}
+
+/**
+ * Verifies the device signatures of an ingestion request
+ * @param {Object} request - HTTP request
+ * @param {string} rawBody - Raw request body the signatures were computed over (empty for GET)
+ * @param {Array<string>} serialNumbers - Serial numbers present in the body
+ * @param {Object} context - Function context used for logging
+ * @returns {Promise<Object|null>} A 401 response when authentication fails, null when the request may proceed
+ */
+async function authenticateDeviceRequest(request, rawBody, serialNumbers, context) {
+    const uniqueSerials = [...new Set(serialNumbers.filter(serial => serial !== undefined && serial !== null).map(String))];
+    if (uniqueSerials.length === 0) return null;
+
+    const credentialsQuery = `
+        SELECT serial_number, secret_ciphertext,
+               (revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())) AS is_valid
+        FROM public.device_credentials
+        WHERE serial_number = ANY($1)
+    `;
+    const credentials = await executeQuery(credentialsQuery, [uniqueSerials]);
+
+    const secretsBySerial = new Map();
+    for (const row of credentials.rows) {
+        if (!secretsBySerial.has(row.serial_number)) secretsBySerial.set(row.serial_number, []);
+        if (row.is_valid) secretsBySerial.get(row.serial_number).push(row.secret_ciphertext);
+    }
+
+    const authRequired = process.env.DEVICE_AUTH_REQUIRED === 'true';
+    const serialsToVerify = uniqueSerials.filter(serial => authRequired || secretsBySerial.has(serial));
+    if (serialsToVerify.length === 0) return null;
+
+    // Timestamp freshness
+    const timestamp = request.headers.get(TIMESTAMP_HEADER);
+    const signedAtSeconds = Number(timestamp);
+    if (!timestamp || !Number.isInteger(signedAtSeconds)) {
+        return unauthorized('Missing or invalid X-Device-Timestamp header.', { serialNumbers: serialsToVerify });
+    }
+    const skewSeconds = Math.abs(Date.now() / MS_PER_SECOND - signedAtSeconds);
+    if (skewSeconds > MAX_CLOCK_SKEW_SECONDS) {
+        return unauthorized(`X-Device-Timestamp is outside the allowed window of ${MAX_CLOCK_SKEW_SECONDS} seconds.`);
+    }
+
+    // One valid signature per serial number
+    const signingString = buildSigningString(timestamp, request.method, request.url, rawBody);
+    const signatures = parseSignatureHeader(request.headers.get(SIGNATURE_HEADER));
+    const failedSerials = serialsToVerify.filter(serial => {
+        const received = signatures.get(serial);
+        if (!received) return true;
+        return !(secretsBySerial.get(serial) || []).some(ciphertext =>
+            signaturesMatch(computeSignature(decryptSecret(ciphertext), signingString), received)
+        );
+    });
+
+    if (failedSerials.length > 0) {
+        context.log.warn(`Device signature verification failed for: ${failedSerials.join(', ')}`);
+        return unauthorized('Invalid or missing device signature.', { serialNumbers: failedSerials });
+    }
+
+    // Replay protection: a signature is accepted only once while its timestamp is still valid
+    const replayQuery = `
+        WITH purged AS (
+            DELETE FROM public.device_request_signatures
+            WHERE created_at < NOW() - make_interval(secs => $3)
+        )
+        INSERT INTO public.device_request_signatures (signature, serial_number)
+        SELECT signature, serial_number FROM unnest($1::text[], $2::text[]) AS s(signature, serial_number)
+        ON CONFLICT (signature) DO NOTHING
+    `;
+    const replay = await executeQuery(replayQuery, [
+        serialsToVerify.map(serial => signatures.get(serial)),
+        serialsToVerify,
+        MAX_CLOCK_SKEW_SECONDS * 2
+    ]);
+    if (replay.rowCount < serialsToVerify.length) {
+        context.log.warn(`Replayed device request detected for: ${serialsToVerify.join(', ')}`);
+        return unauthorized('Request signature was already used.');
+    }
+
+    return null;
+}
+
+/**
+ * Issues a new device secret for a serial number
+ * @param {string} serialNumber - Powermeter serial number
+ * @param {string|null} createdBy - User issuing the credential
+ * @param {import('pg').PoolClient} [client] - Client with an open transaction, if any
+ * @returns {Promise<Object>} Plain secret (only ever returned here) and credential metadata
+ */
+async function issueDeviceCredential(serialNumber, createdBy, client) {
+    const secret = generateDeviceSecret();
+    const query = `
+        INSERT INTO public.device_credentials (serial_number, secret_ciphertext, created_by)
+        VALUES ($1, $2, $3)
+        RETURNING credential_id, serial_number, created_at
+    `;
+    const params = [serialNumber, encryptSecret(secret), createdBy];
+    const result = client ? await client.query(query, params) : await executeQuery(query, params);
+
+    return { ...result.rows[0], secret };
+}
+
+/**
+ * Counts the credentials of a serial number that can still sign requests
+ * @param {string} serialNumber - Powermeter serial number
+ * @returns {Promise<number>} Number of valid credentials
+ */
+async function countValidDeviceCredentials(serialNumber) {
+    const query = `
+        SELECT COUNT(*) AS valid_count
+        FROM public.device_credentials
+        WHERE serial_number = $1
+          AND revoked_at IS NULL
+          AND (expires_at IS NULL OR expires_at > NOW())
+    `;
+    const result = await executeQuery(query, [serialNumber]);
+    return Number(result.rows[0].valid_count);
+}
+
+/**
+ * Keeps the serial numbers that hold a credential able to sign requests
+ * @param {Array<string>} serialNumbers - Powermeter serial numbers
+ * @returns {Promise<Array<string>>} Serial numbers with at least one valid credential
+ */
+async function findCredentialedSerials(serialNumbers) {
+    const query = `
+        SELECT DISTINCT serial_number
+        FROM public.device_credentials
+        WHERE serial_number = ANY($1)
+          AND revoked_at IS NULL
+          AND (expires_at IS NULL OR expires_at > NOW())
+    `;
+    const result = await executeQuery(query, [[...new Set(serialNumbers.map(String))]]);
+    return result.rows.map(row => row.serial_number);
+}
+
+/**
+ * Rotates the secret of a serial number: current secrets expire after a grace period and a new one is issued
+ * @param {string} serialNumber - Powermeter serial number
+ * @param {string|null} createdBy - User rotating the credential
+ * @returns {Promise<Object>} New credential (with plain secret) and the expiry applied to the previous ones
+ */
+async function rotateDeviceCredential(serialNumber, createdBy) {
+    const client = await getClient();
+    try {
+        await client.query('BEGIN');
+        const expireQuery = `
+            UPDATE public.device_credentials
+            SET expires_at = NOW() + make_interval(hours => $2)
+            WHERE serial_number = $1
+              AND revoked_at IS NULL
+              AND (expires_at IS NULL OR expires_at > NOW() + make_interval(hours => $2))
+            RETURNING expires_at
+        `;
+        const expired = await client.query(expireQuery, [serialNumber, ROTATION_GRACE_HOURS]);
+        const credential = await issueDeviceCredential(serialNumber, createdBy, client);
+        await client.query('COMMIT');
+
+        return {
+            ...credential,
+            previousCredentialsExpireAt: expired.rows.length ? expired.rows[0].expires_at : null
+        };
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Revokes every credential of a serial number; the device can no longer ingest until a new one is issued
+ * @param {string} serialNumber - Powermeter serial number
+ * @param {string|null} revokedBy - User revoking the credentials
+ * @returns {Promise<number>} Number of revoked credentials
+ */
+async function revokeDeviceCredentials(serialNumber, revokedBy) {
+    const query = `
+        UPDATE public.device_credentials
+        SET revoked_at = NOW(), revoked_by = $2
+        WHERE serial_number = $1
+          AND revoked_at IS NULL
+    `;
+    const result = await executeQuery(query, [serialNumber, revokedBy]);
+    return result.rowCount;
+}
+
+module.exports = {
+    issueDeviceCredential,
+    countValidDeviceCredentials,
+    findCredentialedSerials,
+    rotateDeviceCredential,
+    revokeDeviceCredentials,
+    generateDeviceSecret,
+    encryptSecret,
+    decryptSecret,
+    buildSigningString,
+    computeSignature,
+    authenticateDeviceRequest
+};
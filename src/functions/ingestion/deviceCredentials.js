@@ -0,0 +1,168 @@
+/**
+ * FileName: src/functions/ingestion/deviceCredentials.js
+ * Author(s): Arturo Vargas
+ * Endpoints: POST /api/issueDeviceCredential, POST /api/rotateDeviceCredential, POST /api/revokeDeviceCredential
+ * Brief: Issue, rotate and revoke the secrets powermeters use to sign ingestion requests.
+ * Date: 2026-10-19
+ *
+ * Parameters (query string):
+ *   - user_id (required): installer or administrator (POWERMETER_WRITER_ROLES) with access to the powermeter's installation
+ *   - serial_number (required)
+ *
+ * The plain secret is only returned by issue and rotate; it cannot be read back afterwards. A serial number
+ * holds at most one current credential (unique index in 002_device_credentials.sql), so concurrent issues
+ * or rotations of the same device answer 409 instead of leaving two.
+ * See deviceAuth.js for how devices sign requests with it.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const { resolveSerialNumbers } = require('./measurementIngestion');
+const { validateUserRole, validateUserPowermeterAccess } = require('../dbUtils');
+const { POWERMETER_WRITER_ROLES } = require('../powermeterRegistry');
+const {
+    issueDeviceCredential,
+    countValidDeviceCredentials,
+    rotateDeviceCredential,
+    revokeDeviceCredentials
+} = require('./deviceAuth');
+
+// PostgreSQL unique_violation: another request created the serial number's current credential first
+const PG_UNIQUE_VIOLATION = '23505';
+
+/**
+ * Validates parameters and checks the user can manage the credentials of the powermeter behind a serial number
+ * @param {Object} request - HTTP request
+ * @returns {Promise<Object>} { error } with an HTTP response, or { userId, serialNumber }
+ */
+async function authorizeCredentialRequest(request) {
+    const userId = request.query.get('user_id');
+    const serialNumber = request.query.get('serial_number');
+
+    if (!userId || !serialNumber) {
+        return {
+            error: {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ success: false, error: 'Missing required parameters: user_id, serial_number' })
+            }
+        };
+    }
+
+    // Issuing or rotating returns the plain secret and revoking cuts the meter off: installers and admins only
+    if (!await validateUserRole(userId, POWERMETER_WRITER_ROLES)) {
+        return {
+            error: {
+                status: 403,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ success: false, error: 'Installer or administrator role required.' })
+            }
+        };
+    }
+
+    const route = (await resolveSerialNumbers([serialNumber])).get(serialNumber);
+    if (!route) {
+        return {
+            error: {
+                status: 404,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ success: false, error: 'Serial number not found in any schema.' })
+            }
+        };
+    }
+
+    const hasAccess = await validateUserPowermeterAccess(userId, route.powermeter_id, route.schema);
+    if (!hasAccess) {
+        return {
+            error: {
+                status: 403,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ success: false, error: 'User not authorized for this powermeter.' })
+            }
+        };
+    }
+
+    return { userId, serialNumber };
+}
+
+/**
+ * Wraps a credential operation with authorization and error handling
+ * @param {Function} operation - async ({ userId, serialNumber }, context) => HTTP response
+ * @returns {Function} Azure Functions handler
+ */
+function credentialHandler(operation) {
+    return async (request, context) => {
+        try {
+            const authorization = await authorizeCredentialRequest(request);
+            if (authorization.error) return authorization.error;
+
+            return await operation(authorization, context);
+        } catch (error) {
+            if (error.code === PG_UNIQUE_VIOLATION) {
+                return {
+                    status: 409,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ success: false, error: 'Another credential change for this device is in progress; retry.' })
+                };
+            }
+            context.log.error('Error during device credential operation:', error);
+            return {
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ success: false, message: `Device credential operation failed: ${error.message}` })
+            };
+        }
+    };
+}
+
+app.http('issueDeviceCredential', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: credentialHandler(async ({ userId, serialNumber }, context) => {
+        if (await countValidDeviceCredentials(serialNumber) > 0) {
+            return {
+                status: 409,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ success: false, error: 'Device already has an active credential; rotate it instead.' })
+            };
+        }
+
+        const credential = await issueDeviceCredential(serialNumber, userId);
+        context.log(`Device credential ${credential.credential_id} issued for ${serialNumber} by ${userId}.`);
+        return {
+            status: 201,
+            headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+            body: JSON.stringify({ success: true, credential })
+        };
+    })
+});
+
+app.http('rotateDeviceCredential', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: credentialHandler(async ({ userId, serialNumber }, context) => {
+        const credential = await rotateDeviceCredential(serialNumber, userId);
+        context.log(`Device credential for ${serialNumber} rotated by ${userId}.`);
+        return {
+            status: 200,
+            headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+            body: JSON.stringify({ success: true, credential })
+        };
+    })
+});
+
+app.http('revokeDeviceCredential', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: credentialHandler(async ({ userId, serialNumber }, context) => {
+        const revoked = await revokeDeviceCredentials(serialNumber, userId);
+        context.log(`${revoked} device credential(s) for ${serialNumber} revoked by ${userId}.`);
+        return {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ success: true, serial_number: serialNumber, revoked })
+        };
+    })
+});
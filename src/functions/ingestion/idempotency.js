@@ -0,0 +1,205 @@
+/**
+ * FileName: src/functions/ingestion/idempotency.js
+ * Author(s): Arturo Vargas
+ * Brief: Idempotency-Key support for the measurement ingestion endpoints.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * When a request carries an Idempotency-Key header, its response is stored in
+ * public.ingestion_idempotency_keys. A retry with the same key and the same body gets the stored
+ * response back without touching measurements; the same key with a different body is refused.
+ * Keys are scoped by the serial numbers of the request (scopeIdempotencyKey), so two devices that happen
+ * to send the same key neither replay each other's responses nor block each other.
+ *
+ * The key is claimed atomically with a pending row before the readings are ingested, so two concurrent
+ * requests with the same key cannot both ingest: the second one gets 409 until the first completes the
+ * row with its response. Responses that a retry could change (client errors, database failures) release
+ * the claim instead of being stored. A claim older than the function timeout belongs to a request that
+ * died and is taken over.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const crypto = require('crypto');
+const { executeQuery } = require('../pgPool');
+const { ERROR_TYPE_DATABASE } = require('./measurementIngestion');
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const IDEMPOTENCY_KEY_TTL_HOURS = 24;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// functionTimeout in host.json: no request holds a claim longer
+const IDEMPOTENCY_CLAIM_TIMEOUT_SECONDS = 300;
+
+const KEY_STATUS_PENDING = 'pending';
+const KEY_STATUS_COMPLETED = 'completed';
+
+// Per-record failures a retry of the same body can succeed on
+const TRANSIENT_ERROR_TYPES = [ERROR_TYPE_DATABASE];
+
+const HTTP_STATUS_BAD_REQUEST = 400;
+const HTTP_STATUS_CONFLICT = 409;
+const HTTP_STATUS_UNPROCESSABLE_ENTITY = 422;
+
+/**
+ * Reads and validates the Idempotency-Key header
+ * @param {Object} request - HTTP request
+ * @returns {{ key: (string|null), error: (string|null) }} Header value or validation error
+ */
+function getIdempotencyKey(request) {
+    const key = request.headers.get(IDEMPOTENCY_HEADER);
+    if (key === null || key === undefined) return { key: null, error: null };
+
+    const trimmed = key.trim();
+    if (!trimmed || trimmed.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+        return { key: null, error: `Idempotency-Key must be between 1 and ${MAX_IDEMPOTENCY_KEY_LENGTH} characters.` };
+    }
+    return { key: trimmed, error: null };
+}
+
+/**
+ * Hashes the request body so a reused key with a different payload can be detected
+ * @param {string} body - Raw request body
+ * @param {string} [variant] - Request option that changes the outcome for the same body (e.g. ingestion mode)
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRequestBody(body, variant) {
+    const hash = crypto.createHash('sha256');
+    if (variant) hash.update(`${variant}\n`);
+    return hash.update(body || '').digest('hex');
+}
+
+/**
+ * Scopes an idempotency key by the serial numbers of the request (authenticated when device signatures are
+ * required), since keys are chosen by each device
+ * @param {string} key - Idempotency-Key header value
+ * @param {Array<*>} serialNumbers - serial_number of each record
+ * @returns {string} Key stored in ingestion_idempotency_keys: SHA-256 hex digest of the serials, ':' and the key
+ */
+function scopeIdempotencyKey(key, serialNumbers) {
+    const serials = [...new Set(serialNumbers.map(serial => (serial === undefined || serial === null ? '' : String(serial))))].sort();
+    const scope = crypto.createHash('sha256').update(serials.join('\n')).digest('hex');
+    return `${scope}:${key}`;
+}
+
+/**
+ * Claims an idempotency key for the current request, or returns the response the key already has.
+ * The claim is a pending row inserted (or taken over when expired or abandoned) in a single statement.
+ * @param {string} key - Idempotency key, scoped with scopeIdempotencyKey
+ * @param {string} endpoint - Endpoint name the key is used on
+ * @param {string} requestHash - Hash of the current request body
+ * @returns {Promise<Object|null>} HTTP response to return instead of processing, or null when the key was claimed
+ */
+async function claimIdempotencyKey(key, endpoint, requestHash) {
+    const claimQuery = `
+        INSERT INTO public.ingestion_idempotency_keys (idempotency_key, endpoint, request_hash, status)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (idempotency_key, endpoint) DO UPDATE
+        SET request_hash = EXCLUDED.request_hash,
+            status = EXCLUDED.status,
+            response_status = NULL,
+            response_body = NULL,
+            created_at = NOW()
+        WHERE ingestion_idempotency_keys.created_at <= NOW() - make_interval(hours => $5)
+           OR (ingestion_idempotency_keys.status = $4
+               AND ingestion_idempotency_keys.created_at <= NOW() - make_interval(secs => $6))
+        RETURNING idempotency_key
+    `;
+    const claimed = await executeQuery(claimQuery, [
+        key, endpoint, requestHash, KEY_STATUS_PENDING, IDEMPOTENCY_KEY_TTL_HOURS, IDEMPOTENCY_CLAIM_TIMEOUT_SECONDS
+    ]);
+    if (claimed.rows.length > 0) return null;
+
+    const result = await executeQuery(
+        `SELECT request_hash, status, response_status, response_body
+         FROM public.ingestion_idempotency_keys
+         WHERE idempotency_key = $1 AND endpoint = $2`,
+        [key, endpoint]
+    );
+    const stored = result.rows[0];
+    if (stored && stored.request_hash !== requestHash) {
+        return {
+            status: HTTP_STATUS_UNPROCESSABLE_ENTITY,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'Idempotency-Key was already used with a different request body.' })
+        };
+    }
+    if (!stored || stored.status !== KEY_STATUS_COMPLETED) {
+        return {
+            status: HTTP_STATUS_CONFLICT,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'A request with this Idempotency-Key is still being processed; retry later.' })
+        };
+    }
+
+    return {
+        status: stored.response_status,
+        headers: { 'Content-Type': 'application/json', 'Idempotent-Replayed': 'true' },
+        body: JSON.stringify(stored.response_body)
+    };
+}
+
+/**
+ * Releases the claim of a request that will not store a response, so a retry with the key is processed
+ * @param {string} key - Idempotency key, scoped with scopeIdempotencyKey
+ * @param {string} endpoint - Endpoint name the key was used on
+ * @param {string} requestHash - Hash of the request body
+ * @param {Object} context - Function context used for logging
+ * @returns {Promise<void>}
+ */
+async function releaseIdempotencyKey(key, endpoint, requestHash, context) {
+    try {
+        await executeQuery(
+            `DELETE FROM public.ingestion_idempotency_keys
+             WHERE idempotency_key = $1 AND endpoint = $2 AND request_hash = $3 AND status = $4`,
+            [key, endpoint, requestHash, KEY_STATUS_PENDING]
+        );
+    } catch (error) {
+        // The claim expires after IDEMPOTENCY_CLAIM_TIMEOUT_SECONDS
+        context.log.warn(`Failed to release Idempotency-Key ${key}: ${error.message}`);
+    }
+}
+
+/**
+ * Completes the claim of a processed request with its response.
+ * Client errors are not stored so the device can fix the payload and retry with the same key, and neither
+ * are responses with database failures, which a retry can succeed on; both release the claim instead.
+ * A 409 duplicate rejection is stored because the same body can only produce it again.
+ * @param {string} key - Idempotency key, scoped with scopeIdempotencyKey
+ * @param {string} endpoint - Endpoint name the key was used on
+ * @param {string} requestHash - Hash of the request body
+ * @param {Object} response - HTTP response returned to the caller
+ * @param {Array<Object>} results - Per-record results from ingestMeasurements
+ * @param {Object} context - Function context used for logging
+ * @returns {Promise<void>}
+ */
+async function storeIdempotentResponse(key, endpoint, requestHash, response, results, context) {
+    const clientError = response.status >= HTTP_STATUS_BAD_REQUEST && response.status !== HTTP_STATUS_CONFLICT;
+    if (clientError || results.some(result => TRANSIENT_ERROR_TYPES.includes(result.errorType))) {
+        await releaseIdempotencyKey(key, endpoint, requestHash, context);
+        return;
+    }
+
+    const query = `
+        UPDATE public.ingestion_idempotency_keys
+        SET status = $4, response_status = $5, response_body = $6, created_at = NOW()
+        WHERE idempotency_key = $1 AND endpoint = $2 AND request_hash = $3
+    `;
+
+    try {
+        await executeQuery(query, [key, endpoint, requestHash, KEY_STATUS_COMPLETED, response.status, response.body]);
+    } catch (error) {
+        // The readings are already stored; a lost key only means a retry is deduplicated by timestamp instead
+        context.log.warn(`Failed to store Idempotency-Key ${key}: ${error.message}`);
+    }
+}
+
+module.exports = {
+    getIdempotencyKey,
+    hashRequestBody,
+    scopeIdempotencyKey,
+    claimIdempotencyKey,
+    releaseIdempotencyKey,
+    storeIdempotentResponse
+};
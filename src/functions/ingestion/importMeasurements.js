@@ -0,0 +1,421 @@
+/**
+ * FileName: src/functions/ingestion/importMeasurements.js
+ * Author(s): Arturo Vargas
+ * Endpoint: POST /api/importMeasurements
+ * Brief: Imports historical measurements of one powermeter from a CSV file (the inverse of downloads).
+ * Date: 2026-10-19
+ *
+ * Parameters (query string):
+ *   - user_id (required): administrator (ADMIN_ROLES) with access to the powermeter (user_installations);
+ *     imports overwrite stored readings without device signatures, so they are not open to every member
+ *   - powermeter_id (required): powermeter the rows belong to
+ *   - environment (optional): production (default), demo or dev
+ *   - tz (optional): IANA time zone of the Date/Time columns, UTC by default (same as downloads)
+ *
+ * Description:
+ * The body is either the CSV text (Content-Type: text/csv) in the downloads column layout, with English or
+ * Spanish headers detected from the header row, or a JSON object { "csv": "...", "mapping": { "<CSV header>":
+ * "<field>" } } for files from other platforms. Mapped fields are measurement fields, or date and time (combined)
+ * or timestamp; unmapped columns are ignored. Comma and semicolon delimiters and quoted values are accepted.
+ * Rows are validated like postMeasurement and upserted: a reading already stored at the same timestamp is
+ * overwritten, and neither the timestamp window nor the meter's last-seen time apply to backfills. The response
+ * summarizes imported, skipped (empty or repeated rows) and errored rows, with the CSV line of each error.
+ *
+ * Example:
+ * curl -X POST "http://localhost:7071/api/importMeasurements?user_id=1&powermeter_id=7&tz=America/Mexico_City" \
+ *      -H "Content-Type: text/csv" --data-binary @powermeter_7_2025_06.csv
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const { DateTime } = require('luxon');
+const { executeQuery } = require('../pgPool');
+const {
+    validateUserRole,
+    validateUserPowermeterAccess,
+    ADMIN_ROLES,
+    HTTP_STATUS_OK,
+    HTTP_STATUS_BAD_REQUEST,
+    HTTP_STATUS_FORBIDDEN,
+    HTTP_STATUS_NOT_FOUND,
+    HTTP_STATUS_INTERNAL_ERROR,
+    jsonResponse
+} = require('../dbUtils');
+const {
+    ingestMeasurements,
+    MEASUREMENT_FIELD_NAMES,
+    DUPLICATE_POLICY_OVERWRITE,
+    RECORD_STATUS_ACCEPTED,
+    RECORD_STATUS_DUPLICATE,
+    RECORD_STATUS_QUARANTINED
+} = require('./measurementIngestion');
+const { COLUMN_ALIASES } = require('../measurementCsvColumns');
+
+const HTTP_STATUS_MULTI_STATUS = 207;
+const HTTP_STATUS_PAYLOAD_TOO_LARGE = 413;
+
+const ALLOWED_ENVIRONMENTS = ['production', 'demo', 'dev'];
+const DEFAULT_TIME_ZONE = 'UTC';
+
+const MAX_IMPORT_ROWS = 50000;
+// Rows are ingested in chunks so a large file does not run as a single transaction
+const IMPORT_CHUNK_SIZE = 5000;
+const MAX_REPORTED_ERRORS = 200;
+const DECIMAL_COMMA_PATTERN = /^-?\d+,\d+$/;
+
+const COLUMN_DATE = 'date';
+const COLUMN_TIME = 'time';
+const COLUMN_TIMESTAMP = 'timestamp';
+// The serial number comes from powermeter_id, never from the file
+const VALUE_FIELDS = MEASUREMENT_FIELD_NAMES.filter(field => field !== 'serial_number' && field !== COLUMN_TIMESTAMP);
+const MAPPABLE_COLUMNS = [COLUMN_DATE, COLUMN_TIME, COLUMN_TIMESTAMP, ...VALUE_FIELDS];
+
+/**
+ * Picks the delimiter of the file from its header line (downloads uses commas, Excel in Spanish semicolons)
+ * @param {string} text - CSV text
+ * @returns {string} ',' or ';'
+ */
+function detectDelimiter(text) {
+    const headerLine = text.slice(0, text.search(/\r?\n|$/));
+    const count = char => headerLine.split(char).length - 1;
+    return count(';') > count(',') ? ';' : ',';
+}
+
+/**
+ * Parses CSV text (RFC 4180: quoted values, escaped quotes, CRLF or LF line ends)
+ * @param {string} text - CSV text
+ * @returns {Array<{ line: number, values: Array<string> }>} Rows with the line number where each one starts
+ * @throws {Error} When a quoted value is not closed
+ */
+function parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(input);
+    const rows = [];
+
+    let values = [];
+    let value = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            values.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            values.push(value);
+            rows.push({ line: rowLine, values });
+            values = [];
+            value = '';
+            line++;
+            rowLine = line;
+        } else {
+            value += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error(`Unclosed quoted value starting on line ${rowLine}.`);
+    }
+    if (value !== '' || values.length > 0) {
+        values.push(value);
+        rows.push({ line: rowLine, values });
+    }
+    return rows;
+}
+
+/**
+ * Resolves the field of every CSV column, from a user mapping or the downloads headers
+ * @param {Array<string>} headers - Header row
+ * @param {Object|undefined} mapping - { "<CSV header>": "<field>" }
+ * @returns {Object} { columns (field or null per column), language } or { error, details }
+ */
+function resolveColumns(headers, mapping) {
+    const trimmed = headers.map(header => header.trim());
+
+    if (mapping) {
+        const invalidFields = Object.entries(mapping)
+            .filter(([, field]) => !MAPPABLE_COLUMNS.includes(field))
+            .map(([header, field]) => ({ header, field }));
+        if (invalidFields.length > 0) {
+            return { error: 'Mapping contains unknown fields.', details: { invalidFields, validFields: MAPPABLE_COLUMNS } };
+        }
+        const missingHeaders = Object.keys(mapping).filter(header => !trimmed.includes(header));
+        if (missingHeaders.length > 0) {
+            return { error: 'Mapped columns not found in the CSV header.', details: { missingHeaders } };
+        }
+        return { columns: trimmed.map(header => (Object.hasOwn(mapping, header) ? mapping[header] : null)), language: null };
+    }
+
+    let best = null;
+    for (const [language, aliases] of Object.entries(COLUMN_ALIASES)) {
+        const fieldsByHeader = Object.fromEntries(Object.entries(aliases).map(([field, alias]) => [alias, field]));
+        const columns = trimmed.map(header => fieldsByHeader[header] || null);
+        const unknownHeaders = trimmed.filter((header, index) => !columns[index]);
+        if (!best || unknownHeaders.length < best.unknownHeaders.length) {
+            best = { columns, language, unknownHeaders };
+        }
+    }
+
+    if (best.unknownHeaders.length > 0) {
+        return {
+            error: 'CSV header does not match the downloads layout; send a column mapping.',
+            details: { unknownHeaders: best.unknownHeaders, language: best.language }
+        };
+    }
+    return { columns: best.columns, language: best.language };
+}
+
+/**
+ * Checks that the resolved columns identify the time of each reading
+ * @param {Array<string|null>} columns - Field per column
+ * @returns {string|null} Error message, or null when the columns are usable
+ */
+function checkTimeColumns(columns) {
+    for (const field of new Set(columns.filter(Boolean))) {
+        if (columns.filter(column => column === field).length > 1) {
+            return `Field ${field} is mapped to more than one column.`;
+        }
+    }
+    if (columns.includes(COLUMN_TIMESTAMP)) {
+        return columns.includes(COLUMN_DATE) || columns.includes(COLUMN_TIME)
+            ? 'Use either a timestamp column or date and time columns, not both.'
+            : null;
+    }
+    return columns.includes(COLUMN_DATE) && columns.includes(COLUMN_TIME)
+        ? null
+        : 'CSV must have a timestamp column or date and time columns.';
+}
+
+/**
+ * Builds the timestamp of a row from its timestamp or date and time cells
+ * @param {Object} cells - Cell values by field
+ * @returns {string|null} Timestamp without offset (read in tz) or as given, null when missing
+ */
+function buildRowTimestamp(cells) {
+    if (cells[COLUMN_TIMESTAMP] !== undefined) return cells[COLUMN_TIMESTAMP];
+    if (cells[COLUMN_DATE] === undefined || cells[COLUMN_TIME] === undefined) return null;
+
+    // downloads may serialize the Date column as a full ISO date-time; only the calendar date is used
+    return `${cells[COLUMN_DATE].slice(0, 10)} ${cells[COLUMN_TIME]}`;
+}
+
+/**
+ * Converts CSV rows to measurement records of one powermeter
+ * @param {Array<Object>} rows - Data rows from parseCsv
+ * @param {Array<string|null>} columns - Field per column
+ * @param {string} serialNumber - Serial number of the powermeter
+ * @returns {Object} { records, lines, skipped, errors } (lines holds the CSV line of each record)
+ */
+function buildRecords(rows, columns, serialNumber) {
+    const records = [];
+    const lines = [];
+    const errors = [];
+    let skipped = 0;
+
+    for (const { line, values } of rows) {
+        if (values.every(value => value.trim() === '')) {
+            skipped++;
+            continue;
+        }
+        if (values.length !== columns.length) {
+            errors.push({ line, reason: `Expected ${columns.length} values, found ${values.length}.` });
+            continue;
+        }
+
+        // Empty cells are omitted so they are stored as null
+        const cells = {};
+        columns.forEach((field, index) => {
+            const value = values[index].trim();
+            if (field && value !== '') cells[field] = value;
+        });
+
+        const timestamp = buildRowTimestamp(cells);
+        if (!timestamp) {
+            errors.push({ line, reason: 'Missing timestamp.' });
+            continue;
+        }
+
+        const record = { serial_number: serialNumber, timestamp };
+        for (const field of VALUE_FIELDS) {
+            if (cells[field] === undefined) continue;
+            // Spreadsheets with a Spanish locale write decimal commas (1,5)
+            record[field] = DECIMAL_COMMA_PATTERN.test(cells[field]) ? cells[field].replace(',', '.') : cells[field];
+        }
+        records.push(record);
+        lines.push(line);
+    }
+
+    return { records, lines, skipped, errors };
+}
+
+/**
+ * Reads the CSV text and optional mapping from the request body
+ * @param {Object} request - HTTP request
+ * @returns {Promise<Object>} { csv, mapping } or { error }
+ */
+async function readImportBody(request) {
+    const rawBody = await request.text();
+    const contentType = (request.headers.get('content-type') || '').toLowerCase();
+
+    if (!contentType.includes('application/json')) {
+        return { csv: rawBody };
+    }
+
+    let body;
+    try {
+        body = JSON.parse(rawBody);
+    } catch (err) {
+        return { error: 'Invalid JSON payload.' };
+    }
+    if (!body || typeof body.csv !== 'string') {
+        return { error: 'JSON body must contain the CSV text in "csv".' };
+    }
+    if (body.mapping !== undefined && (!body.mapping || typeof body.mapping !== 'object' || Array.isArray(body.mapping))) {
+        return { error: '"mapping" must be an object of CSV header to field name.' };
+    }
+    return { csv: body.csv, mapping: body.mapping };
+}
+
+app.http('importMeasurements', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        context.log('--- POST /importMeasurements: Started ---');
+
+        const userId = request.query.get('user_id');
+        const powermeterId = Number(request.query.get('powermeter_id'));
+        const environment = request.query.get('environment') || 'production';
+        const tz = request.query.get('tz') || DEFAULT_TIME_ZONE;
+
+        if (!userId || !powermeterId) {
+            return jsonResponse(HTTP_STATUS_BAD_REQUEST, { success: false, error: 'Missing required parameters: user_id, powermeter_id' });
+        }
+        if (!ALLOWED_ENVIRONMENTS.includes(environment)) {
+            return jsonResponse(HTTP_STATUS_BAD_REQUEST, { success: false, error: 'Invalid environment parameter' });
+        }
+        if (!DateTime.local().setZone(tz).isValid) {
+            return jsonResponse(HTTP_STATUS_BAD_REQUEST, { success: false, error: `Invalid time zone: ${tz}` });
+        }
+        const schema = environment === 'production' ? 'public' : environment;
+
+        const { csv, mapping, error: bodyError } = await readImportBody(request);
+        if (bodyError) {
+            return jsonResponse(HTTP_STATUS_BAD_REQUEST, { success: false, error: bodyError });
+        }
+
+        let rows;
+        try {
+            rows = parseCsv(csv || '');
+        } catch (err) {
+            return jsonResponse(HTTP_STATUS_BAD_REQUEST, { success: false, error: err.message });
+        }
+        if (rows.length < 2) {
+            return jsonResponse(HTTP_STATUS_BAD_REQUEST, { success: false, error: 'CSV must contain a header row and at least one data row.' });
+        }
+        if (rows.length - 1 > MAX_IMPORT_ROWS) {
+            return jsonResponse(HTTP_STATUS_PAYLOAD_TOO_LARGE, {
+                success: false,
+                error: `CSV too large (max ${MAX_IMPORT_ROWS} rows, received ${rows.length - 1}).`
+            });
+        }
+
+        const [header, ...dataRows] = rows;
+        const { columns, language, error: columnError, details } = resolveColumns(header.values, mapping);
+        if (columnError) {
+            return jsonResponse(HTTP_STATUS_BAD_REQUEST, { success: false, error: columnError, details });
+        }
+        const timeColumnError = checkTimeColumns(columns);
+        if (timeColumnError) {
+            return jsonResponse(HTTP_STATUS_BAD_REQUEST, { success: false, error: timeColumnError });
+        }
+
+        try {
+            if (!await validateUserRole(userId, ADMIN_ROLES)) {
+                return jsonResponse(HTTP_STATUS_FORBIDDEN, { success: false, error: 'Administrator role required.' });
+            }
+            if (!await validateUserPowermeterAccess(userId, powermeterId, schema)) {
+                return jsonResponse(HTTP_STATUS_FORBIDDEN, { success: false, error: 'User does not have access to this powermeter.' });
+            }
+
+            const meter = await executeQuery(
+                `SELECT serial_number FROM ${schema}.powermeters WHERE powermeter_id = $1`,
+                [powermeterId]
+            );
+            if (meter.rows.length === 0) {
+                return jsonResponse(HTTP_STATUS_NOT_FOUND, { success: false, error: 'Powermeter not found.' });
+            }
+
+            const { records, lines, skipped, errors } = buildRecords(dataRows, columns, meter.rows[0].serial_number);
+            const summary = { rows: dataRows.length, imported: 0, skipped, quarantined: 0, errored: errors.length };
+
+            for (let start = 0; start < records.length; start += IMPORT_CHUNK_SIZE) {
+                const chunk = records.slice(start, start + IMPORT_CHUNK_SIZE);
+                const { results } = await ingestMeasurements(chunk, context, {
+                    duplicatePolicy: DUPLICATE_POLICY_OVERWRITE,
+                    timeZone: tz,
+                    enforceTimestampWindow: false,
+                    trackHeartbeat: false
+                });
+
+                results.forEach((result, index) => {
+                    if (result.status === RECORD_STATUS_ACCEPTED) {
+                        summary.imported++;
+                    } else if (result.status === RECORD_STATUS_DUPLICATE) {
+                        summary.skipped++;
+                    } else if (result.status === RECORD_STATUS_QUARANTINED) {
+                        summary.quarantined++;
+                    } else {
+                        summary.errored++;
+                        errors.push({
+                            line: lines[start + index],
+                            reason: result.reason,
+                            ...(result.details && { details: result.details })
+                        });
+                    }
+                });
+            }
+
+            errors.sort((a, b) => a.line - b.line);
+            context.log(`Import of powermeter ${powermeterId} by ${userId}: ${JSON.stringify(summary)}`);
+
+            return jsonResponse(summary.errored > 0 ? HTTP_STATUS_MULTI_STATUS : HTTP_STATUS_OK, {
+                success: summary.errored === 0,
+                powermeterId,
+                environment,
+                tz,
+                layout: language || 'mapping',
+                summary,
+                errors: errors.slice(0, MAX_REPORTED_ERRORS),
+                errorsTruncated: errors.length > MAX_REPORTED_ERRORS
+            });
+        } catch (error) {
+            context.log.error('Error during measurement import:', error);
+            return jsonResponse(HTTP_STATUS_INTERNAL_ERROR, { success: false, error: `Import failed: ${error.message}` });
+        }
+    }
+});
+
+module.exports = {
+    parseCsv,
+    resolveColumns,
+    checkTimeColumns,
+    buildRecords
+};
@@ -0,0 +1,131 @@
+/**
+ * FileName: src/functions/ingestion/localMeasurementQueue.js
+ * Author(s): Arturo Vargas
+ * Brief: Memory- and file-backed stand-ins of the measurement ingestion queue for local development.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * MEASUREMENT_QUEUE_BACKEND=memory keeps the messages in the worker process (lost on restart);
+ * MEASUREMENT_QUEUE_BACKEND=file appends them as NDJSON to MEASUREMENT_QUEUE_FILE (by default
+ * powertick-measurement-queue.ndjson in the OS temp directory), so they survive restarts of `func start`.
+ * Messages that exhaust their delivery attempts go to <file>.poison (or an in-memory poison list).
+ * Both are drained by the measurementQueueLocalDrain timer (see queueIngestion.js). Neither is safe for
+ * several processes; they only stand in for the Storage queue while developing.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const LOCAL_QUEUE_BACKEND_MEMORY = 'memory';
+const LOCAL_QUEUE_BACKEND_FILE = 'file';
+const LOCAL_QUEUE_BACKENDS = [LOCAL_QUEUE_BACKEND_MEMORY, LOCAL_QUEUE_BACKEND_FILE];
+
+const DEFAULT_QUEUE_FILE = path.join(os.tmpdir(), 'powertick-measurement-queue.ndjson');
+
+/**
+ * Wraps queue messages into entries with an id and delivery count
+ * @param {Array<Object>} messages - Queue messages
+ * @returns {Array<Object>} { id, dequeueCount, insertedAt, message }
+ */
+function toEntries(messages) {
+    const insertedAt = new Date().toISOString();
+    return messages.map(message => ({ id: crypto.randomUUID(), dequeueCount: 0, insertedAt, message }));
+}
+
+/**
+ * In-process queue
+ * @returns {Object} Queue with send, receiveAll, requeue and poison
+ */
+function createMemoryQueue() {
+    let entries = [];
+    const poisoned = [];
+
+    return {
+        backend: LOCAL_QUEUE_BACKEND_MEMORY,
+        async send(messages) {
+            entries.push(...toEntries(messages));
+        },
+        async receiveAll() {
+            const received = entries;
+            entries = [];
+            return received;
+        },
+        async requeue(entry) {
+            entries.push(entry);
+        },
+        async poison(entry) {
+            poisoned.push(entry);
+        },
+        get poisoned() {
+            return poisoned;
+        }
+    };
+}
+
+/**
+ * NDJSON file queue
+ * @param {string} filePath - Queue file
+ * @returns {Object} Queue with send, receiveAll, requeue and poison
+ */
+function createFileQueue(filePath) {
+    const appendEntries = (target, entries) => fs.promises.mkdir(path.dirname(target), { recursive: true })
+        .then(() => fs.promises.appendFile(target, entries.map(entry => `${JSON.stringify(entry)}\n`).join('')));
+
+    return {
+        backend: LOCAL_QUEUE_BACKEND_FILE,
+        filePath,
+        async send(messages) {
+            await appendEntries(filePath, toEntries(messages));
+        },
+        async receiveAll() {
+            // Move the file aside first so messages enqueued while draining are kept for the next run
+            const processingPath = `${filePath}.processing`;
+            try {
+                await fs.promises.rename(filePath, processingPath);
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+
+            const text = await fs.promises.readFile(processingPath, 'utf8');
+            await fs.promises.unlink(processingPath);
+            return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+        },
+        async requeue(entry) {
+            await appendEntries(filePath, [entry]);
+        },
+        async poison(entry) {
+            await appendEntries(`${filePath}.poison`, [entry]);
+        }
+    };
+}
+
+let localQueue = null;
+
+/**
+ * Returns the local queue configured by MEASUREMENT_QUEUE_BACKEND (one instance per process)
+ * @returns {Object|null} Local queue, or null when the backend is not memory or file
+ */
+function getLocalQueue() {
+    const backend = (process.env.MEASUREMENT_QUEUE_BACKEND || '').toLowerCase();
+    if (!LOCAL_QUEUE_BACKENDS.includes(backend)) return null;
+
+    if (!localQueue || localQueue.backend !== backend) {
+        localQueue = backend === LOCAL_QUEUE_BACKEND_FILE
+            ? createFileQueue(process.env.MEASUREMENT_QUEUE_FILE || DEFAULT_QUEUE_FILE)
+            : createMemoryQueue();
+    }
+    return localQueue;
+}
+
+module.exports = {
+    LOCAL_QUEUE_BACKEND_MEMORY,
+    LOCAL_QUEUE_BACKEND_FILE,
+    LOCAL_QUEUE_BACKENDS,
+    getLocalQueue
+};
@@ -0,0 +1,764 @@
+/**
+ * FileName: src/functions/ingestion/measurementIngestion.js
+ * Author(s): Arturo Vargas
+ * Brief: Shared validation, serial number routing and insert logic for the measurement ingestion endpoints.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * Every ingestion endpoint goes through ingestMeasurements(): it validates the records against
+ * measurementSchema.json, resolves their serial numbers with a single lookup across the demo, dev and public
+ * schemas and stores them with multi-row INSERT statements in one transaction per schema. How problem
+ * readings are handled is configured per environment (see the get*Policy functions).
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { executeQuery, getClient } = require('../pgPool');
+const { getCachedRoute, setCachedRoute, invalidateSerialRoute } = require('./serialRoutingCache');
+const { loadScalingConfigs, scalingConfigAt, scaleMeasurement, insertRawValues } = require('./rawScaling');
+const { normalizeTimestamp, checkTimestampWindow } = require('./timestampNormalizer');
+const { recordHeartbeats } = require('../heartbeat/meterHeartbeat');
+const { POWERMETER_STATUS_DECOMMISSIONED } = require('../powermeterRegistry');
+const { supportedModelJoin } = require('../powermeterReferences');
+const { toCapabilities, findUnsupportedFields } = require('../modelCapabilities');
+const {
+    MEASUREMENT_FIELD_NAMES,
+    REQUIRED_FIELDS,
+    validateMeasurementTypes,
+    checkPlausibility
+} = require('./measurementSchema');
+
+// Postgres accepts at most 65535 bind parameters per statement; stay well below it
+const MAX_PARAMS_PER_STATEMENT = 60000;
+
+// Per-record result statuses
+const RECORD_STATUS_ACCEPTED = 'accepted';
+const RECORD_STATUS_REJECTED = 'rejected';
+const RECORD_STATUS_UNKNOWN_SERIAL = 'unknown_serial';
+const RECORD_STATUS_DUPLICATE = 'duplicate';
+const RECORD_STATUS_QUARANTINED = 'quarantined';
+
+// Duplicate handling policies
+const DUPLICATE_POLICY_IGNORE = 'ignore';
+const DUPLICATE_POLICY_OVERWRITE = 'overwrite';
+const DUPLICATE_POLICY_REJECT = 'reject';
+const DUPLICATE_POLICIES = [DUPLICATE_POLICY_IGNORE, DUPLICATE_POLICY_OVERWRITE, DUPLICATE_POLICY_REJECT];
+const DEFAULT_DUPLICATE_POLICY = DUPLICATE_POLICY_IGNORE;
+
+// Plausibility handling policies
+const PLAUSIBILITY_POLICY_QUARANTINE = 'quarantine';
+const PLAUSIBILITY_POLICY_REJECT = 'reject';
+const PLAUSIBILITY_POLICIES = [PLAUSIBILITY_POLICY_QUARANTINE, PLAUSIBILITY_POLICY_REJECT];
+const DEFAULT_PLAUSIBILITY_POLICY = PLAUSIBILITY_POLICY_QUARANTINE;
+
+// Handling of readings outside the accepted timestamp window
+const TIMESTAMP_POLICY_REJECT = 'reject';
+const TIMESTAMP_POLICY_FLAG = 'flag';
+const TIMESTAMP_POLICIES = [TIMESTAMP_POLICY_REJECT, TIMESTAMP_POLICY_FLAG];
+const DEFAULT_TIMESTAMP_POLICY = TIMESTAMP_POLICY_REJECT;
+
+// Handling of fields the meter's model does not produce
+const CAPABILITY_POLICY_DROP = 'drop';
+const CAPABILITY_POLICY_REJECT = 'reject';
+const CAPABILITY_POLICIES = [CAPABILITY_POLICY_DROP, CAPABILITY_POLICY_REJECT];
+const DEFAULT_CAPABILITY_POLICY = CAPABILITY_POLICY_DROP;
+
+// Ingestion modes: engineering values (as stored) or raw register values scaled with the registry
+const INGESTION_MODE_ENGINEERING = 'engineering';
+const INGESTION_MODE_RAW = 'raw';
+const INGESTION_MODES = [INGESTION_MODE_ENGINEERING, INGESTION_MODE_RAW];
+
+// Environment name used for each schema (matches the enviroment query parameter)
+const SCHEMA_ENVIRONMENTS = { public: 'production', demo: 'demo', dev: 'dev' };
+
+// Error types attached to rejected records
+const ERROR_TYPE_VALIDATION = 'ValidationError';
+const ERROR_TYPE_DATABASE = 'DatabaseError';
+const ERROR_TYPE_DUPLICATE = 'DuplicateError';
+const ERROR_TYPE_PLAUSIBILITY = 'PlausibilityError';
+const ERROR_TYPE_TIMESTAMP = 'TimestampError';
+const ERROR_TYPE_DECOMMISSIONED = 'DecommissionedError';
+
+/**
+ * Reads a per-environment policy setting: <SETTING>_<ENV>, then <SETTING>, then the default
+ * @param {string} setting - App setting name without the environment suffix
+ * @param {string} schema - Measurement schema (public, demo or dev)
+ * @param {Array<string>} allowed - Allowed values
+ * @param {string} defaultValue - Value used when nothing (valid) is configured
+ * @returns {string} Configured policy
+ */
+function getEnvironmentPolicy(setting, schema, allowed, defaultValue) {
+    const environment = (SCHEMA_ENVIRONMENTS[schema] || schema).toUpperCase();
+    const configured = (
+        process.env[`${setting}_${environment}`] ||
+        process.env[setting] ||
+        defaultValue
+    ).toLowerCase();
+
+    return allowed.includes(configured) ? configured : defaultValue;
+}
+
+/**
+ * Returns the timestamp window policy configured for a schema (MEASUREMENT_TIMESTAMP_POLICY, default reject).
+ * The window is MEASUREMENT_MAX_FUTURE_SECONDS / MEASUREMENT_MAX_AGE_DAYS (see timestampNormalizer.js); flag
+ * stores the reading with timestamp_flag set to future or past
+ * @param {string} schema - Measurement schema (public, demo or dev)
+ * @returns {string} One of reject or flag
+ */
+function getTimestampPolicy(schema) {
+    return getEnvironmentPolicy('MEASUREMENT_TIMESTAMP_POLICY', schema, TIMESTAMP_POLICIES, DEFAULT_TIMESTAMP_POLICY);
+}
+
+/**
+ * Returns the model capability policy configured for a schema (MEASUREMENT_CAPABILITY_POLICY, default drop).
+ * drop stores the reading without the fields its supported model does not produce and reports them as
+ * unsupportedFields (see modelCapabilities.js)
+ * @param {string} schema - Measurement schema (public, demo or dev)
+ * @returns {string} One of drop or reject
+ */
+function getCapabilityPolicy(schema) {
+    return getEnvironmentPolicy('MEASUREMENT_CAPABILITY_POLICY', schema, CAPABILITY_POLICIES, DEFAULT_CAPABILITY_POLICY);
+}
+
+/**
+ * Reads the ingestion mode from the mode query parameter
+ * @param {Object} request - HTTP request
+ * @returns {{ mode: string, error: (string|undefined) }} Mode (engineering by default) or a validation error
+ */
+function getIngestionMode(request) {
+    const mode = (request.query.get('mode') || INGESTION_MODE_ENGINEERING).toLowerCase();
+    if (!INGESTION_MODES.includes(mode)) {
+        return { mode, error: `Invalid mode '${mode}'. Allowed values: ${INGESTION_MODES.join(', ')}.` };
+    }
+    return { mode };
+}
+
+/**
+ * Returns the duplicate policy configured for a schema (MEASUREMENT_DUPLICATE_POLICY, default ignore).
+ * A reading is a duplicate when its (powermeter_id, timestamp) is already stored or appears earlier in the
+ * request: ignore keeps the stored reading, overwrite replaces it, reject keeps it and rejects the record
+ * @param {string} schema - Measurement schema (public, demo or dev)
+ * @returns {string} One of ignore, overwrite or reject
+ */
+function getDuplicatePolicy(schema) {
+    return getEnvironmentPolicy('MEASUREMENT_DUPLICATE_POLICY', schema, DUPLICATE_POLICIES, DEFAULT_DUPLICATE_POLICY);
+}
+
+/**
+ * Returns the plausibility policy configured for a schema (MEASUREMENT_PLAUSIBILITY_POLICY, default
+ * quarantine). quarantine stores implausible readings in <schema>.measurements_quarantine instead of measurements
+ * @param {string} schema - Measurement schema (public, demo or dev)
+ * @returns {string} One of quarantine or reject
+ */
+function getPlausibilityPolicy(schema) {
+    return getEnvironmentPolicy('MEASUREMENT_PLAUSIBILITY_POLICY', schema, PLAUSIBILITY_POLICIES, DEFAULT_PLAUSIBILITY_POLICY);
+}
+
+/**
+ * Validates a single measurement record against the field names, required fields and types of the schema
+ * @param {Object} record - Measurement payload as received from the device
+ * @returns {Object} Validation result with isValid, error and details; record holds the type-coerced values
+ */
+function validateMeasurement(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return { isValid: false, error: 'Measurement must be a JSON object.', details: {} };
+    }
+
+    const keys = Object.keys(record);
+    const invalidKeys = keys.filter(k => !MEASUREMENT_FIELD_NAMES.includes(k));
+    if (invalidKeys.length > 0) {
+        return { isValid: false, error: 'Invalid variable names detected.', details: { invalidKeys } };
+    }
+
+    const missing = REQUIRED_FIELDS.filter(field => !keys.includes(field));
+    if (missing.length > 0) {
+        return { isValid: false, error: 'Missing required field(s).', details: { requiredFields: REQUIRED_FIELDS, missing } };
+    }
+
+    const { record: typedRecord, fieldErrors } = validateMeasurementTypes(record);
+    if (fieldErrors.length > 0) {
+        return { isValid: false, error: 'Invalid field value(s).', details: { fieldErrors } };
+    }
+
+    return { isValid: true, record: typedRecord };
+}
+
+/**
+ * Finds the schema and powermeter_id of every given serial number.
+ * Cached routes are used first; the remaining serials are resolved with a single query.
+ * @param {Array<string>} serialNumbers - Serial numbers to resolve
+ * @returns {Promise<Map<string, Object>>} Map of serial_number to { schema, powermeter_id, time_zone, status, capabilities }
+ */
+async function resolveSerialNumbers(serialNumbers) {
+    const routes = new Map();
+    const uncachedSerials = [];
+    for (const serialNumber of new Set(serialNumbers.map(String))) {
+        const { cached, route } = getCachedRoute(serialNumber);
+        if (!cached) {
+            uncachedSerials.push(serialNumber);
+        } else if (route) {
+            routes.set(serialNumber, route);
+        }
+    }
+    if (uncachedSerials.length === 0) return routes;
+
+    // Capabilities of the meter's model ride along with the route (null columns: no supported model)
+    const findSchemaQuery = ['demo', 'dev', 'public'].map(schema => `
+        SELECT '${schema}' AS schema, p.powermeter_id, p.serial_number, p.time_zone, p.status,
+               sm.model, sm.measured_fields, sm.measures_thd
+        FROM ${schema}.powermeters p
+        LEFT JOIN public.supported_models sm ON ${supportedModelJoin('p', 'sm')}
+        WHERE p.serial_number = ANY($1)`).join(`
+        UNION ALL`);
+
+    const result = await executeQuery(findSchemaQuery, [uncachedSerials]);
+
+    // Use the first found match (should only ever match one env)
+    for (const row of result.rows) {
+        if (!routes.has(row.serial_number)) {
+            routes.set(row.serial_number, {
+                schema: row.schema,
+                powermeter_id: row.powermeter_id,
+                time_zone: row.time_zone,
+                status: row.status,
+                capabilities: toCapabilities(row)
+            });
+        }
+    }
+
+    // Unknown serials are cached too, so a misconfigured gateway does not hit the database on every post
+    uncachedSerials.forEach(serialNumber => setCachedRoute(serialNumber, routes.get(serialNumber) || null));
+
+    return routes;
+}
+
+/**
+ * Locks the meters of a batch until the end of the transaction and finds the routes that no longer hold: the
+ * cache of this instance may predate a promotion, replacement or decommission done through another instance
+ * @param {import('pg').PoolClient} client - Client with an open transaction
+ * @param {string} schema - Target schema (already resolved from a fixed list)
+ * @param {Array<Object>} meters - { powermeter_id, serial_number } of each row of the batch
+ * @returns {Promise<Set<string>>} Serial numbers whose meter left the schema, changed serial or was decommissioned
+ */
+async function findStaleRoutes(client, schema, meters) {
+    // FOR SHARE makes registry changes of these meters wait until the readings are stored
+    const result = await client.query(
+        `SELECT powermeter_id, serial_number FROM ${schema}.powermeters
+         WHERE powermeter_id = ANY($1) AND status <> $2
+         FOR SHARE`,
+        [[...new Set(meters.map(meter => meter.powermeter_id))], POWERMETER_STATUS_DECOMMISSIONED]
+    );
+    const current = new Map(result.rows.map(row => [String(row.powermeter_id), String(row.serial_number)]));
+    return new Set(meters
+        .filter(meter => current.get(String(meter.powermeter_id)) !== String(meter.serial_number))
+        .map(meter => String(meter.serial_number)));
+}
+
+/**
+ * Finds the rows of a batch whose (powermeter_id, timestamp) is a duplicate, either of a stored
+ * reading or of another row in the same batch
+ * @param {import('pg').PoolClient} client - Client with an open transaction
+ * @param {string} schema - Target schema (already resolved from a fixed list)
+ * @param {Array<Object>} rows - Rows keyed by measurement column, including powermeter_id
+ * @param {string} policy - Duplicate policy; with overwrite the last repeated row of a batch wins
+ * @returns {Promise<Object>} Sets of row positions: stored (already in the table) and repeated (within the batch)
+ */
+async function findDuplicateRows(client, schema, rows, policy) {
+    const existingQuery = `
+        SELECT u.ordinal
+        FROM unnest($1::bigint[], $2::timestamptz[]) WITH ORDINALITY AS u(powermeter_id, reading_time, ordinal)
+        JOIN ${schema}.measurements m
+          ON m.powermeter_id = u.powermeter_id
+         AND m."timestamp" = u.reading_time
+    `;
+    const existing = await client.query(existingQuery, [
+        rows.map(row => row.powermeter_id),
+        rows.map(row => row.timestamp)
+    ]);
+    const stored = new Set(existing.rows.map(row => Number(row.ordinal) - 1));
+
+    // Within the batch the first occurrence wins, except with overwrite where the last one does
+    const repeated = new Set();
+    const seen = new Set();
+    const positions = rows.map((_, position) => position);
+    if (policy === DUPLICATE_POLICY_OVERWRITE) positions.reverse();
+
+    for (const position of positions) {
+        const key = `${rows[position].powermeter_id}|${rows[position].timestamp}`;
+        if (seen.has(key)) repeated.add(position);
+        seen.add(key);
+    }
+
+    return { stored, repeated };
+}
+
+/**
+ * Builds the ON CONFLICT clause for a duplicate policy
+ * @param {string} policy - Duplicate policy
+ * @param {Array<string>} columns - Inserted columns
+ * @returns {string} ON CONFLICT clause
+ */
+function buildConflictClause(policy, columns) {
+    const updatableColumns = columns.filter(column => column !== 'powermeter_id' && column !== 'timestamp');
+    if (policy !== DUPLICATE_POLICY_OVERWRITE || updatableColumns.length === 0) {
+        return 'ON CONFLICT (powermeter_id, "timestamp") DO NOTHING';
+    }
+    const assignments = updatableColumns.map(column => `${column} = EXCLUDED.${column}`);
+    return `ON CONFLICT (powermeter_id, "timestamp") DO UPDATE SET ${assignments.join(', ')}`;
+}
+
+/**
+ * Inserts rows into <schema>.measurements using multi-row statements.
+ * Rows are grouped by column set so every statement has a uniform column list.
+ * @param {import('pg').PoolClient} client - Client with an open transaction
+ * @param {string} schema - Target schema (already resolved from a fixed list)
+ * @param {Array<Object>} rows - Rows keyed by measurement column, including powermeter_id
+ * @param {string} [policy] - Duplicate policy applied to readings that already exist
+ * @returns {Promise<number>} Number of inserted or updated rows
+ */
+async function insertMeasurementRows(client, schema, rows, policy = DEFAULT_DUPLICATE_POLICY) {
+    const groups = new Map();
+    for (const row of rows) {
+        const columns = Object.keys(row).sort();
+        const signature = columns.join(',');
+        if (!groups.has(signature)) groups.set(signature, { columns, rows: [] });
+        groups.get(signature).rows.push(row);
+    }
+
+    let inserted = 0;
+    for (const { columns, rows: groupRows } of groups.values()) {
+        const rowsPerStatement = Math.max(1, Math.floor(MAX_PARAMS_PER_STATEMENT / columns.length));
+
+        for (let start = 0; start < groupRows.length; start += rowsPerStatement) {
+            const chunk = groupRows.slice(start, start + rowsPerStatement);
+            const values = [];
+            const tuples = chunk.map(row => {
+                const placeholders = columns.map(column => {
+                    values.push(row[column]);
+                    return `$${values.length}`;
+                });
+                return `(${placeholders.join(',')})`;
+            });
+
+            const result = await client.query(
+                `INSERT INTO ${schema}.measurements (${columns.join(',')}) VALUES ${tuples.join(',')} ${buildConflictClause(policy, columns)}`,
+                values
+            );
+            inserted += result.rowCount;
+        }
+    }
+
+    return inserted;
+}
+
+/**
+ * Stores implausible readings in <schema>.measurements_quarantine for later review; readings ingested in raw
+ * mode keep their raw_values and scaling in the payload, since measurements_raw only holds accepted readings
+ * @param {import('pg').PoolClient} client - Client with an open transaction
+ * @param {string} schema - Target schema (already resolved from a fixed list)
+ * @param {Array<Object>} entries - { row, violations, raw } (raw is { raw, config } or null)
+ * @returns {Promise<void>}
+ */
+async function insertQuarantinedRows(client, schema, entries) {
+    const query = `
+        INSERT INTO ${schema}.measurements_quarantine (powermeter_id, "timestamp", payload, violations)
+        SELECT q.powermeter_id, (q.payload->>'timestamp')::timestamptz, q.payload, q.violations
+        FROM jsonb_to_recordset($1::jsonb) AS q(powermeter_id BIGINT, payload JSONB, violations JSONB)
+    `;
+    const recordset = entries.map(({ row, violations, raw }) => ({
+        powermeter_id: row.powermeter_id,
+        payload: raw ? { ...row, raw_values: raw.raw, scaling: raw.config } : row,
+        violations
+    }));
+    await client.query(query, [JSON.stringify(recordset)]);
+}
+
+/**
+ * Applies the duplicate policy to the plausible rows of a schema and inserts the ones to keep
+ * @param {import('pg').PoolClient} client - Client with an open transaction
+ * @param {string} schema - Target schema (already resolved from a fixed list)
+ * @param {Array<Object>} rows - Plausible rows
+ * @param {string} policy - Duplicate policy of the schema
+ * @returns {Promise<Array<Object>>} Per-row result fields, in the order of rows
+ */
+async function storePlausibleRows(client, schema, rows, policy) {
+    if (rows.length === 0) return [];
+
+    const { stored, repeated } = await findDuplicateRows(client, schema, rows, policy);
+    const rowsToInsert = [];
+    const statuses = rows.map((row, position) => {
+        const isDuplicate = stored.has(position) || repeated.has(position);
+        const status = { duplicatePolicy: policy, ...(isDuplicate && { duplicate: true }) };
+
+        if (!isDuplicate || (policy === DUPLICATE_POLICY_OVERWRITE && !repeated.has(position))) {
+            rowsToInsert.push(row);
+            return { ...status, status: RECORD_STATUS_ACCEPTED };
+        }
+        if (policy === DUPLICATE_POLICY_REJECT) {
+            return {
+                ...status,
+                status: RECORD_STATUS_REJECTED,
+                errorType: ERROR_TYPE_DUPLICATE,
+                reason: 'A measurement for this powermeter and timestamp already exists.'
+            };
+        }
+        return {
+            ...status,
+            status: RECORD_STATUS_DUPLICATE,
+            reason: policy === DUPLICATE_POLICY_OVERWRITE
+                ? 'Superseded by a later reading with the same timestamp in this request.'
+                : 'Duplicate measurement ignored.'
+        };
+    });
+
+    if (rowsToInsert.length > 0) {
+        await insertMeasurementRows(client, schema, rowsToInsert, policy);
+    }
+    return statuses;
+}
+
+/**
+ * Validates, routes and inserts a list of measurement records. In raw mode the registry scale factors and
+ * CT/VT ratios are applied first (see rawScaling.js); readings of decommissioned meters are rejected, and
+ * accepted readings update their meter's heartbeat in the same transaction (see heartbeat/meterHeartbeat.js)
+ * @param {Array<Object>} records - Measurement payloads, each with serial_number and timestamp
+ * @param {Object} context - Function context used for logging
+ * @param {Object} [options]
+ * @param {string} [options.mode] - INGESTION_MODE_ENGINEERING (default) or INGESTION_MODE_RAW
+ * @param {string} [options.duplicatePolicy] - Overrides the environment's duplicate policy (e.g. overwrite for imports)
+ * @param {string} [options.timeZone] - Time zone for timestamps without offset, instead of the meter's time_zone
+ * @param {boolean} [options.enforceTimestampWindow] - false accepts readings of any age (historical imports)
+ * @param {boolean} [options.trackHeartbeat] - false leaves the meters' last-seen time untouched (historical imports)
+ * @param {number} [options.receivedAt] - Epoch ms the readings reached the API (enqueue time for queued readings)
+ * @param {boolean} [options.rerouteStale] - Readings whose cached route turned out stale are routed again from
+ * the database; false (the second pass) rejects them as a transient database error instead
+ * @returns {Promise<Object>} Per-record results (same order as input) and a status summary
+ */
+async function ingestMeasurements(records, context, {
+    mode = INGESTION_MODE_ENGINEERING,
+    duplicatePolicy: duplicatePolicyOverride,
+    timeZone,
+    enforceTimestampWindow = true,
+    trackHeartbeat = true,
+    receivedAt = Date.now(),
+    rerouteStale = true
+} = {}) {
+    const results = records.map((record, index) => ({
+        index,
+        serial_number: record && typeof record === 'object' ? record.serial_number ?? null : null,
+        status: null
+    }));
+
+    // Validate every record before touching the database
+    const validIndexes = [];
+    const typedRecords = [];
+    records.forEach((record, index) => {
+        const validation = validateMeasurement(record);
+        if (!validation.isValid) {
+            Object.assign(results[index], {
+                status: RECORD_STATUS_REJECTED,
+                errorType: ERROR_TYPE_VALIDATION,
+                reason: validation.error,
+                details: validation.details
+            });
+        } else {
+            validIndexes.push(index);
+            typedRecords[index] = validation.record;
+        }
+    });
+
+    // Resolve all serial numbers at once
+    const routes = await resolveSerialNumbers(validIndexes.map(index => typedRecords[index].serial_number));
+
+    const routedBySchema = new Map();
+    for (const index of validIndexes) {
+        const route = routes.get(String(typedRecords[index].serial_number));
+
+        if (!route) {
+            Object.assign(results[index], {
+                status: RECORD_STATUS_UNKNOWN_SERIAL,
+                reason: 'Serial number not found in any schema.'
+            });
+            continue;
+        }
+
+        if (route.status === POWERMETER_STATUS_DECOMMISSIONED) {
+            Object.assign(results[index], {
+                schema: route.schema,
+                status: RECORD_STATUS_REJECTED,
+                errorType: ERROR_TYPE_DECOMMISSIONED,
+                reason: 'Powermeter is decommissioned; readings are no longer accepted.'
+            });
+            continue;
+        }
+
+        if (!routedBySchema.has(route.schema)) routedBySchema.set(route.schema, []);
+        routedBySchema.get(route.schema).push({ index, route });
+        results[index].schema = route.schema;
+    }
+
+    const rowsBySchema = new Map();
+    for (const [schema, routed] of routedBySchema) {
+        const scalingConfigs = mode === INGESTION_MODE_RAW
+            ? await loadScalingConfigs(schema, routed.map(({ route }) => route.powermeter_id))
+            : null;
+
+        const timestampPolicy = getTimestampPolicy(schema);
+        const capabilityPolicy = getCapabilityPolicy(schema);
+        const entry = { indexes: [], rows: [], violations: [], raw: [] };
+        for (const { index, route } of routed) {
+            const { serial_number, ...received } = typedRecords[index];
+
+            const timestamp = normalizeTimestamp(received.timestamp, timeZone || route.time_zone);
+            if (timestamp.error) {
+                Object.assign(results[index], {
+                    status: RECORD_STATUS_REJECTED,
+                    errorType: ERROR_TYPE_VALIDATION,
+                    reason: 'Invalid field value(s).',
+                    details: { fieldErrors: [{ field: 'timestamp', error: timestamp.error, value: received.timestamp }] }
+                });
+                continue;
+            }
+            const { clockSkewSeconds, flag } = enforceTimestampWindow
+                ? checkTimestampWindow(timestamp.epochMs, receivedAt)
+                : { clockSkewSeconds: null, flag: null };
+            if (flag && timestampPolicy === TIMESTAMP_POLICY_REJECT) {
+                Object.assign(results[index], {
+                    status: RECORD_STATUS_REJECTED,
+                    errorType: ERROR_TYPE_TIMESTAMP,
+                    reason: `Timestamp is too far in the ${flag} (clock skew ${Math.round(clockSkewSeconds)} s).`,
+                    details: { timestamp: timestamp.utc, clockSkewSeconds, timestampPolicy }
+                });
+                continue;
+            }
+            received.timestamp = timestamp.utc;
+            if (flag) Object.assign(results[index], { timestampFlag: flag, timestampPolicy });
+
+            const unsupportedFields = findUnsupportedFields(received, route.capabilities);
+            if (unsupportedFields.length > 0) {
+                if (capabilityPolicy === CAPABILITY_POLICY_REJECT) {
+                    Object.assign(results[index], {
+                        status: RECORD_STATUS_REJECTED,
+                        errorType: ERROR_TYPE_VALIDATION,
+                        reason: 'Field(s) not supported by this model.',
+                        details: { model: route.capabilities.model, unsupportedFields, capabilityPolicy }
+                    });
+                    continue;
+                }
+                unsupportedFields.forEach(field => { delete received[field]; });
+                Object.assign(results[index], { unsupportedFields, capabilityPolicy });
+            }
+
+            let measurement = received;
+            let raw = null;
+
+            if (scalingConfigs) {
+                const config = scalingConfigAt(scalingConfigs.get(String(route.powermeter_id)), timestamp.epochMs);
+                const scaled = scaleMeasurement(received, config);
+                if (scaled.missingScaleFactors.length > 0) {
+                    Object.assign(results[index], {
+                        status: RECORD_STATUS_REJECTED,
+                        errorType: ERROR_TYPE_VALIDATION,
+                        reason: 'Missing scale factor(s) in the powermeter registry; the raw reading cannot be scaled.',
+                        details: { missingScaleFactors: scaled.missingScaleFactors }
+                    });
+                    continue;
+                }
+                measurement = scaled.values;
+                raw = { raw: scaled.raw, config };
+            }
+
+            entry.indexes.push(index);
+            entry.rows.push({
+                ...measurement,
+                powermeter_id: route.powermeter_id,
+                received_at: new Date(receivedAt).toISOString(),
+                clock_skew_seconds: clockSkewSeconds,
+                timestamp_flag: flag
+            });
+            entry.violations.push(checkPlausibility(measurement));
+            entry.raw.push(raw);
+        }
+        if (entry.indexes.length > 0) rowsBySchema.set(schema, entry);
+    }
+
+    // One transaction per schema: either all of its readings are stored or none
+    const staleIndexes = [];
+    let rerouted = null;
+    for (const [schema, entry] of rowsBySchema) {
+        const duplicatePolicy = duplicatePolicyOverride || getDuplicatePolicy(schema);
+        const plausibilityPolicy = getPlausibilityPolicy(schema);
+        let { indexes, rows, violations, raw } = entry;
+        const client = await getClient();
+        try {
+            await client.query('BEGIN');
+
+            const staleSerials = await findStaleRoutes(client, schema, indexes.map((index, position) => ({
+                powermeter_id: rows[position].powermeter_id,
+                serial_number: typedRecords[index].serial_number
+            })));
+            if (staleSerials.size > 0) {
+                staleSerials.forEach(invalidateSerialRoute);
+                const current = [];
+                indexes.forEach((index, position) => {
+                    if (staleSerials.has(String(typedRecords[index].serial_number))) {
+                        staleIndexes.push(index);
+                    } else {
+                        current.push(position);
+                    }
+                });
+                [indexes, rows, violations, raw] = [entry.indexes, entry.rows, entry.violations, entry.raw]
+                    .map(values => current.map(position => values[position]));
+            }
+
+            // Split plausible readings from the ones violating the schema bounds or rules
+            const statuses = new Array(indexes.length);
+            const plausiblePositions = [];
+            const quarantined = [];
+            indexes.forEach((index, position) => {
+                if (violations[position].length === 0) {
+                    plausiblePositions.push(position);
+                    return;
+                }
+                const base = { plausibilityPolicy, violations: violations[position] };
+                if (plausibilityPolicy === PLAUSIBILITY_POLICY_REJECT) {
+                    statuses[position] = {
+                        ...base,
+                        status: RECORD_STATUS_REJECTED,
+                        errorType: ERROR_TYPE_PLAUSIBILITY,
+                        reason: 'Reading is outside physical plausibility limits.'
+                    };
+                } else {
+                    statuses[position] = { ...base, status: RECORD_STATUS_QUARANTINED, reason: 'Reading quarantined for review.' };
+                    quarantined.push({ row: rows[position], violations: violations[position], raw: raw[position] });
+                }
+            });
+
+            const plausibleStatuses = await storePlausibleRows(
+                client, schema, plausiblePositions.map(position => rows[position]), duplicatePolicy
+            );
+            plausiblePositions.forEach((position, i) => { statuses[position] = plausibleStatuses[i]; });
+
+            if (quarantined.length > 0) {
+                await insertQuarantinedRows(client, schema, quarantined);
+            }
+
+            // Keep the raw values of every reading stored in measurements, for auditing the scaling; a quarantined
+            // reading must not overwrite those of an accepted one at the same timestamp
+            const rawEntries = [];
+            indexes.forEach((index, position) => {
+                if (statuses[position].status === RECORD_STATUS_ACCEPTED && raw[position]) {
+                    rawEntries.push({
+                        powermeter_id: rows[position].powermeter_id,
+                        timestamp: rows[position].timestamp,
+                        ...raw[position]
+                    });
+                }
+            });
+            if (rawEntries.length > 0) {
+                await insertRawValues(client, schema, rawEntries);
+            }
+
+            if (trackHeartbeat) {
+                const acceptedRows = rows.filter((row, position) => statuses[position].status === RECORD_STATUS_ACCEPTED);
+                await recordHeartbeats(client, schema, acceptedRows, receivedAt);
+            }
+            await client.query('COMMIT');
+
+            indexes.forEach((index, position) => Object.assign(results[index], statuses[position]));
+            context.log(`Processed ${rows.length} measurement(s) for ${schema} (duplicate policy: ${duplicatePolicy}, ${quarantined.length} quarantined).`);
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            context.log.error(`Error inserting measurements into ${schema}.measurements:`, error);
+
+            indexes.forEach(index => {
+                Object.assign(results[index], {
+                    status: RECORD_STATUS_REJECTED,
+                    errorType: ERROR_TYPE_DATABASE,
+                    reason: `Database operation failed: ${error.message}`
+                });
+            });
+        } finally {
+            client.release();
+        }
+    }
+
+    if (staleIndexes.length > 0 && rerouteStale) {
+        context.log.warn(`Routing ${staleIndexes.length} reading(s) again: their powermeter changed since the route was cached.`);
+        rerouted = await ingestMeasurements(staleIndexes.map(index => records[index]), context, {
+            mode, duplicatePolicy: duplicatePolicyOverride, timeZone, enforceTimestampWindow, trackHeartbeat, receivedAt, rerouteStale: false
+        });
+        staleIndexes.forEach((index, position) => { results[index] = { ...rerouted.results[position], index }; });
+    } else {
+        staleIndexes.forEach(index => {
+            Object.assign(results[index], {
+                status: RECORD_STATUS_REJECTED,
+                errorType: ERROR_TYPE_DATABASE,
+                reason: 'Powermeter changed while the readings were being stored; retry.'
+            });
+        });
+    }
+
+    const summary = {
+        total: results.length,
+        [RECORD_STATUS_ACCEPTED]: 0,
+        [RECORD_STATUS_REJECTED]: 0,
+        [RECORD_STATUS_UNKNOWN_SERIAL]: 0,
+        [RECORD_STATUS_DUPLICATE]: 0,
+        [RECORD_STATUS_QUARANTINED]: 0
+    };
+    results.forEach(result => { summary[result.status]++; });
+
+    // Policies applied, by environment, for the schemas this request touched
+    const duplicatePolicies = {};
+    const plausibilityPolicies = {};
+    for (const schema of rowsBySchema.keys()) {
+        duplicatePolicies[SCHEMA_ENVIRONMENTS[schema]] = duplicatePolicyOverride || getDuplicatePolicy(schema);
+        plausibilityPolicies[SCHEMA_ENVIRONMENTS[schema]] = getPlausibilityPolicy(schema);
+    }
+
+    if (rerouted) {
+        Object.assign(duplicatePolicies, rerouted.duplicatePolicies);
+        Object.assign(plausibilityPolicies, rerouted.plausibilityPolicies);
+    }
+
+    return { results, summary, mode, duplicatePolicies, plausibilityPolicies };
+}
+
+module.exports = {
+    MEASUREMENT_FIELD_NAMES,
+    REQUIRED_FIELDS,
+    RECORD_STATUS_ACCEPTED,
+    RECORD_STATUS_REJECTED,
+    RECORD_STATUS_UNKNOWN_SERIAL,
+    RECORD_STATUS_DUPLICATE,
+    RECORD_STATUS_QUARANTINED,
+    DUPLICATE_POLICY_IGNORE,
+    DUPLICATE_POLICY_OVERWRITE,
+    DUPLICATE_POLICY_REJECT,
+    PLAUSIBILITY_POLICY_QUARANTINE,
+    PLAUSIBILITY_POLICY_REJECT,
+    TIMESTAMP_POLICY_REJECT,
+    TIMESTAMP_POLICY_FLAG,
+    CAPABILITY_POLICY_DROP,
+    CAPABILITY_POLICY_REJECT,
+    INGESTION_MODE_ENGINEERING,
+    INGESTION_MODE_RAW,
+    INGESTION_MODES,
+    ERROR_TYPE_VALIDATION,
+    ERROR_TYPE_DATABASE,
+    ERROR_TYPE_DUPLICATE,
+    ERROR_TYPE_PLAUSIBILITY,
+    ERROR_TYPE_TIMESTAMP,
+    ERROR_TYPE_DECOMMISSIONED,
+    getIngestionMode,
+    getDuplicatePolicy,
+    getPlausibilityPolicy,
+    getTimestampPolicy,
+    getCapabilityPolicy,
+    validateMeasurement,
+    resolveSerialNumbers,
+    insertMeasurementRows,
+    ingestMeasurements
+};
@@ -0,0 +1,415 @@
+/**
+ * FileName: src/functions/ingestion/measurementQueue.js
+ * Author(s): Arturo Vargas
+ * Brief: Queue path of measurement ingestion: message format, enqueueing and processing of queued readings.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * Readings can be enqueued instead of inserted right away, so devices keep reporting while the database
+ * (or the pgPool circuit breaker) is down. Producers are the HTTP endpoints in async mode (?async=true) and
+ * devices or gateways writing to the Storage queue directly. A message is a JSON object with either:
+ *   { "records": [ { measurement }, ... ], "mode": "raw" }
+ *   { "serial_number": "DEMO0001", "fields": [...], "rows": [[...], ...] }   (compact, see payloadDecoding.js)
+ * plus the optional receivedAt (ISO time used for clock skew, the enqueue time by default) and source.
+ * Messages written by the API are split to stay under the Storage queue message size.
+ *
+ * MEASUREMENT_QUEUE_BACKEND selects where messages go:
+ *   - storage (default): Storage queue MEASUREMENT_QUEUE_NAME ('measurement-ingestion') in the account of the
+ *     app setting named by MEASUREMENT_QUEUE_CONNECTION ('AzureWebJobsStorage')
+ *   - memory or file: local stand-ins for development (see localMeasurementQueue.js)
+ *
+ * Processing runs ingestMeasurements on the whole message (one multi-row insert per schema). Database failures
+ * throw so the message is delivered again; readings stored by an earlier attempt come back as duplicates and
+ * follow the duplicate policy. Rejected readings go to the dead-letter store as on the HTTP endpoints, and so
+ * do all readings of a message that exhausts its delivery attempts (poison message).
+ *
+ * A database outage must not turn readings into poison messages: while the pgPool circuit breaker is not
+ * closed or the failure is a connection error, a message on its last delivery attempt is enqueued again
+ * (keeping its receivedAt) instead of failing. The poison handler likewise enqueues a message back to the
+ * -poison queue when it cannot store the dead letters, so nothing reaches <queue>-poison-poison. The local
+ * stand-ins retry such messages with capped exponential backoff and never poison them.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { output } = require('@azure/functions');
+const { getPoolMetrics } = require('../pgPool');
+const { isRetryableError } = require('../errorHandler');
+const {
+    ingestMeasurements,
+    INGESTION_MODE_ENGINEERING,
+    INGESTION_MODES,
+    RECORD_STATUS_REJECTED,
+    ERROR_TYPE_VALIDATION,
+    ERROR_TYPE_DATABASE
+} = require('./measurementIngestion');
+const { recordDeadLetters } = require('./deadLetters');
+const { isCompactPayload, expandCompactPayload } = require('./payloadDecoding');
+const { getLocalQueue } = require('./localMeasurementQueue');
+
+const MEASUREMENT_QUEUE_NAME = process.env.MEASUREMENT_QUEUE_NAME || 'measurement-ingestion';
+const MEASUREMENT_QUEUE_CONNECTION = process.env.MEASUREMENT_QUEUE_CONNECTION || 'AzureWebJobsStorage';
+const QUEUE_BACKEND_STORAGE = 'storage';
+
+// Must match extensions.queues.maxDequeueCount in host.json
+const MAX_DEQUEUE_COUNT = 10;
+
+// Retry delays of the local stand-ins: doubled per attempt up to the maximum
+const LOCAL_RETRY_BASE_MS = 10000;
+const LOCAL_RETRY_MAX_MS = 300000;
+
+const CIRCUIT_BREAKER_CLOSED = 'CLOSED';
+const CIRCUIT_BREAKER_OPEN_PATTERN = /circuit breaker is open/i;
+
+const POISON_REASON = `Queue message failed ${MAX_DEQUEUE_COUNT} delivery attempts.`;
+
+// Storage queue messages are limited to 64 KiB after base64 encoding (4/3 growth)
+const MAX_MESSAGE_BYTES = 45000;
+
+const QUEUE_ENDPOINT = 'measurementQueue';
+
+const measurementQueueOutput = output.storageQueue({
+    queueName: MEASUREMENT_QUEUE_NAME,
+    connection: MEASUREMENT_QUEUE_CONNECTION
+});
+
+const measurementPoisonQueueOutput = output.storageQueue({
+    queueName: `${MEASUREMENT_QUEUE_NAME}-poison`,
+    connection: MEASUREMENT_QUEUE_CONNECTION
+});
+
+/**
+ * Tells whether an ingestion request asks for async mode (?async=true)
+ * @param {Object} request - HTTP request
+ * @returns {boolean} True when the readings must be enqueued
+ */
+function isAsyncRequest(request) {
+    return (request.query.get('async') || '').toLowerCase() === 'true';
+}
+
+/**
+ * Splits records into queue messages under MAX_MESSAGE_BYTES
+ * @param {Array<Object>} records - Measurement records
+ * @param {Object} envelope - Fields shared by every message ({ mode, receivedAt, source })
+ * @returns {Array<Object>} Queue messages
+ * @throws {Error} When a single record does not fit in a message
+ */
+function buildQueueMessages(records, envelope) {
+    const envelopeBytes = Buffer.byteLength(JSON.stringify({ ...envelope, records: [] }));
+    const messages = [];
+    let current = [];
+    let currentBytes = envelopeBytes;
+
+    for (const record of records) {
+        // +1 for the comma between array items
+        const recordBytes = Buffer.byteLength(JSON.stringify(record)) + 1;
+        if (envelopeBytes + recordBytes > MAX_MESSAGE_BYTES) {
+            throw new Error(`A measurement exceeds the queue message size (${MAX_MESSAGE_BYTES} bytes).`);
+        }
+        if (currentBytes + recordBytes > MAX_MESSAGE_BYTES) {
+            messages.push({ ...envelope, records: current });
+            current = [];
+            currentBytes = envelopeBytes;
+        }
+        current.push(record);
+        currentBytes += recordBytes;
+    }
+    if (current.length > 0) messages.push({ ...envelope, records: current });
+
+    return messages;
+}
+
+/**
+ * Enqueues readings for the queue-triggered ingestion
+ * @param {Array<Object>} records - Measurement records (not validated yet)
+ * @param {Object} options - { mode, source } of the producing request
+ * @param {Object} context - Function context; its extraOutputs must include measurementQueueOutput
+ * @returns {Promise<{ messages: number, backend: string }>} Messages written and the backend used
+ */
+async function enqueueMeasurements(records, { mode = INGESTION_MODE_ENGINEERING, source = null } = {}, context) {
+    const messages = buildQueueMessages(records, { mode, receivedAt: new Date().toISOString(), source });
+
+    const localQueue = getLocalQueue();
+    if (localQueue) {
+        await localQueue.send(messages);
+        return { messages: messages.length, backend: localQueue.backend };
+    }
+
+    context.extraOutputs.set(measurementQueueOutput, messages);
+    return { messages: messages.length, backend: QUEUE_BACKEND_STORAGE };
+}
+
+/**
+ * Reads a queue message into records and ingestion options
+ * @param {Object|string} message - Queue message (parsed by the trigger when it is JSON)
+ * @returns {Object} { records, mode, receivedAt, source } or { error }
+ */
+function decodeQueueMessage(message) {
+    let body = message;
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+        try {
+            body = JSON.parse(body.toString());
+        } catch (err) {
+            return { error: 'Queue message is not valid JSON.' };
+        }
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Queue message must be a JSON object.' };
+    }
+
+    const mode = body.mode || INGESTION_MODE_ENGINEERING;
+    if (!INGESTION_MODES.includes(mode)) {
+        return { error: `Invalid mode. Allowed values: ${INGESTION_MODES.join(', ')}.` };
+    }
+
+    const receivedAt = body.receivedAt ? Date.parse(body.receivedAt) : NaN;
+    const source = {
+        endpoint: (body.source && body.source.endpoint) || QUEUE_ENDPOINT,
+        ip: (body.source && body.source.ip) || null,
+        userAgent: (body.source && body.source.userAgent) || null,
+        mode
+    };
+    const options = { mode, receivedAt: Number.isFinite(receivedAt) ? receivedAt : undefined, source };
+
+    if (isCompactPayload(body)) {
+        const compactBody = { ...body };
+        ['mode', 'receivedAt', 'source'].forEach(key => delete compactBody[key]);
+        const { records, error } = expandCompactPayload(compactBody);
+        return error ? { error } : { records, ...options };
+    }
+    if (!Array.isArray(body.records)) {
+        return { error: 'Queue message must contain "records" or a compact "fields"/"rows" payload.' };
+    }
+    return { records: body.records, ...options };
+}
+
+/**
+ * Stores an undecodable message as a single dead letter so it is not silently dropped
+ * @param {*} message - Queue message
+ * @param {string} reason - Why it could not be decoded
+ * @param {Object} context - Function context
+ * @returns {Promise<number>} Dead letters stored (0 when the store failed)
+ */
+async function deadLetterInvalidMessage(message, reason, context) {
+    const result = { index: 0, serial_number: null, status: RECORD_STATUS_REJECTED, errorType: ERROR_TYPE_VALIDATION, reason };
+    return recordDeadLetters([message], [result], { endpoint: QUEUE_ENDPOINT, ip: null, userAgent: null, mode: INGESTION_MODE_ENGINEERING }, context);
+}
+
+/**
+ * Ingests the readings of one queue message
+ * @param {Object|string} message - Queue message
+ * @param {Object} context - Function context
+ * @param {Object} [options]
+ * @param {string} [options.insertedAt] - Time the message was enqueued, used when it has no receivedAt
+ * @returns {Promise<Object>} Ingestion summary ({} for an invalid message)
+ * @throws {Error} When the database failed, so the message is delivered again
+ */
+async function processQueueMessage(message, context, { insertedAt } = {}) {
+    const { records, mode, receivedAt, source, error } = decodeQueueMessage(message);
+    if (error) {
+        context.log.warn(`Dead-lettering invalid measurement queue message: ${error}`);
+        if (await deadLetterInvalidMessage(message, error, context) === 0) {
+            throw new Error('Invalid measurement queue message could not be dead-lettered.');
+        }
+        return {};
+    }
+
+    const enqueuedAt = insertedAt ? Date.parse(insertedAt) : NaN;
+    const { results, summary } = await ingestMeasurements(records, context, {
+        mode,
+        receivedAt: receivedAt ?? (Number.isFinite(enqueuedAt) ? enqueuedAt : undefined)
+    });
+
+    const databaseFailures = results.filter(result => result.errorType === ERROR_TYPE_DATABASE);
+    if (databaseFailures.length > 0) {
+        throw new Error(`${databaseFailures.length} queued measurement(s) failed on the database: ${databaseFailures[0].reason}`);
+    }
+
+    await recordDeadLetters(records, results, source, context);
+    return summary;
+}
+
+/**
+ * Stores every reading of a message that exhausted its delivery attempts as a dead letter
+ * @param {Object|string} message - Queue message
+ * @param {Object} context - Function context
+ * @param {string} reason - Why the message was given up
+ * @returns {Promise<number>} Dead letters stored
+ * @throws {Error} When the dead letters could not be stored, so the poison message is kept
+ */
+async function deadLetterPoisonMessage(message, context, reason) {
+    const { records, source, error } = decodeQueueMessage(message);
+    const expected = error ? 1 : records.length;
+    const stored = error
+        ? await deadLetterInvalidMessage(message, error, context)
+        : await recordDeadLetters(records, records.map((record, index) => ({
+            index,
+            serial_number: record && typeof record === 'object' ? record.serial_number ?? null : null,
+            status: RECORD_STATUS_REJECTED,
+            errorType: ERROR_TYPE_DATABASE,
+            reason
+        })), source, context);
+
+    if (stored < expected) {
+        throw new Error(`Stored ${stored} of ${expected} dead letter(s) for a poison measurement message.`);
+    }
+    return stored;
+}
+
+/**
+ * Tells whether a failure means the database is unreachable, as opposed to rejecting the readings
+ * @param {Error} error - Error thrown while processing a message
+ * @returns {boolean} True while the circuit breaker is not closed or for connection errors
+ */
+function isDatabaseUnavailable(error) {
+    return getPoolMetrics().circuitBreakerState !== CIRCUIT_BREAKER_CLOSED ||
+        CIRCUIT_BREAKER_OPEN_PATTERN.test(error.message || '') ||
+        isRetryableError(error);
+}
+
+/**
+ * Returns the message to enqueue again, with the enqueue time as receivedAt so clock skew keeps
+ * being measured against the time the readings first arrived
+ * @param {Object|string} message - Queue message
+ * @param {string} [insertedAt] - Time the message was first enqueued
+ * @returns {Object|string} Message to enqueue
+ */
+function withReceivedAt(message, insertedAt) {
+    let body = message;
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+        try {
+            body = JSON.parse(body.toString());
+        } catch (err) {
+            return message;
+        }
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body) || body.receivedAt || !insertedAt) return body;
+    return { ...body, receivedAt: new Date(insertedAt).toISOString() };
+}
+
+/**
+ * Storage queue handler: ingests a message, and enqueues it again instead of letting it become a poison
+ * message when its last delivery attempt fails because the database is unavailable
+ * @param {Object|string} message - Queue message
+ * @param {Object} context - Function context; its extraOutputs must include measurementQueueOutput
+ * @param {Object} delivery - { dequeueCount, insertedAt } from the trigger metadata
+ * @returns {Promise<Object>} { summary } or { requeued: true }
+ * @throws {Error} When the message must be delivered again by the host
+ */
+async function handleQueueMessage(message, context, { dequeueCount, insertedAt }) {
+    try {
+        return { summary: await processQueueMessage(message, context, { insertedAt }) };
+    } catch (error) {
+        if (dequeueCount < MAX_DEQUEUE_COUNT || !isDatabaseUnavailable(error)) throw error;
+
+        context.log.warn(`Database unavailable on the last delivery attempt; measurement queue message enqueued again: ${error.message}`);
+        context.extraOutputs.set(measurementQueueOutput, [withReceivedAt(message, insertedAt)]);
+        return { requeued: true };
+    }
+}
+
+/**
+ * Poison queue handler: stores the readings as dead letters, and enqueues the message back to the poison
+ * queue when its last delivery attempt fails, since nothing consumes <queue>-poison-poison
+ * @param {Object|string} message - Queue message
+ * @param {Object} context - Function context; its extraOutputs must include measurementPoisonQueueOutput
+ * @param {Object} delivery - { dequeueCount } from the trigger metadata
+ * @returns {Promise<Object>} { stored } or { requeued: true }
+ * @throws {Error} When the message must be delivered again by the host
+ */
+async function handlePoisonMessage(message, context, { dequeueCount }) {
+    try {
+        return { stored: await deadLetterPoisonMessage(message, context, POISON_REASON) };
+    } catch (error) {
+        if (dequeueCount < MAX_DEQUEUE_COUNT) throw error;
+
+        context.log.warn(`Poison measurement message could not be dead-lettered; enqueued to the poison queue again: ${error.message}`);
+        context.extraOutputs.set(measurementPoisonQueueOutput, [message]);
+        return { requeued: true };
+    }
+}
+
+/**
+ * Schedules the next attempt of a local queue entry
+ * @param {Object} entry - Local queue entry
+ * @param {number} now - Current epoch ms
+ * @returns {void}
+ */
+function scheduleLocalRetry(entry, now) {
+    const delayMs = Math.min(LOCAL_RETRY_BASE_MS * 2 ** (entry.dequeueCount - 1), LOCAL_RETRY_MAX_MS);
+    entry.nextAttemptAt = new Date(now + delayMs).toISOString();
+}
+
+/**
+ * Processes the due messages of the local queue stand-in
+ * @param {Object} localQueue - From getLocalQueue()
+ * @param {Object} context - Function context
+ * @returns {Promise<{ processed: number, retried: number, poisoned: number }>} Outcome counts
+ */
+async function drainLocalQueue(localQueue, context) {
+    const counts = { processed: 0, retried: 0, poisoned: 0 };
+    const now = Date.now();
+
+    for (const entry of await localQueue.receiveAll()) {
+        if (entry.nextAttemptAt && Date.parse(entry.nextAttemptAt) > now) {
+            await localQueue.requeue(entry);
+            continue;
+        }
+
+        entry.dequeueCount++;
+        let unavailable;
+        try {
+            await processQueueMessage(entry.message, context, { insertedAt: entry.insertedAt });
+            counts.processed++;
+            continue;
+        } catch (error) {
+            context.log.warn(`Local queue message ${entry.id} failed (attempt ${entry.dequeueCount}): ${error.message}`);
+            entry.lastError = error.message;
+            unavailable = isDatabaseUnavailable(error);
+        }
+
+        // Outages are waited out: only readings the database itself fails on are given up
+        if (entry.dequeueCount < MAX_DEQUEUE_COUNT || unavailable) {
+            scheduleLocalRetry(entry, now);
+            await localQueue.requeue(entry);
+            counts.retried++;
+            continue;
+        }
+
+        try {
+            await deadLetterPoisonMessage(entry.message, context, POISON_REASON);
+            counts.poisoned++;
+        } catch (error) {
+            if (isDatabaseUnavailable(error)) {
+                scheduleLocalRetry(entry, now);
+                await localQueue.requeue(entry);
+                counts.retried++;
+                continue;
+            }
+            context.log.error(`Local queue message ${entry.id} could not be dead-lettered; moved to the poison queue:`, error);
+            await localQueue.poison(entry);
+            counts.poisoned++;
+        }
+    }
+
+    return counts;
+}
+
+module.exports = {
+    MEASUREMENT_QUEUE_NAME,
+    MEASUREMENT_QUEUE_CONNECTION,
+    MAX_DEQUEUE_COUNT,
+    measurementQueueOutput,
+    measurementPoisonQueueOutput,
+    isAsyncRequest,
+    buildQueueMessages,
+    enqueueMeasurements,
+    decodeQueueMessage,
+    processQueueMessage,
+    deadLetterPoisonMessage,
+    isDatabaseUnavailable,
+    handleQueueMessage,
+    handlePoisonMessage,
+    drainLocalQueue
+};
@@ -0,0 +1,158 @@
+/**
+ * FileName: src/functions/ingestion/measurementResponse.js
+ * Author(s): Arturo Vargas
+ * Brief: HTTP response of the single-reading ingestion endpoints (postMeasurement, postRegisterBlock).
+ * Date: 2026-10-19
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const {
+    MEASUREMENT_FIELD_NAMES,
+    RECORD_STATUS_ACCEPTED,
+    RECORD_STATUS_UNKNOWN_SERIAL,
+    RECORD_STATUS_DUPLICATE,
+    RECORD_STATUS_QUARANTINED,
+    ERROR_TYPE_VALIDATION,
+    ERROR_TYPE_DUPLICATE,
+    ERROR_TYPE_PLAUSIBILITY,
+    ERROR_TYPE_TIMESTAMP,
+    ERROR_TYPE_DECOMMISSIONED
+} = require('./measurementIngestion');
+
+/**
+ * Builds the HTTP response for the ingestion result of a single measurement
+ * @param {Object} result - Per-record result from ingestMeasurements
+ * @param {Object} [extra] - Additional properties for the response body (e.g. decoded values)
+ * @returns {Object} HTTP response
+ */
+function buildMeasurementResponse(result, extra = {}) {
+    if (result.deadLetterId) {
+        extra = { ...extra, deadLetterId: result.deadLetterId };
+    }
+    if (result.timestampFlag) {
+        extra = { ...extra, timestampFlag: result.timestampFlag, timestampPolicy: result.timestampPolicy };
+    }
+    if (result.unsupportedFields) {
+        extra = { ...extra, unsupportedFields: result.unsupportedFields, capabilityPolicy: result.capabilityPolicy };
+    }
+
+    if (result.status === RECORD_STATUS_ACCEPTED) {
+        const action = result.duplicate ? 'overwritten' : 'registered';
+        return {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: `Measurement for serial number ${result.serial_number} was ${action} successfully in ${result.schema}.measurements.`,
+                duplicate: Boolean(result.duplicate),
+                duplicatePolicy: result.duplicatePolicy,
+                ...extra
+            })
+        };
+    }
+
+    if (result.status === RECORD_STATUS_DUPLICATE) {
+        return {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: `Measurement for serial number ${result.serial_number} was already registered in ${result.schema}.measurements; the new reading was ignored.`,
+                duplicate: true,
+                duplicatePolicy: result.duplicatePolicy,
+                ...extra
+            })
+        };
+    }
+
+    if (result.status === RECORD_STATUS_QUARANTINED) {
+        return {
+            status: 202,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: `Measurement for serial number ${result.serial_number} failed plausibility checks and was quarantined in ${result.schema}.measurements_quarantine.`,
+                quarantined: true,
+                plausibilityPolicy: result.plausibilityPolicy,
+                violations: result.violations,
+                ...extra
+            })
+        };
+    }
+
+    if (result.status === RECORD_STATUS_UNKNOWN_SERIAL) {
+        return {
+            status: 404,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: result.reason, ...extra })
+        };
+    }
+
+    if (result.errorType === ERROR_TYPE_DECOMMISSIONED) {
+        return {
+            status: 410,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: result.reason, decommissioned: true, ...extra })
+        };
+    }
+
+    if (result.errorType === ERROR_TYPE_DUPLICATE) {
+        return {
+            status: 409,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                error: result.reason,
+                duplicate: true,
+                duplicatePolicy: result.duplicatePolicy,
+                ...extra
+            })
+        };
+    }
+
+    if (result.errorType === ERROR_TYPE_PLAUSIBILITY) {
+        return {
+            status: 422,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                error: result.reason,
+                plausibilityPolicy: result.plausibilityPolicy,
+                violations: result.violations,
+                ...extra
+            })
+        };
+    }
+
+    if (result.errorType === ERROR_TYPE_TIMESTAMP) {
+        return {
+            status: 422,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                error: result.reason,
+                ...result.details,
+                ...extra
+            })
+        };
+    }
+
+    if (result.errorType === ERROR_TYPE_VALIDATION) {
+        return {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                error: result.reason,
+                ...result.details,
+                ...(result.details.invalidKeys && { validKeys: MEASUREMENT_FIELD_NAMES }),
+                ...extra
+            })
+        };
+    }
+
+    return {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: result.reason, ...extra })
+    };
+}
+
+module.exports = {
+    buildMeasurementResponse
+};
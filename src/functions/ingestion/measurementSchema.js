@@ -0,0 +1,160 @@
+/**
+ * FileName: src/functions/ingestion/measurementSchema.js
+ * Author(s): Arturo Vargas
+ * Brief: Typed measurement schema (measurementSchema.json): type checks and physical plausibility rules.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * Every measurement field declares its type (number, integer, string, timestamp), unit, whether it may be
+ * null and, optionally, min/max bounds or nominal values with a tolerance (frequency near 50/60 Hz).
+ * Cross-field rules check per-phase consistency:
+ *   - sum_of_phases:      total ≈ l1 + l2 + l3 (within relative or absolute tolerance)
+ *   - magnitude_at_least: |field| ≥ |reference| (apparent power cannot be below real power)
+ * Type errors make a reading invalid; bound and rule violations make it implausible (see measurementIngestion.js
+ * for how implausible readings are rejected or quarantined). The scaling groups map fields to the registry
+ * scale factor and CT/VT ratios used by raw ingestion (see rawScaling.js).
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const schemaPath = path.join(__dirname, '..', 'measurementSchema.json');
+const {
+    fields: MEASUREMENT_FIELDS,
+    rules: MEASUREMENT_RULES,
+    scaling: MEASUREMENT_SCALING
+} = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+
+const MEASUREMENT_FIELD_NAMES = Object.keys(MEASUREMENT_FIELDS);
+const REQUIRED_FIELDS = MEASUREMENT_FIELD_NAMES.filter(name => MEASUREMENT_FIELDS[name].nullable === false);
+
+/**
+ * Converts a raw value to the declared field type
+ * @param {*} value - Value as received
+ * @param {Object} definition - Field definition from measurementSchema.json
+ * @returns {{ value: *, error: (string|undefined) }} Coerced value or a type error
+ */
+function coerceValue(value, definition) {
+    if (value === null) {
+        return definition.nullable === false ? { value, error: 'must not be null' } : { value };
+    }
+
+    switch (definition.type) {
+        case 'number':
+        case 'integer': {
+            // Numeric strings are accepted because several gateways serialize registers as text
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) {
+                return { value, error: `must be a ${definition.type}` };
+            }
+            if (definition.type === 'integer' && !Number.isInteger(number)) {
+                return { value, error: 'must be an integer' };
+            }
+            return { value: number };
+        }
+        case 'string':
+            if (typeof value === 'number' && Number.isFinite(value)) return { value: String(value) };
+            return typeof value === 'string' && value.trim() !== ''
+                ? { value }
+                : { value, error: 'must be a non-empty string' };
+        case 'timestamp':
+            return (typeof value === 'string' && value.trim() !== '') || (typeof value === 'number' && Number.isFinite(value))
+                ? { value }
+                : { value, error: 'must be a timestamp string or epoch number' };
+        default:
+            return { value };
+    }
+}
+
+/**
+ * Checks that every field of a record has the declared type
+ * @param {Object} record - Measurement record (field names already validated)
+ * @returns {{ record: Object, fieldErrors: Array<Object> }} Record with coerced values and field-level errors
+ */
+function validateMeasurementTypes(record) {
+    const coerced = {};
+    const fieldErrors = [];
+
+    for (const [field, rawValue] of Object.entries(record)) {
+        const definition = MEASUREMENT_FIELDS[field];
+        const { value, error } = coerceValue(rawValue, definition);
+        coerced[field] = value;
+        if (error) {
+            fieldErrors.push({ field, error: `${field} ${error}`, value: rawValue });
+        }
+    }
+
+    return { record: coerced, fieldErrors };
+}
+
+/**
+ * Checks field bounds and cross-field rules of a type-valid record
+ * @param {Object} record - Measurement record with coerced values
+ * @returns {Array<Object>} Violations ({ field or rule, error }); empty when the reading is plausible
+ */
+function checkPlausibility(record) {
+    const violations = [];
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+    for (const [field, value] of Object.entries(record)) {
+        const definition = MEASUREMENT_FIELDS[field];
+        if (!isNumber(value)) continue;
+
+        const unit = definition.unit ? ` ${definition.unit}` : '';
+        if (definition.min !== undefined && value < definition.min) {
+            violations.push({ field, error: `${field} must be at least ${definition.min}${unit}`, value });
+        }
+        if (definition.max !== undefined && value > definition.max) {
+            violations.push({ field, error: `${field} must be at most ${definition.max}${unit}`, value });
+        }
+        if (definition.nominal && !definition.nominal.some(nominal => Math.abs(value - nominal) <= definition.tolerance)) {
+            violations.push({
+                field,
+                error: `${field} must be within ${definition.tolerance}${unit} of ${definition.nominal.join(' or ')}${unit}`,
+                value
+            });
+        }
+    }
+
+    for (const rule of MEASUREMENT_RULES) {
+        if (rule.type === 'sum_of_phases') {
+            const total = record[rule.total];
+            const phases = rule.phases.map(phase => record[phase]);
+            if (!isNumber(total) || !phases.every(isNumber)) continue;
+
+            const sum = phases.reduce((acc, phase) => acc + phase, 0);
+            const allowed = Math.max(rule.absoluteTolerance, Math.abs(total) * rule.relativeTolerance);
+            if (Math.abs(total - sum) > allowed) {
+                violations.push({
+                    rule: rule.name,
+                    error: `${rule.total} (${total}) does not match ${rule.phases.join(' + ')} (${sum})`
+                });
+            }
+        } else if (rule.type === 'magnitude_at_least') {
+            const value = record[rule.field];
+            const reference = record[rule.reference];
+            if (!isNumber(value) || !isNumber(reference)) continue;
+
+            if (Math.abs(value) + rule.absoluteTolerance < Math.abs(reference)) {
+                violations.push({
+                    rule: rule.name,
+                    error: `|${rule.field}| (${Math.abs(value)}) is below |${rule.reference}| (${Math.abs(reference)})`
+                });
+            }
+        }
+    }
+
+    return violations;
+}
+
+module.exports = {
+    MEASUREMENT_FIELDS,
+    MEASUREMENT_FIELD_NAMES,
+    MEASUREMENT_SCALING,
+    REQUIRED_FIELDS,
+    validateMeasurementTypes,
+    checkPlausibility
+};
@@ -0,0 +1,218 @@
+/**
+ * FileName: src/functions/ingestion/payloadDecoding.js
+ * Author(s): Arturo Vargas
+ * Brief: Compressed request bodies and the compact (header + rows) measurement format for ingestion.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * Ingestion bodies may be sent with Content-Encoding: gzip or deflate (zlib or raw deflate); several codings
+ * are undone in reverse order. The decompressed size is capped by MEASUREMENT_MAX_BODY_BYTES (10 MiB by
+ * default). Idempotency hashes and device signatures are computed over the decompressed body.
+ *
+ * The compact format sends the field names once and one array of values per reading:
+ *   { "serial_number": "DEMO0001",
+ *     "fields": ["timestamp", "watts", "voltage_l1"],
+ *     "rows": [["2025-06-02T10:00:00Z", 1200, 127.1], ["2025-06-02T10:05:00Z", 1180, 127.4]] }
+ * Field names are measurement fields (measurementSchema.json). A top-level serial_number applies to every
+ * row when "fields" does not include it. Each row expands to a regular measurement object, so the
+ * readings go through the same validation and insert path as JSON objects.
+ *
+ * parseBatchBody reads a batch body in any of the accepted formats: JSON array, single object, compact
+ * or NDJSON.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { MEASUREMENT_FIELD_NAMES } = require('./measurementSchema');
+
+const gunzip = promisify(zlib.gunzip);
+const inflate = promisify(zlib.inflate);
+const inflateRaw = promisify(zlib.inflateRaw);
+
+const CONTENT_ENCODING_GZIP = 'gzip';
+const CONTENT_ENCODING_DEFLATE = 'deflate';
+const CONTENT_ENCODING_IDENTITY = 'identity';
+const SUPPORTED_CONTENT_ENCODINGS = [CONTENT_ENCODING_GZIP, CONTENT_ENCODING_DEFLATE, CONTENT_ENCODING_IDENTITY];
+
+const DEFAULT_MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const HTTP_STATUS_BAD_REQUEST = 400;
+const HTTP_STATUS_PAYLOAD_TOO_LARGE = 413;
+const HTTP_STATUS_UNSUPPORTED_MEDIA_TYPE = 415;
+
+/**
+ * Returns the largest accepted decompressed body, from MEASUREMENT_MAX_BODY_BYTES
+ * @returns {number} Bytes
+ */
+function getMaxBodyBytes() {
+    const configured = Number(process.env.MEASUREMENT_MAX_BODY_BYTES);
+    return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_MAX_BODY_BYTES;
+}
+
+/**
+ * Undoes one content coding
+ * @param {Buffer} buffer - Encoded bytes
+ * @param {string} encoding - gzip or deflate
+ * @param {number} maxOutputLength - Decompressed size limit
+ * @returns {Promise<Buffer>} Decoded bytes
+ */
+async function decodeContent(buffer, encoding, maxOutputLength) {
+    const options = { maxOutputLength };
+    if (encoding === CONTENT_ENCODING_GZIP) return gunzip(buffer, options);
+
+    // "deflate" is meant to be zlib-wrapped, but some HTTP clients send raw deflate streams
+    try {
+        return await inflate(buffer, options);
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw error;
+        return inflateRaw(buffer, options);
+    }
+}
+
+/**
+ * Reads the request body as text, decompressing it according to Content-Encoding
+ * @param {Object} request - HTTP request
+ * @returns {Promise<Object>} { text, encoding } or { error, status } (400, 413 or 415)
+ */
+async function readRequestBody(request) {
+    const header = (request.headers.get('content-encoding') || '').toLowerCase();
+    const encodings = header.split(',').map(value => value.trim()).filter(value => value && value !== CONTENT_ENCODING_IDENTITY);
+
+    if (encodings.length === 0) {
+        return { text: await request.text(), encoding: CONTENT_ENCODING_IDENTITY };
+    }
+
+    const unsupported = encodings.filter(value => !SUPPORTED_CONTENT_ENCODINGS.includes(value));
+    if (unsupported.length > 0) {
+        return {
+            status: HTTP_STATUS_UNSUPPORTED_MEDIA_TYPE,
+            error: `Unsupported Content-Encoding: ${unsupported.join(', ')}. Supported: ${SUPPORTED_CONTENT_ENCODINGS.join(', ')}.`
+        };
+    }
+
+    const maxBodyBytes = getMaxBodyBytes();
+    let buffer = Buffer.from(await request.arrayBuffer());
+    try {
+        for (const encoding of [...encodings].reverse()) {
+            buffer = await decodeContent(buffer, encoding, maxBodyBytes);
+        }
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            return { status: HTTP_STATUS_PAYLOAD_TOO_LARGE, error: `Decompressed body exceeds ${maxBodyBytes} bytes.` };
+        }
+        return { status: HTTP_STATUS_BAD_REQUEST, error: `Body could not be decoded as ${header}.` };
+    }
+
+    return { text: buffer.toString('utf8'), encoding: header };
+}
+
+/**
+ * Tells whether a parsed body uses the compact format
+ * @param {*} payload - Parsed JSON body
+ * @returns {boolean} True when the body has "fields" and "rows" arrays
+ */
+function isCompactPayload(payload) {
+    return Boolean(payload) && typeof payload === 'object' && !Array.isArray(payload) &&
+        Array.isArray(payload.fields) && Array.isArray(payload.rows);
+}
+
+/**
+ * Expands a compact payload into measurement objects
+ * @param {Object} payload - { fields, rows, serial_number? }
+ * @returns {Object} { records } or { error, details }
+ */
+function expandCompactPayload(payload) {
+    const { fields, rows } = payload;
+
+    const invalidFields = fields.filter(field => typeof field !== 'string' || !MEASUREMENT_FIELD_NAMES.includes(field));
+    if (invalidFields.length > 0) {
+        return { error: 'Invalid field names in compact header.', details: { invalidFields, validKeys: MEASUREMENT_FIELD_NAMES } };
+    }
+    const repeatedFields = fields.filter((field, index) => fields.indexOf(field) !== index);
+    if (repeatedFields.length > 0) {
+        return { error: 'Compact header repeats field names.', details: { repeatedFields } };
+    }
+
+    const extraKeys = Object.keys(payload).filter(key => !['fields', 'rows', 'serial_number'].includes(key));
+    if (extraKeys.length > 0) {
+        return { error: 'Compact payload accepts only fields, rows and serial_number.', details: { invalidKeys: extraKeys } };
+    }
+    const sharedSerial = fields.includes('serial_number') ? undefined : payload.serial_number;
+
+    const records = [];
+    for (const [rowIndex, row] of rows.entries()) {
+        if (!Array.isArray(row) || row.length !== fields.length) {
+            return {
+                error: `Row ${rowIndex} must be an array of ${fields.length} values.`,
+                details: { row: rowIndex, expected: fields.length, received: Array.isArray(row) ? row.length : null }
+            };
+        }
+
+        const record = sharedSerial === undefined ? {} : { serial_number: sharedSerial };
+        fields.forEach((field, index) => { record[field] = row[index]; });
+        records.push(record);
+    }
+
+    return { records };
+}
+
+/**
+ * Parses a JSON array, single JSON object, compact or NDJSON body into a list of records
+ * @param {string} text - Raw request body
+ * @returns {Array} Parsed records
+ * @throws {Error} When the body is empty, a line is not valid JSON or the compact payload is invalid (error.details)
+ */
+function parseBatchBody(text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) {
+        throw new Error('Request body is empty.');
+    }
+
+    if (trimmed.startsWith('[')) {
+        try {
+            return JSON.parse(trimmed);
+        } catch (err) {
+            throw new Error('Invalid JSON array payload.');
+        }
+    }
+
+    if (trimmed.startsWith('{')) {
+        let payload;
+        try {
+            payload = JSON.parse(trimmed);
+        } catch (err) {
+            payload = null; // Several lines: NDJSON
+        }
+        if (isCompactPayload(payload)) {
+            const { records, error, details } = expandCompactPayload(payload);
+            if (error) throw Object.assign(new Error(error), { details });
+            return records;
+        }
+        // A single object, possibly pretty-printed over several lines
+        if (payload) return [payload];
+    }
+
+    // NDJSON: one JSON object per non-empty line
+    return trimmed.split(/\r?\n/).reduce((records, line, lineIndex) => {
+        if (!line.trim()) return records;
+        try {
+            records.push(JSON.parse(line));
+        } catch (err) {
+            throw new Error(`Invalid JSON on line ${lineIndex + 1}.`);
+        }
+        return records;
+    }, []);
+}
+
+module.exports = {
+    CONTENT_ENCODING_GZIP,
+    CONTENT_ENCODING_DEFLATE,
+    SUPPORTED_CONTENT_ENCODINGS,
+    readRequestBody,
+    isCompactPayload,
+    expandCompactPayload,
+    parseBatchBody
+};
@@ -0,0 +1,174 @@
+/**
+ * FileName: src/functions/ingestion/postMeasurements.js
+ * Author(s): Arturo Vargas
+ * Endpoint: POST /api/postMeasurements
+ * Brief: HTTP POST endpoint to register a batch of measurements for one or many powermeters.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * Accepts a JSON array of measurement objects, a single object, an NDJSON body (Content-Type:
+ * application/x-ndjson) or the compact format, optionally gzip or deflate compressed (see payloadDecoding.js).
+ * Each record is validated on its own and the response reports a result per record, in input order:
+ * accepted, duplicate, quarantined, rejected or unknown_serial, with the policies applied per environment.
+ * Rejected records are kept in the dead-letter store (deadLetterId in their result). Devices holding a
+ * credential must sign the request (see deviceAuth.js). Optional: Idempotency-Key header, ?mode=raw,
+ * ?async=true (202, ingested by the queue trigger; see measurementQueue.js) and ?commands=true.
+ *
+ * Example:
+ * curl -X POST "http://localhost:7071/api/postMeasurements" \
+ *      -H "Content-Type: application/json" \
+ *      -d '[{"serial_number":"DEMO0001","timestamp":"2025-06-02T10:00:00Z","watts":1200}]'
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const {
+    ingestMeasurements,
+    getIngestionMode,
+    INGESTION_MODE_RAW,
+    RECORD_STATUS_ACCEPTED,
+    RECORD_STATUS_DUPLICATE,
+    RECORD_STATUS_QUARANTINED
+} = require('./measurementIngestion');
+const {
+    getIdempotencyKey,
+    hashRequestBody,
+    scopeIdempotencyKey,
+    claimIdempotencyKey,
+    releaseIdempotencyKey,
+    storeIdempotentResponse
+} = require('./idempotency');
+const { authenticateDeviceRequest } = require('./deviceAuth');
+const { getDeadLetterSource, recordDeadLetters } = require('./deadLetters');
+const { readRequestBody, parseBatchBody } = require('./payloadDecoding');
+const { measurementQueueOutput, isAsyncRequest, enqueueMeasurements } = require('./measurementQueue');
+const { withPendingCommands } = require('../commands/commandQueue');
+
+const HTTP_STATUS_OK = 200;
+const HTTP_STATUS_ACCEPTED = 202;
+const HTTP_STATUS_MULTI_STATUS = 207;
+const HTTP_STATUS_BAD_REQUEST = 400;
+const HTTP_STATUS_PAYLOAD_TOO_LARGE = 413;
+const HTTP_STATUS_INTERNAL_ERROR = 500;
+
+const MAX_BATCH_SIZE = 5000;
+
+app.http('postMeasurements', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    extraOutputs: [measurementQueueOutput],
+    handler: async (request, context) => {
+        context.log('--- POST /postMeasurements: Started ---');
+
+        const { text: rawBody, error: bodyError, status: bodyStatus } = await readRequestBody(request);
+        if (bodyError) {
+            return {
+                status: bodyStatus,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: bodyError })
+            };
+        }
+
+        const { key: idempotencyKey, error: idempotencyError } = getIdempotencyKey(request);
+        if (idempotencyError) {
+            return {
+                status: HTTP_STATUS_BAD_REQUEST,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: idempotencyError })
+            };
+        }
+
+        const { mode, error: modeError } = getIngestionMode(request);
+        if (modeError) {
+            return {
+                status: HTTP_STATUS_BAD_REQUEST,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: modeError })
+            };
+        }
+        const requestHash = hashRequestBody(rawBody, mode === INGESTION_MODE_RAW ? mode : undefined);
+
+        let records;
+        try {
+            records = parseBatchBody(rawBody);
+        } catch (err) {
+            context.log(`Invalid batch payload: ${err.message}`);
+            return {
+                status: HTTP_STATUS_BAD_REQUEST,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: err.message, ...(err.details && { details: err.details }) })
+            };
+        }
+
+        if (records.length === 0) {
+            return {
+                status: HTTP_STATUS_BAD_REQUEST,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Batch contains no measurements.' })
+            };
+        }
+
+        if (records.length > MAX_BATCH_SIZE) {
+            return {
+                status: HTTP_STATUS_PAYLOAD_TOO_LARGE,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: `Batch too large (max ${MAX_BATCH_SIZE} measurements, received ${records.length}).` })
+            };
+        }
+
+        context.log(`Batch received with ${records.length} measurement(s).`);
+
+        let claimedKey = null;
+        try {
+            const serialNumbers = records.map(record => (record && typeof record === 'object' ? record.serial_number : null));
+            const authFailure = await authenticateDeviceRequest(request, rawBody, serialNumbers, context);
+            if (authFailure) return authFailure;
+
+            if (isAsyncRequest(request)) {
+                const source = getDeadLetterSource(request, 'postMeasurements', mode);
+                const { messages, backend } = await enqueueMeasurements(records, { mode, source }, context);
+                context.log(`Enqueued ${records.length} measurement(s) in ${messages} message(s) (${backend}).`);
+                return withPendingCommands(request, {
+                    status: HTTP_STATUS_ACCEPTED,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ queued: records.length, messages, mode })
+                }, serialNumbers, context);
+            }
+
+            if (idempotencyKey) {
+                const scopedKey = scopeIdempotencyKey(idempotencyKey, serialNumbers);
+                const replay = await claimIdempotencyKey(scopedKey, 'postMeasurements', requestHash);
+                if (replay) {
+                    context.log(`Idempotency-Key ${idempotencyKey} already used; returning status ${replay.status}.`);
+                    return withPendingCommands(request, replay, serialNumbers, context);
+                }
+                claimedKey = scopedKey;
+            }
+
+            const { results, summary, duplicatePolicies, plausibilityPolicies } = await ingestMeasurements(records, context, { mode });
+            await recordDeadLetters(records, results, getDeadLetterSource(request, 'postMeasurements', mode), context);
+            const allStored = summary[RECORD_STATUS_ACCEPTED] + summary[RECORD_STATUS_DUPLICATE] + summary[RECORD_STATUS_QUARANTINED] === summary.total;
+
+            const response = {
+                status: allStored ? HTTP_STATUS_OK : HTTP_STATUS_MULTI_STATUS,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ summary, mode, duplicatePolicies, plausibilityPolicies, results })
+            };
+
+            if (claimedKey) {
+                await storeIdempotentResponse(claimedKey, 'postMeasurements', requestHash, response, results, context);
+            }
+            return withPendingCommands(request, response, serialNumbers, context);
+        } catch (error) {
+            context.log.error('Error during batch ingestion:', error);
+            if (claimedKey) await releaseIdempotencyKey(claimedKey, 'postMeasurements', requestHash, context);
+            return {
+                status: HTTP_STATUS_INTERNAL_ERROR,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: error.message })
+            };
+        }
+    }
+});
@@ -0,0 +1,171 @@
+/**
+ * FileName: src/functions/ingestion/postRegisterBlock.js
+ * Author(s): Arturo Vargas
+ * Endpoint: POST /api/postRegisterBlock
+ * Brief: HTTP POST endpoint for gateways that can only forward raw Modbus holding-register dumps.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * The block is decoded with the register map assigned to the meter's model in public.supported_models
+ * (see registerDecoder.js) and the resulting reading goes through the same validation, plausibility,
+ * duplicate and storage rules as postMeasurement. Maps whose scale factors come from the registry are
+ * ingested in raw mode. Device signatures (deviceAuth.js), Idempotency-Key and the dead-letter store
+ * (deadLetters.js, with the decoded reading) work as in postMeasurement, and so do gzip and deflate bodies
+ * (Content-Encoding, see payloadDecoding.js), and so does ?commands=true (see ../commands/commandQueue.js).
+ * Requires database/migrations/005_supported_models_register_map.sql.
+ *
+ * Body:
+ *   - serial_number (required)
+ *   - timestamp (required)
+ *   - base_address (required): Modbus address of the first register of the block
+ *   - registers: array of uint16 values, or registers_base64: the block as big-endian bytes
+ *
+ * Example:
+ * curl -X POST "http://localhost:7071/api/postRegisterBlock" \
+ *      -H "Content-Type: application/json" \
+ *      -d '{"serial_number":"DEMO0001","timestamp":"2025-06-02T10:00:00Z","base_address":40069,"registers":[203,105,...]}'
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const {
+    ingestMeasurements,
+    resolveSerialNumbers,
+    INGESTION_MODE_ENGINEERING,
+    INGESTION_MODE_RAW
+} = require('./measurementIngestion');
+const { buildMeasurementResponse } = require('./measurementResponse');
+const {
+    getIdempotencyKey,
+    hashRequestBody,
+    scopeIdempotencyKey,
+    claimIdempotencyKey,
+    releaseIdempotencyKey,
+    storeIdempotentResponse
+} = require('./idempotency');
+const { authenticateDeviceRequest } = require('./deviceAuth');
+const { getDeadLetterSource, recordDeadLetters } = require('./deadLetters');
+const { readRequestBody } = require('./payloadDecoding');
+const { withPendingCommands } = require('../commands/commandQueue');
+const {
+    SCALE_FACTORS_REGISTRY,
+    getRegisterMap,
+    findRegisterMapForPowermeter,
+    parseRegisterBlock,
+    decodeRegisterBlock
+} = require('./registerDecoder');
+
+const HTTP_STATUS_BAD_REQUEST = 400;
+const HTTP_STATUS_NOT_FOUND = 404;
+const HTTP_STATUS_UNPROCESSABLE_ENTITY = 422;
+const HTTP_STATUS_INTERNAL_ERROR = 500;
+
+/**
+ * Builds a JSON error response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @returns {Object} HTTP response
+ */
+function errorResponse(status, body) {
+    return {
+        status,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    };
+}
+
+app.http('postRegisterBlock', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        context.log('--- POST /postRegisterBlock: Started ---');
+
+        const { key: idempotencyKey, error: idempotencyError } = getIdempotencyKey(request);
+        if (idempotencyError) {
+            return errorResponse(HTTP_STATUS_BAD_REQUEST, { error: idempotencyError });
+        }
+
+        const { text: rawBody, error: bodyError, status: bodyStatus } = await readRequestBody(request);
+        if (bodyError) {
+            return errorResponse(bodyStatus, { error: bodyError });
+        }
+        const requestHash = hashRequestBody(rawBody);
+        let payload;
+        try {
+            payload = JSON.parse(rawBody);
+        } catch (err) {
+            return errorResponse(HTTP_STATUS_BAD_REQUEST, { error: 'Invalid JSON payload.' });
+        }
+
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            return errorResponse(HTTP_STATUS_BAD_REQUEST, { error: 'Register block must be a JSON object.' });
+        }
+        const { serial_number: serialNumber, timestamp, base_address: baseAddress } = payload;
+        const missing = ['serial_number', 'timestamp', 'base_address'].filter(field => payload[field] === undefined || payload[field] === null);
+        if (missing.length > 0) {
+            return errorResponse(HTTP_STATUS_BAD_REQUEST, { error: 'Missing required field(s).', missing });
+        }
+        if (!Number.isInteger(baseAddress) || baseAddress < 0 || baseAddress > 0xFFFF) {
+            return errorResponse(HTTP_STATUS_BAD_REQUEST, { error: 'base_address must be an integer between 0 and 65535.' });
+        }
+        const { registers, error: blockError } = parseRegisterBlock(payload);
+        if (blockError) {
+            return errorResponse(HTTP_STATUS_BAD_REQUEST, { error: blockError });
+        }
+
+        let claimedKey = null;
+        try {
+            const authFailure = await authenticateDeviceRequest(request, rawBody, [serialNumber], context);
+            if (authFailure) return authFailure;
+
+            const route = (await resolveSerialNumbers([serialNumber])).get(String(serialNumber));
+            if (!route) {
+                return errorResponse(HTTP_STATUS_NOT_FOUND, { error: 'Serial number not found in any schema.' });
+            }
+
+            const { model, registerMapId } = await findRegisterMapForPowermeter(route.schema, route.powermeter_id);
+            const registerMap = registerMapId ? getRegisterMap(registerMapId) : undefined;
+            if (!registerMap) {
+                return errorResponse(HTTP_STATUS_UNPROCESSABLE_ENTITY, {
+                    error: registerMapId
+                        ? `Register map '${registerMapId}' assigned to model ${model} does not exist.`
+                        : `No register map is assigned to model ${model}.`
+                });
+            }
+
+            const { values, skipped, error: decodeError } = decodeRegisterBlock(registerMap, baseAddress, registers);
+            if (decodeError) {
+                return errorResponse(HTTP_STATUS_UNPROCESSABLE_ENTITY, { error: decodeError, registerMap: registerMap.id });
+            }
+            context.log(`Decoded ${Object.keys(values).length} field(s) with register map ${registerMap.id} (${skipped.length} skipped).`);
+
+            const mode = registerMap.scaleFactors === SCALE_FACTORS_REGISTRY ? INGESTION_MODE_RAW : INGESTION_MODE_ENGINEERING;
+            const record = { serial_number: serialNumber, timestamp, ...values };
+
+            if (idempotencyKey) {
+                const scopedKey = scopeIdempotencyKey(idempotencyKey, [serialNumber]);
+                const replay = await claimIdempotencyKey(scopedKey, 'postRegisterBlock', requestHash);
+                if (replay) {
+                    context.log(`Idempotency-Key ${idempotencyKey} already used; returning status ${replay.status}.`);
+                    return withPendingCommands(request, replay, [serialNumber], context);
+                }
+                claimedKey = scopedKey;
+            }
+
+            const { results } = await ingestMeasurements([record], context, { mode });
+            await recordDeadLetters([record], results, getDeadLetterSource(request, 'postRegisterBlock', mode), context);
+            const response = buildMeasurementResponse(results[0], { registerMap: registerMap.id, decoded: values, skipped });
+
+            if (claimedKey) {
+                await storeIdempotentResponse(claimedKey, 'postRegisterBlock', requestHash, response, results, context);
+            }
+            return withPendingCommands(request, response, [serialNumber], context);
+        } catch (error) {
+            context.log.error('Error during register block ingestion:', error);
+            if (claimedKey) await releaseIdempotencyKey(claimedKey, 'postRegisterBlock', requestHash, context);
+            return errorResponse(HTTP_STATUS_INTERNAL_ERROR, { error: error.message });
+        }
+    }
+});
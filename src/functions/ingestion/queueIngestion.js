@@ -0,0 +1,74 @@
+/**
+ * FileName: src/functions/ingestion/queueIngestion.js
+ * Author(s): Arturo Vargas
+ * Triggers: Storage queue MEASUREMENT_QUEUE_NAME and its -poison queue, or a timer for the local stand-ins
+ * Brief: Queue-triggered measurement ingestion (see measurementQueue.js for the message format).
+ * Date: 2026-10-19
+ *
+ * Description:
+ * With the storage backend, measurementQueueIngestion ingests every message; a failed message becomes visible
+ * again after extensions.queues.visibilityTimeout and is retried by the host until
+ * extensions.queues.maxDequeueCount (host.json), then moved to <queue>-poison, where measurementQueuePoison
+ * stores its readings in the dead-letter store for replay. A message whose last attempt fails because the
+ * database is unavailable is enqueued again instead, and the poison handler enqueues back to <queue>-poison
+ * what it cannot store, so an outage of any length loses no readings (see measurementQueue.js).
+ * With MEASUREMENT_QUEUE_BACKEND=memory or file, measurementQueueLocalDrain does the same every
+ * MEASUREMENT_QUEUE_DRAIN_SCHEDULE (10 seconds by default), retrying failed messages with exponential backoff.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const {
+    MEASUREMENT_QUEUE_NAME,
+    MEASUREMENT_QUEUE_CONNECTION,
+    measurementQueueOutput,
+    measurementPoisonQueueOutput,
+    handleQueueMessage,
+    handlePoisonMessage,
+    drainLocalQueue
+} = require('./measurementQueue');
+const { getLocalQueue } = require('./localMeasurementQueue');
+
+const DEFAULT_DRAIN_SCHEDULE = '*/10 * * * * *';
+
+const localQueue = getLocalQueue();
+
+if (localQueue) {
+    app.timer('measurementQueueLocalDrain', {
+        schedule: process.env.MEASUREMENT_QUEUE_DRAIN_SCHEDULE || DEFAULT_DRAIN_SCHEDULE,
+        handler: async (timer, context) => {
+            const { processed, retried, poisoned } = await drainLocalQueue(localQueue, context);
+            if (processed || retried || poisoned) {
+                context.log(`Local measurement queue: ${processed} processed, ${retried} retried, ${poisoned} poisoned.`);
+            }
+        }
+    });
+} else {
+    app.storageQueue('measurementQueueIngestion', {
+        queueName: MEASUREMENT_QUEUE_NAME,
+        connection: MEASUREMENT_QUEUE_CONNECTION,
+        extraOutputs: [measurementQueueOutput],
+        handler: async (message, context) => {
+            const { id, dequeueCount, insertionTime } = context.triggerMetadata;
+            const { summary, requeued } = await handleQueueMessage(message, context, { dequeueCount, insertedAt: insertionTime });
+            context.log(requeued
+                ? `Queue message ${id} (attempt ${dequeueCount}) enqueued again while the database is unavailable.`
+                : `Queue message ${id} (attempt ${dequeueCount}) ingested: ${JSON.stringify(summary)}`);
+        }
+    });
+
+    app.storageQueue('measurementQueuePoison', {
+        queueName: `${MEASUREMENT_QUEUE_NAME}-poison`,
+        connection: MEASUREMENT_QUEUE_CONNECTION,
+        extraOutputs: [measurementPoisonQueueOutput],
+        handler: async (message, context) => {
+            const { id, dequeueCount } = context.triggerMetadata;
+            const { stored, requeued } = await handlePoisonMessage(message, context, { dequeueCount });
+            context.log(requeued
+                ? `Poison queue message ${id} (attempt ${dequeueCount}) enqueued to the poison queue again.`
+                : `Poison queue message ${id} stored as ${stored} dead letter(s).`);
+        }
+    });
+}
@@ -0,0 +1,148 @@
+/**
+ * FileName: src/functions/ingestion/rawScaling.js
+ * Author(s): Arturo Vargas
+ * Brief: Converts raw (unscaled) register values into engineering values using the powermeter registry.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * In raw ingestion mode devices post register values as read. Each field belongs to a scaling group of
+ * measurementSchema.json that names the SunSpec scale factor column of <schema>.powermeters and the CT/VT
+ * ratios that apply to it:
+ *
+ *   engineering = raw × 10^scaleFactor × ct_ratio × vt_ratio × unitMultiplier
+ *
+ * unitMultiplier converts SunSpec units to the measurements table units (Wh -> kWh, W -> kW for demand).
+ * A missing ratio counts as 1 (direct connection); a missing scale factor makes the reading invalid, since
+ * guessing it would store values off by powers of ten. Fields outside every group (THD, hour meters,
+ * phase sequence) are stored as received. The CT/VT ratios are the ones in force at the reading's timestamp
+ * (see transformerConfig.js), so a late reading is scaled as it would have been when it was taken.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { executeQuery } = require('../pgPool');
+const { MEASUREMENT_SCALING } = require('./measurementSchema');
+const { loadConfigPeriods, transformerConfigAt } = require('../transformerConfig');
+
+// field -> scaling group
+const SCALING_BY_FIELD = new Map();
+MEASUREMENT_SCALING.forEach(group => group.fields.forEach(field => SCALING_BY_FIELD.set(field, group)));
+
+// Registry columns read for raw ingestion
+const SCALING_COLUMNS = [...new Set(MEASUREMENT_SCALING.flatMap(group => [group.scaleFactor, ...group.ratios]))];
+
+/**
+ * Loads the scale factors and CT/VT ratios of a set of powermeters
+ * @param {string} schema - Schema of the powermeters (already resolved from a fixed list)
+ * @param {Array<number>} powermeterIds - Powermeter ids
+ * @returns {Promise<Map>} powermeter_id -> { config: { column: value }, periods } (periods: CT/VT history)
+ */
+async function loadScalingConfigs(schema, powermeterIds) {
+    const query = `
+        SELECT powermeter_id, ${SCALING_COLUMNS.join(', ')}
+        FROM ${schema}.powermeters
+        WHERE powermeter_id = ANY($1)
+    `;
+    const result = await executeQuery(query, [[...new Set(powermeterIds)]]);
+    const periods = await loadConfigPeriods(schema, powermeterIds);
+
+    return new Map(result.rows.map(({ powermeter_id, ...config }) => [
+        String(powermeter_id),
+        { config, periods: periods.get(String(powermeter_id)) }
+    ]));
+}
+
+/**
+ * Picks the scaling configuration of a reading: registry scale factors with the CT/VT ratios in force at its
+ * timestamp (the registry ratios when the meter has no configuration history)
+ * @param {Object|undefined} scalingConfig - Entry of the map returned by loadScalingConfigs
+ * @param {number} epochMs - Timestamp of the reading
+ * @returns {Object|undefined} { column: value }, undefined when the meter was not found
+ */
+function scalingConfigAt(scalingConfig, epochMs) {
+    if (!scalingConfig) return undefined;
+    const transformerConfig = transformerConfigAt(scalingConfig.periods, epochMs);
+    if (!transformerConfig) return scalingConfig.config;
+
+    const ratios = Object.fromEntries(Object.keys(scalingConfig.config)
+        .filter(column => column in transformerConfig)
+        .map(column => [column, transformerConfig[column]]));
+    return { ...scalingConfig.config, ...ratios };
+}
+
+/**
+ * Multiplies by a power of ten without the rounding noise of value * 10 ** -n
+ * @param {number} value - Raw value
+ * @param {number} exponent - Scale factor
+ * @returns {number} value × 10^exponent
+ */
+function applyScaleFactor(value, exponent) {
+    return exponent < 0 ? value / 10 ** -exponent : value * 10 ** exponent;
+}
+
+/**
+ * Converts the raw values of a measurement into engineering values
+ * @param {Object} measurement - Type-checked measurement without serial_number
+ * @param {Object} config - Registry values returned by loadScalingConfigs
+ * @returns {Object} { values, raw, missingScaleFactors }: values holds every field ready for storage,
+ *                   raw only the fields that were scaled, as received
+ */
+function scaleMeasurement(measurement, config) {
+    const values = {};
+    const raw = {};
+    const missingScaleFactors = new Set();
+
+    for (const [field, value] of Object.entries(measurement)) {
+        const group = SCALING_BY_FIELD.get(field);
+        if (!group || typeof value !== 'number') {
+            values[field] = value;
+            continue;
+        }
+
+        const scaleFactor = config ? config[group.scaleFactor] : null;
+        if (scaleFactor === null || scaleFactor === undefined) {
+            missingScaleFactors.add(group.scaleFactor);
+            continue;
+        }
+
+        const ratio = group.ratios.reduce((acc, column) => acc * (config[column] == null ? 1 : Number(config[column])), 1);
+        raw[field] = value;
+        values[field] = applyScaleFactor(value, Number(scaleFactor)) * ratio * (group.unitMultiplier || 1);
+    }
+
+    return { values, raw, missingScaleFactors: [...missingScaleFactors] };
+}
+
+/**
+ * Stores the raw values and the registry configuration used to scale accepted readings
+ * @param {import('pg').PoolClient} client - Client with an open transaction
+ * @param {string} schema - Target schema (already resolved from a fixed list)
+ * @param {Array<Object>} entries - { powermeter_id, timestamp, raw, config }
+ * @returns {Promise<void>}
+ */
+async function insertRawValues(client, schema, entries) {
+    const query = `
+        INSERT INTO ${schema}.measurements_raw (powermeter_id, "timestamp", raw_values, scaling)
+        SELECT r.powermeter_id, r."timestamp"::timestamptz, r.raw_values, r.scaling
+        FROM jsonb_to_recordset($1::jsonb) AS r(powermeter_id BIGINT, "timestamp" TEXT, raw_values JSONB, scaling JSONB)
+        ON CONFLICT (powermeter_id, "timestamp") DO UPDATE
+        SET raw_values = EXCLUDED.raw_values, scaling = EXCLUDED.scaling, received_at = NOW()
+    `;
+    const recordset = entries.map(({ powermeter_id, timestamp, raw, config }) => ({
+        powermeter_id,
+        timestamp,
+        raw_values: raw,
+        scaling: config
+    }));
+    await client.query(query, [JSON.stringify(recordset)]);
+}
+
+module.exports = {
+    SCALING_COLUMNS,
+    applyScaleFactor,
+    loadScalingConfigs,
+    scalingConfigAt,
+    scaleMeasurement,
+    insertRawValues
+};
@@ -0,0 +1,237 @@
+/**
+ * FileName: src/functions/ingestion/registerDecoder.js
+ * Author(s): Arturo Vargas
+ * Brief: Decodes raw Modbus holding-register blocks into measurement fields using per-model register maps.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * Register maps live in src/functions/registerMaps/<id>.json and are assigned to a model through
+ * public.supported_models.register_map. A map has this format:
+ *
+ *   {
+ *     "id": "sunspec-meter-int",                  same as the file name
+ *     "description": "...",
+ *     "sunspec": { "modelIds": [203], "length": 105 },   locate the model header (ID, L) inside the block
+ *     "origin": 40069,                            or: absolute address of offset 0 when there is no header
+ *     "wordOrder": "big",                         32-bit values: big = high word first, little = low word first
+ *     "scaleFactors": "block",                    block: sunssf registers of the map, registry: scale the decoded
+ *                                                 values with the powermeter registry (raw ingestion mode),
+ *                                                 none: values are already engineering values
+ *     "scaleFactorPoints": { "A_SF": { "offset": 6 } },
+ *     "points": {
+ *       "current_l1": { "offset": 3, "type": "int16", "scaleFactor": "A_SF", "unitMultiplier": 1 }
+ *     }
+ *   }
+ *
+ * Supported point types: int16, uint16, int32, uint32, acc32, float32. Offsets are relative to the model
+ * origin. Values flagged as "not implemented" by SunSpec (0x8000, 0xFFFF, 0x80000000, NaN...) and points that
+ * fall outside the received block are left out instead of being stored as numbers.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { executeQuery } = require('../pgPool');
+const { applyScaleFactor } = require('./rawScaling');
+const { supportedModelJoin } = require('../powermeterReferences');
+
+const REGISTER_MAPS_DIR = path.join(__dirname, '..', 'registerMaps');
+
+// Modbus addresses are 16-bit; a dump larger than this is not a single device read
+const MAX_BLOCK_REGISTERS = 2000;
+
+const SCALE_FACTORS_BLOCK = 'block';
+const SCALE_FACTORS_REGISTRY = 'registry';
+const SCALE_FACTORS_NONE = 'none';
+
+// Register count and SunSpec "not implemented" value of each point type
+const POINT_TYPES = {
+    int16: { size: 1, notImplemented: -0x8000 },
+    uint16: { size: 1, notImplemented: 0xFFFF },
+    sunssf: { size: 1, notImplemented: -0x8000 },
+    int32: { size: 2, notImplemented: -0x80000000 },
+    uint32: { size: 2, notImplemented: 0xFFFFFFFF },
+    acc32: { size: 2, notImplemented: 0 },
+    float32: { size: 2, notImplemented: NaN }
+};
+
+// Load every register map once, keyed by id
+const registerMaps = new Map(
+    fs.readdirSync(REGISTER_MAPS_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+            const map = JSON.parse(fs.readFileSync(path.join(REGISTER_MAPS_DIR, file), 'utf8'));
+            return [map.id, map];
+        })
+);
+
+/**
+ * Returns a register map by id
+ * @param {string} id - Register map id
+ * @returns {Object|undefined} Register map
+ */
+function getRegisterMap(id) {
+    return registerMaps.get(id);
+}
+
+/**
+ * Finds the register map assigned to the model of a powermeter
+ * @param {string} schema - Schema of the powermeter (already resolved from a fixed list)
+ * @param {number} powermeterId - Powermeter id
+ * @returns {Promise<Object>} { model, registerMapId }; registerMapId is null when the model has no map
+ */
+async function findRegisterMapForPowermeter(schema, powermeterId) {
+    const query = `
+        SELECT p.model, sm.register_map
+        FROM ${schema}.powermeters p
+        LEFT JOIN public.supported_models sm ON ${supportedModelJoin('p', 'sm')}
+        WHERE p.powermeter_id = $1
+    `;
+    const result = await executeQuery(query, [powermeterId]);
+    const row = result.rows[0] || {};
+
+    return { model: row.model || null, registerMapId: row.register_map || null };
+}
+
+/**
+ * Reads the register block of a request body
+ * @param {Object} payload - { registers: [uint16...] } or { registers_base64: "..." } (big-endian words)
+ * @returns {{ registers: (Array<number>|undefined), error: (string|undefined) }} Registers or a validation error
+ */
+function parseRegisterBlock(payload) {
+    let registers;
+
+    if (payload.registers !== undefined) {
+        registers = payload.registers;
+        if (!Array.isArray(registers) || !registers.every(value => Number.isInteger(value) && value >= 0 && value <= 0xFFFF)) {
+            return { error: 'registers must be an array of uint16 values (0-65535).' };
+        }
+    } else if (payload.registers_base64 !== undefined) {
+        const buffer = typeof payload.registers_base64 === 'string' ? Buffer.from(payload.registers_base64, 'base64') : Buffer.alloc(0);
+        if (buffer.length === 0 || buffer.length % 2 !== 0) {
+            return { error: 'registers_base64 must encode a non-empty, even number of bytes.' };
+        }
+        registers = [];
+        for (let offset = 0; offset < buffer.length; offset += 2) {
+            registers.push(buffer.readUInt16BE(offset));
+        }
+    } else {
+        return { error: 'Missing register block: provide registers or registers_base64.' };
+    }
+
+    if (registers.length === 0 || registers.length > MAX_BLOCK_REGISTERS) {
+        return { error: `Register block must contain between 1 and ${MAX_BLOCK_REGISTERS} registers.` };
+    }
+    return { registers };
+}
+
+/**
+ * Reads one typed value from the block
+ * @param {Array<number>} registers - Register block
+ * @param {number} index - Position of the first register of the value
+ * @param {string} type - Point type
+ * @param {string} wordOrder - big or little
+ * @returns {number|null} Value, or null when it is outside the block or not implemented
+ */
+function readValue(registers, index, type, wordOrder) {
+    const { size, notImplemented } = POINT_TYPES[type];
+    if (index < 0 || index + size > registers.length) return null;
+
+    const buffer = Buffer.alloc(size * 2);
+    const words = registers.slice(index, index + size);
+    (wordOrder === 'little' ? words.reverse() : words).forEach((word, i) => buffer.writeUInt16BE(word, i * 2));
+
+    let value;
+    switch (type) {
+        case 'int16':
+        case 'sunssf':
+            value = buffer.readInt16BE(0);
+            break;
+        case 'uint16':
+            value = buffer.readUInt16BE(0);
+            break;
+        case 'int32':
+            value = buffer.readInt32BE(0);
+            break;
+        case 'uint32':
+        case 'acc32':
+            value = buffer.readUInt32BE(0);
+            break;
+        case 'float32':
+            value = buffer.readFloatBE(0);
+            break;
+        default:
+            return null;
+    }
+
+    if (Number.isNaN(notImplemented) ? !Number.isFinite(value) : value === notImplemented) return null;
+    return value;
+}
+
+/**
+ * Finds the absolute address of offset 0 of the map inside a block
+ * @param {Object} map - Register map
+ * @param {number} baseAddress - Address of the first register of the block
+ * @param {Array<number>} registers - Register block
+ * @returns {number|null} Origin address, or null when the SunSpec model header is not in the block
+ */
+function findOrigin(map, baseAddress, registers) {
+    if (!map.sunspec) return map.origin ?? baseAddress;
+
+    const index = registers.findIndex((value, i) =>
+        map.sunspec.modelIds.includes(value) && registers[i + 1] === map.sunspec.length
+    );
+    return index === -1 ? null : baseAddress + index;
+}
+
+/**
+ * Decodes a register block into measurement fields
+ * @param {Object} map - Register map
+ * @param {number} baseAddress - Address of the first register of the block
+ * @param {Array<number>} registers - Register block
+ * @returns {Object} { values, skipped, error }: values by measurement field; skipped lists the points
+ *                   that were not implemented or outside the block
+ */
+function decodeRegisterBlock(map, baseAddress, registers) {
+    const origin = findOrigin(map, baseAddress, registers);
+    if (origin === null) {
+        return { error: `SunSpec model ${map.sunspec.modelIds.join('/')} header not found in the register block.` };
+    }
+
+    const wordOrder = map.wordOrder || 'big';
+    const scaleFactors = {};
+    for (const [name, point] of Object.entries(map.scaleFactorPoints || {})) {
+        scaleFactors[name] = readValue(registers, origin + point.offset - baseAddress, 'sunssf', wordOrder);
+    }
+
+    const values = {};
+    const skipped = [];
+    for (const [field, point] of Object.entries(map.points)) {
+        const raw = readValue(registers, origin + point.offset - baseAddress, point.type, wordOrder);
+        const scaleFactor = point.scaleFactor ? scaleFactors[point.scaleFactor] : 0;
+        if (raw === null || scaleFactor === null || scaleFactor === undefined) {
+            skipped.push(field);
+            continue;
+        }
+
+        // Registry maps return register values; raw ingestion applies the registry scaling afterwards
+        values[field] = map.scaleFactors === SCALE_FACTORS_REGISTRY
+            ? raw
+            : applyScaleFactor(raw, scaleFactor) * (point.unitMultiplier || 1);
+    }
+
+    return { values, skipped };
+}
+
+module.exports = {
+    MAX_BLOCK_REGISTERS,
+    SCALE_FACTORS_BLOCK,
+    SCALE_FACTORS_REGISTRY,
+    SCALE_FACTORS_NONE,
+    getRegisterMap,
+    findRegisterMapForPowermeter,
+    parseRegisterBlock,
+    decodeRegisterBlock
+};
@@ -0,0 +1,118 @@
+/**
+ * FileName: src/functions/ingestion/serialRoutingCache.js
+ * Author(s): Arturo Vargas
+ * Brief: In-process cache of serial_number -> { schema, powermeter_id } routes used by ingestion.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * Resolving a serial number means a UNION ALL across demo, dev and public powermeters, which dominated
+ * ingestion cost. Found routes are cached for SERIAL_ROUTE_TTL_MS and unknown serials (negative entries)
+ * for the much shorter SERIAL_NEGATIVE_TTL_MS. Invalidation only reaches the instance that made the registry
+ * change, so a cached route is a hint: ingestion locks the meter in its transaction, checks it still has the
+ * serial and accepts readings, and drops and resolves again the routes that do not (see findStaleRoutes in
+ * measurementIngestion.js). Newly registered meters are seen by other instances when their negative entry
+ * expires. Hit/miss counters are reported by /api/health and /api/ping.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const SERIAL_ROUTE_TTL_MS = 600000; // 10 minutes
+const SERIAL_NEGATIVE_TTL_MS = 30000; // 30 seconds
+const SERIAL_CACHE_MAX_ENTRIES = 20000;
+
+// Marker stored for serial numbers known not to exist in any schema
+const NOT_FOUND = null;
+
+const cache = new Map();
+const counters = {
+    hits: 0,
+    negativeHits: 0,
+    misses: 0,
+    evictions: 0,
+    invalidations: 0
+};
+
+/**
+ * Looks up a cached route
+ * @param {string} serialNumber - Powermeter serial number
+ * @returns {{ cached: boolean, route: (Object|null) }} cached=false on miss; route=null for a negative entry
+ */
+function getCachedRoute(serialNumber) {
+    const entry = cache.get(serialNumber);
+    if (!entry || entry.expiresAt <= Date.now()) {
+        if (entry) cache.delete(serialNumber);
+        counters.misses++;
+        return { cached: false, route: null };
+    }
+
+    // Move to end (most recently used)
+    cache.delete(serialNumber);
+    cache.set(serialNumber, entry);
+
+    if (entry.route === NOT_FOUND) {
+        counters.negativeHits++;
+    } else {
+        counters.hits++;
+    }
+    return { cached: true, route: entry.route };
+}
+
+/**
+ * Stores a route, or a negative entry when route is null
+ * @param {string} serialNumber - Powermeter serial number
+ * @param {Object|null} route - { schema, powermeter_id } or null when the serial is unknown
+ */
+function setCachedRoute(serialNumber, route) {
+    if (cache.has(serialNumber)) {
+        cache.delete(serialNumber);
+    } else if (cache.size >= SERIAL_CACHE_MAX_ENTRIES) {
+        // Remove least recently used (first item)
+        cache.delete(cache.keys().next().value);
+        counters.evictions++;
+    }
+
+    const ttl = route === NOT_FOUND ? SERIAL_NEGATIVE_TTL_MS : SERIAL_ROUTE_TTL_MS;
+    cache.set(serialNumber, { route, expiresAt: Date.now() + ttl });
+}
+
+/**
+ * Drops the cached route of a serial number (call after registering or changing a powermeter)
+ * @param {string} serialNumber - Powermeter serial number
+ */
+function invalidateSerialRoute(serialNumber) {
+    if (cache.delete(String(serialNumber))) counters.invalidations++;
+}
+
+/**
+ * Drops every cached route
+ */
+function clearSerialRoutes() {
+    counters.invalidations += cache.size;
+    cache.clear();
+}
+
+/**
+ * Returns cache metrics for the health endpoints
+ * @returns {Object} Counters, size and hit ratio tagged with the current environment
+ */
+function getSerialRoutingMetrics() {
+    const lookups = counters.hits + counters.negativeHits + counters.misses;
+    return {
+        env: process.env.ENVIRONMENT || 'unknown',
+        size: cache.size,
+        maxEntries: SERIAL_CACHE_MAX_ENTRIES,
+        ttlMs: SERIAL_ROUTE_TTL_MS,
+        negativeTtlMs: SERIAL_NEGATIVE_TTL_MS,
+        ...counters,
+        hitRatio: lookups === 0 ? null : (counters.hits + counters.negativeHits) / lookups
+    };
+}
+
+module.exports = {
+    getCachedRoute,
+    setCachedRoute,
+    invalidateSerialRoute,
+    clearSerialRoutes,
+    getSerialRoutingMetrics
+};
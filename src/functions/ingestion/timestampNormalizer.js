@@ -0,0 +1,127 @@
+/**
+ * FileName: src/functions/ingestion/timestampNormalizer.js
+ * Author(s): Arturo Vargas
+ * Brief: Normalizes the timestamp formats sent by devices to UTC and checks them against the server clock.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * Accepted formats:
+ *   - epoch seconds or epoch milliseconds, as a number or numeric string (values above 1e11 are milliseconds)
+ *   - ISO 8601 with offset or Z (2025-06-02T10:00:00-06:00)
+ *   - ISO 8601 / SQL without offset (2025-06-02T10:00:00, 2025-06-02 10:00:00), read in the meter's time_zone
+ * The clock skew of a reading is its timestamp minus the time the API received it, in seconds: for readings
+ * posted in real time it is the device clock offset plus the transmission delay.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { DateTime } = require('luxon');
+
+// Epoch values above this are milliseconds (1e11 s is year 5138, 1e11 ms is 1973)
+const EPOCH_MILLISECONDS_THRESHOLD = 1e11;
+const MS_PER_SECOND = 1000;
+const SECONDS_PER_DAY = 86400;
+
+const DEFAULT_MAX_FUTURE_SECONDS = 600;
+const DEFAULT_MAX_AGE_DAYS = 366;
+
+const TIMESTAMP_FORMAT_EPOCH_SECONDS = 'epoch_seconds';
+const TIMESTAMP_FORMAT_EPOCH_MILLISECONDS = 'epoch_milliseconds';
+const TIMESTAMP_FORMAT_ISO_OFFSET = 'iso_offset';
+const TIMESTAMP_FORMAT_LOCAL = 'local';
+
+const TIMESTAMP_FLAG_FUTURE = 'future';
+const TIMESTAMP_FLAG_PAST = 'past';
+
+const NUMERIC_PATTERN = /^\d+(\.\d+)?$/;
+const OFFSET_PATTERN = /(Z|[+-]\d{2}(:?\d{2})?)$/i;
+
+/**
+ * Parses a device timestamp into a UTC instant
+ * @param {string|number} value - Timestamp as received
+ * @param {string|null} timeZone - IANA time zone of the meter, used when the value has no offset
+ * @returns {Object} { utc (ISO string), epochMs, format } or { error }
+ */
+function normalizeTimestamp(value, timeZone) {
+    const text = typeof value === 'string' ? value.trim() : value;
+
+    if (typeof text === 'number' || NUMERIC_PATTERN.test(text)) {
+        const epoch = Number(text);
+        const isMilliseconds = epoch > EPOCH_MILLISECONDS_THRESHOLD;
+        const epochMs = isMilliseconds ? epoch : epoch * MS_PER_SECOND;
+        const parsed = DateTime.fromMillis(Math.round(epochMs), { zone: 'utc' });
+        if (!parsed.isValid) return { error: 'timestamp is not a valid epoch value' };
+
+        return {
+            utc: parsed.toISO(),
+            epochMs: parsed.toMillis(),
+            format: isMilliseconds ? TIMESTAMP_FORMAT_EPOCH_MILLISECONDS : TIMESTAMP_FORMAT_EPOCH_SECONDS
+        };
+    }
+
+    if (typeof text !== 'string' || !text) return { error: 'timestamp must be a string or epoch number' };
+
+    const hasOffset = OFFSET_PATTERN.test(text) && /[T ]\d/.test(text);
+    if (!hasOffset) {
+        const zone = timeZone || 'utc';
+        if (!DateTime.local().setZone(zone).isValid) {
+            return { error: `timestamp has no offset and the meter time zone '${timeZone}' is not valid` };
+        }
+    }
+
+    const options = { zone: hasOffset ? 'utc' : (timeZone || 'utc') };
+    let parsed = DateTime.fromISO(text, options);
+    if (!parsed.isValid) parsed = DateTime.fromSQL(text, options);
+    if (!parsed.isValid) return { error: 'timestamp is not a valid ISO 8601 date' };
+
+    return {
+        utc: parsed.toUTC().toISO(),
+        epochMs: parsed.toMillis(),
+        format: hasOffset ? TIMESTAMP_FORMAT_ISO_OFFSET : TIMESTAMP_FORMAT_LOCAL
+    };
+}
+
+/**
+ * Returns the accepted timestamp window, from MEASUREMENT_MAX_FUTURE_SECONDS and MEASUREMENT_MAX_AGE_DAYS
+ * @returns {{ maxFutureSeconds: number, maxAgeDays: number }} Window limits
+ */
+function getTimestampWindow() {
+    const maxFutureSeconds = Number(process.env.MEASUREMENT_MAX_FUTURE_SECONDS);
+    const maxAgeDays = Number(process.env.MEASUREMENT_MAX_AGE_DAYS);
+    return {
+        maxFutureSeconds: Number.isFinite(maxFutureSeconds) && maxFutureSeconds >= 0 ? maxFutureSeconds : DEFAULT_MAX_FUTURE_SECONDS,
+        maxAgeDays: Number.isFinite(maxAgeDays) && maxAgeDays > 0 ? maxAgeDays : DEFAULT_MAX_AGE_DAYS
+    };
+}
+
+/**
+ * Compares a normalized timestamp with the time the reading was received
+ * @param {number} epochMs - Reading time
+ * @param {number} receivedAtMs - Server receive time
+ * @returns {{ clockSkewSeconds: number, flag: (string|null) }} Skew and the window the reading falls out of
+ */
+function checkTimestampWindow(epochMs, receivedAtMs) {
+    const { maxFutureSeconds, maxAgeDays } = getTimestampWindow();
+    const clockSkewSeconds = (epochMs - receivedAtMs) / MS_PER_SECOND;
+
+    let flag = null;
+    if (clockSkewSeconds > maxFutureSeconds) {
+        flag = TIMESTAMP_FLAG_FUTURE;
+    } else if (-clockSkewSeconds > maxAgeDays * SECONDS_PER_DAY) {
+        flag = TIMESTAMP_FLAG_PAST;
+    }
+    return { clockSkewSeconds, flag };
+}
+
+module.exports = {
+    TIMESTAMP_FORMAT_EPOCH_SECONDS,
+    TIMESTAMP_FORMAT_EPOCH_MILLISECONDS,
+    TIMESTAMP_FORMAT_ISO_OFFSET,
+    TIMESTAMP_FORMAT_LOCAL,
+    TIMESTAMP_FLAG_FUTURE,
+    TIMESTAMP_FLAG_PAST,
+    normalizeTimestamp,
+    getTimestampWindow,
+    checkTimestampWindow
+};
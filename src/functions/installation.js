@@ -0,0 +1,356 @@
+/**
+ * FileName: src/functions/installation.js
+ * Author(s): Arturo Vargas
+ * Endpoints: GET/POST/PATCH /api/installation, POST /api/archiveInstallation
+ * Brief: Create, read, update and archive installations (public.installations).
+ * Date: 2026-10-19
+ *
+ * Every endpoint requires ?user_id= and only reaches installations of the user (public.user_installations);
+ * writes also require an installer or administrator role (see installationRegistry.js for field rules).
+ *
+ * GET /api/installation?user_id=&installation_id= returns one installation with its active meters per
+ * schema and its number of users. Without installation_id it lists the user's installations, filtered by
+ * status (active by default, archived or all), with limit (1-1000, default 100) and offset.
+ *
+ * POST /api/installation?user_id= creates an installation from a JSON body (installation_alias required;
+ * register_date, region, tariff, installed_capacity with installed_capacity_unit, location (coordinates),
+ * maintenance_date optional; register_date defaults to today) and links the creator to it in user_installations.
+ *
+ * PATCH /api/installation?user_id=&installation_id= updates the fields sent; archived installations cannot
+ * be updated (409).
+ *
+ * POST /api/archiveInstallation?user_id=&installation_id= (body { reason } optional) archives an installation
+ * once none of its powermeters is active in any schema (409 with the counts otherwise).
+ *
+ * Example:
+ * curl -X POST "http://localhost:7071/api/installation?user_id=1" \
+ *   -d '{"installation_alias":"Planta Norte","region":"NTE","tariff":"GDMTH","installed_capacity":1.5,"installed_capacity_unit":"MW"}'
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const { executeQuery, getClient } = require('./pgPool');
+const {
+    validateUserRole,
+    validateUserInstallationAccess,
+    jsonResponse,
+    parseCount,
+    readJsonObject,
+    MAX_REASON_LENGTH
+} = require('./dbUtils');
+const {
+    INSTALLATION_STATUS_ACTIVE,
+    INSTALLATION_STATUS_ARCHIVED,
+    INSTALLATION_STATUSES,
+    INSTALLATION_WRITER_ROLES,
+    INSTALLATION_WRITABLE_FIELDS,
+    validateInstallationFields,
+    resolveInstallationReferences,
+    selectInstallationColumns,
+    countActiveMeters
+} = require('./installationRegistry');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const STATUS_ALL = 'all';
+
+/**
+ * Validates the body of a create or update and resolves its region and tariff codes
+ * @param {Object} body - Fields received
+ * @param {boolean} create - Creation (installation_alias required)
+ * @returns {Promise<Object>} { fields } to write, or { response } with the 400 HTTP response
+ */
+async function prepareInstallationWrite(body, create) {
+    const { invalidKeys, fieldErrors, fields } = validateInstallationFields(body, { create });
+    if (invalidKeys.length > 0 || fieldErrors.length > 0) {
+        return {
+            response: jsonResponse(400, {
+                success: false,
+                error: 'Invalid installation fields.',
+                ...(invalidKeys.length > 0 && { invalidKeys, validKeys: [...INSTALLATION_WRITABLE_FIELDS, 'installed_capacity_unit'] }),
+                ...(fieldErrors.length > 0 && { fieldErrors })
+            })
+        };
+    }
+
+    const { referenceErrors, fields: resolved } = await resolveInstallationReferences(fields);
+    if (referenceErrors.length > 0) {
+        return { response: jsonResponse(400, { success: false, error: 'Unsupported region or tariff.', referenceErrors }) };
+    }
+    return { fields: resolved };
+}
+
+/**
+ * Returns one installation of the user, or lists the user's installations
+ * @param {Object} request - HTTP request
+ * @param {Object} context - Function context
+ * @param {string} userId - Caller
+ * @returns {Promise<Object>} HTTP response
+ */
+async function getInstallations(request, context, userId) {
+    const installationId = request.query.get('installation_id');
+
+    if (installationId) {
+        try {
+            const result = await executeQuery(
+                `SELECT ${selectInstallationColumns('i')},
+                        (SELECT COUNT(*)::int FROM public.user_installations u WHERE u.installation_id = i.installation_id) AS user_count
+                 FROM public.installations i
+                 JOIN public.user_installations ui ON ui.installation_id = i.installation_id
+                 WHERE i.installation_id = $1 AND ui.user_id = $2
+                 LIMIT 1`,
+                [installationId, userId]
+            );
+            if (result.rows.length === 0) {
+                return jsonResponse(404, { success: false, error: 'Installation not found or not accessible to this user.' });
+            }
+            const activeMeters = await countActiveMeters(installationId);
+            return jsonResponse(200, { success: true, installation: { ...result.rows[0], activeMeters } });
+        } catch (error) {
+            context.log.error('Error reading installation:', error);
+            return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+        }
+    }
+
+    const status = request.query.get('status') || INSTALLATION_STATUS_ACTIVE;
+    if (status !== STATUS_ALL && !INSTALLATION_STATUSES.includes(status)) {
+        return jsonResponse(400, { success: false, error: `Invalid status. Allowed values: ${[...INSTALLATION_STATUSES, STATUS_ALL].join(', ')}.` });
+    }
+    const limit = parseCount(request.query.get('limit'), DEFAULT_LIMIT);
+    const offset = parseCount(request.query.get('offset'), 0);
+    if (limit === null || limit < 1 || limit > MAX_LIMIT || offset === null) {
+        return jsonResponse(400, { success: false, error: `limit must be an integer between 1 and ${MAX_LIMIT}; offset a non-negative integer.` });
+    }
+
+    const params = [userId];
+    const conditions = ['ui.user_id = $1'];
+    if (status !== STATUS_ALL) {
+        params.push(status);
+        conditions.push(`i.status = $${params.length}`);
+    }
+    params.push(limit, offset);
+
+    try {
+        const result = await executeQuery(
+            `SELECT ${selectInstallationColumns('i')}, COUNT(*) OVER () AS total_count
+             FROM public.installations i
+             JOIN public.user_installations ui ON ui.installation_id = i.installation_id
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY i.installation_id
+             LIMIT $${params.length - 1} OFFSET $${params.length}`,
+            params
+        );
+        const total = result.rows.length > 0 ? Number(result.rows[0].total_count) : 0;
+        const installations = result.rows.map(({ total_count, ...row }) => row);
+        return jsonResponse(200, { success: true, status, total, limit, offset, installations });
+    } catch (error) {
+        context.log.error('Error listing installations:', error);
+        return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+    }
+}
+
+/**
+ * Creates an installation and links its creator to it
+ * @param {Object} request - HTTP request
+ * @param {Object} context - Function context
+ * @param {string} userId - Caller
+ * @returns {Promise<Object>} HTTP response with the stored installation
+ */
+async function createInstallation(request, context, userId) {
+    const body = await readJsonObject(request);
+    if (!body || Object.keys(body).length === 0) {
+        return jsonResponse(400, { success: false, error: 'Body must be a JSON object with the installation fields.' });
+    }
+
+    let client;
+    try {
+        if (!await validateUserRole(userId, INSTALLATION_WRITER_ROLES)) {
+            return jsonResponse(403, { success: false, error: 'Installer or administrator role required.' });
+        }
+        const { fields, response } = await prepareInstallationWrite(body, true);
+        if (response) return response;
+        if (fields.register_date === undefined) {
+            fields.register_date = new Date().toISOString().slice(0, 10);
+        }
+
+        const columns = Object.keys(fields);
+        client = await getClient();
+        await client.query('BEGIN');
+        const inserted = await client.query(
+            `INSERT INTO public.installations (${columns.join(', ')})
+             VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+             RETURNING ${selectInstallationColumns()}`,
+            Object.values(fields)
+        );
+        const installation = inserted.rows[0];
+        await client.query(
+            'INSERT INTO public.user_installations (user_id, installation_id) VALUES ($1, $2)',
+            [userId, installation.installation_id]
+        );
+        await client.query('COMMIT');
+
+        context.log(`Installation ${installation.installation_id} created by user ${userId}`);
+        return jsonResponse(201, { success: true, installation });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        context.log.error('Error creating installation:', error);
+        return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+    } finally {
+        if (client) client.release();
+    }
+}
+
+/**
+ * Updates the fields of an installation of the user
+ * @param {Object} request - HTTP request
+ * @param {Object} context - Function context
+ * @param {string} userId - Caller
+ * @returns {Promise<Object>} HTTP response with the stored installation
+ */
+async function updateInstallation(request, context, userId) {
+    const installationId = request.query.get('installation_id');
+    if (!installationId) {
+        return jsonResponse(400, { success: false, error: 'Missing required parameter: installation_id' });
+    }
+    const body = await readJsonObject(request);
+    if (!body || Object.keys(body).length === 0) {
+        return jsonResponse(400, { success: false, error: 'Body must be a JSON object with the fields to update.' });
+    }
+
+    let client;
+    try {
+        if (!await validateUserRole(userId, INSTALLATION_WRITER_ROLES)) {
+            return jsonResponse(403, { success: false, error: 'Installer or administrator role required.' });
+        }
+        if (!await validateUserInstallationAccess(userId, installationId)) {
+            return jsonResponse(404, { success: false, error: 'Installation not found or not accessible to this user.' });
+        }
+        const { fields, response } = await prepareInstallationWrite(body, false);
+        if (response) return response;
+
+        const columns = Object.keys(fields);
+        if (columns.length === 0) {
+            return jsonResponse(400, { success: false, error: 'Body must include at least one installation field.' });
+        }
+
+        client = await getClient();
+        await client.query('BEGIN');
+        const current = await client.query(
+            'SELECT status FROM public.installations WHERE installation_id = $1 FOR UPDATE',
+            [installationId]
+        );
+        if (current.rows.length === 0 || current.rows[0].status === INSTALLATION_STATUS_ARCHIVED) {
+            await client.query('ROLLBACK');
+            return current.rows.length === 0
+                ? jsonResponse(404, { success: false, error: 'Installation not found.' })
+                : jsonResponse(409, { success: false, error: 'Installation is archived and cannot be updated.' });
+        }
+        const updated = await client.query(
+            `UPDATE public.installations
+             SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}
+             WHERE installation_id = $1
+             RETURNING ${selectInstallationColumns()}`,
+            [installationId, ...Object.values(fields)]
+        );
+        await client.query('COMMIT');
+
+        context.log(`Installation ${installationId} updated by user ${userId}: ${columns.join(', ')}`);
+        return jsonResponse(200, { success: true, updatedFields: columns, installation: updated.rows[0] });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        context.log.error('Error updating installation:', error);
+        return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+    } finally {
+        if (client) client.release();
+    }
+}
+
+app.http('installation', {
+    methods: ['GET', 'POST', 'PATCH'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const userId = request.query.get('user_id');
+        if (!userId) {
+            return jsonResponse(400, { success: false, error: 'Missing required parameter: user_id' });
+        }
+
+        if (request.method === 'POST') return createInstallation(request, context, userId);
+        if (request.method === 'PATCH') return updateInstallation(request, context, userId);
+        return getInstallations(request, context, userId);
+    }
+});
+
+app.http('archiveInstallation', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const installationId = request.query.get('installation_id');
+        const userId = request.query.get('user_id');
+        if (!installationId || !userId) {
+            return jsonResponse(400, { success: false, error: 'Missing required parameter(s): installation_id and user_id' });
+        }
+
+        const body = await readJsonObject(request);
+        if (!body) {
+            return jsonResponse(400, { success: false, error: 'Body must be a JSON object.' });
+        }
+        const reason = body.reason != null ? body.reason : null;
+        if (reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+            return jsonResponse(400, { success: false, error: `reason must be a string of at most ${MAX_REASON_LENGTH} characters.` });
+        }
+
+        let client;
+        try {
+            if (!await validateUserRole(userId, INSTALLATION_WRITER_ROLES)) {
+                return jsonResponse(403, { success: false, error: 'Installer or administrator role required.' });
+            }
+            if (!await validateUserInstallationAccess(userId, installationId)) {
+                return jsonResponse(404, { success: false, error: 'Installation not found or not accessible to this user.' });
+            }
+
+            client = await getClient();
+            await client.query('BEGIN');
+            const current = await client.query(
+                'SELECT status FROM public.installations WHERE installation_id = $1 FOR UPDATE',
+                [installationId]
+            );
+            if (current.rows.length === 0 || current.rows[0].status === INSTALLATION_STATUS_ARCHIVED) {
+                await client.query('ROLLBACK');
+                return current.rows.length === 0
+                    ? jsonResponse(404, { success: false, error: 'Installation not found.' })
+                    : jsonResponse(409, { success: false, error: 'Installation is already archived.' });
+            }
+
+            // Readings of active meters would keep arriving for an installation nobody manages anymore
+            const activeMeters = await countActiveMeters(installationId, (query, params) => client.query(query, params));
+            if (Object.values(activeMeters).some(count => count > 0)) {
+                await client.query('ROLLBACK');
+                return jsonResponse(409, {
+                    success: false,
+                    error: 'Installation still has active powermeters; decommission or move them first.',
+                    activeMeters
+                });
+            }
+
+            const archived = await client.query(
+                `UPDATE public.installations
+                 SET status = $2, archived_at = NOW(), archived_by = $3, archive_reason = $4
+                 WHERE installation_id = $1
+                 RETURNING ${selectInstallationColumns()}`,
+                [installationId, INSTALLATION_STATUS_ARCHIVED, userId, reason]
+            );
+            await client.query('COMMIT');
+
+            context.log(`Installation ${installationId} archived by user ${userId}`);
+            return jsonResponse(200, { success: true, installation: archived.rows[0] });
+        } catch (error) {
+            if (client) await client.query('ROLLBACK').catch(() => {});
+            context.log.error('Error archiving installation:', error);
+            return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+        } finally {
+            if (client) client.release();
+        }
+    }
+});
@@ -0,0 +1,224 @@
+/**
+ * FileName: src/functions/installationMap.js
+ * Author(s): Arturo Vargas
+ * Endpoint: GET /api/installationMap
+ * Brief: The user's installations as a GeoJSON FeatureCollection, with optional bounding box and clustering.
+ * Date: 2026-10-19
+ *
+ * Parameters (query string):
+ *   - user_id (required): only installations of the user (public.user_installations)
+ *   - enviroment (optional): production (default), demo or dev; schema of the meters summarized
+ *   - status (optional): active (default), archived or all; installation status
+ *   - bbox (optional): west,south,east,north in decimal degrees (GeoJSON order); west > east crosses the
+ *     antimeridian
+ *   - zoom (optional): map zoom level 0-22; installations closer than cluster_radius pixels at that zoom are
+ *     merged into one cluster feature, up to zoom 16 (no clustering above it, nor when zoom is missing; see
+ *     installationMapFeatures.js)
+ *   - cluster_radius (optional): pixels, 10-200 (default 60)
+ *
+ * Each installation is a Point feature (id = installation_id) from its latitude / longitude (see
+ * installationRegistry.js) with properties: installation_alias, status, region, tariff, installed_capacity
+ * (kW), meter_count (active meters), online_status (meters per heartbeat status, see heartbeat/meterHeartbeat.js),
+ * current_demand_kw (sum of the latest reading of each meter from the last 15 minutes; null when none) and
+ * month_kwh (month-to-date imported energy, see counterStitching.js). A cluster feature has cluster: true,
+ * point_count, installation_ids, expansion_zoom (zoom that shows it split further) and the same totals.
+ * Installations without coordinates are not mapped; their ids are returned in metadata.unlocated.
+ *
+ * Example:
+ * curl "http://localhost:7071/api/installationMap?user_id=1&bbox=-118,14,-86,33&zoom=5"
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const { executeQuery } = require('./pgPool');
+const { jsonResponse } = require('./dbUtils');
+const { loadMonthEnergy } = require('./counterStitching');
+const { METER_STATUSES, getHeartbeatThresholds, classifyMeterStatus } = require('./heartbeat/meterHeartbeat');
+const {
+    MAX_CLUSTER_ZOOM,
+    parseBbox,
+    emptyTotals,
+    addTotals,
+    installationFeature,
+    clusterFeatures
+} = require('./installationMapFeatures');
+const { POWERMETER_STATUS_ACTIVE, ALLOWED_ENVIROMENTS, getPowermeterSchema } = require('./powermeterRegistry');
+const { INSTALLATION_STATUS_ACTIVE, INSTALLATION_STATUSES } = require('./installationRegistry');
+
+const STATUS_ALL = 'all';
+const MAX_ZOOM = 22;
+const DEFAULT_CLUSTER_RADIUS = 60;
+const MIN_CLUSTER_RADIUS = 10;
+const MAX_CLUSTER_RADIUS = 200;
+
+// Readings older than this do not count towards current_demand_kw
+const CURRENT_DEMAND_MAX_AGE_MINUTES = 15;
+
+/**
+ * Reads an integer query parameter within a range
+ * @param {string|null} value - Raw value
+ * @param {number} min - Minimum
+ * @param {number} max - Maximum
+ * @param {number|null} fallback - Value when missing
+ * @returns {number|null|undefined} Parsed value, fallback when missing, or undefined when invalid
+ */
+function parseIntegerInRange(value, min, max, fallback) {
+    if (value === null || value === '') return fallback;
+    const number = Number(value);
+    return Number.isInteger(number) && number >= min && number <= max ? number : undefined;
+}
+
+/**
+ * Summarizes the active meters of each installation
+ * @param {string} schema - Schema of the meters
+ * @param {Array<number>} installationIds - Installations
+ * @returns {Promise<Map<string, Object>>} installation_id -> totals
+ */
+async function loadInstallationTotals(schema, installationIds) {
+    const totals = new Map(installationIds.map(id => [String(id), emptyTotals()]));
+    const meters = await executeQuery(`
+        SELECT
+            p.powermeter_id,
+            p.installation_id,
+            p.expected_interval_seconds,
+            EXTRACT(EPOCH FROM (NOW() - p.last_seen_at)) AS seconds_since_seen
+        FROM ${schema}.powermeters p
+        WHERE p.installation_id = ANY($1)
+          AND p.status = $2
+    `, [installationIds, POWERMETER_STATUS_ACTIVE]);
+    if (meters.rows.length === 0) return totals;
+
+    const powermeterIds = meters.rows.map(row => row.powermeter_id);
+    const demand = await executeQuery(`
+        SELECT DISTINCT ON (m.powermeter_id) m.powermeter_id, m.watts
+        FROM ${schema}.measurements m
+        WHERE m.powermeter_id = ANY($1)
+          AND m."timestamp" >= NOW() - make_interval(mins => $2)
+          AND m."timestamp" <= NOW()
+        ORDER BY m.powermeter_id, m."timestamp" DESC
+    `, [powermeterIds, CURRENT_DEMAND_MAX_AGE_MINUTES]);
+    const currentWatts = new Map(demand.rows
+        .filter(row => row.watts !== null)
+        .map(row => [String(row.powermeter_id), Number(row.watts)]));
+    const monthEnergy = await loadMonthEnergy(schema, powermeterIds);
+    const thresholds = getHeartbeatThresholds();
+
+    for (const row of meters.rows) {
+        const secondsSinceSeen = row.seconds_since_seen === null ? null : Math.round(Number(row.seconds_since_seen));
+        const watts = currentWatts.get(String(row.powermeter_id));
+        const monthKwh = monthEnergy.get(String(row.powermeter_id));
+        addTotals(totals.get(String(row.installation_id)), {
+            meter_count: 1,
+            online_status: Object.fromEntries(METER_STATUSES.map(name => [
+                name,
+                classifyMeterStatus(secondsSinceSeen, row.expected_interval_seconds, thresholds) === name ? 1 : 0
+            ])),
+            current_demand_kw: watts === undefined ? null : watts / 1000,
+            month_kwh: monthKwh ?? null
+        });
+    }
+    return totals;
+}
+
+app.http('installationMap', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const userId = request.query.get('user_id');
+        if (!userId) {
+            return jsonResponse(400, { success: false, error: 'Missing required parameter: user_id' });
+        }
+
+        const schema = getPowermeterSchema(request.query.get('enviroment'));
+        if (!schema) {
+            return jsonResponse(400, { success: false, error: `Invalid enviroment. Allowed values: ${ALLOWED_ENVIROMENTS.join(', ')}.` });
+        }
+
+        const status = request.query.get('status') || INSTALLATION_STATUS_ACTIVE;
+        if (status !== STATUS_ALL && !INSTALLATION_STATUSES.includes(status)) {
+            return jsonResponse(400, { success: false, error: `Invalid status. Allowed values: ${[...INSTALLATION_STATUSES, STATUS_ALL].join(', ')}.` });
+        }
+
+        const bboxValue = request.query.get('bbox');
+        const bbox = bboxValue ? parseBbox(bboxValue) : null;
+        if (bboxValue && !bbox) {
+            return jsonResponse(400, { success: false, error: 'bbox must be west,south,east,north in decimal degrees.' });
+        }
+
+        const zoom = parseIntegerInRange(request.query.get('zoom'), 0, MAX_ZOOM, null);
+        const clusterRadius = parseIntegerInRange(request.query.get('cluster_radius'), MIN_CLUSTER_RADIUS, MAX_CLUSTER_RADIUS, DEFAULT_CLUSTER_RADIUS);
+        if (zoom === undefined || clusterRadius === undefined) {
+            return jsonResponse(400, {
+                success: false,
+                error: `zoom must be an integer between 0 and ${MAX_ZOOM}; cluster_radius between ${MIN_CLUSTER_RADIUS} and ${MAX_CLUSTER_RADIUS}.`
+            });
+        }
+
+        const params = [userId];
+        const conditions = ['ui.user_id = $1'];
+        if (status !== STATUS_ALL) {
+            params.push(status);
+            conditions.push(`i.status = $${params.length}`);
+        }
+        if (bbox) {
+            params.push(bbox.south, bbox.north, bbox.west, bbox.east);
+            const last = params.length;
+            const [south, north, west, east] = [last - 3, last - 2, last - 1, last].map(index => `$${index}`);
+            const longitudeCondition = bbox.west <= bbox.east
+                ? `i.longitude BETWEEN ${west} AND ${east}`
+                : `(i.longitude >= ${west} OR i.longitude <= ${east})`;
+            // Installations without coordinates are kept to be listed as unlocated
+            conditions.push(`(i.latitude IS NULL OR (i.latitude BETWEEN ${south} AND ${north} AND ${longitudeCondition}))`);
+        }
+
+        try {
+            const result = await executeQuery(`
+                SELECT
+                    i.installation_id,
+                    i.installation_alias,
+                    i.status,
+                    i.region,
+                    i.tariff,
+                    i.installed_capacity,
+                    i.latitude,
+                    i.longitude
+                FROM public.installations i
+                JOIN public.user_installations ui ON ui.installation_id = i.installation_id
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY i.installation_id
+            `, params);
+
+            const located = result.rows.filter(row => row.latitude !== null && row.longitude !== null);
+            const unlocated = result.rows.filter(row => row.latitude === null || row.longitude === null).map(row => row.installation_id);
+            const totals = located.length > 0
+                ? await loadInstallationTotals(schema, located.map(row => row.installation_id))
+                : new Map();
+
+            const features = located.map(row => installationFeature(row, totals.get(String(row.installation_id))));
+            const clustered = zoom !== null && zoom <= MAX_CLUSTER_ZOOM;
+
+            return {
+                status: 200,
+                headers: { 'Content-Type': 'application/geo+json' },
+                body: JSON.stringify({
+                    type: 'FeatureCollection',
+                    ...(bbox && { bbox: [bbox.west, bbox.south, bbox.east, bbox.north] }),
+                    features: clustered ? clusterFeatures(features, zoom, clusterRadius) : features,
+                    metadata: {
+                        schema,
+                        status,
+                        zoom,
+                        clustered,
+                        installation_count: features.length,
+                        unlocated
+                    }
+                })
+            };
+        } catch (error) {
+            context.log.error('Error building installation map:', error);
+            return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+        }
+    }
+});
@@ -0,0 +1,149 @@
+/**
+ * FileName: src/functions/installationMapFeatures.js
+ * Author(s): Arturo Vargas
+ * Brief: Bounding box parsing, GeoJSON features and grid clustering of the installation map.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * Used by installationMap.js. bbox is west,south,east,north in decimal degrees (GeoJSON order); west > east
+ * crosses the antimeridian. Clustering projects each installation to Web Mercator pixels at the requested
+ * zoom and merges the installations of each radius x radius pixel cell into one cluster feature, placed at
+ * their mean coordinates and carrying the sum of their meter totals.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { METER_STATUSES } = require('./heartbeat/meterHeartbeat');
+
+const MAX_CLUSTER_ZOOM = 16;
+const TILE_SIZE = 256;
+
+/**
+ * Parses the bbox parameter
+ * @param {string} value - west,south,east,north
+ * @returns {Object|null} { west, south, east, north }, or null when invalid
+ */
+function parseBbox(value) {
+    const parts = value.split(',').map(part => (part.trim() === '' ? NaN : Number(part)));
+    if (parts.length !== 4 || !parts.every(Number.isFinite)) return null;
+    const [west, south, east, north] = parts;
+    if (Math.abs(west) > 180 || Math.abs(east) > 180 || Math.abs(south) > 90 || Math.abs(north) > 90 || south > north) {
+        return null;
+    }
+    return { west, south, east, north };
+}
+
+/**
+ * Projects a coordinate to Web Mercator pixels at a zoom level
+ * @param {number} latitude - Decimal degrees
+ * @param {number} longitude - Decimal degrees
+ * @param {number} zoom - Zoom level
+ * @returns {Object} { x, y } in pixels
+ */
+function projectToPixels(latitude, longitude, zoom) {
+    const size = TILE_SIZE * 2 ** zoom;
+    const sine = Math.min(Math.max(Math.sin(latitude * Math.PI / 180), -0.9999), 0.9999);
+    return {
+        x: (longitude + 180) / 360 * size,
+        y: (0.5 - Math.log((1 + sine) / (1 - sine)) / (4 * Math.PI)) * size
+    };
+}
+
+/**
+ * Creates the meter totals of an installation or cluster
+ * @returns {Object} Empty totals
+ */
+function emptyTotals() {
+    return {
+        meter_count: 0,
+        online_status: Object.fromEntries(METER_STATUSES.map(name => [name, 0])),
+        current_demand_kw: null,
+        month_kwh: null
+    };
+}
+
+/**
+ * Adds totals to another (null values leave the sums untouched)
+ * @param {Object} target - Totals (modified)
+ * @param {Object} source - Totals added
+ * @returns {void}
+ */
+function addTotals(target, source) {
+    target.meter_count += source.meter_count;
+    for (const name of METER_STATUSES) target.online_status[name] += source.online_status[name];
+    for (const key of ['current_demand_kw', 'month_kwh']) {
+        if (source[key] != null) target[key] = (target[key] || 0) + source[key];
+    }
+}
+
+/**
+ * Builds the Point feature of an installation
+ * @param {Object} row - Installation row
+ * @param {Object} totals - Meter totals of the installation
+ * @returns {Object} GeoJSON Feature
+ */
+function installationFeature(row, totals) {
+    return {
+        type: 'Feature',
+        id: row.installation_id,
+        geometry: { type: 'Point', coordinates: [Number(row.longitude), Number(row.latitude)] },
+        properties: {
+            installation_id: row.installation_id,
+            installation_alias: row.installation_alias,
+            status: row.status,
+            region: row.region,
+            tariff: row.tariff,
+            installed_capacity: row.installed_capacity === null ? null : Number(row.installed_capacity),
+            ...totals
+        }
+    };
+}
+
+/**
+ * Merges features closer than radius pixels at a zoom level into cluster features (grid clustering)
+ * @param {Array<Object>} features - Installation features
+ * @param {number} zoom - Zoom level
+ * @param {number} radius - Cluster cell size, in pixels
+ * @returns {Array<Object>} Installation and cluster features
+ */
+function clusterFeatures(features, zoom, radius) {
+    const cells = new Map();
+    for (const feature of features) {
+        const [longitude, latitude] = feature.geometry.coordinates;
+        const { x, y } = projectToPixels(latitude, longitude, zoom);
+        const key = `${Math.floor(x / radius)}/${Math.floor(y / radius)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(feature);
+    }
+
+    return [...cells.entries()].map(([key, members]) => {
+        if (members.length === 1) return members[0];
+
+        const totals = emptyTotals();
+        members.forEach(member => addTotals(totals, member.properties));
+        const mean = index => members.reduce((sum, member) => sum + member.geometry.coordinates[index], 0) / members.length;
+        return {
+            type: 'Feature',
+            id: `cluster/${zoom}/${key}`,
+            geometry: { type: 'Point', coordinates: [Number(mean(0).toFixed(6)), Number(mean(1).toFixed(6))] },
+            properties: {
+                cluster: true,
+                point_count: members.length,
+                installation_ids: members.map(member => member.properties.installation_id),
+                expansion_zoom: Math.min(zoom + 1, MAX_CLUSTER_ZOOM + 1),
+                ...totals
+            }
+        };
+    });
+}
+
+module.exports = {
+    MAX_CLUSTER_ZOOM,
+    parseBbox,
+    projectToPixels,
+    emptyTotals,
+    addTotals,
+    installationFeature,
+    clusterFeatures
+};
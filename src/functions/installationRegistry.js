@@ -0,0 +1,258 @@
+/**
+ * FileName: src/functions/installationRegistry.js
+ * Author(s): Arturo Vargas
+ * Brief: Shared column list, status and field validation of public.installations.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * region and tariff must name a row of public.supported_regions / public.supported_tariffs (by code or name,
+ * case-insensitive; the code is stored). installed_capacity is stored in kW: writes may send it in W, kW or
+ * MW with installed_capacity_unit (kW when missing). Dates are YYYY-MM-DD. location holds WGS84 coordinates:
+ * writes send "latitude,longitude", { latitude, longitude } or a GeoJSON Point; it is stored as
+ * "latitude,longitude" (6 decimals) along with the latitude and longitude columns. An archived installation keeps its
+ * row, meters and history but accepts no changes. Writes require one of INSTALLATION_WRITER_ROLES
+ * (INSTALLER_ROLES or ADMIN_ROLES in dbUtils.js) and, except creation, membership of the installation
+ * (public.user_installations). Requires database/migrations/015_installation_management.sql and
+ * 017_installation_coordinates.sql.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { executeQuery } = require('./pgPool');
+const { ADMIN_ROLES, INSTALLER_ROLES } = require('./dbUtils');
+const { POWERMETER_STATUS_ACTIVE } = require('./powermeterRegistry');
+const { suggestClosest } = require('./powermeterReferences');
+
+const INSTALLATION_STATUS_ACTIVE = 'active';
+const INSTALLATION_STATUS_ARCHIVED = 'archived';
+const INSTALLATION_STATUSES = [INSTALLATION_STATUS_ACTIVE, INSTALLATION_STATUS_ARCHIVED];
+
+// Roles allowed to create, edit and archive installations (edits only within their own installations)
+const INSTALLATION_WRITER_ROLES = [...new Set([...INSTALLER_ROLES, ...ADMIN_ROLES])];
+
+const INSTALLATION_WRITABLE_FIELDS = [
+    'installation_alias',
+    'register_date',
+    'region',
+    'tariff',
+    'installed_capacity',
+    'location',
+    'maintenance_date'
+];
+
+const INSTALLATION_COLUMNS = [
+    'installation_id',
+    ...INSTALLATION_WRITABLE_FIELDS,
+    'latitude',
+    'longitude',
+    'status',
+    'archived_at',
+    'archived_by',
+    'archive_reason'
+];
+
+// Factors to kW of the units accepted in installed_capacity_unit (lower case)
+const CAPACITY_UNITS = { w: 0.001, kw: 1, mw: 1000 };
+
+const MAX_ALIAS_LENGTH = 100;
+const COORDINATE_DECIMALS = 6;
+
+// "latitude,longitude" in decimal degrees
+const COORDINATES_PATTERN = /^\s*([-+]?\d{1,2}(?:\.\d+)?)\s*,\s*([-+]?\d{1,3}(?:\.\d+)?)\s*$/;
+
+/**
+ * Checks a calendar date in YYYY-MM-DD format
+ * @param {*} value - Value received
+ * @returns {boolean} True when the value is an existing date
+ */
+function isCalendarDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Parses the location of an installation
+ * @param {*} value - "latitude,longitude", { latitude, longitude } or a GeoJSON Point ([longitude, latitude])
+ * @returns {Object} { latitude, longitude, location } with location as stored, or { error }
+ */
+function parseLocation(value) {
+    let latitude;
+    let longitude;
+    if (typeof value === 'string') {
+        const match = COORDINATES_PATTERN.exec(value);
+        if (match) [latitude, longitude] = [Number(match[1]), Number(match[2])];
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        if (value.type === 'Point' && Array.isArray(value.coordinates) && value.coordinates.length === 2) {
+            [longitude, latitude] = value.coordinates;
+        } else {
+            ({ latitude, longitude } = value);
+        }
+    }
+
+    const valid = [latitude, longitude].every(coordinate => typeof coordinate === 'number' && Number.isFinite(coordinate))
+        && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+    if (!valid) {
+        return { error: 'must be "latitude,longitude" in decimal degrees, { latitude, longitude } or a GeoJSON Point (latitude -90 to 90, longitude -180 to 180)' };
+    }
+
+    latitude = Number(latitude.toFixed(COORDINATE_DECIMALS));
+    longitude = Number(longitude.toFixed(COORDINATE_DECIMALS));
+    return { latitude, longitude, location: `${latitude},${longitude}` };
+}
+
+const textUpTo = max => value =>
+    (typeof value === 'string' && value.trim().length > 0 && value.length <= max) || `must be a non-empty string of at most ${max} characters`;
+
+// Checks of each writable field; region and tariff are checked against their reference tables
+const FIELD_RULES = {
+    installation_alias: textUpTo(MAX_ALIAS_LENGTH),
+    register_date: value => isCalendarDate(value) || 'must be a date in YYYY-MM-DD format',
+    maintenance_date: value => isCalendarDate(value) || 'must be a date in YYYY-MM-DD format',
+    installed_capacity: value => (typeof value === 'number' && Number.isFinite(value) && value > 0) || 'must be a positive number',
+    location: value => parseLocation(value).error || true,
+    region: value => typeof value === 'string' || 'must be a string',
+    tariff: value => typeof value === 'string' || 'must be a string'
+};
+
+// Fields that can be cleared with null
+const NULLABLE_FIELDS = ['region', 'tariff', 'installed_capacity', 'location', 'maintenance_date'];
+
+/**
+ * Validates the fields of an installation write and converts installed_capacity to kW
+ * @param {Object} body - Fields received (installed_capacity_unit included)
+ * @param {Object} [options]
+ * @param {boolean} [options.create] - Creation: installation_alias is required
+ * @returns {Object} { invalidKeys, fieldErrors, fields }; fields holds the columns to write (latitude and
+ * longitude follow location)
+ */
+function validateInstallationFields(body, { create = false } = {}) {
+    const { installed_capacity_unit: unit, ...fields } = body;
+    const invalidKeys = Object.keys(fields).filter(key => !INSTALLATION_WRITABLE_FIELDS.includes(key));
+    const fieldErrors = [];
+
+    if (create && fields.installation_alias === undefined) {
+        fieldErrors.push({ field: 'installation_alias', error: 'installation_alias is required' });
+    }
+    for (const [key, value] of Object.entries(fields)) {
+        const rule = FIELD_RULES[key];
+        if (!rule) continue;
+        if (value === null) {
+            if (!NULLABLE_FIELDS.includes(key)) fieldErrors.push({ field: key, error: `${key} cannot be null`, value });
+            continue;
+        }
+        const outcome = rule(value);
+        if (outcome !== true) fieldErrors.push({ field: key, error: `${key} ${outcome}`, value });
+    }
+
+    if (unit !== undefined) {
+        const factor = typeof unit === 'string' ? CAPACITY_UNITS[unit.toLowerCase()] : undefined;
+        if (factor === undefined) {
+            fieldErrors.push({ field: 'installed_capacity_unit', error: 'installed_capacity_unit must be W, kW or MW', value: unit });
+        } else if (fields.installed_capacity === undefined) {
+            fieldErrors.push({ field: 'installed_capacity_unit', error: 'installed_capacity_unit requires installed_capacity', value: unit });
+        } else if (typeof fields.installed_capacity === 'number') {
+            fields.installed_capacity = Number((fields.installed_capacity * factor).toPrecision(12));
+        }
+    }
+
+    if (fields.location === null) {
+        Object.assign(fields, { latitude: null, longitude: null });
+    } else if (fields.location !== undefined) {
+        const { latitude, longitude, location, error } = parseLocation(fields.location);
+        if (!error) Object.assign(fields, { location, latitude, longitude });
+    }
+
+    return { invalidKeys, fieldErrors, fields };
+}
+
+/**
+ * Resolves a code against a reference table by code or name (case-insensitive)
+ * @param {string} field - Field checked (region or tariff)
+ * @param {string} value - Value received
+ * @param {Array<Object>} rows - { code, name } of the reference table
+ * @param {string} table - Reference table, for the error message
+ * @returns {Object} { code } or { error }
+ */
+function matchReference(field, value, rows, table) {
+    const needle = value.trim().toLowerCase();
+    const match = rows.find(row => row.code.toLowerCase() === needle || row.name.toLowerCase() === needle);
+    if (match) return { code: match.code };
+
+    return {
+        error: {
+            field,
+            value,
+            error: `${field} is not in ${table}.`,
+            suggestions: suggestClosest(value, rows.flatMap(row => [row.code, row.name]))
+        }
+    };
+}
+
+/**
+ * Checks region and tariff of an installation write against their reference tables
+ * @param {Object} fields - Validated fields (not modified)
+ * @returns {Promise<Object>} { referenceErrors, fields } with region and tariff replaced by their codes
+ */
+async function resolveInstallationReferences(fields) {
+    const referenceErrors = [];
+    const resolved = { ...fields };
+    const references = [
+        { field: 'region', table: 'supported_regions', query: 'SELECT region_code AS code, name FROM public.supported_regions' },
+        { field: 'tariff', table: 'supported_tariffs', query: 'SELECT tariff_code AS code, name FROM public.supported_tariffs' }
+    ];
+
+    for (const { field, table, query } of references) {
+        if (typeof fields[field] !== 'string') continue;
+        const result = await executeQuery(query);
+        const { code, error } = matchReference(field, fields[field], result.rows, table);
+        if (error) {
+            referenceErrors.push(error);
+        } else {
+            resolved[field] = code;
+        }
+    }
+
+    return { referenceErrors, fields: resolved };
+}
+
+/**
+ * Builds the explicit column list of an installations query
+ * @param {string} [alias] - Table alias
+ * @returns {string} Comma separated columns
+ */
+function selectInstallationColumns(alias) {
+    return INSTALLATION_COLUMNS.map(column => (alias ? `${alias}.${column}` : column)).join(', ');
+}
+
+/**
+ * Counts the active powermeters of an installation in every schema
+ * @param {string|number} installationId - Installation
+ * @param {Function} [runQuery] - executeQuery, or client.query to read inside a transaction
+ * @returns {Promise<Object>} { public, demo, dev } active meter counts
+ */
+async function countActiveMeters(installationId, runQuery = executeQuery) {
+    const result = await runQuery(`
+        SELECT 'public' AS schema, COUNT(*)::int AS meters FROM public.powermeters WHERE installation_id = $1 AND status = $2
+        UNION ALL
+        SELECT 'demo' AS schema, COUNT(*)::int AS meters FROM demo.powermeters WHERE installation_id = $1 AND status = $2
+        UNION ALL
+        SELECT 'dev' AS schema, COUNT(*)::int AS meters FROM dev.powermeters WHERE installation_id = $1 AND status = $2
+    `, [installationId, POWERMETER_STATUS_ACTIVE]);
+    return Object.fromEntries(result.rows.map(row => [row.schema, Number(row.meters)]));
+}
+
+module.exports = {
+    INSTALLATION_STATUS_ACTIVE,
+    INSTALLATION_STATUS_ARCHIVED,
+    INSTALLATION_STATUSES,
+    INSTALLATION_WRITER_ROLES,
+    INSTALLATION_WRITABLE_FIELDS,
+    INSTALLATION_COLUMNS,
+    parseLocation,
+    validateInstallationFields,
+    resolveInstallationReferences,
+    selectInstallationColumns,
+    countActiveMeters
+};
@@ -0,0 +1,84 @@
+/**
+ * FileName: src/functions/maintenance/maintenanceDue.js
+ * Author(s): Arturo Vargas
+ * Endpoint: GET /api/maintenanceDue?user_id=&days=&installation_id=
+ * Brief: Overdue, in-progress and upcoming maintenance across the installations of a user.
+ * Date: 2026-10-19
+ *
+ * Returns the scheduled (not completed nor cancelled) windows of the user's installations, grouped as:
+ *   - overdue: ended without a completion record, oldest first
+ *   - in_progress: started and not yet ended
+ *   - upcoming: starting within the next `days` days (1-365, default 30), soonest first
+ * installation_id narrows the list to one installation.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const { executeQuery } = require('../pgPool');
+const { jsonResponse } = require('../dbUtils');
+const { WINDOW_STATUS_SCHEDULED, WINDOW_COLUMNS } = require('./maintenanceWindows');
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+
+app.http('maintenanceDue', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const userId = request.query.get('user_id');
+        const installationId = request.query.get('installation_id');
+        const daysValue = request.query.get('days');
+
+        if (!userId) {
+            return jsonResponse(400, { success: false, error: 'Missing required parameter: user_id' });
+        }
+        const days = daysValue === null || daysValue === '' ? DEFAULT_DAYS : Number(daysValue);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+            return jsonResponse(400, { success: false, error: `days must be an integer between 1 and ${MAX_DAYS}.` });
+        }
+
+        const params = [userId, WINDOW_STATUS_SCHEDULED, days];
+        const installationFilter = installationId ? `AND w.installation_id = $${params.push(installationId)}` : '';
+
+        try {
+            const result = await executeQuery(
+                `SELECT ${WINDOW_COLUMNS.split(',').map(column => `w.${column.trim()}`).join(', ')},
+                        i.installation_alias,
+                        CASE
+                            WHEN w.ends_at <= NOW() THEN 'overdue'
+                            WHEN w.starts_at <= NOW() THEN 'in_progress'
+                            ELSE 'upcoming'
+                        END AS due_state
+                 FROM public.maintenance_windows w
+                 JOIN public.user_installations ui ON ui.installation_id = w.installation_id AND ui.user_id = $1
+                 JOIN public.installations i ON i.installation_id = w.installation_id
+                 WHERE w.status = $2
+                   AND w.starts_at < NOW() + make_interval(days => $3)
+                   ${installationFilter}
+                 ORDER BY w.starts_at, w.window_id`,
+                params
+            );
+
+            const groups = { overdue: [], in_progress: [], upcoming: [] };
+            for (const { due_state: dueState, ...window } of result.rows) {
+                groups[dueState].push(window);
+            }
+
+            return jsonResponse(200, {
+                success: true,
+                days,
+                summary: {
+                    overdue: groups.overdue.length,
+                    in_progress: groups.in_progress.length,
+                    upcoming: groups.upcoming.length
+                },
+                ...groups
+            });
+        } catch (error) {
+            context.log.error('Error listing due maintenance:', error);
+            return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+        }
+    }
+});
@@ -0,0 +1,515 @@
+/**
+ * FileName: src/functions/maintenance/maintenanceSchedule.js
+ * Author(s): Arturo Vargas
+ * Endpoints: GET/POST /api/maintenanceWindows, POST /api/completeMaintenanceWindow,
+ *            POST /api/cancelMaintenanceWindow, GET /api/maintenanceSchedules, POST /api/cancelMaintenanceSchedule
+ * Brief: Schedule, complete and cancel maintenance windows of installations and powermeters.
+ * Date: 2026-10-19
+ *
+ * Every endpoint requires ?user_id= and only reaches installations of the user (public.user_installations);
+ * writes also require an installer or administrator role.
+ *
+ * POST /api/maintenanceWindows?user_id=&enviroment= schedules a window. JSON body:
+ *   - installation_id or powermeter_id (of the enviroment's schema): target of the window
+ *   - title (required), description (optional)
+ *   - starts_at (required) and ends_at or duration_minutes: ISO 8601 with offset; past windows may be recorded
+ *   - recurrence (optional): { unit: day|week|month|year, interval (default 1), until (optional) } creates a
+ *     recurring schedule; its windows up to the horizon are returned with it
+ *
+ * GET /api/maintenanceWindows?user_id= lists windows, newest first, with optional installation_id or
+ * powermeter_id (&enviroment=; includes the windows of the meter's installation), status, from / to (window
+ * overlapping the range), limit (1-500, default 100) and offset. status=completed is the service log.
+ *
+ * POST /api/completeMaintenanceWindow?window_id=&user_id= records the service of a started window:
+ * { technician (required), notes, started_at, ended_at } (actual times, replacing the planned ones).
+ * POST /api/cancelMaintenanceWindow?window_id=&user_id= ({ reason } optional) cancels a scheduled window.
+ *
+ * GET /api/maintenanceSchedules?user_id= (&installation_id=, &status=active|cancelled) lists recurring
+ * schedules; POST /api/cancelMaintenanceSchedule?schedule_id=&user_id= stops one and cancels its windows that
+ * have not started. See maintenanceWindows.js for how readings taken during windows are flagged.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const { executeQuery, getClient } = require('../pgPool');
+const {
+    validateUserRole,
+    validateUserPowermeterAccess,
+    validateUserInstallationAccess,
+    jsonResponse,
+    parseCount,
+    readJsonObject,
+    MAX_REASON_LENGTH
+} = require('../dbUtils');
+const { ALLOWED_ENVIROMENTS, getPowermeterSchema } = require('../powermeterRegistry');
+const { INSTALLATION_STATUS_ARCHIVED, INSTALLATION_WRITER_ROLES } = require('../installationRegistry');
+const {
+    WINDOW_STATUS_SCHEDULED,
+    WINDOW_STATUS_COMPLETED,
+    WINDOW_STATUS_CANCELLED,
+    WINDOW_STATUSES,
+    SCHEDULE_STATUS_ACTIVE,
+    SCHEDULE_STATUS_CANCELLED,
+    WINDOW_COLUMNS,
+    SCHEDULE_COLUMNS,
+    parseTimestamp,
+    checkText,
+    validateWindowRequest,
+    generateScheduledWindows
+} = require('./maintenanceWindows');
+
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 500;
+const MAX_TECHNICIAN_LENGTH = 200;
+
+// Completion times may run slightly ahead of the server clock
+const COMPLETION_CLOCK_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Resolves and authorizes the installation or meter a new window is scheduled for
+ * @param {Object} body - Request body (installation_id or powermeter_id)
+ * @param {string} userId - Caller
+ * @param {string} schema - Schema of powermeter_id
+ * @returns {Promise<Object>} { target: { installationId, schema, powermeterId } } or { response }
+ */
+async function resolveWindowTarget(body, userId, schema) {
+    const { installation_id: installationId, powermeter_id: powermeterId } = body;
+    if ((installationId == null) === (powermeterId == null)) {
+        return { response: jsonResponse(400, { success: false, error: 'Send either installation_id or powermeter_id.' }) };
+    }
+
+    let target;
+    if (powermeterId != null) {
+        if (!await validateUserPowermeterAccess(userId, powermeterId, schema)) {
+            return { response: jsonResponse(404, { success: false, error: `Powermeter ID not found in ${schema} schema or not accessible to this user.` }) };
+        }
+        const meter = await executeQuery(`SELECT installation_id FROM ${schema}.powermeters WHERE powermeter_id = $1`, [powermeterId]);
+        target = { installationId: meter.rows[0].installation_id, schema, powermeterId };
+    } else {
+        if (!await validateUserInstallationAccess(userId, installationId)) {
+            return { response: jsonResponse(404, { success: false, error: 'Installation not found or not accessible to this user.' }) };
+        }
+        target = { installationId, schema: null, powermeterId: null };
+    }
+
+    const installation = await executeQuery('SELECT status FROM public.installations WHERE installation_id = $1', [target.installationId]);
+    if (installation.rows.length > 0 && installation.rows[0].status === INSTALLATION_STATUS_ARCHIVED) {
+        return { response: jsonResponse(409, { success: false, error: `Installation ${target.installationId} is archived; maintenance cannot be scheduled.` }) };
+    }
+    return { target };
+}
+
+/**
+ * Schedules a single window or a recurring schedule
+ * @param {Object} request - HTTP request
+ * @param {Object} context - Function context
+ * @param {string} userId - Caller
+ * @returns {Promise<Object>} HTTP response
+ */
+async function createWindow(request, context, userId) {
+    const schema = getPowermeterSchema(request.query.get('enviroment'));
+    if (!schema) {
+        return jsonResponse(400, { success: false, error: `Invalid enviroment. Allowed values: ${ALLOWED_ENVIROMENTS.join(', ')}.` });
+    }
+    const body = await readJsonObject(request);
+    if (!body) {
+        return jsonResponse(400, { success: false, error: 'Body must be a JSON object.' });
+    }
+    const { window, recurrence, error } = validateWindowRequest(body);
+    if (error) {
+        return jsonResponse(400, { success: false, error });
+    }
+
+    let client;
+    try {
+        if (!await validateUserRole(userId, INSTALLATION_WRITER_ROLES)) {
+            return jsonResponse(403, { success: false, error: 'Installer or administrator role required.' });
+        }
+        const { target, response } = await resolveWindowTarget(body, userId, schema);
+        if (response) return response;
+
+        if (!recurrence) {
+            const inserted = await executeQuery(
+                `INSERT INTO public.maintenance_windows
+                     (installation_id, schema_name, powermeter_id, title, description, starts_at, ends_at, created_by)
+                 VALUES ($1, $2, $3, $4, $5, $6, $6::timestamptz + make_interval(mins => $7), $8)
+                 RETURNING ${WINDOW_COLUMNS}`,
+                [target.installationId, target.schema, target.powermeterId, window.title, window.description,
+                    window.startsAt.toISOString(), window.durationMinutes, String(userId)]
+            );
+            context.log(`Maintenance window ${inserted.rows[0].window_id} scheduled for installation ${target.installationId} by user ${userId}`);
+            return jsonResponse(201, { success: true, window: inserted.rows[0] });
+        }
+
+        client = await getClient();
+        await client.query('BEGIN');
+        const inserted = await client.query(
+            `INSERT INTO public.maintenance_schedules
+                 (installation_id, schema_name, powermeter_id, title, description, first_start_at, duration_minutes,
+                  recurrence_unit, recurrence_interval, until_at, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+             RETURNING ${SCHEDULE_COLUMNS}`,
+            [target.installationId, target.schema, target.powermeterId, window.title, window.description,
+                window.startsAt.toISOString(), window.durationMinutes, recurrence.unit, recurrence.interval,
+                recurrence.untilAt && recurrence.untilAt.toISOString(), String(userId)]
+        );
+        const scheduleId = inserted.rows[0].schedule_id;
+        await generateScheduledWindows((query, params) => client.query(query, params), { scheduleId });
+        const schedule = await client.query(`SELECT ${SCHEDULE_COLUMNS} FROM public.maintenance_schedules WHERE schedule_id = $1`, [scheduleId]);
+        const windows = await client.query(
+            `SELECT ${WINDOW_COLUMNS} FROM public.maintenance_windows WHERE schedule_id = $1 ORDER BY starts_at`,
+            [scheduleId]
+        );
+        await client.query('COMMIT');
+
+        context.log(`Maintenance schedule ${scheduleId} (${windows.rows.length} window(s)) created for installation ${target.installationId} by user ${userId}`);
+        return jsonResponse(201, { success: true, schedule: schedule.rows[0], windows: windows.rows });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        context.log.error('Error scheduling maintenance:', error);
+        return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+    } finally {
+        if (client) client.release();
+    }
+}
+
+/**
+ * Lists the maintenance windows of the user's installations
+ * @param {Object} request - HTTP request
+ * @param {Object} context - Function context
+ * @param {string} userId - Caller
+ * @returns {Promise<Object>} HTTP response
+ */
+async function listWindows(request, context, userId) {
+    const installationId = request.query.get('installation_id');
+    const powermeterId = request.query.get('powermeter_id');
+    const status = request.query.get('status');
+    const schema = getPowermeterSchema(request.query.get('enviroment'));
+    const limit = parseCount(request.query.get('limit'), DEFAULT_LIST_LIMIT);
+    const offset = parseCount(request.query.get('offset'), 0);
+
+    if (!schema) {
+        return jsonResponse(400, { success: false, error: `Invalid enviroment. Allowed values: ${ALLOWED_ENVIROMENTS.join(', ')}.` });
+    }
+    if (status && !WINDOW_STATUSES.includes(status)) {
+        return jsonResponse(400, { success: false, error: `Invalid status. Allowed values: ${WINDOW_STATUSES.join(', ')}.` });
+    }
+    if (limit === null || limit < 1 || limit > MAX_LIST_LIMIT || offset === null) {
+        return jsonResponse(400, { success: false, error: `limit must be an integer between 1 and ${MAX_LIST_LIMIT}; offset a non-negative integer.` });
+    }
+
+    const params = [userId];
+    const conditions = ['ui.user_id = $1'];
+    for (const [parameter, comparison] of [['from', 'w.ends_at >'], ['to', 'w.starts_at <']]) {
+        const value = request.query.get(parameter);
+        if (!value) continue;
+        const { date, error } = parseTimestamp(value, parameter);
+        if (error) return jsonResponse(400, { success: false, error });
+        params.push(date.toISOString());
+        conditions.push(`${comparison} $${params.length}`);
+    }
+    if (status) {
+        params.push(status);
+        conditions.push(`w.status = $${params.length}`);
+    }
+    if (installationId) {
+        params.push(installationId);
+        conditions.push(`w.installation_id = $${params.length}`);
+    }
+    if (powermeterId) {
+        params.push(powermeterId);
+        const meter = `$${params.length}`;
+        params.push(schema);
+        const meterSchema = `$${params.length}`;
+        // The meter's own windows and those of its whole installation
+        conditions.push(`((w.schema_name = ${meterSchema} AND w.powermeter_id = ${meter})
+            OR (w.powermeter_id IS NULL AND w.installation_id = (SELECT p.installation_id FROM ${schema}.powermeters p WHERE p.powermeter_id = ${meter})))`);
+    }
+    params.push(limit, offset);
+
+    try {
+        const result = await executeQuery(
+            `SELECT ${WINDOW_COLUMNS.split(',').map(column => `w.${column.trim()}`).join(', ')}, COUNT(*) OVER () AS total_count
+             FROM public.maintenance_windows w
+             JOIN public.user_installations ui ON ui.installation_id = w.installation_id
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY w.starts_at DESC, w.window_id DESC
+             LIMIT $${params.length - 1} OFFSET $${params.length}`,
+            params
+        );
+        const total = result.rows.length > 0 ? Number(result.rows[0].total_count) : 0;
+        const windows = result.rows.map(({ total_count, ...row }) => row);
+        return jsonResponse(200, { success: true, total, limit, offset, windows });
+    } catch (error) {
+        context.log.error('Error listing maintenance windows:', error);
+        return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+    }
+}
+
+/**
+ * Locks a window of the user's installations for a change (inside a transaction)
+ * @param {Object} client - Database client with an open transaction
+ * @param {string} windowId - Window
+ * @param {string} userId - Caller
+ * @returns {Promise<Object|null>} Window row, or null when missing or not accessible
+ */
+async function lockUserWindow(client, windowId, userId) {
+    const result = await client.query(
+        `SELECT ${WINDOW_COLUMNS}
+         FROM public.maintenance_windows w
+         WHERE w.window_id = $1
+           AND EXISTS (SELECT 1 FROM public.user_installations ui WHERE ui.installation_id = w.installation_id AND ui.user_id = $2)
+         FOR UPDATE`,
+        [windowId, userId]
+    );
+    return result.rows[0] || null;
+}
+
+app.http('maintenanceWindows', {
+    methods: ['GET', 'POST'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const userId = request.query.get('user_id');
+        if (!userId) {
+            return jsonResponse(400, { success: false, error: 'Missing required parameter: user_id' });
+        }
+        return request.method === 'POST'
+            ? createWindow(request, context, userId)
+            : listWindows(request, context, userId);
+    }
+});
+
+app.http('completeMaintenanceWindow', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const windowId = request.query.get('window_id');
+        const userId = request.query.get('user_id');
+        if (!windowId || !userId) {
+            return jsonResponse(400, { success: false, error: 'Missing required parameter(s): window_id and user_id' });
+        }
+
+        const body = await readJsonObject(request);
+        if (!body) {
+            return jsonResponse(400, { success: false, error: 'Body must be a JSON object.' });
+        }
+        const { technician, notes = null, started_at: startedValue, ended_at: endedValue } = body;
+        if (typeof technician !== 'string' || !technician.trim() || technician.length > MAX_TECHNICIAN_LENGTH) {
+            return jsonResponse(400, { success: false, error: `technician is required (a string of at most ${MAX_TECHNICIAN_LENGTH} characters).` });
+        }
+        const notesError = checkText(notes, 'notes');
+        if (notesError) {
+            return jsonResponse(400, { success: false, error: notesError });
+        }
+        const actual = {};
+        for (const [field, value] of [['started_at', startedValue], ['ended_at', endedValue]]) {
+            if (value === undefined) continue;
+            const { date, error } = parseTimestamp(value, field);
+            if (error) return jsonResponse(400, { success: false, error });
+            if (date.getTime() > Date.now() + COMPLETION_CLOCK_TOLERANCE_MS) {
+                return jsonResponse(400, { success: false, error: `${field} cannot be in the future.` });
+            }
+            actual[field] = date;
+        }
+
+        let client;
+        try {
+            if (!await validateUserRole(userId, INSTALLATION_WRITER_ROLES)) {
+                return jsonResponse(403, { success: false, error: 'Installer or administrator role required.' });
+            }
+
+            client = await getClient();
+            await client.query('BEGIN');
+            const window = await lockUserWindow(client, windowId, userId);
+            const refuse = async (status, error) => {
+                await client.query('ROLLBACK');
+                return jsonResponse(status, { success: false, error });
+            };
+            if (!window) return refuse(404, 'Maintenance window not found or not accessible to this user.');
+            if (window.status !== WINDOW_STATUS_SCHEDULED) return refuse(409, `Maintenance window is ${window.status}.`);
+
+            const startsAt = actual.started_at || new Date(window.starts_at);
+            const endsAt = actual.ended_at || new Date(window.ends_at);
+            if (startsAt.getTime() > Date.now() + COMPLETION_CLOCK_TOLERANCE_MS) {
+                return refuse(409, 'Maintenance window has not started yet; send started_at if the service began earlier.');
+            }
+            if (endsAt <= startsAt) return refuse(400, 'ended_at must be after started_at.');
+
+            const completed = await client.query(
+                `UPDATE public.maintenance_windows
+                 SET status = $2, starts_at = $3, ends_at = $4, completed_at = NOW(), completed_by = $5,
+                     technician = $6, completion_notes = $7
+                 WHERE window_id = $1
+                 RETURNING ${WINDOW_COLUMNS}`,
+                [windowId, WINDOW_STATUS_COMPLETED, startsAt.toISOString(), endsAt.toISOString(), String(userId), technician.trim(), notes]
+            );
+            await client.query('COMMIT');
+
+            context.log(`Maintenance window ${windowId} completed by ${technician.trim()} (user ${userId})`);
+            return jsonResponse(200, { success: true, window: completed.rows[0] });
+        } catch (error) {
+            if (client) await client.query('ROLLBACK').catch(() => {});
+            context.log.error('Error completing maintenance window:', error);
+            return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+        } finally {
+            if (client) client.release();
+        }
+    }
+});
+
+app.http('cancelMaintenanceWindow', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const windowId = request.query.get('window_id');
+        const userId = request.query.get('user_id');
+        if (!windowId || !userId) {
+            return jsonResponse(400, { success: false, error: 'Missing required parameter(s): window_id and user_id' });
+        }
+        const body = await readJsonObject(request);
+        const reason = body && body.reason != null ? body.reason : null;
+        if (!body || checkText(reason, 'reason', MAX_REASON_LENGTH)) {
+            return jsonResponse(400, { success: false, error: `Body must be a JSON object; reason a string of at most ${MAX_REASON_LENGTH} characters.` });
+        }
+
+        let client;
+        try {
+            if (!await validateUserRole(userId, INSTALLATION_WRITER_ROLES)) {
+                return jsonResponse(403, { success: false, error: 'Installer or administrator role required.' });
+            }
+
+            client = await getClient();
+            await client.query('BEGIN');
+            const window = await lockUserWindow(client, windowId, userId);
+            if (!window || window.status !== WINDOW_STATUS_SCHEDULED) {
+                await client.query('ROLLBACK');
+                return window
+                    ? jsonResponse(409, { success: false, error: `Maintenance window is ${window.status}; only scheduled windows can be cancelled.` })
+                    : jsonResponse(404, { success: false, error: 'Maintenance window not found or not accessible to this user.' });
+            }
+            const cancelled = await client.query(
+                `UPDATE public.maintenance_windows
+                 SET status = $2, cancelled_at = NOW(), cancelled_by = $3, cancel_reason = $4
+                 WHERE window_id = $1
+                 RETURNING ${WINDOW_COLUMNS}`,
+                [windowId, WINDOW_STATUS_CANCELLED, String(userId), reason]
+            );
+            await client.query('COMMIT');
+
+            context.log(`Maintenance window ${windowId} cancelled by user ${userId}`);
+            return jsonResponse(200, { success: true, window: cancelled.rows[0] });
+        } catch (error) {
+            if (client) await client.query('ROLLBACK').catch(() => {});
+            context.log.error('Error cancelling maintenance window:', error);
+            return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+        } finally {
+            if (client) client.release();
+        }
+    }
+});
+
+app.http('maintenanceSchedules', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const userId = request.query.get('user_id');
+        const installationId = request.query.get('installation_id');
+        const status = request.query.get('status');
+        if (!userId) {
+            return jsonResponse(400, { success: false, error: 'Missing required parameter: user_id' });
+        }
+        const statuses = [SCHEDULE_STATUS_ACTIVE, SCHEDULE_STATUS_CANCELLED];
+        if (status && !statuses.includes(status)) {
+            return jsonResponse(400, { success: false, error: `Invalid status. Allowed values: ${statuses.join(', ')}.` });
+        }
+
+        const params = [userId];
+        const conditions = ['ui.user_id = $1'];
+        if (installationId) {
+            params.push(installationId);
+            conditions.push(`s.installation_id = $${params.length}`);
+        }
+        if (status) {
+            params.push(status);
+            conditions.push(`s.status = $${params.length}`);
+        }
+
+        try {
+            const result = await executeQuery(
+                `SELECT ${SCHEDULE_COLUMNS.split(',').map(column => `s.${column.trim()}`).join(', ')}
+                 FROM public.maintenance_schedules s
+                 JOIN public.user_installations ui ON ui.installation_id = s.installation_id
+                 WHERE ${conditions.join(' AND ')}
+                 ORDER BY s.schedule_id`,
+                params
+            );
+            return jsonResponse(200, { success: true, schedules: result.rows });
+        } catch (error) {
+            context.log.error('Error listing maintenance schedules:', error);
+            return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+        }
+    }
+});
+
+app.http('cancelMaintenanceSchedule', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const scheduleId = request.query.get('schedule_id');
+        const userId = request.query.get('user_id');
+        if (!scheduleId || !userId) {
+            return jsonResponse(400, { success: false, error: 'Missing required parameter(s): schedule_id and user_id' });
+        }
+
+        let client;
+        try {
+            if (!await validateUserRole(userId, INSTALLATION_WRITER_ROLES)) {
+                return jsonResponse(403, { success: false, error: 'Installer or administrator role required.' });
+            }
+
+            client = await getClient();
+            await client.query('BEGIN');
+            const current = await client.query(
+                `SELECT s.status
+                 FROM public.maintenance_schedules s
+                 WHERE s.schedule_id = $1
+                   AND EXISTS (SELECT 1 FROM public.user_installations ui WHERE ui.installation_id = s.installation_id AND ui.user_id = $2)
+                 FOR UPDATE`,
+                [scheduleId, userId]
+            );
+            if (current.rows.length === 0 || current.rows[0].status !== SCHEDULE_STATUS_ACTIVE) {
+                await client.query('ROLLBACK');
+                return current.rows.length
+                    ? jsonResponse(409, { success: false, error: 'Maintenance schedule is already cancelled.' })
+                    : jsonResponse(404, { success: false, error: 'Maintenance schedule not found or not accessible to this user.' });
+            }
+
+            const schedule = await client.query(
+                `UPDATE public.maintenance_schedules
+                 SET status = $2, cancelled_at = NOW(), cancelled_by = $3
+                 WHERE schedule_id = $1
+                 RETURNING ${SCHEDULE_COLUMNS}`,
+                [scheduleId, SCHEDULE_STATUS_CANCELLED, String(userId)]
+            );
+            // Windows already started stay, so their service can still be recorded
+            const windows = await client.query(
+                `UPDATE public.maintenance_windows
+                 SET status = $2, cancelled_at = NOW(), cancelled_by = $3, cancel_reason = 'Schedule cancelled'
+                 WHERE schedule_id = $1 AND status = $4 AND starts_at > NOW()`,
+                [scheduleId, WINDOW_STATUS_CANCELLED, String(userId), WINDOW_STATUS_SCHEDULED]
+            );
+            await client.query('COMMIT');
+
+            context.log(`Maintenance schedule ${scheduleId} cancelled by user ${userId} (${windows.rowCount} window(s))`);
+            return jsonResponse(200, { success: true, cancelledWindows: windows.rowCount, schedule: schedule.rows[0] });
+        } catch (error) {
+            if (client) await client.query('ROLLBACK').catch(() => {});
+            context.log.error('Error cancelling maintenance schedule:', error);
+            return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+        } finally {
+            if (client) client.release();
+        }
+    }
+});
@@ -0,0 +1,32 @@
+/**
+ * FileName: src/functions/maintenance/maintenanceScheduler.js
+ * Author(s): Arturo Vargas
+ * Trigger: Timer (MAINTENANCE_SCHEDULER_SCHEDULE, daily at 03:00 by default)
+ * Brief: Writes the upcoming occurrences of recurring maintenance schedules.
+ * Date: 2026-10-19
+ *
+ * Each run extends every active schedule up to MAINTENANCE_HORIZON_DAYS ahead, so the due list and the
+ * analytics flag always see the next windows (see maintenanceWindows.js).
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const { generateScheduledWindows } = require('./maintenanceWindows');
+
+const DEFAULT_SCHEDULE = '0 0 3 * * *';
+
+app.timer('maintenanceScheduler', {
+    schedule: process.env.MAINTENANCE_SCHEDULER_SCHEDULE || DEFAULT_SCHEDULE,
+    handler: async (timer, context) => {
+        try {
+            const written = await generateScheduledWindows();
+            if (written > 0) {
+                context.log(`Scheduled ${written} maintenance window(s).`);
+            }
+        } catch (error) {
+            context.log.error('Error scheduling maintenance windows:', error);
+        }
+    }
+});
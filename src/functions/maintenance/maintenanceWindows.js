@@ -0,0 +1,255 @@
+/**
+ * FileName: src/functions/maintenance/maintenanceWindows.js
+ * Author(s): Arturo Vargas
+ * Brief: Maintenance windows and recurring schedules: validation, occurrence generation and the SQL that flags
+ * readings taken during a window.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * A window covers a whole installation (every meter of it, in every schema) or a single meter, from
+ * starts_at to ends_at. It is scheduled, then completed (the service log entry: technician, notes and,
+ * when given, the actual start and end) or cancelled. A recurring schedule repeats a window every
+ * recurrence_interval days, weeks, months or years; its occurrences are written as windows up to
+ * MAINTENANCE_HORIZON_DAYS ahead (default 90), when it is created and by the maintenanceScheduler timer
+ * (archived installations get no new occurrences).
+ * A scheduled window whose end has passed is overdue.
+ *
+ * Readings are never modified: analytics flag those taken during a scheduled or completed window with
+ * maintenanceWindowMatch() and leave them out on request (?exclude_maintenance=true) with maintenanceExclusion():
+ *
+ *   SELECT m."timestamp", ${maintenanceWindowMatch(schema)} AS in_maintenance, ...
+ *   FROM ${schema}.measurements m
+ *   WHERE ... ${maintenanceExclusion(request, schema)}
+ *
+ * Requires database/migrations/016_maintenance.sql.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { executeQuery } = require('../pgPool');
+
+const WINDOW_STATUS_SCHEDULED = 'scheduled';
+const WINDOW_STATUS_COMPLETED = 'completed';
+const WINDOW_STATUS_CANCELLED = 'cancelled';
+const WINDOW_STATUSES = [WINDOW_STATUS_SCHEDULED, WINDOW_STATUS_COMPLETED, WINDOW_STATUS_CANCELLED];
+
+const SCHEDULE_STATUS_ACTIVE = 'active';
+const SCHEDULE_STATUS_CANCELLED = 'cancelled';
+
+const RECURRENCE_UNITS = ['day', 'week', 'month', 'year'];
+const MAX_RECURRENCE_INTERVAL = 365;
+
+const MAX_WINDOW_MINUTES = 14 * 24 * 60;
+const MAX_TITLE_LENGTH = 200;
+const MAX_TEXT_LENGTH = 2000;
+const DEFAULT_HORIZON_DAYS = 90;
+// Shortest real length of a recurrence step over its length in seconds as Postgres counts it (a month is 30 days,
+// February has 28), used to over-estimate how many occurrences fit before the horizon
+const MIN_STEP_RATIO = 0.9;
+
+const WINDOW_COLUMNS = `
+    window_id, schedule_id, occurrence_at, installation_id, schema_name, powermeter_id, title, description,
+    starts_at, ends_at, status, created_by, created_at, completed_at, completed_by, technician, completion_notes,
+    cancelled_at, cancelled_by, cancel_reason`;
+
+const SCHEDULE_COLUMNS = `
+    schedule_id, installation_id, schema_name, powermeter_id, title, description, first_start_at, duration_minutes,
+    recurrence_unit, recurrence_interval, until_at, status, generated_until, created_by, created_at, cancelled_at,
+    cancelled_by`;
+
+/**
+ * Reads the number of days ahead for which schedule occurrences are written
+ * @returns {number} MAINTENANCE_HORIZON_DAYS, or DEFAULT_HORIZON_DAYS when missing or invalid
+ */
+function getHorizonDays() {
+    const value = Number(process.env.MAINTENANCE_HORIZON_DAYS);
+    return Number.isInteger(value) && value > 0 ? value : DEFAULT_HORIZON_DAYS;
+}
+
+/**
+ * Parses a timestamp of a request
+ * @param {*} value - ISO 8601 string with offset (or Z)
+ * @param {string} field - Field name, for the error message
+ * @returns {Object} { date } or { error }
+ */
+function parseTimestamp(value, field) {
+    if (typeof value !== 'string' || !/(Z|[+-]\d{2}:?\d{2})$/i.test(value.trim()) || Number.isNaN(Date.parse(value))) {
+        return { error: `${field} must be an ISO 8601 timestamp with offset (e.g. 2026-11-02T08:00:00-06:00).` };
+    }
+    return { date: new Date(value) };
+}
+
+/**
+ * Checks an optional text field
+ * @param {*} value - Value received
+ * @param {string} field - Field name
+ * @param {number} max - Maximum length
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkText(value, field, max = MAX_TEXT_LENGTH) {
+    if (value === undefined || value === null) return null;
+    return typeof value === 'string' && value.length <= max ? null : `${field} must be a string of at most ${max} characters.`;
+}
+
+/**
+ * Validates the body of a new window or recurring schedule
+ * @param {Object} body - { title, description, starts_at, ends_at | duration_minutes, recurrence: { unit, interval, until } }
+ * @returns {Object} { window: { title, description, startsAt, durationMinutes }, recurrence } or { error }
+ */
+function validateWindowRequest(body) {
+    const { title, description = null, starts_at: startsValue, ends_at: endsValue, duration_minutes: durationValue, recurrence = null } = body;
+
+    if (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH) {
+        return { error: `title is required (a string of at most ${MAX_TITLE_LENGTH} characters).` };
+    }
+    const descriptionError = checkText(description, 'description');
+    if (descriptionError) return { error: descriptionError };
+
+    const { date: startsAt, error: startsError } = parseTimestamp(startsValue, 'starts_at');
+    if (startsError) return { error: startsError };
+
+    let durationMinutes;
+    if (endsValue !== undefined && durationValue !== undefined) {
+        return { error: 'Send either ends_at or duration_minutes, not both.' };
+    } else if (endsValue !== undefined) {
+        const { date: endsAt, error: endsError } = parseTimestamp(endsValue, 'ends_at');
+        if (endsError) return { error: endsError };
+        durationMinutes = (endsAt.getTime() - startsAt.getTime()) / 60000;
+        if (!Number.isInteger(durationMinutes)) return { error: 'ends_at must be a whole number of minutes after starts_at.' };
+    } else {
+        durationMinutes = durationValue;
+    }
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_WINDOW_MINUTES) {
+        return { error: `A window must last between 1 and ${MAX_WINDOW_MINUTES} minutes (ends_at or duration_minutes).` };
+    }
+
+    const window = { title: title.trim(), description, startsAt, durationMinutes };
+    if (recurrence === null) return { window, recurrence: null };
+
+    if (typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+        return { error: 'recurrence must be an object { unit, interval, until }.' };
+    }
+    const { unit, interval = 1, until = null } = recurrence;
+    if (!RECURRENCE_UNITS.includes(unit)) {
+        return { error: `recurrence.unit is required. Allowed values: ${RECURRENCE_UNITS.join(', ')}.` };
+    }
+    if (!Number.isInteger(interval) || interval < 1 || interval > MAX_RECURRENCE_INTERVAL) {
+        return { error: `recurrence.interval must be an integer between 1 and ${MAX_RECURRENCE_INTERVAL}.` };
+    }
+    let untilAt = null;
+    if (until !== null) {
+        const { date, error } = parseTimestamp(until, 'recurrence.until');
+        if (error) return { error };
+        if (date <= startsAt) return { error: 'recurrence.until must be after starts_at.' };
+        untilAt = date;
+    }
+    return { window, recurrence: { unit, interval, untilAt } };
+}
+
+/**
+ * Writes the occurrences of active schedules that start before the horizon and were not written yet
+ * @param {Function} [runQuery] - executeQuery, or a client.query wrapper inside a transaction
+ * @param {Object} [options]
+ * @param {number} [options.scheduleId] - Only this schedule
+ * @returns {Promise<number>} Windows written
+ */
+async function generateScheduledWindows(runQuery = executeQuery, { scheduleId = null } = {}) {
+    const params = [SCHEDULE_STATUS_ACTIVE, getHorizonDays(), MIN_STEP_RATIO];
+    const scheduleFilter = scheduleId === null ? '' : `AND s.schedule_id = $${params.push(scheduleId)}`;
+
+    // k-th occurrence = first_start_at + k * step, so monthly schedules do not drift after short months;
+    // the series bound over-estimates the count and the horizon filter trims it
+    const result = await runQuery(`
+        WITH due AS (
+            SELECT s.*,
+                   LEAST(NOW() + make_interval(days => $2), COALESCE(s.until_at, 'infinity')) AS horizon,
+                   (s.recurrence_interval || ' ' || s.recurrence_unit)::interval AS step
+            FROM public.maintenance_schedules s
+            WHERE s.status = $1 ${scheduleFilter}
+              AND (s.generated_until IS NULL OR s.generated_until < NOW() + make_interval(days => $2))
+              AND NOT EXISTS (
+                  SELECT 1 FROM public.installations i WHERE i.installation_id = s.installation_id AND i.status = 'archived'
+              )
+            FOR UPDATE OF s
+        ), occurrences AS (
+            SELECT d.*, d.first_start_at + k * d.step AS occurrence_at
+            FROM due d
+            CROSS JOIN LATERAL generate_series(
+                0,
+                GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (d.horizon - d.first_start_at)) / (EXTRACT(EPOCH FROM d.step) * $3))::int) + 1
+            ) AS k
+        ), inserted AS (
+            INSERT INTO public.maintenance_windows
+                (schedule_id, occurrence_at, installation_id, schema_name, powermeter_id, title, description,
+                 starts_at, ends_at, created_by)
+            SELECT o.schedule_id, o.occurrence_at, o.installation_id, o.schema_name, o.powermeter_id, o.title, o.description,
+                   o.occurrence_at, o.occurrence_at + make_interval(mins => o.duration_minutes), o.created_by
+            FROM occurrences o
+            WHERE o.occurrence_at < o.horizon
+              AND o.occurrence_at + make_interval(mins => o.duration_minutes) > COALESCE(o.generated_until, o.created_at)
+            ON CONFLICT (schedule_id, occurrence_at) DO NOTHING
+            RETURNING window_id
+        ), advanced AS (
+            UPDATE public.maintenance_schedules s
+            SET generated_until = d.horizon
+            FROM due d
+            WHERE s.schedule_id = d.schedule_id
+        )
+        SELECT COUNT(*)::int AS windows FROM inserted
+    `, params);
+    return Number(result.rows[0].windows);
+}
+
+/**
+ * SQL condition true for a reading taken during a scheduled or completed maintenance window of its meter or
+ * of the meter's installation
+ * @param {string} schema - Schema of the measurements (already resolved from a fixed list)
+ * @param {string} [alias] - Alias of the measurements table
+ * @returns {string} SQL boolean expression
+ */
+function maintenanceWindowMatch(schema, alias = 'm') {
+    return `EXISTS (
+                SELECT 1
+                FROM public.maintenance_windows mw
+                WHERE mw.status <> '${WINDOW_STATUS_CANCELLED}'
+                  AND ${alias}."timestamp" >= mw.starts_at
+                  AND ${alias}."timestamp" < mw.ends_at
+                  AND (
+                      (mw.schema_name = '${schema}' AND mw.powermeter_id = ${alias}.powermeter_id)
+                      OR (mw.powermeter_id IS NULL AND mw.installation_id = (
+                          SELECT mp.installation_id FROM ${schema}.powermeters mp WHERE mp.powermeter_id = ${alias}.powermeter_id
+                      ))
+                  )
+            )`;
+}
+
+/**
+ * Reads the exclude_maintenance parameter of an analytics request
+ * @param {Object} request - HTTP request
+ * @param {string} schema - Schema of the measurements
+ * @param {string} [alias] - Alias of the measurements table
+ * @returns {string} AND clause leaving out readings taken during maintenance, or '' when not requested
+ */
+function maintenanceExclusion(request, schema, alias = 'm') {
+    return request.query.get('exclude_maintenance') === 'true' ? `AND NOT ${maintenanceWindowMatch(schema, alias)}` : '';
+}
+
+module.exports = {
+    WINDOW_STATUS_SCHEDULED,
+    WINDOW_STATUS_COMPLETED,
+    WINDOW_STATUS_CANCELLED,
+    WINDOW_STATUSES,
+    SCHEDULE_STATUS_ACTIVE,
+    SCHEDULE_STATUS_CANCELLED,
+    RECURRENCE_UNITS,
+    MIN_STEP_RATIO,
+    WINDOW_COLUMNS,
+    SCHEDULE_COLUMNS,
+    parseTimestamp,
+    checkText,
+    validateWindowRequest,
+    generateScheduledWindows,
+    maintenanceWindowMatch,
+    maintenanceExclusion
+};
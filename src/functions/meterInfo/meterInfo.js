@@ -71,6 +71,8 @@ app.http('meterInfo', {
         i.tariff,
         i.installed_capacity,
         i.location,
+        i.latitude,
+        i.longitude,
         i.maintenance_date,
         COUNT(ui.user_id) AS user_count
 
@@ -89,6 +91,8 @@ app.http('meterInfo', {
     i.tariff,
     i.installed_capacity,
     i.location,
+    i.latitude,
+    i.longitude,
     i.maintenance_date
     LIMIT 1
 `;
@@ -0,0 +1,219 @@
+/**
+ * FileName: src/functions/modelCapabilities.js
+ * Author(s): Arturo Vargas
+ * Brief: Capabilities of supported powermeter models: fields they measure, THD support and registry defaults.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * A row of public.supported_models describes what the model produces:
+ *   - measured_fields: measurement fields of measurementSchema.json (null: every field). serial_number and
+ *     timestamp are always accepted
+ *   - measures_thd: false removes the thd_* fields, whatever measured_fields says
+ *   - registry_defaults: scale factors, CT/VT settings, thd_enable and expected_interval_seconds copied into
+ *     new meters of the model (see powermeterReferences.js)
+ *   - register_map: register map of postRegisterBlock (see ingestion/registerDecoder.js)
+ * A meter uses the row with its manufacturer, series and model (supportedModelJoin, see
+ * powermeterReferences.js); meters without one have no restrictions. Ingestion drops or rejects the fields a
+ * model does not produce (see ingestion/measurementIngestion.js) and the THD endpoints answer "not supported
+ * by this model" instead of null series (findUnsupportedSeries). Requires database/migrations/010_supported_model_defaults.sql and
+ * 018_supported_model_capabilities.sql.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { executeQuery } = require('./pgPool');
+const { MEASUREMENT_FIELD_NAMES, MEASUREMENT_SCALING, REQUIRED_FIELDS } = require('./ingestion/measurementSchema');
+const { getRegisterMap } = require('./ingestion/registerDecoder');
+const { TRANSFORMER_FIELDS } = require('./transformerConfig');
+const { validatePowermeterFields } = require('./powermeterRegistry');
+const { supportedModelJoin } = require('./powermeterReferences');
+
+const THD_FIELDS = MEASUREMENT_FIELD_NAMES.filter(field => field.startsWith('thd_'));
+
+// Fields of measurementSchema.json a model can declare; the required ones are accepted from every model
+const CAPABILITY_FIELDS = MEASUREMENT_FIELD_NAMES.filter(field => !REQUIRED_FIELDS.includes(field));
+
+// powermeters columns allowed in registry_defaults
+const SCALE_FACTOR_FIELDS = [...new Set(MEASUREMENT_SCALING.map(group => group.scaleFactor))];
+const MODEL_DEFAULT_FIELDS = [...SCALE_FACTOR_FIELDS, ...TRANSFORMER_FIELDS, 'thd_enable', 'expected_interval_seconds'];
+
+const MODEL_WRITABLE_FIELDS = ['manufacturer', 'series', 'model', 'register_map', 'measured_fields', 'measures_thd', 'registry_defaults'];
+const MODEL_COLUMNS = ['serial', ...MODEL_WRITABLE_FIELDS, 'updated_at', 'updated_by'];
+
+const MAX_NAME_LENGTH = 100;
+const MIN_SCALE_FACTOR = -10;
+const MAX_SCALE_FACTOR = 10;
+
+/**
+ * Builds the capabilities of a model from its supported_models columns
+ * @param {Object} row - { model, measured_fields, measures_thd }; model null when the meter has no supported model
+ * @returns {Object|null} { model, fields: Set|null, measuresThd }, or null (no restrictions)
+ */
+function toCapabilities({ model, measured_fields: measuredFields, measures_thd: measuresThd }) {
+    if (model == null) return null;
+    return {
+        model,
+        fields: measuredFields ? new Set(measuredFields) : null,
+        measuresThd: measuresThd !== false
+    };
+}
+
+/**
+ * Checks whether a model produces a measurement field
+ * @param {Object|null} capabilities - From toCapabilities
+ * @param {string} field - Measurement field
+ * @returns {boolean} True when supported (always without capabilities)
+ */
+function isFieldSupported(capabilities, field) {
+    if (!capabilities || REQUIRED_FIELDS.includes(field)) return true;
+    if (!capabilities.measuresThd && THD_FIELDS.includes(field)) return false;
+    return !capabilities.fields || capabilities.fields.has(field);
+}
+
+/**
+ * Lists the fields of a reading with a value that its model does not produce
+ * @param {Object} record - Measurement record
+ * @param {Object|null} capabilities - From toCapabilities
+ * @returns {Array<string>} Unsupported fields (null values are ignored)
+ */
+function findUnsupportedFields(record, capabilities) {
+    if (!capabilities) return [];
+    return Object.keys(record).filter(field => record[field] !== null && !isFieldSupported(capabilities, field));
+}
+
+/**
+ * Checks whether the model of a meter of the user produces any of the fields an endpoint reports
+ * @param {string} schema - Schema of the meter (already resolved from a fixed list)
+ * @param {string} powermeterId - Meter
+ * @param {string} userId - Caller; other users' meters are not reported
+ * @param {Array<string>} fields - Measurement fields of the endpoint
+ * @returns {Promise<Object|null>} { model, fields } when the model produces none of them, otherwise null
+ */
+async function findUnsupportedSeries(schema, powermeterId, userId, fields) {
+    const result = await executeQuery(`
+        SELECT sm.model, sm.measured_fields, sm.measures_thd
+        FROM ${schema}.powermeters p
+        JOIN public.user_installations ui ON ui.installation_id = p.installation_id
+        JOIN public.supported_models sm ON ${supportedModelJoin('p', 'sm')}
+        WHERE p.powermeter_id = $1 AND ui.user_id = $2
+        LIMIT 1
+    `, [powermeterId, userId]);
+    if (result.rows.length === 0) return null;
+
+    const capabilities = toCapabilities(result.rows[0]);
+    return fields.some(field => isFieldSupported(capabilities, field)) ? null : { model: capabilities.model, fields };
+}
+
+/**
+ * Validates registry_defaults of a model
+ * @param {*} defaults - Value received
+ * @returns {Array<Object>} Field errors
+ */
+function validateRegistryDefaults(defaults) {
+    if (!defaults || typeof defaults !== 'object' || Array.isArray(defaults)) {
+        return [{ field: 'registry_defaults', error: 'registry_defaults must be a JSON object', value: defaults }];
+    }
+    const errors = Object.keys(defaults)
+        .filter(key => !MODEL_DEFAULT_FIELDS.includes(key))
+        .map(key => ({ field: `registry_defaults.${key}`, error: `${key} cannot have a model default. Allowed: ${MODEL_DEFAULT_FIELDS.join(', ')}`, value: defaults[key] }));
+
+    for (const key of SCALE_FACTOR_FIELDS) {
+        const value = defaults[key];
+        if (value == null) continue;
+        if (!Number.isInteger(value) || value < MIN_SCALE_FACTOR || value > MAX_SCALE_FACTOR) {
+            errors.push({ field: `registry_defaults.${key}`, error: `${key} must be an integer between ${MIN_SCALE_FACTOR} and ${MAX_SCALE_FACTOR}`, value });
+        }
+    }
+    const known = Object.fromEntries(Object.entries(defaults).filter(([key]) => MODEL_DEFAULT_FIELDS.includes(key)));
+    validatePowermeterFields(known).fieldErrors
+        .forEach(error => errors.push({ ...error, field: `registry_defaults.${error.field}` }));
+    return errors;
+}
+
+/**
+ * Validates the fields of a supported model write
+ * @param {Object} body - Fields received
+ * @param {Object} [options]
+ * @param {boolean} [options.create] - Creation: manufacturer, series and model are required
+ * @param {Object} [options.current] - Stored row (updates), to check the merged capabilities
+ * @returns {Object} { invalidKeys, fieldErrors, fields }
+ */
+function validateModelFields(body, { create = false, current = {} } = {}) {
+    const fields = { ...body };
+    const invalidKeys = Object.keys(fields).filter(key => !MODEL_WRITABLE_FIELDS.includes(key));
+    const fieldErrors = [];
+
+    for (const key of ['manufacturer', 'series', 'model']) {
+        const value = fields[key];
+        if (value === undefined && !create) continue;
+        if (typeof value !== 'string' || !value.trim() || value.length > MAX_NAME_LENGTH) {
+            fieldErrors.push({ field: key, error: `${key} is required (a string of at most ${MAX_NAME_LENGTH} characters)`, value });
+        } else {
+            fields[key] = value.trim();
+        }
+    }
+
+    if (fields.register_map != null && !getRegisterMap(fields.register_map)) {
+        fieldErrors.push({ field: 'register_map', error: 'register_map is not a file of src/functions/registerMaps', value: fields.register_map });
+    }
+
+    if (fields.measured_fields != null) {
+        const measured = fields.measured_fields;
+        if (!Array.isArray(measured) || measured.length === 0 || measured.some(field => typeof field !== 'string')) {
+            fieldErrors.push({ field: 'measured_fields', error: 'measured_fields must be a non-empty array of measurement field names, or null for every field', value: measured });
+        } else {
+            const unknown = measured.filter(field => !CAPABILITY_FIELDS.includes(field));
+            if (unknown.length > 0) {
+                fieldErrors.push({ field: 'measured_fields', error: `Unknown measurement field(s): ${unknown.join(', ')}`, value: unknown });
+            }
+            fields.measured_fields = [...new Set(measured)];
+        }
+    }
+
+    if (fields.measures_thd !== undefined && typeof fields.measures_thd !== 'boolean') {
+        fieldErrors.push({ field: 'measures_thd', error: 'measures_thd must be a boolean', value: fields.measures_thd });
+    }
+
+    if (fields.registry_defaults !== undefined) {
+        fieldErrors.push(...validateRegistryDefaults(fields.registry_defaults));
+    }
+
+    // A model without THD cannot list THD fields nor enable THD on its meters
+    const merged = { ...current, ...fields };
+    if (merged.measures_thd === false) {
+        const listed = (Array.isArray(merged.measured_fields) ? merged.measured_fields : []).filter(field => THD_FIELDS.includes(field));
+        if (listed.length > 0) {
+            fieldErrors.push({ field: 'measured_fields', error: 'measured_fields lists THD fields but measures_thd is false', value: listed });
+        }
+        const defaults = merged.registry_defaults;
+        if (defaults && typeof defaults === 'object' && defaults.thd_enable) {
+            fieldErrors.push({ field: 'registry_defaults.thd_enable', error: 'thd_enable cannot default to on when measures_thd is false', value: defaults.thd_enable });
+        }
+    }
+
+    return { invalidKeys, fieldErrors, fields };
+}
+
+/**
+ * Builds the explicit column list of a supported_models query
+ * @param {string} [alias] - Table alias
+ * @returns {string} Comma separated columns
+ */
+function selectModelColumns(alias) {
+    return MODEL_COLUMNS.map(column => (alias ? `${alias}.${column}` : column)).join(', ');
+}
+
+module.exports = {
+    THD_FIELDS,
+    CAPABILITY_FIELDS,
+    MODEL_DEFAULT_FIELDS,
+    MODEL_WRITABLE_FIELDS,
+    MODEL_COLUMNS,
+    toCapabilities,
+    isFieldSupported,
+    findUnsupportedFields,
+    findUnsupportedSeries,
+    validateModelFields,
+    selectModelColumns
+};
@@ -12,6 +12,7 @@
 const { app } = require('@azure/functions');
 const { preWarmPool } = require('./pgPool');
 const { logWithEnv, HTTP_STATUS_OK, HTTP_STATUS_SERVICE_UNAVAILABLE } = require('./errorHandler');
+const { getSerialRoutingMetrics } = require('./ingestion/serialRoutingCache');
 
 // Constants following coding instructions
 const COLD_START_THRESHOLD_SECONDS = 30;
@@ -78,7 +79,8 @@ async function pingHandler(request, context) {
                 // You can add database health check here if needed
                 response.health = {
                     database: 'not-checked', // Set to 'healthy' or 'unhealthy' after DB check
-                    connectionPool: 'available'
+                    connectionPool: 'available',
+                    serialRoutingCache: getSerialRoutingMetrics()
                 };
             } catch (healthError) {
                 logWithEnv('warn', 'Health check failed', {
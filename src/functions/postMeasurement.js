@@ -3,122 +3,137 @@
  * Brief: HTTP POST endpoint to register a new measurement in the correct schema based on powermeter serial_number.
  * Date: 2025-06-02
  *
+ * Validation, routing, duplicate and plausibility handling are shared with the batch endpoint (see
+ * ingestion/measurementIngestion.js); devices holding a credential must sign the request (ingestion/deviceAuth.js).
+ * Optional: Idempotency-Key header, gzip/deflate or compact bodies, ?mode=raw, ?async=true and ?commands=true.
+ *
  * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
  * All rights reserved.
  */
 
 const { app } = require('@azure/functions');
-const { executeQuery } = require('./pgPool');
-const fs = require('fs');
-const path = require('path');
-
-// Load valid measurement variable names
-const validVarsPath = path.join(__dirname, 'validVariablesNames.json');
-const validVars = JSON.parse(fs.readFileSync(validVarsPath, 'utf8')).measurements;
+const {
+    ingestMeasurements,
+    getIngestionMode,
+    INGESTION_MODE_RAW
+} = require('./ingestion/measurementIngestion');
+const { buildMeasurementResponse } = require('./ingestion/measurementResponse');
+const {
+    getIdempotencyKey,
+    hashRequestBody,
+    scopeIdempotencyKey,
+    claimIdempotencyKey,
+    releaseIdempotencyKey,
+    storeIdempotentResponse
+} = require('./ingestion/idempotency');
+const { authenticateDeviceRequest } = require('./ingestion/deviceAuth');
+const { getDeadLetterSource, recordDeadLetters } = require('./ingestion/deadLetters');
+const { readRequestBody, isCompactPayload, expandCompactPayload } = require('./ingestion/payloadDecoding');
+const { measurementQueueOutput, isAsyncRequest, enqueueMeasurements } = require('./ingestion/measurementQueue');
+const { withPendingCommands } = require('./commands/commandQueue');
 
 app.http('postMeasurement', {
     methods: ['POST'],
     authLevel: 'anonymous',
+    extraOutputs: [measurementQueueOutput],
     handler: async (request, context) => {
         let payload;
 
         context.log('--- POST /postMeasurement: Started ---');
 
-        // Parse and validate JSON
-        try {
-            payload = await request.json();
-            context.log('Payload received:', JSON.stringify(payload));
-        } catch (err) {
-            context.log('Invalid JSON payload');
+        const { key: idempotencyKey, error: idempotencyError } = getIdempotencyKey(request);
+        if (idempotencyError) {
             return {
                 status: 400,
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ error: 'Invalid JSON payload.' })
+                body: JSON.stringify({ error: idempotencyError })
             };
         }
 
-        // Validate variable names against allowed keys
-        const keys = Object.keys(payload);
-        const validKeys = keys.filter(k => validVars.includes(k));
-        const invalidKeys = keys.filter(k => !validVars.includes(k));
-
-        if (invalidKeys.length > 0) {
+        const { mode, error: modeError } = getIngestionMode(request);
+        if (modeError) {
             return {
                 status: 400,
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    error: 'Invalid variable names detected.',
-                    invalidKeys,
-                    validKeys: validVars
-                })
+                body: JSON.stringify({ error: modeError })
             };
         }
 
-        // Check for required fields
-        const requiredFields = ['timestamp', 'serial_number'];
-        const missing = requiredFields.filter(field => !validKeys.includes(field));
-
-        if (missing.length > 0) {
+        // Decompress, parse and validate JSON
+        const { text: rawBody, error: bodyError, status: bodyStatus } = await readRequestBody(request);
+        if (bodyError) {
             return {
-                status: 400,
+                status: bodyStatus,
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    error: 'Missing required field(s).',
-                    requiredFields
-                })
+                body: JSON.stringify({ error: bodyError })
             };
         }
-
-        // Do NOT validate timestamp format anymore
-
-        // Find schema and powermeter_id for serial_number
-        const serialNumber = payload.serial_number;
-
-        const findSchemaQuery = `
-            SELECT 'demo' AS schema, powermeter_id FROM demo.powermeters WHERE serial_number = $1
-            UNION ALL
-            SELECT 'dev' AS schema, powermeter_id FROM dev.powermeters WHERE serial_number = $1
-            UNION ALL
-            SELECT 'public' AS schema, powermeter_id FROM public.powermeters WHERE serial_number = $1;
-        `;
-
+        const requestHash = hashRequestBody(rawBody, mode === INGESTION_MODE_RAW ? mode : undefined);
         try {
-            const schemaRes = await executeQuery(findSchemaQuery, [serialNumber]);
+            payload = JSON.parse(rawBody);
+            context.log('Payload received:', JSON.stringify(payload));
+        } catch (err) {
+            context.log('Invalid JSON payload');
+            return {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Invalid JSON payload.' })
+            };
+        }
 
-            if (!schemaRes.rows.length) {
+        if (isCompactPayload(payload)) {
+            const { records, error: compactError, details } = expandCompactPayload(payload);
+            if (compactError || records.length !== 1) {
                 return {
-                    status: 404,
+                    status: 400,
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ error: 'Serial number not found in any schema.' })
+                    body: JSON.stringify(compactError
+                        ? { error: compactError, details }
+                        : { error: 'postMeasurement accepts a single row; send compact batches to postMeasurements.' })
                 };
             }
+            payload = records[0];
+        }
 
-            // Use the first found match (should only ever match one env)
-            const { schema, powermeter_id } = schemaRes.rows[0];
-
-            // Prepare insert
-            // Remove serial_number from payload, add powermeter_id
-            const { serial_number, ...restPayload } = payload; // destructure to remove serial_number
-            const insertPayload = { ...restPayload, powermeter_id };
-            const columns = Object.keys(insertPayload);
-            const values = Object.values(insertPayload);
-            const placeholders = columns.map((_, i) => `$${i + 1}`);
-
-            context.log('Insert query:', `INSERT INTO ${schema}.measurements (${columns.join(',')}) VALUES (${placeholders.join(',')})`);
+        let claimedKey = null;
+        try {
+            const serialNumber = payload && typeof payload === 'object' ? payload.serial_number : null;
+            const authFailure = await authenticateDeviceRequest(request, rawBody, [serialNumber], context);
+            if (authFailure) return authFailure;
+
+            if (isAsyncRequest(request)) {
+                const source = getDeadLetterSource(request, 'postMeasurement', mode);
+                await enqueueMeasurements([payload], { mode, source }, context);
+                context.log('Measurement enqueued for asynchronous ingestion.');
+                return withPendingCommands(request, {
+                    status: 202,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ message: 'Measurement queued for ingestion.', queued: 1, mode })
+                }, [serialNumber], context);
+            }
 
-            await executeQuery(`INSERT INTO ${schema}.measurements (${columns.join(',')}) VALUES (${placeholders.join(',')})`, values);
+            if (idempotencyKey) {
+                const scopedKey = scopeIdempotencyKey(idempotencyKey, [serialNumber]);
+                const replay = await claimIdempotencyKey(scopedKey, 'postMeasurement', requestHash);
+                if (replay) {
+                    context.log(`Idempotency-Key ${idempotencyKey} already used; returning status ${replay.status}.`);
+                    return withPendingCommands(request, replay, [serialNumber], context);
+                }
+                claimedKey = scopedKey;
+            }
 
-            context.log('Measurement inserted successfully.');
+            const { results } = await ingestMeasurements([payload], context, { mode });
+            await recordDeadLetters([payload], results, getDeadLetterSource(request, 'postMeasurement', mode), context);
+            const response = buildMeasurementResponse(results[0]);
+            context.log(`Measurement ingestion finished with status ${results[0].status}.`);
 
-            return {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    message: `Measurement for serial number ${serialNumber} was registered successfully in ${schema}.measurements.`
-                })
-            };
+            if (claimedKey) {
+                await storeIdempotentResponse(claimedKey, 'postMeasurement', requestHash, response, results, context);
+            }
+            return withPendingCommands(request, response, [serialNumber], context);
         } catch (error) {
             context.log.error('Error during database operation:', error);
+            if (claimedKey) await releaseIdempotencyKey(claimedKey, 'postMeasurement', requestHash, context);
             return {
                 status: 500,
                 headers: { 'Content-Type': 'application/json' },
@@ -126,4 +141,4 @@ app.http('postMeasurement', {
             };
         }
     }
-});
\ No newline at end of file
+});
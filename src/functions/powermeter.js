@@ -2,6 +2,21 @@
  * FileName: src/functions/powermeter.js
  * Author(s): Arturo Vargas
  * Brief: This function serves as an HTTP POST and GET endpoint for powermeters in the dev, demo, and public schemas.
+ * Registering a powermeter also issues its device secret for signed ingestion (returned only once) and
+ * reports how many readings were dead-lettered while its serial number was unknown (pendingDeadLetters);
+ * those were unsigned, so an administrator reviews and replays them from deadLetterAdmin.js.
+ * PATCH ?id=&enviroment= updates individual registry fields (CT/VT ratios, firmware_v, facturation settings...);
+ * serial_number is immutable and decommissioned meters cannot be edited. CT/VT values (ct_ratio, vt_ratio, CT
+ * and PT values) are versioned from ?effective_from= (default now; see transformerConfig.js). effective_from
+ * cannot precede readings already stored for the meter (409 with details.last_reading_at): stored readings
+ * keep the configuration they were scaled with, so CT/VT changes are never retroactive.
+ * Every write is validated against the powermeters list of validVariablesNames.json and returns the stored
+ * record (see powermeterRegistry.js).
+ * model (with manufacturer / series) and time_zone must be supported, and a registration is completed with
+ * the registry defaults of its model (see powermeterReferences.js).
+ * Every method requires ?user_id=: GET and PATCH only reach meters of the user's installations
+ * (public.user_installations); POST and PATCH also require an installer or administrator role, and a meter can
+ * only be registered into (or moved to) an installation the user belongs to and that is not archived.
  * Date: 2025-06-02
  *
  * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
@@ -9,34 +24,240 @@
  */
 
 const { app } = require('@azure/functions');
-const { executeQuery } = require('./pgPool');
-const fs = require('fs');
-const path = require('path');
+const { executeQuery, getClient } = require('./pgPool');
+const { validateUserRole, validateUserPowermeterAccess, validateUserInstallationAccess } = require('./dbUtils');
+const { issueDeviceCredential } = require('./ingestion/deviceAuth');
+const { invalidateSerialRoute } = require('./ingestion/serialRoutingCache');
+const { countUnknownSerialDeadLetters } = require('./ingestion/deadLetters');
+const { resolvePowermeterReferences } = require('./powermeterReferences');
+const { TRANSFORMER_FIELDS, parseEffectiveFrom, recordConfigChange } = require('./transformerConfig');
+const { INSTALLATION_STATUS_ARCHIVED } = require('./installationRegistry');
+const {
+    POWERMETER_STATUS_DECOMMISSIONED,
+    POWERMETER_WRITER_ROLES,
+    ALLOWED_ENVIROMENTS,
+    POWERMETER_VARIABLES: validVars,
+    getPowermeterSchema,
+    selectPowermeterColumns,
+    validatePowermeterFields,
+    findSerialRegistrations,
+    lockSerialNumber
+} = require('./powermeterRegistry');
 
-// Only allow these enviroments to avoid SQL injection on schema
-const ALLOWED_ENVIROMENTS = ['production', 'demo', 'dev'];
+/**
+ * Checks that the caller may write to the powermeter registry
+ * @param {string} userId - Caller (users.user_id)
+ * @param {string|null} installationId - Installation written to, undefined when the write does not set one
+ * @returns {Promise<Object|null>} 403 (or 409 for an archived installation) HTTP response, or null when the write is allowed
+ */
+async function authorizeRegistryWrite(userId, installationId) {
+    if (!await validateUserRole(userId, POWERMETER_WRITER_ROLES)) {
+        return {
+            status: 403,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'Installer or administrator role required.' })
+        };
+    }
+    if (installationId !== undefined && !await validateUserInstallationAccess(userId, installationId)) {
+        return {
+            status: 403,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: `User is not authorized for installation ${installationId}.` })
+        };
+    }
+    if (installationId !== undefined) {
+        const installation = await executeQuery('SELECT status FROM public.installations WHERE installation_id = $1', [installationId]);
+        if (installation.rows.length > 0 && installation.rows[0].status === INSTALLATION_STATUS_ARCHIVED) {
+            return {
+                status: 409,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: `Installation ${installationId} is archived; powermeters cannot be added to it.` })
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Updates individual registry fields of a powermeter
+ * @param {Object} request - HTTP request (?id=&user_id=&enviroment=&effective_from=, JSON body with the fields to change)
+ * @param {Object} context - Function context
+ * @returns {Promise<Object>} HTTP response with the updated record
+ */
+async function patchPowermeter(request, context) {
+    const powermeterId = request.query.get('id');
+    const userId = request.query.get('user_id');
+    const schema = getPowermeterSchema(request.query.get('enviroment'));
+
+    if (!powermeterId || !userId) {
+        return {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'Missing required query parameter(s): id and user_id' })
+        };
+    }
+    if (!schema) {
+        return {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: `Invalid enviroment. Allowed values: ${ALLOWED_ENVIROMENTS.join(', ')}.` })
+        };
+    }
+    const { effectiveFrom, error: effectiveFromError } = parseEffectiveFrom(request.query.get('effective_from'));
+    if (effectiveFromError) {
+        return {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: effectiveFromError })
+        };
+    }
+
+    let fields;
+    try {
+        fields = await request.json();
+    } catch (err) {
+        fields = null;
+    }
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+        return {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'Body must be a JSON object with the fields to update.' })
+        };
+    }
+
+    const { invalidKeys, immutableKeys, fieldErrors } = validatePowermeterFields(fields, { update: true });
+    if (invalidKeys.length > 0 || immutableKeys.length > 0 || fieldErrors.length > 0) {
+        return {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                error: 'Invalid powermeter fields.',
+                ...(invalidKeys.length > 0 && { invalidKeys, validKeys: validVars }),
+                ...(immutableKeys.length > 0 && { immutableKeys }),
+                ...(fieldErrors.length > 0 && { fieldErrors })
+            })
+        };
+    }
+
+    let client;
+    try {
+        const denied = await authorizeRegistryWrite(userId, fields.installation_id);
+        if (denied) return denied;
+
+        if (!await validateUserPowermeterAccess(userId, powermeterId, schema)) {
+            return {
+                status: 404,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: `Powermeter ID not found in ${schema} schema or not accessible to this user.` })
+            };
+        }
+
+        const stored = await executeQuery(`SELECT manufacturer, series, model FROM ${schema}.powermeters WHERE powermeter_id = $1`, [powermeterId]);
+        const { referenceErrors, fields: updates } = await resolvePowermeterReferences(fields, { current: stored.rows[0] || {} });
+        if (referenceErrors.length > 0) {
+            return {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Unsupported model or time zone.', referenceErrors })
+            };
+        }
+
+        const columns = Object.keys(updates);
+        const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+        const query = `
+            UPDATE ${schema}.powermeters
+            SET ${assignments.join(', ')}
+            WHERE powermeter_id = $1 AND status <> $${columns.length + 2}
+            RETURNING ${selectPowermeterColumns()}
+        `;
+
+        client = await getClient();
+        await client.query('BEGIN');
+        const previous = await client.query(
+            `SELECT status, ${TRANSFORMER_FIELDS.join(', ')} FROM ${schema}.powermeters WHERE powermeter_id = $1 FOR UPDATE`,
+            [powermeterId]
+        );
+        const result = await client.query(query, [powermeterId, ...Object.values(updates), POWERMETER_STATUS_DECOMMISSIONED]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return previous.rows.length
+                ? {
+                    status: 409,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Powermeter is decommissioned and cannot be updated.' })
+                }
+                : {
+                    status: 404,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: `Powermeter ID not found in ${schema} schema.` })
+                };
+        }
+
+        // CT/VT values are versioned, so earlier readings keep the configuration they were taken with
+        const { configChange, status, error, details } = await recordConfigChange(client, {
+            schema,
+            powermeterId,
+            previous: previous.rows[0],
+            next: result.rows[0],
+            effectiveFrom,
+            changedBy: userId
+        });
+        if (error) {
+            await client.query('ROLLBACK');
+            return {
+                status,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error, ...(details && { details }) })
+            };
+        }
+        await client.query('COMMIT');
 
-// Load valid powermeter variable names
-const validVarsPath = path.join(__dirname, 'validVariablesNames.json');
-const validVars = JSON.parse(fs.readFileSync(validVarsPath, 'utf8')).powermeters;
+        // time_zone is part of the cached ingestion route
+        invalidateSerialRoute(result.rows[0].serial_number);
+        context.log(`Powermeter ${powermeterId} updated in ${schema}: ${columns.join(', ')}`);
+
+        return {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ success: true, updatedFields: columns, powermeter: result.rows[0], ...(configChange && { configChange }) })
+        };
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        context.log.error('Error during database operation:', error);
+        return {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ success: false, message: `Database operation failed: ${error.message}` })
+        };
+    } finally {
+        if (client) client.release();
+    }
+}
 
 app.http('powermeter', {
-    methods: ['POST', 'GET'],
+    methods: ['POST', 'GET', 'PATCH'],
     authLevel: 'anonymous',
     handler: async (request, context) => {
+        // === PATCH METHOD ===
+        if (request.method === 'PATCH') {
+            return patchPowermeter(request, context);
+        }
+
         // === GET METHOD ===
         if (request.method === 'GET') {
             // Parse URL and query parameters
             const url = new URL(request.url);
             const powermeterId = url.searchParams.get('id');
+            const userId = url.searchParams.get('user_id');
             const enviroment = url.searchParams.get('enviroment');
 
-            // Require id parameter
-            if (!powermeterId) {
+            // Require id and user_id parameters
+            if (!powermeterId || !userId) {
                 return {
                     status: 400,
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ error: 'Missing required query parameter: id' })
+                    body: JSON.stringify({ error: 'Missing required query parameter(s): id and user_id' })
                 };
             }
 
@@ -49,16 +270,28 @@ app.http('powermeter', {
                 }
             }
 
-            // Query powermeter in the chosen schema
-            const detailsQuery = `SELECT * FROM ${schema}.powermeters WHERE powermeter_id = $1`;
+            // Query powermeter in the chosen schema, limited to the user's installations
+            const detailsQuery = `
+                WITH authorized_powermeter AS (
+                    SELECT p.powermeter_id
+                    FROM ${schema}.powermeters p
+                    JOIN public.user_installations ui ON p.installation_id = ui.installation_id
+                    WHERE ui.user_id = $1
+                      AND p.powermeter_id = $2
+                )
+                SELECT ${selectPowermeterColumns('p')}
+                FROM ${schema}.powermeters p
+                JOIN authorized_powermeter ap ON p.powermeter_id = ap.powermeter_id
+            `;
 
             try {
-                const detailsRes = await executeQuery(detailsQuery, [powermeterId]);
+                const detailsRes = await executeQuery(detailsQuery, [userId, powermeterId]);
                 if (!detailsRes.rows.length) {
+                    // Meters of other installations are reported as missing, so their existence is not revealed
                     return {
                         status: 404,
                         headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ error: `Powermeter ID not found in ${schema} schema.` })
+                        body: JSON.stringify({ error: `Powermeter ID not found in ${schema} schema or not accessible to this user.` })
                     };
                 }
                 return {
@@ -77,6 +310,15 @@ app.http('powermeter', {
         }
 
         // === POST METHOD ===
+        const userId = request.query.get('user_id');
+        if (!userId) {
+            return {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Missing required query parameter: user_id' })
+            };
+        }
+
         let payload;
         try {
             payload = await request.json();
@@ -106,8 +348,17 @@ app.http('powermeter', {
             };
         }
 
+        const { fieldErrors } = validatePowermeterFields(payload);
+        if (fieldErrors.length > 0) {
+            return {
+                status: 400,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Invalid powermeter fields.', fieldErrors })
+            };
+        }
+
         // Check for required fields
-        const requiredFields = ['serial_number', 'model', 'time_zone'];
+        const requiredFields = ['serial_number', 'model', 'time_zone', 'installation_id'];
         const missing = requiredFields.filter(field => !validKeys.includes(field));
         if (missing.length > 0) {
             return {
@@ -130,32 +381,98 @@ app.http('powermeter', {
         }
 
         // Remove enviroment from insert
-        const insertPayload = { ...payload };
-        delete insertPayload.enviroment;
+        const registration = { ...payload };
+        delete registration.enviroment;
+
+        let client;
+        try {
+            const denied = await authorizeRegistryWrite(userId, payload.installation_id);
+            if (denied) return denied;
+
+            // Model and time zone must be supported; the model's defaults fill what was not sent
+            const { referenceErrors, fields: insertPayload, prefilledFields } = await resolvePowermeterReferences(registration, { prefillDefaults: true });
+            if (referenceErrors.length > 0) {
+                return {
+                    status: 400,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ error: 'Unsupported model or time zone.', referenceErrors })
+                };
+            }
 
-        // Prepare columns and values for parameterized query
-        const columns = Object.keys(insertPayload);
-        const values = Object.values(insertPayload);
-        const placeholders = columns.map((_, i) => `$${i + 1}`);
+            // Prepare columns and values for parameterized query
+            const columns = Object.keys(insertPayload);
+            const values = Object.values(insertPayload);
+            const placeholders = columns.map((_, i) => `$${i + 1}`);
 
-        const query = `INSERT INTO ${schema}.powermeters (${columns.join(',')}) VALUES (${placeholders.join(',')})`;
+            const query = `INSERT INTO ${schema}.powermeters (${columns.join(',')}) VALUES (${placeholders.join(',')}) RETURNING ${selectPowermeterColumns()}`;
+
+            client = await getClient();
+            await client.query('BEGIN');
+            // Held until COMMIT, like promotions and replacements, so the serial number cannot be registered twice
+            await lockSerialNumber(client, payload.serial_number);
+
+            // Ingestion routes by serial number, so it may only exist in one schema (see powermeterPromotion.js)
+            const registrations = await findSerialRegistrations(payload.serial_number, (text, params) => client.query(text, params));
+            if (registrations.length > 0) {
+                await client.query('ROLLBACK');
+                return {
+                    status: 409,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        error: `Serial number ${payload.serial_number} is already registered in the ${registrations[0].schema} schema.`
+                    })
+                };
+            }
 
-        try {
             context.log('Executing query:', query, 'with values:', values);
-            await executeQuery(query, values);
+            const inserted = await client.query(query, values);
+            await client.query('COMMIT');
             context.log('Database insert executed successfully');
+
+            // Forget a cached "unknown serial" so ingestion picks the new meter up right away
+            invalidateSerialRoute(payload.serial_number);
+
+            // The meter is registered either way; a credential can still be issued later
+            let deviceCredential = null;
+            let credentialError;
+            try {
+                deviceCredential = await issueDeviceCredential(String(payload.serial_number), null);
+            } catch (error) {
+                context.log.warn(`Device credential not issued for ${payload.serial_number}: ${error.message}`);
+                credentialError = `Device credential not issued: ${error.message}`;
+            }
+
+            // Readings rejected as unknown_serial before registration were unsigned; an administrator replays them
+            let pendingDeadLetters = null;
+            try {
+                pendingDeadLetters = await countUnknownSerialDeadLetters(payload.serial_number);
+            } catch (error) {
+                context.log.warn(`Dead letters not counted for ${payload.serial_number}: ${error.message}`);
+            }
+
             return {
                 status: 200,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ success: true, message: 'Powermeter registered successfully.' })
+                headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+                body: JSON.stringify({
+                    success: true,
+                    message: 'Powermeter registered successfully.',
+                    powermeter: inserted.rows[0],
+                    prefilledFields,
+                    deviceCredential,
+                    ...(credentialError && { credentialError }),
+                    pendingDeadLetters
+                })
             };
         } catch (error) {
+            if (client) await client.query('ROLLBACK').catch(() => {});
             context.log.error('Error during database operation:', error);
             return {
                 status: 500,
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ success: false, message: `Database operation failed: ${error.message}` })
             };
+        } finally {
+            if (client) client.release();
         }
     }
 });
\ No newline at end of file
@@ -0,0 +1,66 @@
+/**
+ * FileName: src/functions/powermeterConfigHistory.js
+ * Author(s): Arturo Vargas
+ * Endpoint: GET /api/powermeterConfigHistory?id=&user_id=&enviroment=
+ * Brief: Lists the CT/VT configurations of a powermeter with the period each one was in force.
+ * Date: 2026-10-19
+ *
+ * Every configuration is returned with effective_from (null for the configuration the meter was registered
+ * with) and effective_to (the effective_from of the next one, null for the current one). Changes are made
+ * with PATCH /api/powermeter (see transformerConfig.js). Only meters of the user's installations are listed.
+ * Requires database/migrations/013_powermeter_config_history.sql.
+ *
+ * Example:
+ * curl "http://localhost:7071/api/powermeterConfigHistory?id=12&user_id=1&enviroment=production"
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const { executeQuery } = require('./pgPool');
+const { validateUserPowermeterAccess, jsonResponse } = require('./dbUtils');
+const { ALLOWED_ENVIROMENTS, getPowermeterSchema } = require('./powermeterRegistry');
+const { TRANSFORMER_FIELDS, listConfigHistory, pickTransformerConfig } = require('./transformerConfig');
+
+app.http('powermeterConfigHistory', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const powermeterId = request.query.get('id');
+        const userId = request.query.get('user_id');
+        const schema = getPowermeterSchema(request.query.get('enviroment'));
+
+        if (!powermeterId || !userId) {
+            return jsonResponse(400, { success: false, error: 'Missing required parameter(s): id and user_id' });
+        }
+        if (!schema) {
+            return jsonResponse(400, { success: false, error: `Invalid enviroment. Allowed values: ${ALLOWED_ENVIROMENTS.join(', ')}.` });
+        }
+
+        try {
+            if (!await validateUserPowermeterAccess(userId, powermeterId, schema)) {
+                return jsonResponse(404, { success: false, error: `Powermeter ID not found in ${schema} schema or not accessible to this user.` });
+            }
+
+            let history = await listConfigHistory(schema, powermeterId);
+            if (history.length === 0) {
+                // Never changed since registration: the registry values have always been in force
+                const current = await executeQuery(
+                    `SELECT ${TRANSFORMER_FIELDS.join(', ')} FROM ${schema}.powermeters WHERE powermeter_id = $1`,
+                    [powermeterId]
+                );
+                history = current.rows.map(row => ({ effective_from: null, ...pickTransformerConfig(row) }));
+            }
+
+            const configurations = history.map((entry, i) => ({
+                ...entry,
+                effective_to: i + 1 < history.length ? history[i + 1].effective_from : null
+            }));
+            return jsonResponse(200, { success: true, schema, powermeter_id: Number(powermeterId), configurations });
+        } catch (error) {
+            context.log.error('Error listing powermeter configuration history:', error);
+            return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+        }
+    }
+});
@@ -0,0 +1,284 @@
+/**
+ * FileName: src/functions/powermeterHierarchy.js
+ * Author(s): Arturo Vargas
+ * Endpoint: GET /api/powermeterHierarchy
+ * Brief: Clients, their installations and their powermeters as a tree, with optional rollups per node.
+ * Date: 2026-10-19
+ *
+ * Parameters (query string):
+ *   - user_id (required): only meters of the user's installations (public.user_installations) are included
+ *   - enviroment (optional): production (default), demo or dev
+ *   - client_id, installation_id (optional): only this branch of the tree
+ *   - status (optional): active (default), decommissioned or all; lifecycle status of the meters
+ *   - search (optional): case-insensitive text matched against client, installation and meter aliases and
+ *     serial numbers; a match keeps the meter and its parents
+ *   - depth (optional): clients, installations or powermeters (default); nodes below it are not returned,
+ *     so a large tree can be loaded level by level (depth=clients, then client_id=&depth=installations...)
+ *   - rollups (optional): comma separated meter_count, month_kwh, online_status, or all
+ *
+ * Rollups are computed over every meter that passes the filters, also when depth hides them:
+ *   - meter_count: meters below the node
+ *   - month_kwh: imported energy of the current calendar month, in each meter's time zone, from the
+ *     stitched kwh_imported_total counter (see counterStitching.js); null when there are no readings
+ *   - online_status: heartbeat status of a meter (see heartbeat/meterHeartbeat.js), counted per status on
+ *     clients, installations and the whole tree; decommissioned meters have none
+ * Installations appear under the client of their meters; meters without a client are grouped under
+ * client_id null.
+ *
+ * Example:
+ * curl "http://localhost:7071/api/powermeterHierarchy?user_id=1&depth=installations&rollups=meter_count,online_status"
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const { executeQuery } = require('./pgPool');
+const { jsonResponse } = require('./dbUtils');
+const { loadMonthEnergy } = require('./counterStitching');
+const { METER_STATUSES, getHeartbeatThresholds, classifyMeterStatus } = require('./heartbeat/meterHeartbeat');
+const {
+    POWERMETER_STATUS_ACTIVE,
+    POWERMETER_STATUSES,
+    ALLOWED_ENVIROMENTS,
+    getPowermeterSchema
+} = require('./powermeterRegistry');
+
+const DEPTH_CLIENTS = 'clients';
+const DEPTH_INSTALLATIONS = 'installations';
+const DEPTH_POWERMETERS = 'powermeters';
+const DEPTHS = [DEPTH_CLIENTS, DEPTH_INSTALLATIONS, DEPTH_POWERMETERS];
+
+const ROLLUP_METER_COUNT = 'meter_count';
+const ROLLUP_MONTH_KWH = 'month_kwh';
+const ROLLUP_ONLINE_STATUS = 'online_status';
+const ROLLUPS = [ROLLUP_METER_COUNT, ROLLUP_MONTH_KWH, ROLLUP_ONLINE_STATUS];
+
+const STATUS_ALL = 'all';
+const MAX_SEARCH_LENGTH = 100;
+
+/**
+ * Parses the rollups parameter
+ * @param {string|null} value - Comma separated rollups, or all
+ * @returns {Array<string>|null} Rollups requested, or null when one is unknown
+ */
+function parseRollups(value) {
+    if (!value) return [];
+    if (value === 'all') return ROLLUPS;
+    const requested = [...new Set(value.split(',').map(rollup => rollup.trim()).filter(Boolean))];
+    return requested.every(rollup => ROLLUPS.includes(rollup)) ? requested : null;
+}
+
+/**
+ * Creates the rollups of a client or installation node, or of the whole tree
+ * @param {Array<string>} rollups - Rollups requested
+ * @returns {Object} Empty accumulators
+ */
+function emptyRollups(rollups) {
+    const totals = {};
+    if (rollups.includes(ROLLUP_METER_COUNT)) totals.meter_count = 0;
+    if (rollups.includes(ROLLUP_MONTH_KWH)) totals.month_kwh = null;
+    if (rollups.includes(ROLLUP_ONLINE_STATUS)) totals.online_status = Object.fromEntries(METER_STATUSES.map(name => [name, 0]));
+    return totals;
+}
+
+/**
+ * Adds a meter to the rollups of a node
+ * @param {Object} totals - Rollups of the node (modified)
+ * @param {Object} meterRollups - Rollups of the meter
+ * @returns {void}
+ */
+function addToRollups(totals, meterRollups) {
+    if (totals.meter_count !== undefined) totals.meter_count++;
+    if (totals.month_kwh !== undefined && meterRollups.month_kwh != null) {
+        totals.month_kwh = (totals.month_kwh || 0) + meterRollups.month_kwh;
+    }
+    if (totals.online_status !== undefined && meterRollups.online_status) {
+        totals.online_status[meterRollups.online_status]++;
+    }
+}
+
+/**
+ * Builds the client -> installation -> powermeter tree from the meter rows
+ * @param {Array<Object>} rows - Meters, ordered by client and installation
+ * @param {Object} options - { depth, rollups, monthEnergy, thresholds }
+ * @returns {Object} { clients, totals }
+ */
+function buildHierarchy(rows, { depth, rollups, monthEnergy, thresholds }) {
+    const clients = new Map();
+    const totals = emptyRollups(rollups);
+    const withRollups = rollups.length > 0;
+
+    for (const row of rows) {
+        const clientKey = String(row.client_id);
+        if (!clients.has(clientKey)) {
+            clients.set(clientKey, {
+                client_id: row.client_id,
+                client_alias: row.client_alias,
+                ...(withRollups && { rollups: emptyRollups(rollups) }),
+                installations: new Map()
+            });
+        }
+        const client = clients.get(clientKey);
+
+        const installationKey = String(row.installation_id);
+        if (!client.installations.has(installationKey)) {
+            client.installations.set(installationKey, {
+                installation_id: row.installation_id,
+                installation_alias: row.installation_alias,
+                installation_status: row.installation_status,
+                ...(withRollups && { rollups: emptyRollups(rollups) }),
+                powermeters: []
+            });
+        }
+        const installation = client.installations.get(installationKey);
+
+        const meterRollups = {};
+        if (rollups.includes(ROLLUP_MONTH_KWH)) {
+            meterRollups.month_kwh = monthEnergy.get(String(row.powermeter_id)) ?? null;
+        }
+        if (rollups.includes(ROLLUP_ONLINE_STATUS)) {
+            const secondsSinceSeen = row.seconds_since_seen === null ? null : Math.round(Number(row.seconds_since_seen));
+            meterRollups.online_status = row.status === POWERMETER_STATUS_ACTIVE
+                ? classifyMeterStatus(secondsSinceSeen, row.expected_interval_seconds, thresholds)
+                : null;
+        }
+
+        if (withRollups) {
+            addToRollups(client.rollups, meterRollups);
+            addToRollups(installation.rollups, meterRollups);
+        }
+        addToRollups(totals, meterRollups);
+
+        installation.powermeters.push({
+            powermeter_id: row.powermeter_id,
+            serial_number: row.serial_number,
+            powermeter_alias: row.powermeter_alias,
+            status: row.status,
+            ...(Object.keys(meterRollups).length > 0 && { rollups: meterRollups })
+        });
+    }
+
+    const tree = [...clients.values()].map(({ installations, ...client }) => {
+        if (depth === DEPTH_CLIENTS) return client;
+        return {
+            ...client,
+            installations: [...installations.values()].map(({ powermeters, ...installation }) =>
+                (depth === DEPTH_INSTALLATIONS ? installation : { ...installation, powermeters }))
+        };
+    });
+
+    return { clients: tree, totals };
+}
+
+app.http('powermeterHierarchy', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const userId = request.query.get('user_id');
+        if (!userId) {
+            return jsonResponse(400, { success: false, error: 'Missing required parameter: user_id' });
+        }
+
+        const schema = getPowermeterSchema(request.query.get('enviroment'));
+        if (!schema) {
+            return jsonResponse(400, { success: false, error: `Invalid enviroment. Allowed values: ${ALLOWED_ENVIROMENTS.join(', ')}.` });
+        }
+
+        const status = request.query.get('status') || POWERMETER_STATUS_ACTIVE;
+        if (status !== STATUS_ALL && !POWERMETER_STATUSES.includes(status)) {
+            return jsonResponse(400, { success: false, error: `Invalid status. Allowed values: ${[...POWERMETER_STATUSES, STATUS_ALL].join(', ')}.` });
+        }
+
+        const depth = request.query.get('depth') || DEPTH_POWERMETERS;
+        if (!DEPTHS.includes(depth)) {
+            return jsonResponse(400, { success: false, error: `Invalid depth. Allowed values: ${DEPTHS.join(', ')}.` });
+        }
+
+        const rollups = parseRollups(request.query.get('rollups'));
+        if (!rollups) {
+            return jsonResponse(400, { success: false, error: `Invalid rollups. Allowed values: ${ROLLUPS.join(', ')} or all.` });
+        }
+
+        const search = request.query.get('search');
+        if (search && search.length > MAX_SEARCH_LENGTH) {
+            return jsonResponse(400, { success: false, error: `search must be at most ${MAX_SEARCH_LENGTH} characters.` });
+        }
+
+        const params = [userId];
+        const conditions = ['ui.user_id = $1'];
+        const filters = { status };
+        for (const parameter of ['client_id', 'installation_id']) {
+            const value = request.query.get(parameter);
+            if (!value) continue;
+            params.push(value);
+            conditions.push(`p.${parameter} = $${params.length}`);
+            filters[parameter] = value;
+        }
+        if (status !== STATUS_ALL) {
+            params.push(status);
+            conditions.push(`p.status = $${params.length}`);
+        }
+        if (search) {
+            // LIKE wildcards in the text are matched literally
+            params.push(`%${search.replace(/[\\%_]/g, character => `\\${character}`)}%`);
+            const pattern = `$${params.length}`;
+            conditions.push(`(c.client_alias ILIKE ${pattern} OR i.installation_alias ILIKE ${pattern}
+                OR p.powermeter_alias ILIKE ${pattern} OR p.serial_number::text ILIKE ${pattern})`);
+            filters.search = search;
+        }
+
+        const query = `
+            SELECT
+                p.powermeter_id,
+                p.serial_number,
+                p.powermeter_alias,
+                p.status,
+                p.expected_interval_seconds,
+                EXTRACT(EPOCH FROM (NOW() - p.last_seen_at)) AS seconds_since_seen,
+                p.client_id,
+                c.client_alias,
+                p.installation_id,
+                i.installation_alias,
+                i.status AS installation_status
+            FROM ${schema}.powermeters p
+            JOIN public.user_installations ui ON p.installation_id = ui.installation_id
+            JOIN public.installations i ON p.installation_id = i.installation_id
+            LEFT JOIN public.clients c ON p.client_id = c.client_id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY c.client_alias NULLS LAST, p.client_id, i.installation_alias, p.installation_id, p.powermeter_id
+        `;
+
+        try {
+            const result = await executeQuery(query, params);
+            const monthEnergy = rollups.includes(ROLLUP_MONTH_KWH) && result.rows.length > 0
+                ? await loadMonthEnergy(schema, result.rows.map(row => row.powermeter_id))
+                : new Map();
+
+            const { clients, totals } = buildHierarchy(result.rows, {
+                depth,
+                rollups,
+                monthEnergy,
+                thresholds: getHeartbeatThresholds()
+            });
+
+            return jsonResponse(200, {
+                success: true,
+                schema,
+                depth,
+                filters,
+                rollups,
+                ...(rollups.length > 0 && { totals }),
+                clients
+            });
+        } catch (error) {
+            context.log.error('Error building powermeter hierarchy:', error);
+            return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+        }
+    }
+});
+
+module.exports = {
+    parseRollups,
+    buildHierarchy
+};
@@ -0,0 +1,164 @@
+/**
+ * FileName: src/functions/powermeterLifecycle.js
+ * Author(s): Arturo Vargas
+ * Endpoints: GET /api/powermeters, POST /api/decommissionPowermeter
+ * Brief: Filtered listing of the powermeter registry and decommissioning of powermeters.
+ * Date: 2026-10-19
+ *
+ * Parameters of GET /api/powermeters (query string):
+ *   - user_id (required): only meters of the user's installations (public.user_installations) are listed
+ *   - enviroment (optional): production (default), demo or dev
+ *   - installation_id, client_id, model, status (optional): filters, combined with AND
+ *   - limit (optional, 1-1000, default 100) and offset (optional, default 0)
+ *
+ * POST /api/decommissionPowermeter?id=&enviroment=&user_id= with an optional JSON body { "reason": "..." }
+ * marks the meter decommissioned; installers and administrators may do so for meters of their installations.
+ * Its row and measurements are kept, ingestion rejects its readings from then on (410 on postMeasurement) and
+ * its open "meter offline" incident is closed.
+ *
+ * Example:
+ * curl "http://localhost:7071/api/powermeters?user_id=1&installation_id=3&status=active"
+ * curl -X POST "http://localhost:7071/api/decommissionPowermeter?id=12&user_id=1" -d '{"reason":"Replaced"}'
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const { executeQuery, getClient } = require('./pgPool');
+const { validateUserRole, jsonResponse, MAX_REASON_LENGTH } = require('./dbUtils');
+const { invalidateSerialRoute } = require('./ingestion/serialRoutingCache');
+const { INCIDENT_TYPE_METER_OFFLINE } = require('./heartbeat/meterHeartbeat');
+const {
+    POWERMETER_STATUS_ACTIVE,
+    POWERMETER_STATUS_DECOMMISSIONED,
+    POWERMETER_WRITER_ROLES,
+    ALLOWED_ENVIROMENTS,
+    getPowermeterSchema,
+    selectPowermeterColumns,
+    parsePowermeterListRequest,
+    buildPowermeterListQuery
+} = require('./powermeterRegistry');
+
+app.http('listPowermeters', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    route: 'powermeters',
+    handler: async (request, context) => {
+        const userId = request.query.get('user_id');
+        if (!userId) {
+            return jsonResponse(400, { success: false, error: 'Missing required parameter: user_id' });
+        }
+
+        const schema = getPowermeterSchema(request.query.get('enviroment'));
+        if (!schema) {
+            return jsonResponse(400, { success: false, error: `Invalid enviroment. Allowed values: ${ALLOWED_ENVIROMENTS.join(', ')}.` });
+        }
+
+        const listing = parsePowermeterListRequest(request.query);
+        if (listing.error) {
+            return jsonResponse(400, { success: false, error: listing.error });
+        }
+        const { filters, limit, offset } = listing;
+        const { query, params } = buildPowermeterListQuery(schema, userId, listing);
+
+        try {
+            const result = await executeQuery(query, params);
+            const total = result.rows.length > 0 ? Number(result.rows[0].total_count) : 0;
+            const powermeters = result.rows.map(({ total_count, ...row }) => row);
+
+            return jsonResponse(200, { success: true, schema, filters, total, limit, offset, powermeters });
+        } catch (error) {
+            context.log.error('Error listing powermeters:', error);
+            return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+        }
+    }
+});
+
+app.http('decommissionPowermeter', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const powermeterId = request.query.get('id');
+        const userId = request.query.get('user_id');
+        const schema = getPowermeterSchema(request.query.get('enviroment'));
+
+        if (!powermeterId || !userId) {
+            return jsonResponse(400, { success: false, error: 'Missing required parameter(s): id and user_id' });
+        }
+        if (!schema) {
+            return jsonResponse(400, { success: false, error: `Invalid enviroment. Allowed values: ${ALLOWED_ENVIROMENTS.join(', ')}.` });
+        }
+
+        let reason = null;
+        const text = await request.text();
+        if (text.trim()) {
+            let body;
+            try {
+                body = JSON.parse(text);
+            } catch (err) {
+                return jsonResponse(400, { success: false, error: 'Invalid JSON payload.' });
+            }
+            reason = body && body.reason != null ? body.reason : null;
+            if (reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+                return jsonResponse(400, { success: false, error: `reason must be a string of at most ${MAX_REASON_LENGTH} characters.` });
+            }
+        }
+
+        let client;
+        try {
+            if (!await validateUserRole(userId, POWERMETER_WRITER_ROLES)) {
+                return jsonResponse(403, { success: false, error: 'Installer or administrator role required.' });
+            }
+
+            client = await getClient();
+            await client.query('BEGIN');
+
+            const current = await client.query(
+                `SELECT p.status
+                 FROM ${schema}.powermeters p
+                 WHERE p.powermeter_id = $1
+                   AND EXISTS (
+                       SELECT 1 FROM public.user_installations ui
+                       WHERE ui.installation_id = p.installation_id AND ui.user_id = $2
+                   )
+                 FOR UPDATE`,
+                [powermeterId, userId]
+            );
+            if (current.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return jsonResponse(404, { success: false, error: `Powermeter ID not found in ${schema} schema or not accessible to this user.` });
+            }
+            if (current.rows[0].status !== POWERMETER_STATUS_ACTIVE) {
+                await client.query('ROLLBACK');
+                return jsonResponse(409, { success: false, error: 'Powermeter is already decommissioned.' });
+            }
+
+            const updated = await client.query(
+                `UPDATE ${schema}.powermeters
+                 SET status = $2, decommissioned_at = NOW(), decommissioned_by = $3, decommission_reason = $4
+                 WHERE powermeter_id = $1
+                 RETURNING ${selectPowermeterColumns()}`,
+                [powermeterId, POWERMETER_STATUS_DECOMMISSIONED, userId, reason]
+            );
+            const closed = await client.query(
+                `UPDATE public.meter_incidents SET closed_at = NOW()
+                 WHERE schema_name = $1 AND powermeter_id = $2 AND incident_type = $3 AND closed_at IS NULL`,
+                [schema, powermeterId, INCIDENT_TYPE_METER_OFFLINE]
+            );
+            await client.query('COMMIT');
+
+            const powermeter = updated.rows[0];
+            invalidateSerialRoute(powermeter.serial_number);
+            context.log(`Powermeter ${powermeterId} (${powermeter.serial_number}) decommissioned in ${schema} by user ${userId}`);
+
+            return jsonResponse(200, { success: true, closedIncidents: closed.rowCount, powermeter });
+        } catch (error) {
+            if (client) await client.query('ROLLBACK').catch(() => {});
+            context.log.error('Error decommissioning powermeter:', error);
+            return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+        } finally {
+            if (client) client.release();
+        }
+    }
+});
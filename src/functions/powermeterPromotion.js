@@ -0,0 +1,296 @@
+/**
+ * FileName: src/functions/powermeterPromotion.js
+ * Author(s): Arturo Vargas
+ * Endpoint: POST /api/promotePowermeter?user_id=
+ * Brief: Moves a powermeter between the dev, demo and public schemas (e.g. from commissioning to production).
+ * Date: 2026-10-19
+ *
+ * Body (JSON):
+ *   - serial_number (required): meter to promote
+ *   - to (required): production, demo or dev
+ *   - from (optional): schema expected to hold the meter today; the promotion is refused when it does not
+ *   - measurements (required): move (readings, raw values and quarantined readings follow the meter) or
+ *     discard (they are deleted with the old registry row, e.g. commissioning tests)
+ *   - reason (optional): stored in the audit record
+ *
+ * Everything runs in one transaction under an advisory lock on the serial number: the registry row is copied
+ * into the target schema (it gets a new powermeter_id there), the readings are moved or discarded, the meter's
+ * incidents, device replacements, CT/VT history, remote commands, counter resets and maintenance follow it, the old row is deleted and a
+ * row is written to public.powermeter_promotions. The transaction is only committed when the serial number ends up registered in
+ * the target schema alone, since ingestion routes readings by whichever schema holds the serial.
+ * Administrators only.
+ * Requires database/migrations/011_powermeter_promotions.sql.
+ *
+ * Example:
+ * curl -X POST "http://localhost:7071/api/promotePowermeter?user_id=1" \
+ *   -d '{"serial_number":"DEMO0001","from":"dev","to":"production","measurements":"move"}'
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const { getClient } = require('./pgPool');
+const { validateUserRole, ADMIN_ROLES, jsonResponse, MAX_REASON_LENGTH } = require('./dbUtils');
+const { invalidateSerialRoute } = require('./ingestion/serialRoutingCache');
+const {
+    POWERMETER_STATUS_DECOMMISSIONED,
+    ALLOWED_ENVIROMENTS,
+    getPowermeterSchema,
+    selectPowermeterColumns,
+    findSerialRegistrations,
+    lockSerialNumber
+} = require('./powermeterRegistry');
+
+const MEASUREMENTS_MODE_MOVE = 'move';
+const MEASUREMENTS_MODE_DISCARD = 'discard';
+const MEASUREMENTS_MODES = [MEASUREMENTS_MODE_MOVE, MEASUREMENTS_MODE_DISCARD];
+
+// Per-schema tables holding readings of a meter by powermeter_id
+const MEASUREMENT_TABLES = ['measurements', 'measurements_raw', 'measurements_quarantine'];
+
+/**
+ * Lists the columns a row can be copied with from one schema to another: present in both tables and not
+ * generated by the target (serial / identity keys), so schemas that drifted apart can still be promoted
+ * @param {Object} client - Database client in the promotion transaction
+ * @param {string} table - Table name
+ * @param {string} sourceSchema - Schema copied from
+ * @param {string} targetSchema - Schema copied to
+ * @returns {Promise<Array<string>>} Column names
+ */
+async function getCopyColumns(client, table, sourceSchema, targetSchema) {
+    const result = await client.query(
+        `SELECT t.column_name
+         FROM information_schema.columns t
+         JOIN information_schema.columns s
+           ON s.table_schema = $2 AND s.table_name = t.table_name AND s.column_name = t.column_name
+         WHERE t.table_schema = $3 AND t.table_name = $1
+           AND t.is_identity = 'NO'
+           AND COALESCE(t.column_default, '') NOT LIKE 'nextval(%'
+         ORDER BY t.ordinal_position`,
+        [table, sourceSchema, targetSchema]
+    );
+    return result.rows.map(row => `"${row.column_name}"`);
+}
+
+/**
+ * Moves or deletes the readings of a meter in one per-schema table
+ * @param {Object} client - Database client in the promotion transaction
+ * @param {string} table - Table name (MEASUREMENT_TABLES)
+ * @param {Object} promotion - { sourceSchema, targetSchema, sourceId, targetId, measurementsMode }
+ * @returns {Promise<number>} Rows moved or discarded
+ */
+async function transferReadings(client, table, { sourceSchema, targetSchema, sourceId, targetId, measurementsMode }) {
+    if (measurementsMode === MEASUREMENTS_MODE_MOVE) {
+        const columns = (await getCopyColumns(client, table, sourceSchema, targetSchema))
+            .filter(column => column !== '"powermeter_id"');
+        await client.query(
+            `INSERT INTO ${targetSchema}.${table} (powermeter_id, ${columns.join(', ')})
+             SELECT $2, ${columns.join(', ')} FROM ${sourceSchema}.${table} WHERE powermeter_id = $1`,
+            [sourceId, targetId]
+        );
+    }
+
+    const deleted = await client.query(`DELETE FROM ${sourceSchema}.${table} WHERE powermeter_id = $1`, [sourceId]);
+    return deleted.rowCount;
+}
+
+/**
+ * Reads and validates the promotion request body
+ * @param {Object} request - HTTP request
+ * @returns {Promise<Object>} { serialNumber, targetSchema, expectedSchema, measurementsMode, reason } or { error }
+ */
+async function parsePromotionRequest(request) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (err) {
+        return { error: 'Invalid JSON payload.' };
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Body must be a JSON object.' };
+    }
+
+    const { serial_number: serialNumber, to, from, measurements, reason = null } = body;
+    if (serialNumber === undefined || serialNumber === null || serialNumber === '' || !to) {
+        return { error: 'Missing required field(s): serial_number and to.' };
+    }
+
+    const targetSchema = getPowermeterSchema(to);
+    const expectedSchema = from ? getPowermeterSchema(from) : undefined;
+    if (!targetSchema || expectedSchema === null) {
+        return { error: `Invalid enviroment in to/from. Allowed values: ${ALLOWED_ENVIROMENTS.join(', ')}.` };
+    }
+    if (!MEASUREMENTS_MODES.includes(measurements)) {
+        return { error: `measurements is required. Allowed values: ${MEASUREMENTS_MODES.join(', ')}.` };
+    }
+    if (reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+        return { error: `reason must be a string of at most ${MAX_REASON_LENGTH} characters.` };
+    }
+
+    return { serialNumber: String(serialNumber), targetSchema, expectedSchema, measurementsMode: measurements, reason };
+}
+
+app.http('promotePowermeter', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const userId = request.query.get('user_id');
+        if (!userId) {
+            return jsonResponse(400, { success: false, error: 'Missing required parameter: user_id' });
+        }
+
+        const { serialNumber, targetSchema, expectedSchema, measurementsMode, reason, error } = await parsePromotionRequest(request);
+        if (error) {
+            return jsonResponse(400, { success: false, error });
+        }
+
+        let client;
+        try {
+            if (!await validateUserRole(userId, ADMIN_ROLES)) {
+                return jsonResponse(403, { success: false, error: 'Administrator role required.' });
+            }
+
+            client = await getClient();
+            const runQuery = (query, params) => client.query(query, params);
+            const refuse = async (status, message) => {
+                await client.query('ROLLBACK');
+                return jsonResponse(status, { success: false, error: message });
+            };
+
+            await client.query('BEGIN');
+            await lockSerialNumber(client, serialNumber);
+
+            const registrations = await findSerialRegistrations(serialNumber, runQuery);
+            if (registrations.length === 0) {
+                return await refuse(404, `Serial number ${serialNumber} is not registered in any schema.`);
+            }
+            if (registrations.length > 1) {
+                return await refuse(409, `Serial number ${serialNumber} is registered in several schemas (${registrations.map(r => r.schema).join(', ')}); resolve it manually first.`);
+            }
+
+            const { schema: sourceSchema, powermeter_id: sourceId } = registrations[0];
+            if (expectedSchema && expectedSchema !== sourceSchema) {
+                return await refuse(409, `Serial number ${serialNumber} is registered in the ${sourceSchema} schema, not ${expectedSchema}.`);
+            }
+            if (sourceSchema === targetSchema) {
+                return await refuse(400, `Serial number ${serialNumber} is already in the ${targetSchema} schema.`);
+            }
+
+            const source = await client.query(`SELECT status FROM ${sourceSchema}.powermeters WHERE powermeter_id = $1 FOR UPDATE`, [sourceId]);
+            if (source.rows[0].status === POWERMETER_STATUS_DECOMMISSIONED) {
+                return await refuse(409, 'Decommissioned powermeters cannot be promoted.');
+            }
+
+            const columns = await getCopyColumns(client, 'powermeters', sourceSchema, targetSchema);
+            const inserted = await client.query(
+                `INSERT INTO ${targetSchema}.powermeters (${columns.join(', ')})
+                 SELECT ${columns.join(', ')} FROM ${sourceSchema}.powermeters WHERE powermeter_id = $1
+                 RETURNING powermeter_id`,
+                [sourceId]
+            );
+            const targetId = inserted.rows[0].powermeter_id;
+
+            const promotion = { sourceSchema, targetSchema, sourceId, targetId, measurementsMode };
+            const rowCounts = {};
+            for (const table of MEASUREMENT_TABLES) {
+                rowCounts[table] = await transferReadings(client, table, promotion);
+            }
+
+            const incidents = await client.query(
+                `UPDATE public.meter_incidents SET schema_name = $3, powermeter_id = $4
+                 WHERE schema_name = $1 AND powermeter_id = $2`,
+                [sourceSchema, sourceId, targetSchema, targetId]
+            );
+            rowCounts.meter_incidents = incidents.rowCount;
+
+            // Counter stitching of earlier device replacements, CT/VT changes and counter resets follows the meter too
+            const replacements = await client.query(
+                `UPDATE public.powermeter_replacements SET schema_name = $3, powermeter_id = $4
+                 WHERE schema_name = $1 AND powermeter_id = $2`,
+                [sourceSchema, sourceId, targetSchema, targetId]
+            );
+            rowCounts.powermeter_replacements = replacements.rowCount;
+
+            const configHistory = await client.query(
+                `UPDATE public.powermeter_config_history SET schema_name = $3, powermeter_id = $4
+                 WHERE schema_name = $1 AND powermeter_id = $2`,
+                [sourceSchema, sourceId, targetSchema, targetId]
+            );
+            rowCounts.powermeter_config_history = configHistory.rowCount;
+
+            const commands = await client.query(
+                `UPDATE public.powermeter_commands SET schema_name = $3, powermeter_id = $4
+                 WHERE schema_name = $1 AND powermeter_id = $2`,
+                [sourceSchema, sourceId, targetSchema, targetId]
+            );
+            rowCounts.powermeter_commands = commands.rowCount;
+
+            const counterResets = await client.query(
+                `UPDATE public.powermeter_counter_resets SET schema_name = $3, powermeter_id = $4
+                 WHERE schema_name = $1 AND powermeter_id = $2`,
+                [sourceSchema, sourceId, targetSchema, targetId]
+            );
+            rowCounts.powermeter_counter_resets = counterResets.rowCount;
+
+            for (const table of ['maintenance_schedules', 'maintenance_windows']) {
+                const maintenance = await client.query(
+                    `UPDATE public.${table} SET schema_name = $3, powermeter_id = $4
+                     WHERE schema_name = $1 AND powermeter_id = $2`,
+                    [sourceSchema, sourceId, targetSchema, targetId]
+                );
+                rowCounts[table] = maintenance.rowCount;
+            }
+
+            await client.query(`DELETE FROM ${sourceSchema}.powermeters WHERE powermeter_id = $1`, [sourceId]);
+
+            const after = await findSerialRegistrations(serialNumber, runQuery);
+            if (after.length !== 1 || after[0].schema !== targetSchema) {
+                throw new Error(`Serial number ${serialNumber} would be registered in ${after.map(r => r.schema).join(', ') || 'no schema'} after the promotion.`);
+            }
+
+            const audit = await client.query(
+                `INSERT INTO public.powermeter_promotions
+                     (serial_number, source_schema, source_powermeter_id, target_schema, target_powermeter_id,
+                      measurements_mode, row_counts, promoted_by, reason)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                 RETURNING promotion_id, promoted_at`,
+                [serialNumber, sourceSchema, sourceId, targetSchema, targetId, measurementsMode, JSON.stringify(rowCounts), userId, reason]
+            );
+            const powermeter = await client.query(
+                `SELECT ${selectPowermeterColumns()} FROM ${targetSchema}.powermeters WHERE powermeter_id = $1`,
+                [targetId]
+            );
+            await client.query('COMMIT');
+
+            invalidateSerialRoute(serialNumber);
+            context.log(`Powermeter ${serialNumber} promoted from ${sourceSchema} (${sourceId}) to ${targetSchema} (${targetId}) by user ${userId}: ${JSON.stringify(rowCounts)}`);
+
+            return jsonResponse(200, {
+                success: true,
+                promotion: {
+                    promotion_id: audit.rows[0].promotion_id,
+                    promoted_at: audit.rows[0].promoted_at,
+                    serial_number: serialNumber,
+                    source_schema: sourceSchema,
+                    source_powermeter_id: sourceId,
+                    target_schema: targetSchema,
+                    target_powermeter_id: targetId,
+                    measurements_mode: measurementsMode,
+                    row_counts: rowCounts
+                },
+                powermeter: powermeter.rows[0]
+            });
+        } catch (error) {
+            if (client) await client.query('ROLLBACK').catch(() => {});
+            context.log.error('Error promoting powermeter:', error);
+            return jsonResponse(500, { success: false, message: `Promotion failed: ${error.message}` });
+        } finally {
+            if (client) client.release();
+        }
+    }
+});
+
+module.exports = {
+    parsePromotionRequest
+};
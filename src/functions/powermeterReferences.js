@@ -0,0 +1,204 @@
+/**
+ * FileName: src/functions/powermeterReferences.js
+ * Author(s): Arturo Vargas
+ * Brief: Referential checks of powermeter writes (model and time zone) and per-model registry defaults.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * manufacturer / series / model must name a row of public.supported_models and time_zone a row of
+ * public.supported_timezones; a bad time_zone would otherwise break the AT TIME ZONE math of every profile
+ * endpoint. Unknown values are reported with the closest valid entries as suggestions. When the model is
+ * found, missing manufacturer and series are taken from it, and a registration gets the fields of the
+ * model's registry_defaults it does not send. Requires database/migrations/010_supported_model_defaults.sql.
+ * Queries find the supported model of a meter by manufacturer, series and model with supportedModelJoin(),
+ * since two manufacturers may use the same model name.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { executeQuery } = require('./pgPool');
+const { POWERMETER_WRITABLE_FIELDS } = require('./powermeterRegistry');
+
+const MAX_SUGGESTIONS = 3;
+const MODEL_FIELDS = ['manufacturer', 'series', 'model'];
+
+/**
+ * Edit distance between two strings (insertions, deletions and substitutions)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Picks the valid entries closest to an unknown value (case-insensitive)
+ * @param {*} value - Unknown value
+ * @param {Array<string>} candidates - Valid entries
+ * @returns {Array<string>} Up to MAX_SUGGESTIONS entries, closest first
+ */
+function suggestClosest(value, candidates) {
+    const needle = String(value ?? '').toLowerCase();
+    if (!needle) return [];
+    const maxDistance = Math.max(2, Math.floor(needle.length / 3));
+
+    return [...new Set(candidates)]
+        .map(candidate => {
+            const lower = candidate.toLowerCase();
+            // "Mexico" should still suggest "America/Mexico_City"
+            const distance = lower.includes(needle) ? 0 : editDistance(needle, lower);
+            return { candidate, distance };
+        })
+        .filter(({ distance }) => distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+        .slice(0, MAX_SUGGESTIONS)
+        .map(({ candidate }) => candidate);
+}
+
+/**
+ * SQL condition joining a powermeter to its supported model
+ * @param {string} [meterAlias] - Alias of the powermeters table
+ * @param {string} [modelAlias] - Alias of public.supported_models
+ * @returns {string} SQL boolean expression
+ */
+function supportedModelJoin(meterAlias = 'p', modelAlias = 'sm') {
+    return `${modelAlias}.model = ${meterAlias}.model
+        AND ${modelAlias}.manufacturer IS NOT DISTINCT FROM ${meterAlias}.manufacturer
+        AND ${modelAlias}.series IS NOT DISTINCT FROM ${meterAlias}.series`;
+}
+
+/**
+ * Checks manufacturer / series / model against public.supported_models
+ * @param {Object} values - { manufacturer, series, model } after the write
+ * @returns {Promise<Object>} { supportedModel } when found, otherwise { error } for the response
+ */
+async function checkSupportedModel({ manufacturer, series, model }) {
+    const result = await executeQuery('SELECT manufacturer, series, model, registry_defaults FROM public.supported_models');
+    const sameModel = result.rows.filter(row => row.model === model);
+
+    if (sameModel.length === 0) {
+        return {
+            error: {
+                field: 'model',
+                value: model,
+                error: 'Model is not in supported_models.',
+                suggestions: suggestClosest(model, result.rows.map(row => row.model))
+            }
+        };
+    }
+
+    const matches = sameModel.filter(row =>
+        (manufacturer == null || row.manufacturer === manufacturer) && (series == null || row.series === series));
+    const options = sameModel.map(row => ({ manufacturer: row.manufacturer, series: row.series, model: row.model }));
+
+    if (matches.length === 0) {
+        const field = manufacturer != null && !sameModel.some(row => row.manufacturer === manufacturer) ? 'manufacturer' : 'series';
+        return {
+            error: {
+                field,
+                value: field === 'manufacturer' ? manufacturer : series,
+                error: `${field} does not match model ${model} in supported_models.`,
+                suggestions: options
+            }
+        };
+    }
+    if (matches.length > 1) {
+        return {
+            error: {
+                field: 'model',
+                value: model,
+                error: `Model ${model} is offered by several manufacturers or series; send manufacturer and series.`,
+                suggestions: options
+            }
+        };
+    }
+
+    return { supportedModel: matches[0] };
+}
+
+/**
+ * Checks time_zone against public.supported_timezones
+ * @param {string} timeZone - Time zone name
+ * @returns {Promise<Object|null>} Error for the response, or null when the time zone is supported
+ */
+async function checkSupportedTimeZone(timeZone) {
+    const result = await executeQuery('SELECT time_zone FROM public.supported_timezones');
+    const timeZones = result.rows.map(row => row.time_zone);
+    if (timeZones.includes(timeZone)) return null;
+
+    return {
+        field: 'time_zone',
+        value: timeZone,
+        error: 'Time zone is not in supported_timezones.',
+        suggestions: suggestClosest(timeZone, timeZones)
+    };
+}
+
+/**
+ * Validates the model and time zone of a powermeter write and completes it from the supported model
+ * @param {Object} fields - Fields written (not modified)
+ * @param {Object} [options]
+ * @param {Object} [options.current] - Stored manufacturer / series / model of the meter (updates)
+ * @param {boolean} [options.prefillDefaults] - Add the model's registry_defaults missing from fields (registration)
+ * @returns {Promise<Object>} { referenceErrors, fields, prefilledFields }; fields includes the filled-in values
+ */
+async function resolvePowermeterReferences(fields, { current = {}, prefillDefaults = false } = {}) {
+    const referenceErrors = [];
+    const completed = { ...fields };
+    const prefilledFields = [];
+
+    if (fields.time_zone !== undefined) {
+        const error = await checkSupportedTimeZone(fields.time_zone);
+        if (error) referenceErrors.push(error);
+    }
+
+    if (MODEL_FIELDS.some(field => fields[field] !== undefined)) {
+        const values = Object.fromEntries(MODEL_FIELDS.map(field => [field, fields[field] !== undefined ? fields[field] : current[field]]));
+
+        // A new model brings its own manufacturer and series unless they are sent too
+        if (fields.model !== undefined && fields.model !== current.model) {
+            if (fields.manufacturer === undefined) values.manufacturer = null;
+            if (fields.series === undefined) values.series = null;
+        }
+
+        const { supportedModel, error } = await checkSupportedModel(values);
+        if (error) {
+            referenceErrors.push(error);
+        } else {
+            const defaults = prefillDefaults ? supportedModel.registry_defaults || {} : {};
+            const fill = {
+                manufacturer: supportedModel.manufacturer,
+                series: supportedModel.series,
+                ...Object.fromEntries(Object.entries(defaults).filter(([field]) => POWERMETER_WRITABLE_FIELDS.includes(field)))
+            };
+            for (const [field, value] of Object.entries(fill)) {
+                if (completed[field] !== undefined || value == null) continue;
+                if (MODEL_FIELDS.includes(field) && current[field] === value) continue;
+                completed[field] = value;
+                prefilledFields.push(field);
+            }
+        }
+    }
+
+    return { referenceErrors, fields: completed, prefilledFields };
+}
+
+module.exports = {
+    supportedModelJoin,
+    suggestClosest,
+    resolvePowermeterReferences
+};
@@ -0,0 +1,223 @@
+/**
+ * FileName: src/functions/powermeterRegistry.js
+ * Author(s): Arturo Vargas
+ * Brief: Shared column list, lifecycle status, field validation and listing query of the powermeter registry.
+ * Date: 2026-10-19
+ *
+ * Description:
+ * Writable fields are the powermeters list of validVariablesNames.json (minus enviroment, which selects the
+ * schema). Reads return POWERMETER_COLUMNS instead of SELECT * so new internal columns are not exposed by
+ * accident. A decommissioned meter keeps its row and measurements, but ingestion rejects its readings.
+ * Reads and writes are limited to the installations of the caller (public.user_installations); writes also
+ * require one of POWERMETER_WRITER_ROLES (INSTALLER_ROLES or ADMIN_ROLES in dbUtils.js).
+ * Requires database/migrations/009_powermeter_lifecycle.sql.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { executeQuery } = require('./pgPool');
+const { ADMIN_ROLES, INSTALLER_ROLES, parseCount } = require('./dbUtils');
+
+const POWERMETER_STATUS_ACTIVE = 'active';
+const POWERMETER_STATUS_DECOMMISSIONED = 'decommissioned';
+const POWERMETER_STATUSES = [POWERMETER_STATUS_ACTIVE, POWERMETER_STATUS_DECOMMISSIONED];
+
+// Roles allowed to register, edit and decommission powermeters (always within their own installations)
+const POWERMETER_WRITER_ROLES = [...new Set([...INSTALLER_ROLES, ...ADMIN_ROLES])];
+
+// Only allow these enviroments to avoid SQL injection on schema
+const ALLOWED_ENVIROMENTS = ['production', 'demo', 'dev'];
+
+const validVarsPath = path.join(__dirname, 'validVariablesNames.json');
+const POWERMETER_VARIABLES = JSON.parse(fs.readFileSync(validVarsPath, 'utf8')).powermeters;
+const POWERMETER_WRITABLE_FIELDS = POWERMETER_VARIABLES.filter(field => field !== 'enviroment');
+
+// Identity of the meter: changed through replacement or promotion, never edited in place
+const POWERMETER_IMMUTABLE_FIELDS = ['serial_number', 'id'];
+
+const POWERMETER_COLUMNS = [
+    'powermeter_id',
+    ...POWERMETER_WRITABLE_FIELDS,
+    'status',
+    'decommissioned_at',
+    'decommissioned_by',
+    'decommission_reason',
+    'last_seen_at',
+    'last_measurement_at'
+];
+
+const positiveNumber = value => (typeof value === 'number' && Number.isFinite(value) && value > 0) || 'must be a positive number';
+const integerBetween = (min, max) => value =>
+    (Number.isInteger(value) && value >= min && value <= max) || `must be an integer between ${min} and ${max}`;
+
+// Range checks of fields with a known domain; other fields are only checked by name
+const FIELD_RULES = {
+    ct_ratio: positiveNumber,
+    vt_ratio: positiveNumber,
+    ct1_value: positiveNumber,
+    ct2_value: positiveNumber,
+    ctn_value: positiveNumber,
+    pt1_value: positiveNumber,
+    pt2_value: positiveNumber,
+    facturation_day: integerBetween(1, 31),
+    facturation_interval_months: integerBetween(1, 12),
+    device_address: integerBetween(0, 255),
+    expected_interval_seconds: integerBetween(1, 86400)
+};
+
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 1000;
+
+// Query parameters that filter the listing, mapped to their column
+const LIST_FILTERS = {
+    installation_id: 'installation_id',
+    client_id: 'client_id',
+    model: 'model',
+    status: 'status'
+};
+
+/**
+ * Maps the enviroment parameter to its schema
+ * @param {string|null} enviroment - production, demo or dev (production when missing)
+ * @returns {string|null} Schema, or null when the value is not allowed
+ */
+function getPowermeterSchema(enviroment) {
+    if (!enviroment) return 'public';
+    const env = String(enviroment).toLowerCase();
+    if (!ALLOWED_ENVIROMENTS.includes(env)) return null;
+    return env === 'production' ? 'public' : env;
+}
+
+/**
+ * Builds the explicit column list of a powermeters query
+ * @param {string} [alias] - Table alias
+ * @returns {string} Comma separated columns
+ */
+function selectPowermeterColumns(alias) {
+    return POWERMETER_COLUMNS.map(column => (alias ? `${alias}.${column}` : column)).join(', ');
+}
+
+/**
+ * Validates the fields of a powermeter write against validVariablesNames.json and the field rules
+ * @param {Object} fields - Fields to write
+ * @param {Object} [options]
+ * @param {boolean} [options.update] - PATCH: immutable fields are refused
+ * @returns {Object} { invalidKeys, immutableKeys, fieldErrors }, all empty when the write is valid
+ */
+function validatePowermeterFields(fields, { update = false } = {}) {
+    const keys = Object.keys(fields);
+    const invalidKeys = keys.filter(key => !POWERMETER_WRITABLE_FIELDS.includes(key));
+    const immutableKeys = update ? keys.filter(key => POWERMETER_IMMUTABLE_FIELDS.includes(key)) : [];
+
+    const fieldErrors = [];
+    for (const key of keys) {
+        const rule = FIELD_RULES[key];
+        if (!rule || fields[key] === null) continue;
+        const outcome = rule(fields[key]);
+        if (outcome !== true) fieldErrors.push({ field: key, error: `${key} ${outcome}`, value: fields[key] });
+    }
+
+    return { invalidKeys, immutableKeys, fieldErrors };
+}
+
+/**
+ * Reads the filters and page of a powermeter listing (GET /api/powermeters)
+ * @param {URLSearchParams} query - Query string of the request
+ * @returns {Object} { filters: { <parameter>: value }, limit, offset } or { error }
+ */
+function parsePowermeterListRequest(query) {
+    const status = query.get('status');
+    if (status && !POWERMETER_STATUSES.includes(status)) {
+        return { error: `Invalid status. Allowed values: ${POWERMETER_STATUSES.join(', ')}.` };
+    }
+
+    const limit = parseCount(query.get('limit'), DEFAULT_LIST_LIMIT);
+    const offset = parseCount(query.get('offset'), 0);
+    if (limit === null || limit < 1 || limit > MAX_LIST_LIMIT || offset === null) {
+        return { error: `limit must be an integer between 1 and ${MAX_LIST_LIMIT}; offset a non-negative integer.` };
+    }
+
+    const filters = {};
+    for (const parameter of Object.keys(LIST_FILTERS)) {
+        const value = query.get(parameter);
+        if (value) filters[parameter] = value;
+    }
+    return { filters, limit, offset };
+}
+
+/**
+ * Builds the query listing the powermeters of a user's installations, one page at a time with the total count
+ * @param {string} schema - Schema (already resolved from a fixed list)
+ * @param {string} userId - User whose installations are listed
+ * @param {Object} listing - { filters, limit, offset } from parsePowermeterListRequest()
+ * @returns {Object} { query, params }
+ */
+function buildPowermeterListQuery(schema, userId, { filters, limit, offset }) {
+    const params = [userId];
+    const conditions = ['ui.user_id = $1'];
+    for (const [parameter, value] of Object.entries(filters)) {
+        params.push(value);
+        conditions.push(`p.${LIST_FILTERS[parameter]} = $${params.length}`);
+    }
+    params.push(limit, offset);
+
+    const query = `
+        SELECT ${selectPowermeterColumns('p')}, COUNT(*) OVER () AS total_count
+        FROM ${schema}.powermeters p
+        JOIN public.user_installations ui ON p.installation_id = ui.installation_id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY p.powermeter_id
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+    `;
+    return { query, params };
+}
+
+/**
+ * Finds every schema in which a serial number is registered (it should be at most one)
+ * @param {string} serialNumber - Serial number
+ * @param {Function} [runQuery] - executeQuery, or client.query to read inside a transaction
+ * @returns {Promise<Array<{ schema: string, powermeter_id: number }>>} Registrations found
+ */
+async function findSerialRegistrations(serialNumber, runQuery = executeQuery) {
+    const result = await runQuery(`
+        SELECT 'public' AS schema, powermeter_id FROM public.powermeters WHERE serial_number = $1
+        UNION ALL
+        SELECT 'demo' AS schema, powermeter_id FROM demo.powermeters WHERE serial_number = $1
+        UNION ALL
+        SELECT 'dev' AS schema, powermeter_id FROM dev.powermeters WHERE serial_number = $1
+    `, [String(serialNumber)]);
+    return result.rows;
+}
+
+/**
+ * Serializes, until the end of the transaction, the registry changes that involve a serial number
+ * (registration, promotion, replacement), so two of them cannot leave it in two schemas or on two meters
+ * @param {Object} client - Database client with an open transaction
+ * @param {string} serialNumber - Serial number
+ * @returns {Promise<void>}
+ */
+async function lockSerialNumber(client, serialNumber) {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`powermeter_serial:${serialNumber}`]);
+}
+
+module.exports = {
+    POWERMETER_STATUS_ACTIVE,
+    POWERMETER_STATUS_DECOMMISSIONED,
+    POWERMETER_STATUSES,
+    POWERMETER_WRITER_ROLES,
+    ALLOWED_ENVIROMENTS,
+    POWERMETER_VARIABLES,
+    POWERMETER_WRITABLE_FIELDS,
+    POWERMETER_IMMUTABLE_FIELDS,
+    POWERMETER_COLUMNS,
+    getPowermeterSchema,
+    selectPowermeterColumns,
+    validatePowermeterFields,
+    parsePowermeterListRequest,
+    buildPowermeterListQuery,
+    findSerialRegistrations,
+    lockSerialNumber
+};
@@ -0,0 +1,323 @@
+/**
+ * FileName: src/functions/powermeterReplacement.js
+ * Author(s): Arturo Vargas
+ * Endpoints: POST /api/replacePowermeter, GET /api/powermeterReplacements
+ * Brief: Swaps the physical device of a powermeter while keeping one continuous energy history.
+ * Date: 2026-10-19
+ *
+ * POST /api/replacePowermeter?id=&user_id=&enviroment= (installers and administrators of the meter's
+ * installation) with a JSON body:
+ *   - new_serial_number (required): serial of the device installed; must not be registered anywhere
+ *   - cutover_at (optional, ISO 8601, default now): when the new device took over; no reading of the meter
+ *     may be stored after it
+ *   - final_kwh_imported_total / final_varh_imported_q1 (optional): last counters of the old device, by
+ *     default its last stored reading at or before cutover_at
+ *   - initial_kwh_imported_total / initial_varh_imported_q1 (optional, default 0): first counters
+ *     of the new device
+ *   - reason (optional)
+ * The powermeter keeps its powermeter_id, registry fields and readings; its serial_number becomes the new
+ * one, so ingestion routes the new device to it. The credentials of the old serial are revoked, a credential
+ * is issued for the new one (returned once) and its pending unknown_serial dead letters are counted for an
+ * administrator to replay (pendingDeadLetters).
+ * Analytics add the recorded counter offsets from cutover_at on (see counterStitching.js).
+ *
+ * GET /api/powermeterReplacements?id=&user_id=&enviroment= lists the replacements of a meter.
+ * Requires database/migrations/012_powermeter_replacements.sql.
+ *
+ * Example:
+ * curl -X POST "http://localhost:7071/api/replacePowermeter?id=12&user_id=1" \
+ *   -d '{"new_serial_number":"DEMO0002","cutover_at":"2025-06-02T15:00:00Z","initial_kwh_imported_total":3}'
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { app } = require('@azure/functions');
+const { executeQuery, getClient } = require('./pgPool');
+const { validateUserRole, validateUserPowermeterAccess, jsonResponse, MAX_REASON_LENGTH } = require('./dbUtils');
+const { invalidateSerialRoute } = require('./ingestion/serialRoutingCache');
+const { issueDeviceCredential, revokeDeviceCredentials } = require('./ingestion/deviceAuth');
+const { countUnknownSerialDeadLetters } = require('./ingestion/deadLetters');
+const {
+    POWERMETER_STATUS_DECOMMISSIONED,
+    POWERMETER_WRITER_ROLES,
+    ALLOWED_ENVIROMENTS,
+    getPowermeterSchema,
+    selectPowermeterColumns,
+    findSerialRegistrations,
+    lockSerialNumber
+} = require('./powermeterRegistry');
+
+const COUNTER_FIELDS = ['final_kwh_imported_total', 'initial_kwh_imported_total', 'final_varh_imported_q1', 'initial_varh_imported_q1'];
+const REPLACEMENT_FIELDS = ['new_serial_number', 'cutover_at', 'reason', ...COUNTER_FIELDS];
+
+// Devices and servers disagree by a few seconds; a cutover later than this is rejected as future
+const MAX_CUTOVER_FUTURE_MS = 5 * 60 * 1000;
+
+const REPLACEMENT_COLUMNS = `
+    replacement_id, schema_name, powermeter_id, old_serial_number, new_serial_number, cutover_at,
+    final_kwh_imported_total, initial_kwh_imported_total, final_varh_imported_q1, initial_varh_imported_q1,
+    kwh_offset, varh_offset, replaced_by, reason, created_at`;
+
+/**
+ * Reads and validates the replacement request body
+ * @param {Object} request - HTTP request
+ * @returns {Promise<Object>} { replacement } with the parsed fields, or { error, details }
+ */
+async function parseReplacementRequest(request) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (err) {
+        return { error: 'Invalid JSON payload.' };
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Body must be a JSON object.' };
+    }
+
+    const invalidKeys = Object.keys(body).filter(key => !REPLACEMENT_FIELDS.includes(key));
+    if (invalidKeys.length > 0) {
+        return { error: 'Invalid field names.', details: { invalidKeys, validKeys: REPLACEMENT_FIELDS } };
+    }
+
+    const { new_serial_number: newSerial, cutover_at: cutoverValue, reason = null } = body;
+    if (newSerial === undefined || newSerial === null || String(newSerial).trim() === '') {
+        return { error: 'Missing required field: new_serial_number.' };
+    }
+
+    const cutoverAt = cutoverValue === undefined ? new Date() : new Date(cutoverValue);
+    if (Number.isNaN(cutoverAt.getTime())) {
+        return { error: 'cutover_at must be an ISO 8601 timestamp.' };
+    }
+    if (cutoverAt.getTime() > Date.now() + MAX_CUTOVER_FUTURE_MS) {
+        return { error: 'cutover_at cannot be in the future.' };
+    }
+
+    const fieldErrors = COUNTER_FIELDS
+        .filter(field => body[field] !== undefined && body[field] !== null &&
+            !(typeof body[field] === 'number' && Number.isFinite(body[field]) && body[field] >= 0))
+        .map(field => ({ field, error: `${field} must be a non-negative number`, value: body[field] }));
+    if (reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+        fieldErrors.push({ field: 'reason', error: `reason must be a string of at most ${MAX_REASON_LENGTH} characters`, value: reason });
+    }
+    if (fieldErrors.length > 0) {
+        return { error: 'Invalid field value(s).', details: { fieldErrors } };
+    }
+
+    const counters = Object.fromEntries(COUNTER_FIELDS.map(field => [field, body[field] ?? null]));
+    return { replacement: { newSerial: String(newSerial), cutoverAt, reason, counters } };
+}
+
+/**
+ * Reads the id, user_id and enviroment query parameters shared by both endpoints
+ * @param {Object} request - HTTP request
+ * @returns {Object} { powermeterId, userId, schema } or { response } with a 400 error
+ */
+function readMeterParameters(request) {
+    const powermeterId = request.query.get('id');
+    const userId = request.query.get('user_id');
+    const schema = getPowermeterSchema(request.query.get('enviroment'));
+
+    if (!powermeterId || !userId) {
+        return { response: jsonResponse(400, { success: false, error: 'Missing required parameter(s): id and user_id' }) };
+    }
+    if (!schema) {
+        return { response: jsonResponse(400, { success: false, error: `Invalid enviroment. Allowed values: ${ALLOWED_ENVIROMENTS.join(', ')}.` }) };
+    }
+    return { powermeterId, userId, schema };
+}
+
+app.http('replacePowermeter', {
+    methods: ['POST'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const { powermeterId, userId, schema, response } = readMeterParameters(request);
+        if (response) return response;
+
+        const { replacement, error, details } = await parseReplacementRequest(request);
+        if (error) {
+            return jsonResponse(400, { success: false, error, ...details });
+        }
+        const { newSerial, cutoverAt, reason, counters } = replacement;
+
+        let client;
+        let committed;
+        try {
+            if (!await validateUserRole(userId, POWERMETER_WRITER_ROLES)) {
+                return jsonResponse(403, { success: false, error: 'Installer or administrator role required.' });
+            }
+            if (!await validateUserPowermeterAccess(userId, powermeterId, schema)) {
+                return jsonResponse(404, { success: false, error: `Powermeter ID not found in ${schema} schema or not accessible to this user.` });
+            }
+
+            client = await getClient();
+            const refuse = async (status, message) => {
+                await client.query('ROLLBACK');
+                return jsonResponse(status, { success: false, error: message });
+            };
+
+            await client.query('BEGIN');
+            const current = await client.query(`SELECT serial_number FROM ${schema}.powermeters WHERE powermeter_id = $1`, [powermeterId]);
+            if (current.rows.length === 0) {
+                return await refuse(404, `Powermeter ID not found in ${schema} schema.`);
+            }
+            const oldSerial = String(current.rows[0].serial_number);
+            if (oldSerial === newSerial) {
+                return await refuse(400, 'new_serial_number is the current serial number of the meter.');
+            }
+
+            // Serial locks before the row lock, in a fixed order, as promotions take them
+            for (const serial of [oldSerial, newSerial].sort()) {
+                await lockSerialNumber(client, serial);
+            }
+            const meter = await client.query(
+                `SELECT serial_number, status FROM ${schema}.powermeters WHERE powermeter_id = $1 FOR UPDATE`,
+                [powermeterId]
+            );
+            if (meter.rows.length === 0 || String(meter.rows[0].serial_number) !== oldSerial) {
+                return await refuse(409, 'The powermeter changed while it was being replaced; retry the request.');
+            }
+            if (meter.rows[0].status === POWERMETER_STATUS_DECOMMISSIONED) {
+                return await refuse(409, 'Decommissioned powermeters cannot be replaced.');
+            }
+
+            const registrations = await findSerialRegistrations(newSerial, (query, params) => client.query(query, params));
+            if (registrations.length > 0) {
+                return await refuse(409, `Serial number ${newSerial} is already registered in the ${registrations[0].schema} schema.`);
+            }
+
+            const previous = await client.query(
+                `SELECT MAX(cutover_at) AS last_cutover_at FROM public.powermeter_replacements
+                 WHERE schema_name = $1 AND powermeter_id = $2`,
+                [schema, powermeterId]
+            );
+            const lastCutover = previous.rows[0].last_cutover_at;
+            if (lastCutover && new Date(lastCutover) >= cutoverAt) {
+                return await refuse(409, `cutover_at must be after the previous replacement (${new Date(lastCutover).toISOString()}).`);
+            }
+
+            // Offsets apply by timestamp, so stored readings after the cutover would be shifted by mistake
+            const later = await client.query(
+                `SELECT COUNT(*) AS later_count, MAX("timestamp") AS last_timestamp
+                 FROM ${schema}.measurements WHERE powermeter_id = $1 AND "timestamp" > $2`,
+                [powermeterId, cutoverAt]
+            );
+            if (Number(later.rows[0].later_count) > 0) {
+                return await refuse(409, `${later.rows[0].later_count} reading(s) are stored after cutover_at; use a cutover_at at or after ${new Date(later.rows[0].last_timestamp).toISOString()}.`);
+            }
+
+            if (counters.final_kwh_imported_total === null || counters.final_varh_imported_q1 === null) {
+                const last = await client.query(
+                    `SELECT kwh_imported_total, varh_imported_q1 FROM ${schema}.measurements
+                     WHERE powermeter_id = $1 AND "timestamp" <= $2 AND kwh_imported_total IS NOT NULL
+                     ORDER BY "timestamp" DESC LIMIT 1`,
+                    [powermeterId, cutoverAt]
+                );
+                const lastReading = last.rows[0] || {};
+                counters.final_kwh_imported_total ??= lastReading.kwh_imported_total ?? null;
+                counters.final_varh_imported_q1 ??= lastReading.varh_imported_q1 ?? null;
+            }
+            if (counters.final_kwh_imported_total === null) {
+                return await refuse(400, 'final_kwh_imported_total is required: the meter has no reading at or before cutover_at.');
+            }
+            counters.initial_kwh_imported_total ??= 0;
+            if (counters.final_varh_imported_q1 !== null) counters.initial_varh_imported_q1 ??= 0;
+
+            const inserted = await client.query(
+                `INSERT INTO public.powermeter_replacements
+                     (schema_name, powermeter_id, old_serial_number, new_serial_number, cutover_at,
+                      final_kwh_imported_total, initial_kwh_imported_total, final_varh_imported_q1, initial_varh_imported_q1,
+                      replaced_by, reason)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                 RETURNING ${REPLACEMENT_COLUMNS}`,
+                [
+                    schema, powermeterId, oldSerial, newSerial, cutoverAt,
+                    counters.final_kwh_imported_total, counters.initial_kwh_imported_total,
+                    counters.final_varh_imported_q1, counters.initial_varh_imported_q1,
+                    userId, reason
+                ]
+            );
+            const updated = await client.query(
+                `UPDATE ${schema}.powermeters SET serial_number = $2 WHERE powermeter_id = $1
+                 RETURNING ${selectPowermeterColumns()}`,
+                [powermeterId, newSerial]
+            );
+            await client.query('COMMIT');
+            committed = { replacement: inserted.rows[0], powermeter: updated.rows[0], oldSerial };
+        } catch (error) {
+            if (client) await client.query('ROLLBACK').catch(() => {});
+            context.log.error('Error replacing powermeter:', error);
+            return jsonResponse(500, { success: false, message: `Replacement failed: ${error.message}` });
+        } finally {
+            if (client) client.release();
+        }
+
+        const { oldSerial } = committed;
+        invalidateSerialRoute(oldSerial);
+        invalidateSerialRoute(newSerial);
+        context.log(`Powermeter ${powermeterId} in ${schema}: device ${oldSerial} replaced by ${newSerial} at ${cutoverAt.toISOString()} by user ${userId}`);
+
+        // The replacement is stored either way; credentials can be repeated from their own endpoints
+        const followUp = {};
+        try {
+            followUp.revokedCredentials = await revokeDeviceCredentials(oldSerial, userId);
+        } catch (error) {
+            context.log.warn(`Device credentials of ${oldSerial} not revoked: ${error.message}`);
+            followUp.credentialError = `Old device credentials not revoked: ${error.message}`;
+        }
+        try {
+            followUp.deviceCredential = await issueDeviceCredential(newSerial, userId);
+        } catch (error) {
+            context.log.warn(`Device credential not issued for ${newSerial}: ${error.message}`);
+            followUp.deviceCredential = null;
+            followUp.credentialError = `Device credential not issued: ${error.message}`;
+        }
+        try {
+            followUp.pendingDeadLetters = await countUnknownSerialDeadLetters(newSerial);
+        } catch (error) {
+            context.log.warn(`Dead letters not counted for ${newSerial}: ${error.message}`);
+            followUp.pendingDeadLetters = null;
+        }
+
+        return {
+            status: 200,
+            headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+            body: JSON.stringify({
+                success: true,
+                replacement: committed.replacement,
+                powermeter: committed.powermeter,
+                ...followUp
+            })
+        };
+    }
+});
+
+app.http('powermeterReplacements', {
+    methods: ['GET'],
+    authLevel: 'anonymous',
+    handler: async (request, context) => {
+        const { powermeterId, userId, schema, response } = readMeterParameters(request);
+        if (response) return response;
+
+        try {
+            if (!await validateUserPowermeterAccess(userId, powermeterId, schema)) {
+                return jsonResponse(404, { success: false, error: `Powermeter ID not found in ${schema} schema or not accessible to this user.` });
+            }
+
+            const result = await executeQuery(
+                `SELECT ${REPLACEMENT_COLUMNS} FROM public.powermeter_replacements
+                 WHERE schema_name = $1 AND powermeter_id = $2
+                 ORDER BY cutover_at ASC`,
+                [schema, powermeterId]
+            );
+            return jsonResponse(200, { success: true, schema, powermeter_id: Number(powermeterId), replacements: result.rows });
+        } catch (error) {
+            context.log.error('Error listing powermeter replacements:', error);
+            return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+        }
+    }
+});
+
+module.exports = {
+    parseReplacementRequest
+};
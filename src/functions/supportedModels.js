@@ -3,48 +3,192 @@
  * Last Modified Date: 20-11-2024
  *
  * This function serves as an HTTP GET endpoint to retrieve the list of supported powermeter models.
- * It provides information about the manufacturer, series, and model of each supported device.
+ * It provides information about the manufacturer, series, and model of each supported device,
+ * the register map used to decode its raw Modbus blocks (postRegisterBlock), if any, and its
+ * capabilities: measured fields (null: every field), THD support and registry defaults (see
+ * modelCapabilities.js).
+ *
+ * Administrators create models with POST /api/supportedModels?user_id= and update them with
+ * PATCH /api/supportedModels?user_id=&serial=. JSON body: manufacturer, series, model (required on
+ * creation), register_map, measured_fields, measures_thd, registry_defaults. A manufacturer / series /
+ * model combination is registered once, and it cannot be renamed while powermeters use it.
+ * Requires database/migrations/018_supported_model_capabilities.sql.
  *
  * Example:
  * Query supported models:
  * curl -X GET "http://localhost:7071/api/supportedModels"
+ *
+ * Register a model without THD:
+ * curl -X POST "http://localhost:7071/api/supportedModels?user_id=1" \
+ *      -H "Content-Type: application/json" \
+ *      -d '{"manufacturer":"Acme","series":"PM","model":"PM-100","measures_thd":false,"registry_defaults":{"ct_ratio":1}}'
  */
 
 const { app } = require('@azure/functions');
-const { executeQuery } = require('./pgPool');
+const { executeQuery, getClient } = require('./pgPool');
+const { validateUserRole, ADMIN_ROLES, jsonResponse } = require('./dbUtils');
+const { clearSerialRoutes } = require('./ingestion/serialRoutingCache');
+const { MODEL_WRITABLE_FIELDS, validateModelFields, selectModelColumns } = require('./modelCapabilities');
+
+/**
+ * Formats a supported_models row as returned by GET
+ * @param {Object} row - Row of public.supported_models
+ * @returns {Object} Supported model
+ */
+function formatModel(row) {
+    return {
+        SERIAL: row.serial,
+        manufacturer: row.manufacturer,
+        series: row.series,
+        model: row.model,
+        registerMap: row.register_map,
+        measuredFields: row.measured_fields,
+        measuresThd: row.measures_thd,
+        registryDefaults: row.registry_defaults
+    };
+}
+
+/**
+ * Lists the supported models
+ * @param {Object} context - Function context
+ * @returns {Promise<Object>} HTTP response
+ */
+async function listModels(context) {
+    try {
+        // Query to retrieve all rows from public.supported_models
+        const query = `SELECT ${selectModelColumns()} FROM public.supported_models;`;
+        const result = await executeQuery(query);
+
+        // Return the JSON response
+        return jsonResponse(200, result.rows.map(formatModel));
+    } catch (error) {
+        context.log.error("Database query error:", error);
+        return jsonResponse(500, { success: false, message: `Database query failed: ${error.message}` });
+    }
+}
+
+/**
+ * Creates (POST) or updates (PATCH ?serial=) a supported model
+ * @param {Object} request - HTTP request
+ * @param {Object} context - Function context
+ * @returns {Promise<Object>} HTTP response
+ */
+async function writeModel(request, context) {
+    const userId = request.query.get('user_id');
+    const serial = request.query.get('serial');
+    const create = request.method === 'POST';
+    if (!userId || (!create && !serial)) {
+        return jsonResponse(400, { success: false, error: create ? 'Missing required parameter: user_id' : 'Missing required parameter(s): user_id and serial' });
+    }
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (err) {
+        body = null;
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body) || (!create && Object.keys(body).length === 0)) {
+        return jsonResponse(400, { success: false, error: 'Body must be a JSON object with the model fields.' });
+    }
+
+    let client;
+    try {
+        if (!await validateUserRole(userId, ADMIN_ROLES)) {
+            return jsonResponse(403, { success: false, error: 'Administrator role required.' });
+        }
+
+        client = await getClient();
+        await client.query('BEGIN');
+        // Serializes writers, so two requests cannot register the same model at once
+        await client.query('LOCK TABLE public.supported_models IN SHARE ROW EXCLUSIVE MODE');
+
+        let current = {};
+        if (!create) {
+            const existing = await client.query(`SELECT ${selectModelColumns()} FROM public.supported_models WHERE serial = $1`, [serial]);
+            if (existing.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return jsonResponse(404, { success: false, error: `Supported model ${serial} not found.` });
+            }
+            current = existing.rows[0];
+        }
+
+        const { invalidKeys, fieldErrors, fields } = validateModelFields(body, { create, current });
+        if (invalidKeys.length > 0 || fieldErrors.length > 0) {
+            await client.query('ROLLBACK');
+            return jsonResponse(400, {
+                success: false,
+                error: 'Invalid supported model fields.',
+                ...(invalidKeys.length > 0 && { invalidKeys, validKeys: MODEL_WRITABLE_FIELDS }),
+                ...(fieldErrors.length > 0 && { fieldErrors })
+            });
+        }
+
+        const identity = ['manufacturer', 'series', 'model'].map(key => (fields[key] !== undefined ? fields[key] : current[key]));
+        const renamed = !create && ['manufacturer', 'series', 'model'].some((key, i) => identity[i] !== current[key]);
+        if (create || renamed) {
+            const duplicate = await client.query(
+                'SELECT serial FROM public.supported_models WHERE manufacturer IS NOT DISTINCT FROM $1 AND series IS NOT DISTINCT FROM $2 AND model = $3 AND serial IS DISTINCT FROM $4',
+                [...identity, create ? null : serial]
+            );
+            if (duplicate.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return jsonResponse(409, { success: false, error: `${identity.join(' / ')} is already supported model ${duplicate.rows[0].serial}.` });
+            }
+        }
+        if (renamed) {
+            // Meters find their model by name; renaming it would leave them without one
+            const inUse = await client.query(`
+                SELECT (SELECT COUNT(*) FROM public.powermeters WHERE manufacturer IS NOT DISTINCT FROM $1 AND series IS NOT DISTINCT FROM $2 AND model = $3)
+                     + (SELECT COUNT(*) FROM demo.powermeters WHERE manufacturer IS NOT DISTINCT FROM $1 AND series IS NOT DISTINCT FROM $2 AND model = $3)
+                     + (SELECT COUNT(*) FROM dev.powermeters WHERE manufacturer IS NOT DISTINCT FROM $1 AND series IS NOT DISTINCT FROM $2 AND model = $3) AS meters
+            `, [current.manufacturer, current.series, current.model]);
+            const meters = Number(inUse.rows[0].meters);
+            if (meters > 0) {
+                await client.query('ROLLBACK');
+                return jsonResponse(409, { success: false, error: `Supported model ${serial} is used by ${meters} powermeter(s); register a new model instead of renaming it.` });
+            }
+        }
+
+        const columns = Object.keys(fields);
+        const values = columns.map(column => (column === 'registry_defaults' ? JSON.stringify(fields[column]) : fields[column]));
+        let result;
+        if (create) {
+            result = await client.query(
+                `INSERT INTO public.supported_models (${[...columns, 'updated_at', 'updated_by'].join(', ')})
+                 VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}, NOW(), $${columns.length + 1})
+                 RETURNING ${selectModelColumns()}`,
+                [...values, String(userId)]
+            );
+        } else {
+            result = await client.query(
+                `UPDATE public.supported_models
+                 SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}, updated_at = NOW(), updated_by = $${columns.length + 2}
+                 WHERE serial = $1
+                 RETURNING ${selectModelColumns()}`,
+                [serial, ...values, String(userId)]
+            );
+        }
+        await client.query('COMMIT');
+
+        // Ingestion routes carry the model capabilities; other instances refresh when their entries expire
+        clearSerialRoutes();
+        context.log(`Supported model ${result.rows[0].serial} ${create ? 'created' : 'updated'} by user ${userId}: ${columns.join(', ')}`);
+        return jsonResponse(create ? 201 : 200, { success: true, supportedModel: formatModel(result.rows[0]) });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        context.log.error('Error writing supported model:', error);
+        return jsonResponse(500, { success: false, message: `Database operation failed: ${error.message}` });
+    } finally {
+        if (client) client.release();
+    }
+}
 
 app.http('supportedModels', {
-    methods: ['GET'],
+    methods: ['GET', 'POST', 'PATCH'],
     authLevel: 'anonymous',
     handler: async (request, context) => {
         context.log(`Http function processed request for url "${request.url}"`);
 
-        try {
-            // Query to retrieve all rows from public.supported_models
-            const query = 'SELECT serial, manufacturer, series, model FROM public.supported_models;';
-            const result = await executeQuery(query);
-
-            // Format the result into JSON format
-            const supportedModels = result.rows.map(row => ({
-                SERIAL: row.serial,
-                manufacturer: row.manufacturer,
-                series: row.series,
-                model: row.model
-            }));
-
-            // Return the JSON response
-            return {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(supportedModels)
-            };
-        } catch (error) {
-            context.log.error("Database query error:", error);
-            return {
-                status: 500,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ success: false, message: `Database query failed: ${error.message}` })
-            };
-        }
+        return request.method === 'GET' ? listModels(context) : writeModel(request, context);
     }
-});
\ No newline at end of file
+});
@@ -0,0 +1,245 @@
+/**
+ * FileName: src/functions/transformerConfig.js
+ * Author(s): Arturo Vargas
+ * Brief: Effective-dated CT/VT configuration of powermeters (ct_ratio, vt_ratio, CT and PT values).
+ * Date: 2026-10-19
+ *
+ * Description:
+ * public.powermeter_config_history keeps every configuration of a meter with the timestamp it took effect
+ * from; the powermeters columns hold the latest one. Anything that interprets readings with these values
+ * (raw ingestion scaling, see ingestion/rawScaling.js) picks the configuration valid at the reading's
+ * timestamp with transformerConfigAt(), so editing a CT does not reinterpret earlier readings.
+ *
+ * A change is recorded by recordConfigChange() in the transaction that updates the registry. It takes effect
+ * at effective_from (default now), which must follow the previous change and every stored reading of the
+ * meter. When the last reading before it was scaled by raw ingestion, the energy counters jump by the
+ * ratio change; the jump is stored as kwh_offset / varh_offset and stitched like a device replacement
+ * (see counterStitching.js).
+ *
+ * Retroactive changes are not supported: raw-mode readings are stored already scaled with the configuration
+ * in force when they were received, and stored readings are never rewritten, so a change cannot take effect
+ * before a stored reading. Such a change is refused with 409 and the time of the last stored reading; a CT
+ * that was wrong for a past period is corrected from the next reading on.
+ * Requires database/migrations/013_powermeter_config_history.sql.
+ *
+ * Copyright (c) 2025 BY: Nexelium Technological Solutions S.A. de C.V.
+ * All rights reserved.
+ */
+
+const { executeQuery } = require('./pgPool');
+const { MEASUREMENT_SCALING } = require('./ingestion/measurementSchema');
+const { STITCHED_COUNTERS } = require('./counterStitching');
+
+// Registry columns versioned in powermeter_config_history
+const TRANSFORMER_FIELDS = ['ct_ratio', 'vt_ratio', 'ct1_value', 'ct2_value', 'ctn_value', 'pt1_value', 'pt2_value'];
+
+// Clocks of installers and servers disagree by a few seconds; a change later than this is rejected as future
+const MAX_EFFECTIVE_FROM_FUTURE_MS = 5 * 60 * 1000;
+
+// The first configuration of a meter has no start (stored as -infinity, returned as null)
+const CONFIG_HISTORY_COLUMNS = `
+    config_id, schema_name, powermeter_id,
+    CASE WHEN isfinite(effective_from) THEN effective_from END AS effective_from,
+    ${TRANSFORMER_FIELDS.join(', ')}, kwh_offset, varh_offset, changed_by, reason, created_at`;
+
+/**
+ * Parses the effective_from of a configuration change
+ * @param {string|null} value - ISO 8601 timestamp, now when missing
+ * @returns {Object} { effectiveFrom: Date } or { error }
+ */
+function parseEffectiveFrom(value) {
+    const effectiveFrom = value === null || value === undefined ? new Date() : new Date(value);
+    if (Number.isNaN(effectiveFrom.getTime())) {
+        return { error: 'effective_from must be an ISO 8601 timestamp.' };
+    }
+    if (effectiveFrom.getTime() > Date.now() + MAX_EFFECTIVE_FROM_FUTURE_MS) {
+        return { error: 'effective_from cannot be in the future.' };
+    }
+    return { effectiveFrom };
+}
+
+/**
+ * Keeps the CT/VT fields of a registry row or payload
+ * @param {Object} source - Object with (some of) TRANSFORMER_FIELDS
+ * @returns {Object} { field: value } for every TRANSFORMER_FIELDS entry, null when missing
+ */
+function pickTransformerConfig(source) {
+    return Object.fromEntries(TRANSFORMER_FIELDS.map(field => [field, source[field] ?? null]));
+}
+
+/**
+ * Reads the configuration history of a meter
+ * @param {string} schema - Schema of the meter (already resolved from a fixed list)
+ * @param {number|string} powermeterId - Powermeter id
+ * @param {Function} [runQuery] - executeQuery, or client.query to read inside a transaction
+ * @returns {Promise<Array<Object>>} Rows ordered by effective_from, the first one with effective_from null
+ */
+async function listConfigHistory(schema, powermeterId, runQuery = executeQuery) {
+    const result = await runQuery(
+        `SELECT ${CONFIG_HISTORY_COLUMNS} FROM public.powermeter_config_history
+         WHERE schema_name = $1 AND powermeter_id = $2
+         ORDER BY powermeter_config_history.effective_from ASC`,
+        [schema, powermeterId]
+    );
+    return result.rows;
+}
+
+/**
+ * Loads the configuration periods of a set of meters
+ * @param {string} schema - Schema of the meters (already resolved from a fixed list)
+ * @param {Array<number>} powermeterIds - Powermeter ids
+ * @returns {Promise<Map>} powermeter_id -> [{ effectiveFromMs, config }] ordered by effectiveFromMs
+ */
+async function loadConfigPeriods(schema, powermeterIds) {
+    const result = await executeQuery(
+        `SELECT powermeter_id,
+                CASE WHEN isfinite(effective_from) THEN effective_from END AS effective_from,
+                ${TRANSFORMER_FIELDS.join(', ')}
+         FROM public.powermeter_config_history
+         WHERE schema_name = $1 AND powermeter_id = ANY($2)
+         ORDER BY powermeter_id, powermeter_config_history.effective_from ASC`,
+        [schema, [...new Set(powermeterIds)]]
+    );
+
+    const periods = new Map();
+    for (const { powermeter_id, effective_from, ...config } of result.rows) {
+        const key = String(powermeter_id);
+        if (!periods.has(key)) periods.set(key, []);
+        periods.get(key).push({
+            effectiveFromMs: effective_from === null ? -Infinity : new Date(effective_from).getTime(),
+            config
+        });
+    }
+    return periods;
+}
+
+/**
+ * Picks the configuration in force at a timestamp
+ * @param {Array<Object>|undefined} periods - Periods of one meter returned by loadConfigPeriods
+ * @param {number} epochMs - Timestamp of the reading
+ * @returns {Object|null} CT/VT configuration, or null when the meter has no history (the registry applies)
+ */
+function transformerConfigAt(periods, epochMs) {
+    let current = null;
+    for (const period of periods || []) {
+        if (period.effectiveFromMs > epochMs) break;
+        current = period.config;
+    }
+    return current;
+}
+
+/**
+ * Computes the counter offsets that keep raw-mode energy counters continuous across a ratio change:
+ * the last reading before the change, stored with the old ratios, minus the same reading under the new ones
+ * @param {Object} client - Database client in the change transaction
+ * @param {string} schema - Schema of the meter
+ * @param {number|string} powermeterId - Powermeter id
+ * @param {Date} effectiveFrom - Start of the new configuration
+ * @param {Object} next - New CT/VT configuration
+ * @returns {Promise<Object>} { kwh_offset, varh_offset }
+ */
+async function computeCounterOffsets(client, schema, powermeterId, effectiveFrom, next) {
+    const counters = Object.keys(STITCHED_COUNTERS);
+    const offsets = Object.fromEntries(Object.values(STITCHED_COUNTERS).map(offset => [offset, 0]));
+
+    // Only readings scaled here (raw mode) carry the registry ratios; engineering readings come scaled by the device
+    const last = await client.query(
+        `SELECT ${counters.map(counter => `m.${counter}`).join(', ')}, r.scaling
+         FROM ${schema}.measurements m
+         LEFT JOIN ${schema}.measurements_raw r ON r.powermeter_id = m.powermeter_id AND r."timestamp" = m."timestamp"
+         WHERE m.powermeter_id = $1 AND m."timestamp" <= $2
+         ORDER BY m."timestamp" DESC
+         LIMIT 1`,
+        [powermeterId, effectiveFrom]
+    );
+    if (last.rows.length === 0 || !last.rows[0].scaling) return offsets;
+
+    const { scaling, ...stored } = last.rows[0];
+    for (const counter of counters) {
+        const group = MEASUREMENT_SCALING.find(candidate => candidate.fields.includes(counter));
+        if (!group || stored[counter] === null) continue;
+
+        const ratioProduct = config => group.ratios.reduce((acc, column) => acc * (config[column] == null ? 1 : Number(config[column])), 1);
+        const previousProduct = ratioProduct(scaling);
+        if (previousProduct === 0) continue;
+        offsets[STITCHED_COUNTERS[counter]] = Number(stored[counter]) * (1 - ratioProduct(next) / previousProduct);
+    }
+    return offsets;
+}
+
+/**
+ * Records a CT/VT configuration change of a meter
+ * @param {Object} client - Database client with an open transaction (the powermeters row locked)
+ * @param {Object} change
+ * @param {string} change.schema - Schema of the meter
+ * @param {number|string} change.powermeterId - Powermeter id
+ * @param {Object} change.previous - Registry row before the change
+ * @param {Object} change.next - Registry row after the change
+ * @param {Date} change.effectiveFrom - Start of the new configuration
+ * @param {string} change.changedBy - User making the change
+ * @param {string|null} [change.reason] - Reason of the change
+ * @returns {Promise<Object>} { configChange } with the stored row (null when no CT/VT value changed),
+ *                            or { status, error, details } when the change cannot take effect at effectiveFrom
+ */
+async function recordConfigChange(client, { schema, powermeterId, previous, next, effectiveFrom, changedBy, reason = null }) {
+    const previousConfig = pickTransformerConfig(previous);
+    const nextConfig = pickTransformerConfig(next);
+    const changed = TRANSFORMER_FIELDS.some(field =>
+        (previousConfig[field] === null ? null : Number(previousConfig[field])) !== (nextConfig[field] === null ? null : Number(nextConfig[field])));
+    if (!changed) return { configChange: null };
+
+    const runQuery = (query, params) => client.query(query, params);
+    const history = await listConfigHistory(schema, powermeterId, runQuery);
+    const lastChange = history.length > 0 ? history[history.length - 1].effective_from : null;
+    if (lastChange && new Date(lastChange) >= effectiveFrom) {
+        return { status: 409, error: `effective_from must be after the previous CT/VT change (${new Date(lastChange).toISOString()}).` };
+    }
+
+    // Stored readings were interpreted with the configuration valid when they were received
+    const later = await client.query(
+        `SELECT MAX("timestamp") AS last_timestamp FROM ${schema}.measurements WHERE powermeter_id = $1 AND "timestamp" > $2`,
+        [powermeterId, effectiveFrom]
+    );
+    if (later.rows[0].last_timestamp) {
+        const lastReadingAt = new Date(later.rows[0].last_timestamp).toISOString();
+        return {
+            status: 409,
+            error: `Readings are stored after effective_from; use an effective_from after ${lastReadingAt}.`,
+            details: {
+                last_reading_at: lastReadingAt,
+                limitation: 'CT/VT changes cannot be retroactive: stored readings keep the configuration they were scaled with and are not rewritten.'
+            }
+        };
+    }
+
+    // Meters registered before any change get their original configuration as the first period
+    if (history.length === 0) {
+        await client.query(
+            `INSERT INTO public.powermeter_config_history
+                 (schema_name, powermeter_id, effective_from, ${TRANSFORMER_FIELDS.join(', ')}, changed_by)
+             VALUES ($1, $2, '-infinity', ${TRANSFORMER_FIELDS.map((field, i) => `$${i + 3}`).join(', ')}, $${TRANSFORMER_FIELDS.length + 3})`,
+            [schema, powermeterId, ...Object.values(previousConfig), changedBy]
+        );
+    }
+
+    const offsets = await computeCounterOffsets(client, schema, powermeterId, effectiveFrom, nextConfig);
+    const values = [schema, powermeterId, effectiveFrom, ...Object.values(nextConfig), offsets.kwh_offset, offsets.varh_offset, changedBy, reason];
+    const inserted = await client.query(
+        `INSERT INTO public.powermeter_config_history
+             (schema_name, powermeter_id, effective_from, ${TRANSFORMER_FIELDS.join(', ')}, kwh_offset, varh_offset, changed_by, reason)
+         VALUES (${values.map((value, i) => `$${i + 1}`).join(', ')})
+         RETURNING ${CONFIG_HISTORY_COLUMNS}`,
+        values
+    );
+    return { configChange: inserted.rows[0] };
+}
+
+module.exports = {
+    TRANSFORMER_FIELDS,
+    parseEffectiveFrom,
+    pickTransformerConfig,
+    listConfigHistory,
+    loadConfigPeriods,
+    transformerConfigAt,
+    recordConfigChange
+};
@@ -12,9 +12,16 @@ require('./functions/resetCircuitBreaker');
 
 // Core API endpoints
 require('./functions/fetchPowermetersByUserAccess');
+require('./functions/powermeterHierarchy');
 require('./functions/fetchRealTimeData');
 require('./functions/postMeasurement');
 require('./functions/powermeter');
+require('./functions/powermeterLifecycle');
+require('./functions/powermeterPromotion');
+require('./functions/powermeterReplacement');
+require('./functions/powermeterConfigHistory');
+require('./functions/installation');
+require('./functions/installationMap');
 require('./functions/measurementRange');
 require('./functions/downloads');
 
@@ -40,4 +47,26 @@ require('./functions/Analysis Endpoints/loadCenters');
 // Meter Info endpoint
 require('./functions/meterInfo/meterInfo');
 require('./functions/meterInfo/updatePowermeterAlias');
-require('./functions/meterInfo/updateInstallationAlias');
\ No newline at end of file
+require('./functions/meterInfo/updateInstallationAlias');
+
+// Measurement ingestion endpoints
+require('./functions/ingestion/postMeasurements');
+require('./functions/ingestion/deviceCredentials');
+require('./functions/ingestion/postRegisterBlock');
+require('./functions/ingestion/deadLetterAdmin');
+require('./functions/ingestion/importMeasurements');
+require('./functions/ingestion/queueIngestion');
+
+// Meter heartbeat
+require('./functions/heartbeat/meterStatus');
+require('./functions/heartbeat/meterOfflineIncidents');
+
+// Remote commands
+require('./functions/commands/powermeterCommands');
+require('./functions/commands/deviceCommands');
+require('./functions/commands/commandExpiry');
+
+// Maintenance
+require('./functions/maintenance/maintenanceSchedule');
+require('./functions/maintenance/maintenanceDue');
+require('./functions/maintenance/maintenanceScheduler');
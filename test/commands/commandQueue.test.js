@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const pgPool = require('../../src/functions/pgPool');
+const measurementIngestion = require('../../src/functions/ingestion/measurementIngestion');
+
+const DELIVERED_AT = new Date('2025-06-02T16:00:00.000Z');
+let command;
+let lastReading;
+let credentialedSerials = [];
+const queries = [];
+mock.method(pgPool, 'executeQuery', async (query, params) => {
+    queries.push({ query, params });
+    if (/FROM public\.device_credentials/.test(query)) {
+        return { rows: credentialedSerials.filter(serial => params[0].includes(serial)).map(serial => ({ serial_number: serial })) };
+    }
+    if (/FROM public\.measurements/.test(query)) return { rows: lastReading ? [lastReading] : [] };
+    if (/UPDATE public\.powermeter_commands/.test(query)) return { rows: [{ ...command, status: params[1] }] };
+    return { rows: [command] };
+});
+mock.method(measurementIngestion, 'resolveSerialNumbers', async serials =>
+    new Map(serials.map(serial => [String(serial), { schema: 'public', powermeter_id: 7 }])));
+
+const { acknowledgeCommand, withPendingCommands } = require('../../src/functions/commands/commandQueue');
+
+/**
+ * Returns the acknowledgement statement run last
+ * @returns {Object} { query, params }
+ */
+function acknowledgement() {
+    return queries.filter(({ query }) => /UPDATE public\.powermeter_commands/.test(query)).pop();
+}
+
+describe('acknowledgeCommand', () => {
+    beforeEach(() => {
+        queries.length = 0;
+        lastReading = { kwh_imported_total: 1500.5, varh_imported_q1: 20 };
+        command = {
+            command_id: 3,
+            schema_name: 'public',
+            powermeter_id: 7,
+            command_type: 'reset_total_meters',
+            status: 'delivered',
+            first_delivered_at: DELIVERED_AT
+        };
+    });
+
+    it('records the counter values the device reported before the reset', async () => {
+        const result = { kwh_imported_total: 1510, varh_imported_q1: 21, reset_at: '2025-06-02T16:00:05Z' };
+        const { counterReset } = await acknowledgeCommand('A', 3, 'succeeded', result);
+
+        assert.deepEqual(counterReset, {
+            resetAt: new Date('2025-06-02T16:00:05Z'),
+            offsets: { kwh_offset: 1510, varh_offset: 21 },
+            source: 'device'
+        });
+        const { query, params } = acknowledgement();
+        assert.match(query, /INSERT INTO public\.powermeter_counter_resets/);
+        assert.deepEqual(params.slice(6), [counterReset.resetAt, 'device', 1510, 21]);
+        assert.equal(queries.some(({ query: sql }) => /FROM public\.measurements/.test(sql)), false);
+    });
+
+    it('falls back to the last reading stored before the first delivery', async () => {
+        command.command_type = 'reset_counters';
+        const { counterReset } = await acknowledgeCommand('A', 3, 'succeeded', { kwh_imported_total: 'n/a' });
+
+        assert.deepEqual(counterReset.offsets, { kwh_offset: 1500.5, varh_offset: 20 });
+        assert.equal(counterReset.source, 'last_reading');
+        const reading = queries.find(({ query }) => /FROM public\.measurements/.test(query));
+        assert.deepEqual(reading.params, [7, DELIVERED_AT]);
+    });
+
+    it('stores zero offsets for a meter without readings', async () => {
+        lastReading = null;
+        const { counterReset } = await acknowledgeCommand('A', 3, 'succeeded');
+        assert.deepEqual(counterReset.offsets, { kwh_offset: 0, varh_offset: 0 });
+    });
+
+    it('leaves the counters alone for failed resets and other commands', async () => {
+        assert.equal((await acknowledgeCommand('A', 3, 'failed')).counterReset, null);
+        assert.doesNotMatch(acknowledgement().query, /powermeter_counter_resets/);
+
+        command.command_type = 'reset_dmd_max';
+        assert.equal((await acknowledgeCommand('A', 3, 'succeeded')).counterReset, null);
+        assert.doesNotMatch(acknowledgement().query, /powermeter_counter_resets/);
+    });
+});
+
+describe('withPendingCommands', () => {
+    const response = { status: 200, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ inserted: 1 }) };
+    const context = { log: { warn: () => {} } };
+
+    /**
+     * Builds an ingestion request
+     * @param {string} search - Query string
+     * @returns {Object} Request with the query the helper reads
+     */
+    function ingestionRequest(search) {
+        return { query: new URLSearchParams(search) };
+    }
+
+    beforeEach(() => {
+        queries.length = 0;
+        command = { command_id: 3, serial_number: 'A', command_type: 'reset_counters', created_at: DELIVERED_AT };
+    });
+
+    it('leaves the response alone unless the gateway asks for commands', async () => {
+        assert.equal(await withPendingCommands(ingestionRequest(''), response, ['A'], context), response);
+        assert.equal(queries.length, 0);
+    });
+
+    it('delivers commands only to devices holding a credential', async () => {
+        credentialedSerials = ['A'];
+        const withCommands = await withPendingCommands(ingestionRequest('commands=true'), response, ['A', 'B'], context);
+
+        const body = JSON.parse(withCommands.body);
+        assert.equal(body.inserted, 1);
+        assert.deepEqual(body.commands.map(delivered => delivered.command_id), [3]);
+        const delivery = queries.find(({ query }) => /UPDATE public\.powermeter_commands/.test(query));
+        assert.deepEqual(JSON.parse(delivery.params[0]).map(meter => meter.serial_number), ['A']);
+    });
+
+    it('marks nothing delivered for devices without a credential', async () => {
+        credentialedSerials = [];
+        const withCommands = await withPendingCommands(ingestionRequest('commands=true'), response, ['B'], context);
+
+        assert.deepEqual(JSON.parse(withCommands.body).commands, []);
+        assert.equal(queries.some(({ query }) => /UPDATE public\.powermeter_commands/.test(query)), false);
+    });
+});
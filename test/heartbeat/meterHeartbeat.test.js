@@ -0,0 +1,53 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    METER_STATUS_ONLINE,
+    METER_STATUS_LATE,
+    METER_STATUS_OFFLINE,
+    getHeartbeatThresholds,
+    classifyMeterStatus
+} = require('../../src/functions/heartbeat/meterHeartbeat');
+
+const SETTINGS = ['METER_DEFAULT_INTERVAL_SECONDS', 'METER_LATE_INTERVALS', 'METER_OFFLINE_INTERVALS'];
+
+describe('getHeartbeatThresholds', () => {
+    afterEach(() => SETTINGS.forEach(name => delete process.env[name]));
+
+    it('defaults to a 5 minute interval, late after 2 and offline after 6', () => {
+        assert.deepEqual(getHeartbeatThresholds(), { defaultIntervalSeconds: 300, lateIntervals: 2, offlineIntervals: 6 });
+    });
+
+    it('reads positive settings and ignores invalid ones', () => {
+        process.env.METER_DEFAULT_INTERVAL_SECONDS = '60';
+        process.env.METER_LATE_INTERVALS = '0';
+        process.env.METER_OFFLINE_INTERVALS = 'ten';
+        assert.deepEqual(getHeartbeatThresholds(), { defaultIntervalSeconds: 60, lateIntervals: 2, offlineIntervals: 6 });
+    });
+
+    it('never puts the offline threshold before the late one', () => {
+        process.env.METER_LATE_INTERVALS = '4';
+        process.env.METER_OFFLINE_INTERVALS = '3';
+        assert.equal(getHeartbeatThresholds().offlineIntervals, 4);
+    });
+});
+
+describe('classifyMeterStatus', () => {
+    const thresholds = { defaultIntervalSeconds: 300, lateIntervals: 2, offlineIntervals: 6 };
+
+    it('classifies by intervals missed, inclusive at each threshold', () => {
+        assert.equal(classifyMeterStatus(600, 300, thresholds), METER_STATUS_ONLINE);
+        assert.equal(classifyMeterStatus(601, 300, thresholds), METER_STATUS_LATE);
+        assert.equal(classifyMeterStatus(1800, 300, thresholds), METER_STATUS_LATE);
+        assert.equal(classifyMeterStatus(1801, 300, thresholds), METER_STATUS_OFFLINE);
+    });
+
+    it('uses the meter interval, or the default when it has none', () => {
+        assert.equal(classifyMeterStatus(150, 60, thresholds), METER_STATUS_LATE);
+        assert.equal(classifyMeterStatus(150, null, thresholds), METER_STATUS_ONLINE);
+    });
+
+    it('reports meters never seen as offline', () => {
+        assert.equal(classifyMeterStatus(null, 60, thresholds), METER_STATUS_OFFLINE);
+    });
+});
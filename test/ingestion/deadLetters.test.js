@@ -0,0 +1,72 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const pgPool = require('../../src/functions/pgPool');
+const measurementIngestion = require('../../src/functions/ingestion/measurementIngestion');
+
+const queries = [];
+mock.method(pgPool, 'executeQuery', async (query, params) => {
+    queries.push({ query, params });
+    if (/COUNT\(\*\) AS pending_count/.test(query)) return { rows: [{ pending_count: '3' }], rowCount: 1 };
+    return { rows: [], rowCount: 0 };
+});
+const ingestCalls = [];
+mock.method(measurementIngestion, 'ingestMeasurements', async (records, context, options) => {
+    ingestCalls.push({ records, options });
+    return { results: records.map((record, index) => ({ index, status: measurementIngestion.RECORD_STATUS_ACCEPTED })) };
+});
+
+const { replayDeadLetters, countUnknownSerialDeadLetters } = require('../../src/functions/ingestion/deadLetters');
+
+const CONTEXT = { log: Object.assign(() => {}, { error: () => {} }) };
+const FIRST_REQUEST = new Date('2025-06-02T16:00:00.000Z');
+const SECOND_REQUEST = new Date('2025-06-03T16:00:00.000Z');
+
+describe('replayDeadLetters', () => {
+    beforeEach(() => {
+        queries.length = 0;
+        ingestCalls.length = 0;
+    });
+
+    it('ingests with the original receive time and without heartbeats', async () => {
+        const outcomes = await replayDeadLetters([
+            { dead_letter_id: '1', mode: 'raw', payload: { serial_number: 'A' }, received_at: FIRST_REQUEST },
+            { dead_letter_id: '2', mode: 'raw', payload: { serial_number: 'B' }, received_at: FIRST_REQUEST },
+            { dead_letter_id: '3', mode: 'raw', payload: { serial_number: 'C' }, received_at: SECOND_REQUEST }
+        ], CONTEXT);
+
+        assert.deepEqual(ingestCalls.map(({ records, options }) => ({ serials: records.map(record => record.serial_number), options })), [
+            { serials: ['A', 'B'], options: { mode: 'raw', receivedAt: FIRST_REQUEST.getTime(), trackHeartbeat: false } },
+            { serials: ['C'], options: { mode: 'raw', receivedAt: SECOND_REQUEST.getTime(), trackHeartbeat: false } }
+        ]);
+        assert.deepEqual(outcomes.map(({ deadLetterId }) => deadLetterId), [1, 2, 3]);
+    });
+
+    it('replays a corrected payload and records the outcome', async () => {
+        const payload = { serial_number: 'A', timestamp: '2025-06-02T10:00:00' };
+        await replayDeadLetters(
+            [{ dead_letter_id: '4', mode: null, payload: { serial_number: 'A' }, received_at: FIRST_REQUEST }],
+            CONTEXT,
+            { payload, userId: 'admin' }
+        );
+
+        assert.deepEqual(ingestCalls[0].records, [payload]);
+        assert.equal(ingestCalls[0].options.mode, measurementIngestion.INGESTION_MODE_ENGINEERING);
+        const [{ params }] = queries;
+        assert.deepEqual(JSON.parse(params[0]), [{ dead_letter_id: 4, result: { index: 0, status: 'accepted' }, payload, stored: true }]);
+        assert.equal(params[1], 'admin');
+    });
+});
+
+describe('countUnknownSerialDeadLetters', () => {
+    beforeEach(() => {
+        queries.length = 0;
+        ingestCalls.length = 0;
+    });
+
+    it('counts the pending unknown-serial dead letters without replaying them', async () => {
+        assert.equal(await countUnknownSerialDeadLetters(12345), 3);
+        assert.deepEqual(queries[0].params, ['12345', 'pending', measurementIngestion.RECORD_STATUS_UNKNOWN_SERIAL]);
+        assert.equal(ingestCalls.length, 0);
+    });
+});
@@ -0,0 +1,108 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.DEVICE_SECRET_ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+
+// deviceAuth reads its credentials through pgPool; replace the queries before it is loaded
+const pgPool = require('../../src/functions/pgPool');
+let credentialRows = [];
+mock.method(pgPool, 'executeQuery', async (query, params) => {
+    if (query.includes('FROM public.device_credentials')) return { rows: credentialRows, rowCount: credentialRows.length };
+    if (query.includes('device_request_signatures')) return { rows: [], rowCount: params[1].length };
+    return { rows: [], rowCount: 0 };
+});
+
+const {
+    encryptSecret,
+    decryptSecret,
+    buildSigningString,
+    computeSignature,
+    authenticateDeviceRequest
+} = require('../../src/functions/ingestion/deviceAuth');
+
+const SECRET = 'device-secret';
+const context = { log: Object.assign(() => {}, { warn: () => {}, error: () => {} }) };
+
+/**
+ * Builds the subset of an HTTP request read by authenticateDeviceRequest
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {Object} headers - Request headers
+ * @returns {Object} Request stand-in
+ */
+function fakeRequest(method, url, headers) {
+    return { method, url, headers: { get: name => headers[name.toLowerCase()] ?? null } };
+}
+
+/**
+ * Signs a request the way a device does
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {string} body - Raw body
+ * @returns {Object} X-Device-Timestamp and X-Device-Signature headers for serial A
+ */
+function signedHeaders(method, url, body) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = computeSignature(SECRET, buildSigningString(timestamp, method, url, body));
+    return { 'x-device-timestamp': timestamp, 'x-device-signature': `A=${signature}` };
+}
+
+describe('buildSigningString', () => {
+    it('joins timestamp, method, path, canonical query and body', () => {
+        const signed = buildSigningString('1700000000', 'post', 'https://api.example.com/api/postMeasurements?mode=raw&async=true', '[]');
+        assert.equal(signed, '1700000000\nPOST\n/api/postMeasurements\nasync=true&mode=raw\n[]');
+    });
+
+    it('sorts repeated parameters by value and percent-encodes them', () => {
+        const signed = buildSigningString('1', 'GET', 'http://x/api/deviceCommands?serial_number=B%202&serial_number=A', '');
+        assert.equal(signed, '1\nGET\n/api/deviceCommands\nserial_number=A&serial_number=B%202\n');
+    });
+});
+
+describe('device secrets', () => {
+    it('round-trips through encryption with a fresh IV', () => {
+        const first = encryptSecret(SECRET);
+        assert.notEqual(first, encryptSecret(SECRET));
+        assert.equal(decryptSecret(first), SECRET);
+    });
+});
+
+describe('authenticateDeviceRequest', () => {
+    const url = 'http://x/api/postMeasurements?mode=raw';
+    const body = '[{"serial_number":"A"}]';
+
+    beforeEach(() => {
+        credentialRows = [{ serial_number: 'A', secret_ciphertext: encryptSecret(SECRET), is_valid: true }];
+    });
+
+    it('accepts a request signed over its method, path, query and body', async () => {
+        const request = fakeRequest('POST', url, signedHeaders('POST', url, body));
+        assert.equal(await authenticateDeviceRequest(request, body, ['A'], context), null);
+    });
+
+    it('refuses the signature when the query string is changed', async () => {
+        const headers = signedHeaders('POST', url, body);
+        const response = await authenticateDeviceRequest(fakeRequest('POST', `${url}&async=true`, headers), body, ['A'], context);
+        assert.equal(response.status, 401);
+    });
+
+    it('refuses a signed empty-body poll replayed against another path', async () => {
+        const pollUrl = 'http://x/api/deviceCommands?serial_number=A';
+        const headers = signedHeaders('GET', pollUrl, '');
+        const response = await authenticateDeviceRequest(fakeRequest('POST', 'http://x/api/postMeasurements', headers), '', ['A'], context);
+        assert.equal(response.status, 401);
+    });
+
+    it('lets devices without a credential through unless authentication is required', async () => {
+        credentialRows = [];
+        const request = fakeRequest('POST', url, {});
+        assert.equal(await authenticateDeviceRequest(request, body, ['A'], context), null);
+    });
+
+    it('refuses timestamps outside the clock skew window', async () => {
+        const headers = { ...signedHeaders('POST', url, body), 'x-device-timestamp': '1000' };
+        const response = await authenticateDeviceRequest(fakeRequest('POST', url, headers), body, ['A'], context);
+        assert.equal(response.status, 401);
+    });
+});
@@ -0,0 +1,86 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const pgPool = require('../../src/functions/pgPool');
+
+// Rows of public.ingestion_idempotency_keys by key; the claim statement inserts only when the key is new
+const rows = new Map();
+const queries = [];
+mock.method(pgPool, 'executeQuery', async (query, params) => {
+    queries.push({ query, params });
+    if (/^\s*INSERT/.test(query)) {
+        if (rows.has(params[0])) return { rows: [] };
+        rows.set(params[0], { request_hash: params[2], status: params[3] });
+        return { rows: [{ idempotency_key: params[0] }] };
+    }
+    if (/^\s*SELECT/.test(query)) return { rows: rows.has(params[0]) ? [rows.get(params[0])] : [] };
+    if (/^\s*DELETE/.test(query)) return { rowCount: rows.delete(params[0]) ? 1 : 0 };
+    if (/^\s*UPDATE/.test(query)) {
+        rows.set(params[0], { request_hash: params[2], status: params[3], response_status: params[4], response_body: JSON.parse(params[5]) });
+    }
+    return { rows: [] };
+});
+
+const {
+    scopeIdempotencyKey,
+    claimIdempotencyKey,
+    storeIdempotentResponse
+} = require('../../src/functions/ingestion/idempotency');
+
+const CONTEXT = { log: Object.assign(() => {}, { warn: () => {} }) };
+const OK_RESPONSE = { status: 200, body: JSON.stringify({ status: 'accepted' }) };
+
+describe('idempotency keys', () => {
+    beforeEach(() => {
+        rows.clear();
+        queries.length = 0;
+    });
+
+    it('lets only the first of two concurrent requests ingest', async () => {
+        assert.equal(await claimIdempotencyKey('k', 'postMeasurement', 'h1'), null);
+        const second = await claimIdempotencyKey('k', 'postMeasurement', 'h1');
+        assert.equal(second.status, 409);
+        assert.match(JSON.parse(second.body).error, /still being processed/);
+    });
+
+    it('replays the stored response, and refuses the key with another body', async () => {
+        await claimIdempotencyKey('k', 'postMeasurement', 'h1');
+        await storeIdempotentResponse('k', 'postMeasurement', 'h1', OK_RESPONSE, [{ status: 'accepted' }], CONTEXT);
+
+        const replay = await claimIdempotencyKey('k', 'postMeasurement', 'h1');
+        assert.equal(replay.status, 200);
+        assert.equal(replay.headers['Idempotent-Replayed'], 'true');
+        assert.deepEqual(JSON.parse(replay.body), { status: 'accepted' });
+        assert.equal((await claimIdempotencyKey('k', 'postMeasurement', 'h2')).status, 422);
+    });
+
+    it('releases the key instead of storing database failures', async () => {
+        await claimIdempotencyKey('k', 'postMeasurements', 'h1');
+        const results = [{ status: 'accepted' }, { status: 'rejected', errorType: 'DatabaseError' }];
+        await storeIdempotentResponse('k', 'postMeasurements', 'h1', { status: 207, body: '{}' }, results, CONTEXT);
+
+        assert.equal(queries.some(({ query }) => /^\s*UPDATE/.test(query)), false);
+        assert.equal(await claimIdempotencyKey('k', 'postMeasurements', 'h1'), null);
+    });
+
+    it('releases the key on client errors but keeps duplicate rejections', async () => {
+        await claimIdempotencyKey('a', 'postMeasurement', 'h1');
+        await storeIdempotentResponse('a', 'postMeasurement', 'h1', { status: 422, body: '{}' }, [{ status: 'rejected' }], CONTEXT);
+        assert.equal(rows.has('a'), false);
+
+        await claimIdempotencyKey('b', 'postMeasurement', 'h1');
+        const duplicate = { status: 409, body: JSON.stringify({ status: 'rejected' }) };
+        await storeIdempotentResponse('b', 'postMeasurement', 'h1', duplicate, [{ status: 'rejected', errorType: 'DuplicateError' }], CONTEXT);
+        assert.equal(rows.get('b').status, 'completed');
+    });
+
+    it('scopes keys by the serial numbers, whatever their order or repeats', async () => {
+        assert.equal(scopeIdempotencyKey('k', ['A', 'B', 'A']), scopeIdempotencyKey('k', ['B', 'A']));
+        assert.match(scopeIdempotencyKey('k', [1001]), /^[0-9a-f]{64}:k$/);
+        assert.equal(scopeIdempotencyKey('k', [1001]), scopeIdempotencyKey('k', ['1001']));
+
+        // Two devices that pick the same key do not see each other's claim
+        assert.equal(await claimIdempotencyKey(scopeIdempotencyKey('k', ['A']), 'postMeasurement', 'h1'), null);
+        assert.equal(await claimIdempotencyKey(scopeIdempotencyKey('k', ['B']), 'postMeasurement', 'h2'), null);
+    });
+});
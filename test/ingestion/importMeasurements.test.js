@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Parser } = require('json2csv');
+
+const {
+    parseCsv,
+    resolveColumns,
+    checkTimeColumns,
+    buildRecords
+} = require('../../src/functions/ingestion/importMeasurements');
+const { LANGUAGE_EN, LANGUAGE_ES, COLUMN_ALIASES } = require('../../src/functions/measurementCsvColumns');
+
+/**
+ * Parses a CSV file and resolves its columns like the endpoint does
+ * @param {string} csv - CSV text
+ * @param {Object} [mapping] - { "<CSV header>": "<field>" }
+ * @returns {Object} { rows (data rows), columns, language, error }
+ */
+function readCsv(csv, mapping) {
+    const [header, ...rows] = parseCsv(csv);
+    return { rows, ...resolveColumns(header.values, mapping) };
+}
+
+describe('parseCsv', () => {
+    it('reads quoted values with delimiters, escaped quotes and line breaks', () => {
+        const rows = parseCsv('a,b\r\n"1,5","say ""hi""\nthere"\n3,4');
+        assert.deepEqual(rows, [
+            { line: 1, values: ['a', 'b'] },
+            { line: 2, values: ['1,5', 'say "hi"\nthere'] },
+            { line: 4, values: ['3', '4'] }
+        ]);
+    });
+
+    it('detects the semicolon delimiter from the header', () => {
+        assert.deepEqual(parseCsv('﻿a;b\n1,5;2').map(row => row.values), [['a', 'b'], ['1,5', '2']]);
+    });
+
+    it('reports a quoted value that is never closed', () => {
+        assert.throws(() => parseCsv('a,b\n"1,2'), /Unclosed quoted value starting on line 2/);
+    });
+});
+
+describe('resolveColumns', () => {
+    it('recognizes Spanish headers', () => {
+        const { columns, language } = readCsv('Fecha;Hora;Frecuencia (Hz);Demanda Total (W)\n2025-06-02;10:00:00;59,98;1200');
+        assert.equal(language, LANGUAGE_ES);
+        assert.deepEqual(columns, ['date', 'time', 'frequency', 'watts']);
+    });
+
+    it('applies a user mapping and ignores unmapped columns', () => {
+        const { columns, language } = readCsv('Fecha y hora,kW,Notas\n2025-06-02T10:00:00,1.2,x', { 'Fecha y hora': 'timestamp', kW: 'kw_dmd' });
+        assert.equal(language, null);
+        assert.deepEqual(columns, ['timestamp', 'kw_dmd', null]);
+    });
+
+    it('refuses unknown fields and headers missing from the file', () => {
+        assert.deepEqual(resolveColumns(['a'], { a: 'not_a_field' }).details.invalidFields, [{ header: 'a', field: 'not_a_field' }]);
+        assert.deepEqual(resolveColumns(['a'], { b: 'watts' }).details.missingHeaders, ['b']);
+    });
+
+    it('asks for a mapping when the header is not the downloads layout', () => {
+        const { error, details } = resolveColumns(['Date', 'Time', 'Power'], undefined);
+        assert.match(error, /send a column mapping/);
+        assert.deepEqual(details.unknownHeaders, ['Power']);
+    });
+
+    for (const language of [LANGUAGE_EN, LANGUAGE_ES]) {
+        it(`round-trips a file written by downloads in ${language}`, () => {
+            // downloads writes the query rows with a default json2csv Parser; Date comes back from pg as a Date
+            const aliases = COLUMN_ALIASES[language];
+            const row = Object.fromEntries(Object.entries(aliases).map(([field, alias]) => [alias, field.length]));
+            row[aliases.date] = new Date('2025-06-02T00:00:00Z');
+            row[aliases.time] = '10:15:00';
+            const csv = new Parser().parse([row]);
+
+            const { rows, columns, language: detected, error } = readCsv(csv);
+            assert.equal(error, undefined);
+            assert.equal(detected, language);
+            assert.deepEqual(columns, Object.keys(aliases));
+            assert.equal(checkTimeColumns(columns), null);
+
+            const { records, errors } = buildRecords(rows, columns, 'SN-1');
+            assert.deepEqual(errors, []);
+            assert.equal(records[0].timestamp, '2025-06-02 10:15:00');
+            assert.equal(records[0].vah_imported_l3, String('vah_imported_l3'.length));
+        });
+    }
+});
+
+describe('checkTimeColumns', () => {
+    it('needs a timestamp column or date and time columns, not both', () => {
+        assert.equal(checkTimeColumns(['timestamp', 'watts']), null);
+        assert.equal(checkTimeColumns(['date', 'time', null]), null);
+        assert.match(checkTimeColumns(['date', 'watts']), /timestamp column or date and time/);
+        assert.match(checkTimeColumns(['timestamp', 'date', 'time']), /not both/);
+    });
+
+    it('refuses a field mapped to two columns', () => {
+        assert.equal(checkTimeColumns(['timestamp', 'watts', 'watts']), 'Field watts is mapped to more than one column.');
+    });
+});
+
+describe('buildRecords', () => {
+    it('converts decimal commas and leaves empty cells out', () => {
+        const { rows, columns } = readCsv('Fecha;Hora;Frecuencia (Hz);Demanda Total (W)\n2025-06-02;10:00:00;59,98;\n;;;\n2025-06-02;10:05:00;60;1.200,5');
+        const { records, lines, skipped, errors } = buildRecords(rows, columns, 'SN-1');
+
+        assert.deepEqual(records, [
+            { serial_number: 'SN-1', timestamp: '2025-06-02 10:00:00', frequency: '59.98' },
+            // Only a plain decimal comma is converted; validation rejects the thousands separator later
+            { serial_number: 'SN-1', timestamp: '2025-06-02 10:05:00', frequency: '60', watts: '1.200,5' }
+        ]);
+        assert.deepEqual(lines, [2, 4]);
+        assert.equal(skipped, 1);
+        assert.deepEqual(errors, []);
+    });
+
+    it('reports rows with a wrong number of values or no timestamp, with their line', () => {
+        const { rows, columns } = readCsv('Timestamp,Watts\n2025-06-02T10:00:00,1,2\n,5', { Timestamp: 'timestamp', Watts: 'watts' });
+        const { records, errors } = buildRecords(rows, columns, 'SN-1');
+
+        assert.deepEqual(records, []);
+        assert.deepEqual(errors, [
+            { line: 2, reason: 'Expected 2 values, found 3.' },
+            { line: 3, reason: 'Missing timestamp.' }
+        ]);
+    });
+});
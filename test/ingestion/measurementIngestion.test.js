@@ -0,0 +1,143 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const pgPool = require('../../src/functions/pgPool');
+
+const POWERMETER_ID = 7;
+// public.powermeters as the database sees it
+const registry = [];
+mock.method(pgPool, 'executeQuery', async (query, params) => {
+    if (/FROM public\.powermeters p/.test(query)) {
+        return { rows: registry.filter(meter => params[0].includes(meter.serial_number)).map(meter => ({ schema: 'public', time_zone: null, ...meter })) };
+    }
+    if (/current_scale_factor/.test(query)) {
+        return { rows: [{ powermeter_id: POWERMETER_ID, frequency_scale_factor: -2, real_power_scale_factor: 0, ct_ratio: null, vt_ratio: null }] };
+    }
+    return { rows: [] };
+});
+const clientQueries = [];
+mock.method(pgPool, 'getClient', async () => ({
+    query: async (query, params) => {
+        clientQueries.push({ query, params });
+        if (/FOR SHARE/.test(query)) {
+            return { rows: registry.filter(meter => params[0].includes(meter.powermeter_id) && meter.status !== params[1]) };
+        }
+        return { rows: [], rowCount: 1 };
+    },
+    release: () => {}
+}));
+
+const {
+    ingestMeasurements,
+    INGESTION_MODE_RAW,
+    RECORD_STATUS_ACCEPTED,
+    RECORD_STATUS_REJECTED,
+    RECORD_STATUS_UNKNOWN_SERIAL,
+    RECORD_STATUS_QUARANTINED,
+    ERROR_TYPE_DATABASE
+} = require('../../src/functions/ingestion/measurementIngestion');
+const { clearSerialRoutes, getCachedRoute } = require('../../src/functions/ingestion/serialRoutingCache');
+
+const RECEIVED_AT = Date.parse('2025-06-02T16:10:00Z');
+const CONTEXT = { log: Object.assign(() => {}, { error: () => {}, warn: () => {} }) };
+
+/**
+ * Returns the recordset of the statement run on the transaction client that inserts into a table
+ * @param {string} table - Table name
+ * @returns {Array<Object>|undefined} Recordset, undefined when nothing was inserted into it
+ */
+function insertedInto(table) {
+    const insert = clientQueries.find(({ query }) => new RegExp(`INSERT INTO public\\.${table} `).test(query));
+    return insert && JSON.parse(insert.params[0]);
+}
+
+/**
+ * Resets the registry to meter A and empties the route cache and the recorded statements
+ * @returns {void}
+ */
+function resetRegistry() {
+    registry.length = 0;
+    registry.push({ powermeter_id: POWERMETER_ID, serial_number: 'A', status: 'active' });
+    clientQueries.length = 0;
+    clearSerialRoutes();
+}
+
+describe('ingestMeasurements in raw mode', () => {
+    beforeEach(resetRegistry);
+
+    it('keeps raw values of quarantined readings in the quarantine payload, not in measurements_raw', async () => {
+        const { results } = await ingestMeasurements([
+            { serial_number: 'A', timestamp: '2025-06-02T16:00:00Z', frequency: 5998, watts: 1200 },
+            // 42 Hz is implausible, so the reading is quarantined
+            { serial_number: 'A', timestamp: '2025-06-02T16:05:00Z', frequency: 4200, watts: 1200 }
+        ], CONTEXT, { mode: INGESTION_MODE_RAW, trackHeartbeat: false, receivedAt: RECEIVED_AT });
+
+        assert.deepEqual(results.map(result => result.status), [RECORD_STATUS_ACCEPTED, RECORD_STATUS_QUARANTINED]);
+
+        const raw = insertedInto('measurements_raw');
+        assert.deepEqual(raw.map(entry => entry.timestamp), ['2025-06-02T16:00:00.000Z']);
+
+        const [quarantined] = insertedInto('measurements_quarantine');
+        assert.equal(quarantined.payload.frequency, 42);
+        assert.deepEqual(quarantined.payload.raw_values, { frequency: 4200, watts: 1200 });
+        assert.equal(quarantined.payload.scaling.frequency_scale_factor, -2);
+    });
+
+    it('writes no raw row when every reading is quarantined', async () => {
+        await ingestMeasurements([
+            { serial_number: 'A', timestamp: '2025-06-02T16:00:00Z', frequency: 4200 }
+        ], CONTEXT, { mode: INGESTION_MODE_RAW, trackHeartbeat: false, receivedAt: RECEIVED_AT });
+
+        assert.equal(insertedInto('measurements_raw'), undefined);
+        assert.equal(insertedInto('measurements_quarantine').length, 1);
+    });
+});
+
+describe('ingestMeasurements with a stale cached route', () => {
+    beforeEach(resetRegistry);
+
+    const reading = { serial_number: 'A', timestamp: '2025-06-02T16:00:00Z', frequency: 59.98 };
+    const options = { trackHeartbeat: false, receivedAt: RECEIVED_AT };
+
+    it('routes the reading again when its meter got another serial through another instance', async () => {
+        await ingestMeasurements([reading], CONTEXT, options);
+        assert.equal(getCachedRoute('A').route.powermeter_id, POWERMETER_ID);
+
+        // Device A moved to meter 8; this instance still caches A -> 7
+        registry[0].serial_number = 'B';
+        registry.push({ powermeter_id: 8, serial_number: 'A', status: 'active' });
+        clientQueries.length = 0;
+
+        const { results, summary } = await ingestMeasurements([reading], CONTEXT, options);
+        assert.equal(results[0].status, RECORD_STATUS_ACCEPTED);
+        assert.equal(summary.total, 1);
+        const locks = clientQueries.filter(({ query }) => /FOR SHARE/.test(query)).map(({ params }) => params[0]);
+        assert.deepEqual(locks, [[POWERMETER_ID], [8]]);
+        assert.equal(clientQueries.filter(({ query }) => /INSERT INTO public\.measurements /.test(query)).length, 1);
+        assert.equal(getCachedRoute('A').route.powermeter_id, 8);
+    });
+
+    it('rejects readings of a meter decommissioned through another instance', async () => {
+        await ingestMeasurements([reading], CONTEXT, options);
+        registry[0].status = 'decommissioned';
+
+        const { results } = await ingestMeasurements([reading], CONTEXT, options);
+        assert.equal(results[0].status, RECORD_STATUS_REJECTED);
+        assert.match(results[0].reason, /decommissioned/);
+    });
+
+    it('asks for a retry when the route is stale again on the second pass', async () => {
+        registry.length = 0;
+        const { results } = await ingestMeasurements([reading], CONTEXT, { ...options, rerouteStale: false });
+        assert.equal(results[0].status, RECORD_STATUS_UNKNOWN_SERIAL);
+
+        registry.push({ powermeter_id: POWERMETER_ID, serial_number: 'A', status: 'active' });
+        clearSerialRoutes();
+        await ingestMeasurements([reading], CONTEXT, options);
+        registry[0].serial_number = 'B';
+
+        const second = await ingestMeasurements([reading], CONTEXT, { ...options, rerouteStale: false });
+        assert.equal(second.results[0].status, RECORD_STATUS_REJECTED);
+        assert.equal(second.results[0].errorType, ERROR_TYPE_DATABASE);
+    });
+});
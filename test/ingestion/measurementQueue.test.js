@@ -0,0 +1,139 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const pgPool = require('../../src/functions/pgPool');
+const measurementIngestion = require('../../src/functions/ingestion/measurementIngestion');
+
+// Simulated outage: the circuit breaker is open and every query fails until `databaseUp` is set
+let databaseUp = false;
+const CIRCUIT_OPEN = 'Circuit breaker is open - database operations temporarily disabled';
+mock.method(pgPool, 'getPoolMetrics', () => ({ circuitBreakerState: databaseUp ? 'CLOSED' : 'OPEN' }));
+mock.method(pgPool, 'executeQuery', async (query, params) => {
+    if (!databaseUp) throw new Error(CIRCUIT_OPEN);
+    return { rows: JSON.parse(params[0]).map((row, position) => ({ dead_letter_id: position + 1 })) };
+});
+const ingestCalls = [];
+mock.method(measurementIngestion, 'ingestMeasurements', async (records, context, options) => {
+    ingestCalls.push({ records, options });
+    if (!databaseUp) throw new Error(CIRCUIT_OPEN);
+    return {
+        results: records.map((record, index) => ({ index, status: measurementIngestion.RECORD_STATUS_ACCEPTED })),
+        summary: { total: records.length, accepted: records.length }
+    };
+});
+
+const {
+    MAX_DEQUEUE_COUNT,
+    measurementQueueOutput,
+    measurementPoisonQueueOutput,
+    handleQueueMessage,
+    handlePoisonMessage,
+    drainLocalQueue
+} = require('../../src/functions/ingestion/measurementQueue');
+
+const INSERTED_AT = '2025-06-02T16:00:00.000Z';
+const MESSAGE = { records: [{ serial_number: 'A', timestamp: '2025-06-02T15:59:00Z', watts: 10 }], mode: 'engineering' };
+const MINUTE_MS = 60000;
+
+/**
+ * Builds a function context that keeps what is written to its extra outputs
+ * @returns {Object} Context with an `outputs` Map
+ */
+function fakeContext() {
+    const outputs = new Map();
+    const log = Object.assign(() => {}, { warn: () => {}, error: () => {} });
+    return { log, outputs, extraOutputs: { set: (binding, value) => outputs.set(binding, value) } };
+}
+
+/**
+ * Builds an in-memory stand-in of the local queue
+ * @param {Array<Object>} entries - Initial entries
+ * @returns {Object} Local queue with the entries and the poisoned ones exposed
+ */
+function fakeLocalQueue(entries) {
+    return {
+        entries,
+        poisoned: [],
+        async receiveAll() { return this.entries.splice(0); },
+        async requeue(entry) { this.entries.push(entry); },
+        async poison(entry) { this.poisoned.push(entry); }
+    };
+}
+
+describe('measurement queue during a long database outage', () => {
+    beforeEach(() => {
+        databaseUp = false;
+        ingestCalls.length = 0;
+    });
+
+    it('enqueues the message again on its last attempt instead of poisoning it', async () => {
+        let message = MESSAGE;
+        // Two full rounds of delivery attempts without a database
+        for (let round = 0; round < 2; round++) {
+            for (let dequeueCount = 1; dequeueCount < MAX_DEQUEUE_COUNT; dequeueCount++) {
+                await assert.rejects(handleQueueMessage(message, fakeContext(), { dequeueCount, insertedAt: INSERTED_AT }), /Circuit breaker is open/);
+            }
+            const context = fakeContext();
+            const outcome = await handleQueueMessage(message, context, { dequeueCount: MAX_DEQUEUE_COUNT, insertedAt: INSERTED_AT });
+            assert.deepEqual(outcome, { requeued: true });
+            [message] = context.outputs.get(measurementQueueOutput);
+        }
+
+        assert.equal(message.receivedAt, INSERTED_AT);
+        databaseUp = true;
+        const { summary } = await handleQueueMessage(message, fakeContext(), { dequeueCount: 1, insertedAt: '2025-06-02T17:00:00.000Z' });
+        assert.equal(summary.accepted, 1);
+        assert.equal(ingestCalls[ingestCalls.length - 1].options.receivedAt, Date.parse(INSERTED_AT));
+    });
+
+    it('still fails the last attempt when the database rejects the readings', async () => {
+        databaseUp = true;
+        measurementIngestion.ingestMeasurements.mock.mockImplementationOnce(async records => ({
+            results: records.map((record, index) => ({ index, status: 'rejected', errorType: 'DatabaseError', reason: 'value too long' }))
+        }));
+        await assert.rejects(handleQueueMessage(MESSAGE, fakeContext(), { dequeueCount: MAX_DEQUEUE_COUNT }), /value too long/);
+    });
+
+    it('keeps poison messages on the poison queue until the dead letters can be stored', async () => {
+        await assert.rejects(handlePoisonMessage(MESSAGE, fakeContext(), { dequeueCount: 1 }), /Stored 0 of 1/);
+
+        const context = fakeContext();
+        assert.deepEqual(await handlePoisonMessage(MESSAGE, context, { dequeueCount: MAX_DEQUEUE_COUNT }), { requeued: true });
+        assert.deepEqual(context.outputs.get(measurementPoisonQueueOutput), [MESSAGE]);
+
+        databaseUp = true;
+        assert.deepEqual(await handlePoisonMessage(MESSAGE, fakeContext(), { dequeueCount: 1 }), { stored: 1 });
+    });
+
+    describe('local queue', () => {
+        let now;
+
+        beforeEach(() => {
+            now = Date.parse(INSERTED_AT);
+            mock.method(Date, 'now', () => now);
+        });
+
+        afterEach(() => Date.now.mock.restore());
+
+        it('retries with capped backoff for as long as the outage lasts', async () => {
+            const localQueue = fakeLocalQueue([{ id: 'm1', dequeueCount: 0, insertedAt: INSERTED_AT, message: MESSAGE }]);
+            const outageEnd = now + 3 * 60 * MINUTE_MS;
+
+            while (now < outageEnd) {
+                const counts = await drainLocalQueue(localQueue, fakeContext());
+                assert.equal(counts.poisoned, 0);
+                now += MINUTE_MS;
+            }
+            const [entry] = localQueue.entries;
+            assert.ok(entry.dequeueCount > MAX_DEQUEUE_COUNT);
+            assert.deepEqual(localQueue.poisoned, []);
+            // Backoff is capped at 5 minutes
+            assert.ok(Date.parse(entry.nextAttemptAt) - now <= 5 * MINUTE_MS);
+
+            databaseUp = true;
+            now = Date.parse(entry.nextAttemptAt);
+            assert.deepEqual(await drainLocalQueue(localQueue, fakeContext()), { processed: 1, retried: 0, poisoned: 0 });
+            assert.deepEqual(localQueue.entries, []);
+        });
+    });
+});
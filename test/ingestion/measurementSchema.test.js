@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    REQUIRED_FIELDS,
+    validateMeasurementTypes,
+    checkPlausibility
+} = require('../../src/functions/ingestion/measurementSchema');
+
+describe('validateMeasurementTypes', () => {
+    it('requires serial_number and timestamp', () => {
+        assert.deepEqual([...REQUIRED_FIELDS].sort(), ['serial_number', 'timestamp']);
+    });
+
+    it('coerces numeric strings and numeric serial numbers', () => {
+        const { record, fieldErrors } = validateMeasurementTypes({ serial_number: 123, timestamp: 1700000000, watts: ' 1200.5 ' });
+        assert.deepEqual(fieldErrors, []);
+        assert.deepEqual(record, { serial_number: '123', timestamp: 1700000000, watts: 1200.5 });
+    });
+
+    it('reports type errors per field', () => {
+        const { fieldErrors } = validateMeasurementTypes({ serial_number: '', timestamp: null, watts: 'n/a', frequency: Infinity });
+        assert.deepEqual(fieldErrors.map(error => error.field), ['serial_number', 'timestamp', 'watts', 'frequency']);
+        assert.equal(fieldErrors[1].error, 'timestamp must not be null');
+    });
+});
+
+describe('checkPlausibility', () => {
+    it('accepts a consistent reading', () => {
+        const reading = {
+            frequency: 59.98,
+            voltage_l1: 127,
+            power_factor: 0.97,
+            watts: 3000,
+            watts_l1: 1000,
+            watts_l2: 1000,
+            watts_l3: 1010,
+            va: 3100,
+            va_l1: 1040,
+            va_l2: 1030,
+            va_l3: 1030
+        };
+        assert.deepEqual(checkPlausibility(reading), []);
+    });
+
+    it('checks bounds and nominal values', () => {
+        const violations = checkPlausibility({ voltage_l1: -1, power_factor: 1.2, frequency: 42 });
+        assert.deepEqual(violations.map(violation => violation.field), ['voltage_l1', 'power_factor', 'frequency']);
+        assert.equal(violations[2].error, 'frequency must be within 5 Hz of 50 or 60 Hz');
+    });
+
+    it('flags totals that do not match the sum of phases beyond the tolerance', () => {
+        // 5 % of 3000 W is 150 W
+        assert.deepEqual(checkPlausibility({ watts: 3000, watts_l1: 1000, watts_l2: 1000, watts_l3: 1140 }), []);
+        const [violation] = checkPlausibility({ watts: 3000, watts_l1: 1000, watts_l2: 1000, watts_l3: 1200 });
+        assert.equal(violation.rule, 'real_power_phase_sum');
+    });
+
+    it('flags apparent power below real power', () => {
+        const [violation] = checkPlausibility({ va_l1: 900, watts_l1: -1000 });
+        assert.equal(violation.rule, 'apparent_power_l1');
+    });
+
+    it('skips rules with missing fields', () => {
+        assert.deepEqual(checkPlausibility({ watts: 3000, watts_l1: 10, watts_l2: null }), []);
+    });
+});
@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+
+const {
+    readRequestBody,
+    isCompactPayload,
+    expandCompactPayload,
+    parseBatchBody
+} = require('../../src/functions/ingestion/payloadDecoding');
+
+/**
+ * Builds the subset of an HTTP request read by readRequestBody
+ * @param {Buffer} body - Raw body
+ * @param {Object} [headers] - Request headers
+ * @returns {Object} Request stand-in
+ */
+function fakeRequest(body, headers = {}) {
+    return {
+        headers: { get: name => headers[name.toLowerCase()] ?? null },
+        arrayBuffer: async () => body.buffer.slice(body.byteOffset, body.byteOffset + body.length)
+    };
+}
+
+describe('parseBatchBody', () => {
+    it('parses a JSON array', () => {
+        assert.deepEqual(parseBatchBody(' [{"serial_number":"A"},{"serial_number":"B"}] '), [
+            { serial_number: 'A' },
+            { serial_number: 'B' }
+        ]);
+    });
+
+    it('parses NDJSON and skips blank lines', () => {
+        const body = '{"serial_number":"A","watts":1}\r\n\n{"serial_number":"B","watts":2}\n';
+        assert.deepEqual(parseBatchBody(body), [
+            { serial_number: 'A', watts: 1 },
+            { serial_number: 'B', watts: 2 }
+        ]);
+    });
+
+    it('parses a single pretty-printed object', () => {
+        const body = '{\n  "serial_number": "A",\n  "watts": 1200\n}\n';
+        assert.deepEqual(parseBatchBody(body), [{ serial_number: 'A', watts: 1200 }]);
+    });
+
+    it('parses a single-line NDJSON body', () => {
+        assert.deepEqual(parseBatchBody('{"serial_number":"A"}\n'), [{ serial_number: 'A' }]);
+    });
+
+    it('reports the NDJSON line that is not valid JSON', () => {
+        assert.throws(() => parseBatchBody('{"serial_number":"A"}\n{"serial_number":'), /Invalid JSON on line 2\./);
+    });
+
+    it('expands a compact payload', () => {
+        const body = JSON.stringify({
+            serial_number: 'A',
+            fields: ['timestamp', 'watts'],
+            rows: [['2025-06-02T10:00:00Z', 1200], ['2025-06-02T10:05:00Z', 1180]]
+        });
+        assert.deepEqual(parseBatchBody(body), [
+            { serial_number: 'A', timestamp: '2025-06-02T10:00:00Z', watts: 1200 },
+            { serial_number: 'A', timestamp: '2025-06-02T10:05:00Z', watts: 1180 }
+        ]);
+    });
+
+    it('attaches the details of an invalid compact payload', () => {
+        const body = JSON.stringify({ fields: ['timestamp', 'bogus'], rows: [] });
+        assert.throws(() => parseBatchBody(body), error => {
+            assert.equal(error.message, 'Invalid field names in compact header.');
+            assert.deepEqual(error.details.invalidFields, ['bogus']);
+            return true;
+        });
+    });
+
+    it('rejects empty bodies and malformed arrays', () => {
+        assert.throws(() => parseBatchBody('  \n'), /Request body is empty\./);
+        assert.throws(() => parseBatchBody('[{"serial_number":'), /Invalid JSON array payload\./);
+    });
+});
+
+describe('expandCompactPayload', () => {
+    it('lets a serial_number column override the shared one', () => {
+        const { records } = expandCompactPayload({ serial_number: 'A', fields: ['serial_number', 'watts'], rows: [['B', 1]] });
+        assert.deepEqual(records, [{ serial_number: 'B', watts: 1 }]);
+    });
+
+    it('rejects repeated fields, extra keys and short rows', () => {
+        assert.equal(expandCompactPayload({ fields: ['watts', 'watts'], rows: [] }).error, 'Compact header repeats field names.');
+        assert.deepEqual(expandCompactPayload({ fields: ['watts'], rows: [], mode: 'raw' }).details, { invalidKeys: ['mode'] });
+        assert.deepEqual(expandCompactPayload({ fields: ['timestamp', 'watts'], rows: [[1]] }).details, { row: 0, expected: 2, received: 1 });
+    });
+
+    it('is only detected with fields and rows arrays', () => {
+        assert.equal(isCompactPayload({ fields: [], rows: [] }), true);
+        assert.equal(isCompactPayload({ fields: [] }), false);
+        assert.equal(isCompactPayload([]), false);
+        assert.equal(isCompactPayload(null), false);
+    });
+});
+
+describe('readRequestBody', () => {
+    it('undoes gzip and deflate codings', async () => {
+        const text = '[{"serial_number":"A"}]';
+        const gzipped = await readRequestBody(fakeRequest(zlib.gzipSync(text), { 'content-encoding': 'gzip' }));
+        const deflated = await readRequestBody(fakeRequest(zlib.deflateRawSync(text), { 'content-encoding': 'deflate' }));
+        assert.equal(gzipped.text, text);
+        assert.equal(deflated.text, text);
+    });
+
+    it('rejects unsupported codings', async () => {
+        const { status } = await readRequestBody(fakeRequest(Buffer.from('x'), { 'content-encoding': 'br' }));
+        assert.equal(status, 415);
+    });
+});
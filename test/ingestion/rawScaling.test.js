@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    applyScaleFactor,
+    scalingConfigAt,
+    scaleMeasurement
+} = require('../../src/functions/ingestion/rawScaling');
+
+const CONFIG = {
+    current_scale_factor: -2,
+    voltage_scale_factor: -1,
+    frequency_scale_factor: -2,
+    real_power_scale_factor: 0,
+    totwh_sf: 0,
+    ct_ratio: '40',
+    vt_ratio: null
+};
+
+describe('applyScaleFactor', () => {
+    it('divides for negative exponents to avoid rounding noise', () => {
+        assert.equal(applyScaleFactor(1271, -1), 127.1);
+        assert.equal(applyScaleFactor(3, 2), 300);
+    });
+});
+
+describe('scaleMeasurement', () => {
+    it('applies scale factors, CT/VT ratios and unit multipliers', () => {
+        const { values, raw, missingScaleFactors } = scaleMeasurement(
+            { timestamp: '2025-01-01T00:00:00Z', current_l1: 123, voltage_l1: 1271, frequency: 5999, watts: 30, kwh_imported_total: 12345, thd_current_l1: 3.2 },
+            CONFIG
+        );
+        assert.deepEqual(missingScaleFactors, []);
+        assert.equal(values.current_l1, 1.23 * 40);
+        assert.equal(values.voltage_l1, 127.1);
+        assert.equal(values.frequency, 59.99);
+        assert.equal(values.watts, 1200);
+        assert.equal(values.kwh_imported_total, 12345 * 40 * 0.001);
+        // Fields outside every scaling group are stored as received
+        assert.equal(values.thd_current_l1, 3.2);
+        assert.deepEqual(Object.keys(raw).sort(), ['current_l1', 'frequency', 'kwh_imported_total', 'voltage_l1', 'watts']);
+    });
+
+    it('treats ratios missing from the configuration as 1', () => {
+        const { ct_ratio: ctRatio, vt_ratio: vtRatio, ...withoutRatios } = CONFIG;
+        const { values } = scaleMeasurement({ current_l1: 123, watts: 30 }, withoutRatios);
+        assert.equal(values.current_l1, 1.23);
+        assert.equal(values.watts, 30);
+    });
+
+    it('leaves out fields without a scale factor and reports it', () => {
+        const { values, missingScaleFactors } = scaleMeasurement({ current_l1: 123, va: 10 }, CONFIG);
+        assert.deepEqual(missingScaleFactors, ['apparent_power_scale_factor']);
+        assert.equal('va' in values, false);
+    });
+});
+
+describe('scalingConfigAt', () => {
+    const scalingConfig = {
+        config: CONFIG,
+        periods: [
+            { effectiveFromMs: -Infinity, config: { ct_ratio: '20', vt_ratio: null, ct1_value: 100 } },
+            { effectiveFromMs: Date.parse('2025-06-01T00:00:00Z'), config: { ct_ratio: '40', vt_ratio: null, ct1_value: 200 } }
+        ]
+    };
+
+    it('uses the CT/VT ratios in force at the reading', () => {
+        assert.equal(scalingConfigAt(scalingConfig, Date.parse('2025-05-31T23:59:59Z')).ct_ratio, '20');
+        assert.equal(scalingConfigAt(scalingConfig, Date.parse('2025-06-01T00:00:00Z')).ct_ratio, '40');
+    });
+
+    it('keeps the registry scale factors and only the columns it reads', () => {
+        const config = scalingConfigAt(scalingConfig, 0);
+        assert.equal(config.current_scale_factor, -2);
+        assert.equal('ct1_value' in config, false);
+    });
+
+    it('falls back to the registry without history', () => {
+        assert.equal(scalingConfigAt({ config: CONFIG, periods: undefined }, 0), CONFIG);
+        assert.equal(scalingConfigAt(undefined, 0), undefined);
+    });
+});
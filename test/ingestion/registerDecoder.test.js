@@ -0,0 +1,118 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const pgPool = require('../../src/functions/pgPool');
+const queries = [];
+mock.method(pgPool, 'executeQuery', async (query, params) => {
+    queries.push({ query, params });
+    return { rows: [{ model: 'PM-1', register_map: 'sunspec-meter-int' }] };
+});
+
+const {
+    getRegisterMap,
+    findRegisterMapForPowermeter,
+    parseRegisterBlock,
+    decodeRegisterBlock
+} = require('../../src/functions/ingestion/registerDecoder');
+
+const BASE_ADDRESS = 40000;
+const HEADER_INDEX = 2; // "SunS" marker first, then the model header
+
+/**
+ * Builds a register block holding a SunSpec model after the "SunS" marker
+ * @param {number} modelId - SunSpec model id
+ * @param {number} length - Model length
+ * @param {Object} words - Register values by offset from the model ID register
+ * @returns {Array<number>} Register block
+ */
+function sunspecBlock(modelId, length, words) {
+    const registers = new Array(HEADER_INDEX + 2 + length).fill(0);
+    registers[0] = 0x5375;
+    registers[1] = 0x6e53;
+    registers[HEADER_INDEX] = modelId;
+    registers[HEADER_INDEX + 1] = length;
+    Object.entries(words).forEach(([offset, value]) => { registers[HEADER_INDEX + Number(offset)] = value; });
+    return registers;
+}
+
+/**
+ * Splits a float32 into its big-endian registers
+ * @param {number} value - Value
+ * @returns {Array<number>} High word, low word
+ */
+function float32Words(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeFloatBE(value, 0);
+    return [buffer.readUInt16BE(0), buffer.readUInt16BE(2)];
+}
+
+describe('decodeRegisterBlock', () => {
+    const intMap = getRegisterMap('sunspec-meter-int');
+
+    it('locates the model header and applies the block scale factors', () => {
+        const registers = sunspecBlock(203, 105, {
+            3: 1234, // current_l1
+            6: 0xFFFE, // A_SF = -2
+            16: 5999, // frequency
+            17: 0xFFFE, // Hz_SF = -2
+            46: 0x0001, // kwh_imported_total, acc32 high word
+            47: 0x86A0, // low word: 100000 Wh
+            54: 0 // TotWh_SF
+        });
+        const { values, skipped, error } = decodeRegisterBlock(intMap, BASE_ADDRESS, registers);
+        assert.equal(error, undefined);
+        assert.equal(values.current_l1, 12.34);
+        assert.equal(values.frequency, 59.99);
+        assert.equal(values.kwh_imported_total, 100);
+        assert.equal(skipped.includes('current_l1'), false);
+    });
+
+    it('leaves out SunSpec "not implemented" values', () => {
+        const registers = sunspecBlock(203, 105, { 3: 1234, 4: 0x8000, 6: 0xFFFE });
+        const { values, skipped } = decodeRegisterBlock(intMap, BASE_ADDRESS, registers);
+        assert.equal('current_l2' in values, false);
+        assert.equal(skipped.includes('current_l2'), true);
+    });
+
+    it('skips points that fall outside a truncated block', () => {
+        const registers = sunspecBlock(203, 105, { 3: 1234, 6: 0 }).slice(0, HEADER_INDEX + 20);
+        const { values, skipped } = decodeRegisterBlock(intMap, BASE_ADDRESS, registers);
+        assert.equal(values.current_l1, 1234);
+        assert.equal(skipped.includes('kwh_imported_total'), true);
+    });
+
+    it('reports a block without the model header', () => {
+        const { error } = decodeRegisterBlock(intMap, BASE_ADDRESS, [1, 2, 3]);
+        assert.match(error, /header not found/);
+    });
+
+    it('decodes float32 maps without scale factors', () => {
+        const floatMap = getRegisterMap('sunspec-meter-float');
+        const [high, low] = float32Words(59.5);
+        const registers = sunspecBlock(213, 124, { 26: high, 27: low });
+        const { values } = decodeRegisterBlock(floatMap, BASE_ADDRESS, registers);
+        assert.equal(values.frequency, 59.5);
+    });
+});
+
+describe('parseRegisterBlock', () => {
+    it('reads big-endian words from base64', () => {
+        const { registers } = parseRegisterBlock({ registers_base64: Buffer.from([0x12, 0x34, 0xff, 0xff]).toString('base64') });
+        assert.deepEqual(registers, [0x1234, 0xffff]);
+    });
+
+    it('rejects values outside uint16 and odd byte counts', () => {
+        assert.match(parseRegisterBlock({ registers: [70000] }).error, /uint16/);
+        assert.match(parseRegisterBlock({ registers_base64: Buffer.from([1]).toString('base64') }).error, /even number/);
+    });
+});
+
+describe('findRegisterMapForPowermeter', () => {
+    it('matches the supported model by manufacturer, series and model', async () => {
+        const found = await findRegisterMapForPowermeter('public', 7);
+        assert.deepEqual(found, { model: 'PM-1', registerMapId: 'sunspec-meter-int' });
+        const { query } = queries[queries.length - 1];
+        assert.match(query, /sm\.manufacturer IS NOT DISTINCT FROM p\.manufacturer/);
+        assert.match(query, /sm\.series IS NOT DISTINCT FROM p\.series/);
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    getCachedRoute,
+    setCachedRoute,
+    invalidateSerialRoute,
+    clearSerialRoutes,
+    getSerialRoutingMetrics
+} = require('../../src/functions/ingestion/serialRoutingCache');
+
+const ROUTE = { schema: 'public', powermeter_id: 7 };
+
+describe('serialRoutingCache', () => {
+    let now;
+
+    beforeEach(() => {
+        clearSerialRoutes();
+        now = 1700000000000;
+        mock.method(Date, 'now', () => now);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('returns cached routes and negative entries', () => {
+        setCachedRoute('A', ROUTE);
+        setCachedRoute('B', null);
+        assert.deepEqual(getCachedRoute('A'), { cached: true, route: ROUTE });
+        assert.deepEqual(getCachedRoute('B'), { cached: true, route: null });
+        assert.deepEqual(getCachedRoute('C'), { cached: false, route: null });
+    });
+
+    it('expires negative entries long before routes', () => {
+        const { ttlMs, negativeTtlMs } = getSerialRoutingMetrics();
+        setCachedRoute('A', ROUTE);
+        setCachedRoute('B', null);
+
+        now += negativeTtlMs;
+        assert.equal(getCachedRoute('B').cached, false);
+        assert.equal(getCachedRoute('A').cached, true);
+
+        now += ttlMs;
+        assert.equal(getCachedRoute('A').cached, false);
+    });
+
+    it('evicts the least recently used entry when full', () => {
+        const { maxEntries } = getSerialRoutingMetrics();
+        for (let i = 0; i < maxEntries; i++) setCachedRoute(`S${i}`, ROUTE);
+
+        // Reading S0 makes S1 the least recently used
+        getCachedRoute('S0');
+        const evictionsBefore = getSerialRoutingMetrics().evictions;
+        setCachedRoute('NEW', ROUTE);
+
+        assert.equal(getSerialRoutingMetrics().evictions, evictionsBefore + 1);
+        assert.equal(getCachedRoute('S0').cached, true);
+        assert.equal(getCachedRoute('S1').cached, false);
+        assert.equal(getCachedRoute('NEW').cached, true);
+    });
+
+    it('invalidates a serial number given as a number', () => {
+        setCachedRoute('123', ROUTE);
+        invalidateSerialRoute(123);
+        assert.equal(getCachedRoute('123').cached, false);
+    });
+
+    it('reports the hit ratio', () => {
+        const before = getSerialRoutingMetrics();
+        setCachedRoute('A', ROUTE);
+        getCachedRoute('A');
+        getCachedRoute('missing');
+        const after = getSerialRoutingMetrics();
+        assert.equal(after.hits - before.hits, 1);
+        assert.equal(after.misses - before.misses, 1);
+        assert.equal(after.size, 1);
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    TIMESTAMP_FORMAT_EPOCH_SECONDS,
+    TIMESTAMP_FORMAT_EPOCH_MILLISECONDS,
+    TIMESTAMP_FORMAT_ISO_OFFSET,
+    TIMESTAMP_FORMAT_LOCAL,
+    TIMESTAMP_FLAG_FUTURE,
+    TIMESTAMP_FLAG_PAST,
+    normalizeTimestamp,
+    checkTimestampWindow
+} = require('../../src/functions/ingestion/timestampNormalizer');
+
+const INSTANT = '2025-06-02T16:00:00.000Z';
+const INSTANT_MS = Date.parse(INSTANT);
+
+describe('normalizeTimestamp', () => {
+    it('reads epoch seconds and milliseconds, as numbers or strings', () => {
+        assert.deepEqual(normalizeTimestamp(INSTANT_MS / 1000, null), { utc: INSTANT, epochMs: INSTANT_MS, format: TIMESTAMP_FORMAT_EPOCH_SECONDS });
+        assert.deepEqual(normalizeTimestamp(String(INSTANT_MS), null), { utc: INSTANT, epochMs: INSTANT_MS, format: TIMESTAMP_FORMAT_EPOCH_MILLISECONDS });
+    });
+
+    it('converts ISO 8601 offsets to UTC', () => {
+        const result = normalizeTimestamp('2025-06-02T10:00:00-06:00', 'Asia/Tokyo');
+        assert.equal(result.utc, INSTANT);
+        assert.equal(result.format, TIMESTAMP_FORMAT_ISO_OFFSET);
+    });
+
+    it('reads timestamps without offset in the meter time zone', () => {
+        const iso = normalizeTimestamp('2025-06-02T10:00:00', 'America/Mexico_City');
+        const sql = normalizeTimestamp('2025-06-02 10:00:00', 'America/Mexico_City');
+        assert.equal(iso.utc, INSTANT);
+        assert.equal(sql.utc, INSTANT);
+        assert.equal(iso.format, TIMESTAMP_FORMAT_LOCAL);
+    });
+
+    it('reads timestamps without offset as UTC when the meter has no time zone', () => {
+        assert.equal(normalizeTimestamp('2025-06-02T16:00:00', null).utc, INSTANT);
+    });
+
+    it('does not take the day of a date for an offset', () => {
+        assert.equal(normalizeTimestamp('2025-06-02', 'America/Mexico_City').utc, '2025-06-02T06:00:00.000Z');
+    });
+
+    it('reports invalid values and time zones', () => {
+        assert.match(normalizeTimestamp('yesterday', null).error, /not a valid ISO 8601 date/);
+        assert.match(normalizeTimestamp('2025-06-02T10:00:00', 'Mars/Olympus').error, /time zone 'Mars\/Olympus' is not valid/);
+        assert.match(normalizeTimestamp({}, null).error, /must be a string or epoch number/);
+    });
+});
+
+describe('checkTimestampWindow', () => {
+    afterEach(() => {
+        delete process.env.MEASUREMENT_MAX_FUTURE_SECONDS;
+        delete process.env.MEASUREMENT_MAX_AGE_DAYS;
+    });
+
+    it('reports the clock skew against the receive time', () => {
+        assert.deepEqual(checkTimestampWindow(INSTANT_MS - 30000, INSTANT_MS), { clockSkewSeconds: -30, flag: null });
+    });
+
+    it('flags readings too far in the future or the past', () => {
+        process.env.MEASUREMENT_MAX_FUTURE_SECONDS = '60';
+        process.env.MEASUREMENT_MAX_AGE_DAYS = '1';
+        assert.equal(checkTimestampWindow(INSTANT_MS + 61000, INSTANT_MS).flag, TIMESTAMP_FLAG_FUTURE);
+        assert.equal(checkTimestampWindow(INSTANT_MS - 86401000, INSTANT_MS).flag, TIMESTAMP_FLAG_PAST);
+        assert.equal(checkTimestampWindow(INSTANT_MS - 86399000, INSTANT_MS).flag, null);
+    });
+
+    it('ignores invalid window settings', () => {
+        process.env.MEASUREMENT_MAX_FUTURE_SECONDS = '-5';
+        assert.equal(checkTimestampWindow(INSTANT_MS + 599000, INSTANT_MS).flag, null);
+    });
+});
@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    MAX_CLUSTER_ZOOM,
+    parseBbox,
+    projectToPixels,
+    emptyTotals,
+    installationFeature,
+    clusterFeatures
+} = require('../src/functions/installationMapFeatures');
+
+/**
+ * Builds the feature of an installation with one online meter
+ * @param {number} id - Installation id
+ * @param {number} latitude - Decimal degrees
+ * @param {number} longitude - Decimal degrees
+ * @param {number|null} demandKw - Current demand
+ * @returns {Object} GeoJSON Feature
+ */
+function feature(id, latitude, longitude, demandKw) {
+    const totals = emptyTotals();
+    totals.meter_count = 1;
+    totals.online_status.online = 1;
+    totals.current_demand_kw = demandKw;
+    return installationFeature({
+        installation_id: id,
+        installation_alias: `I${id}`,
+        status: 'active',
+        region: null,
+        tariff: null,
+        installed_capacity: '50',
+        latitude: String(latitude),
+        longitude: String(longitude)
+    }, totals);
+}
+
+describe('parseBbox', () => {
+    it('reads west,south,east,north', () => {
+        assert.deepEqual(parseBbox('-118, 14, -86, 33'), { west: -118, south: 14, east: -86, north: 33 });
+    });
+
+    it('accepts a box crossing the antimeridian', () => {
+        assert.deepEqual(parseBbox('170,-20,-170,20'), { west: 170, south: -20, east: -170, north: 20 });
+    });
+
+    it('rejects missing values, out-of-range coordinates and south above north', () => {
+        assert.equal(parseBbox('-118,14,,33'), null);
+        assert.equal(parseBbox('-118,14,-86'), null);
+        assert.equal(parseBbox('-181,14,-86,33'), null);
+        assert.equal(parseBbox('-118,33,-86,14'), null);
+    });
+});
+
+describe('projectToPixels', () => {
+    it('maps the origin to the center of the world at each zoom', () => {
+        assert.deepEqual(projectToPixels(0, 0, 0), { x: 128, y: 128 });
+        assert.deepEqual(projectToPixels(0, 0, 2), { x: 512, y: 512 });
+    });
+});
+
+describe('clusterFeatures', () => {
+    const cdmx = feature(1, 19.4326, -99.1332, 10);
+    const nearby = feature(2, 19.4400, -99.1400, null);
+    const monterrey = feature(3, 25.6866, -100.3161, 5);
+
+    it('keeps installation features with their coordinates and totals', () => {
+        assert.deepEqual(cdmx.geometry.coordinates, [-99.1332, 19.4326]);
+        assert.equal(cdmx.properties.installed_capacity, 50);
+        assert.equal(cdmx.properties.meter_count, 1);
+    });
+
+    it('merges close installations into a cluster with summed totals', () => {
+        const features = clusterFeatures([cdmx, nearby, monterrey], 5, 60);
+        assert.equal(features.length, 2);
+
+        const cluster = features.find(candidate => candidate.properties.cluster);
+        assert.deepEqual(cluster.properties.installation_ids, [1, 2]);
+        assert.equal(cluster.properties.point_count, 2);
+        assert.equal(cluster.properties.meter_count, 2);
+        assert.equal(cluster.properties.online_status.online, 2);
+        assert.equal(cluster.properties.current_demand_kw, 10);
+        assert.equal(cluster.properties.expansion_zoom, 6);
+        assert.deepEqual(cluster.geometry.coordinates, [-99.1366, 19.4363]);
+        assert.equal(features.includes(monterrey), true);
+    });
+
+    it('splits the cluster at street level and caps expansion_zoom', () => {
+        assert.equal(clusterFeatures([cdmx, nearby], MAX_CLUSTER_ZOOM, 60).length, 2);
+        const [cluster] = clusterFeatures([cdmx, feature(4, 19.4326, -99.1332, 1)], MAX_CLUSTER_ZOOM, 60);
+        assert.equal(cluster.properties.expansion_zoom, MAX_CLUSTER_ZOOM + 1);
+    });
+});
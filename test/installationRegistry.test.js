@@ -0,0 +1,81 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const pgPool = require('../src/functions/pgPool');
+
+const REGIONS = [{ code: 'CEN', name: 'Central' }, { code: 'NTE', name: 'Noreste' }];
+const TARIFFS = [{ code: 'GDMTH', name: 'Gran demanda en media tensión horaria' }];
+mock.method(pgPool, 'executeQuery', async query => ({ rows: /supported_regions/.test(query) ? REGIONS : TARIFFS }));
+
+const {
+    parseLocation,
+    validateInstallationFields,
+    resolveInstallationReferences
+} = require('../src/functions/installationRegistry');
+
+describe('parseLocation', () => {
+    it('reads "latitude,longitude", { latitude, longitude } and GeoJSON points', () => {
+        const expected = { latitude: 19.432608, longitude: -99.133208, location: '19.432608,-99.133208' };
+        assert.deepEqual(parseLocation(' 19.4326077 , -99.1332081 '), expected);
+        assert.deepEqual(parseLocation({ latitude: 19.4326077, longitude: -99.1332081 }), expected);
+        assert.deepEqual(parseLocation({ type: 'Point', coordinates: [-99.1332081, 19.4326077] }), expected);
+    });
+
+    it('refuses coordinates out of range or in another form', () => {
+        for (const value of ['91,10', '10,181', 'north', { latitude: '19', longitude: -99 }, [19, -99], { type: 'Point', coordinates: [1] }, null]) {
+            assert.match(parseLocation(value).error, /must be "latitude,longitude"/, JSON.stringify(value));
+        }
+    });
+});
+
+describe('validateInstallationFields', () => {
+    it('requires installation_alias on creation only', () => {
+        assert.deepEqual(validateInstallationFields({}, { create: true }).fieldErrors.map(({ field }) => field), ['installation_alias']);
+        assert.deepEqual(validateInstallationFields({}).fieldErrors, []);
+    });
+
+    it('reports unknown keys and invalid values', () => {
+        const { invalidKeys, fieldErrors } = validateInstallationFields({
+            installation_id: 3,
+            installation_alias: ' ',
+            register_date: '2025-02-30',
+            installed_capacity: 0,
+            location: '100,0'
+        });
+        assert.deepEqual(invalidKeys, ['installation_id']);
+        assert.deepEqual(fieldErrors.map(({ field }) => field), ['installation_alias', 'register_date', 'installed_capacity', 'location']);
+    });
+
+    it('clears nullable fields only', () => {
+        const { fieldErrors, fields } = validateInstallationFields({ location: null, tariff: null, installation_alias: null });
+        assert.deepEqual(fieldErrors.map(({ error }) => error), ['installation_alias cannot be null']);
+        assert.deepEqual(fields, { location: null, tariff: null, installation_alias: null, latitude: null, longitude: null });
+    });
+
+    it('converts installed_capacity to kW and stores the parsed location', () => {
+        const { fieldErrors, fields } = validateInstallationFields({ installed_capacity: 1.5, installed_capacity_unit: 'MW', location: '19.4,-99.1' });
+        assert.deepEqual(fieldErrors, []);
+        assert.deepEqual(fields, { installed_capacity: 1500, location: '19.4,-99.1', latitude: 19.4, longitude: -99.1 });
+    });
+
+    it('refuses unknown units and a unit without capacity', () => {
+        const errors = body => validateInstallationFields(body).fieldErrors.map(({ error }) => error);
+        assert.deepEqual(errors({ installed_capacity: 10, installed_capacity_unit: 'hp' }), ['installed_capacity_unit must be W, kW or MW']);
+        assert.deepEqual(errors({ installed_capacity_unit: 'kW' }), ['installed_capacity_unit requires installed_capacity']);
+    });
+});
+
+describe('resolveInstallationReferences', () => {
+    it('replaces region and tariff by their codes, matching code or name', async () => {
+        const { referenceErrors, fields } = await resolveInstallationReferences({ region: 'central', tariff: 'gdmth', region_note: 1 });
+        assert.deepEqual(referenceErrors, []);
+        assert.deepEqual(fields, { region: 'CEN', tariff: 'GDMTH', region_note: 1 });
+    });
+
+    it('reports unknown values with suggestions', async () => {
+        const { referenceErrors } = await resolveInstallationReferences({ region: 'Noroeste', tariff: null });
+        assert.deepEqual(referenceErrors.map(({ field, suggestions }) => ({ field, suggestions })), [
+            { field: 'region', suggestions: ['Noreste'] }
+        ]);
+    });
+});
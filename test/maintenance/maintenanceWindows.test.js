@@ -0,0 +1,103 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    RECURRENCE_UNITS,
+    MIN_STEP_RATIO,
+    validateWindowRequest,
+    generateScheduledWindows
+} = require('../../src/functions/maintenance/maintenanceWindows');
+
+const STARTS_AT = '2026-11-02T08:00:00-06:00';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// EXTRACT(EPOCH FROM '1 <unit>'::interval) in Postgres
+const STEP_SECONDS = { day: 86400, week: 604800, month: 2592000, year: 31557600 };
+
+/**
+ * Adds k recurrence steps to a date the way Postgres adds intervals (months clamp to the last day)
+ * @param {Date} date - First start
+ * @param {string} unit - Recurrence unit
+ * @param {number} steps - Number of units to add
+ * @returns {Date} Occurrence
+ */
+function addSteps(date, unit, steps) {
+    if (unit === 'day' || unit === 'week') return new Date(date.getTime() + steps * (unit === 'day' ? 1 : 7) * DAY_MS);
+    const months = unit === 'year' ? steps * 12 : steps;
+    const year = date.getUTCFullYear() + Math.floor((date.getUTCMonth() + months) / 12);
+    const month = (date.getUTCMonth() + months) % 12;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const result = new Date(date);
+    result.setUTCFullYear(year, month, Math.min(date.getUTCDate(), lastDay));
+    return result;
+}
+
+describe('validateWindowRequest', () => {
+    it('accepts ends_at or duration_minutes and trims the title', () => {
+        const { window, recurrence } = validateWindowRequest({ title: ' Cleaning ', starts_at: STARTS_AT, ends_at: '2026-11-02T16:00:00Z' });
+        assert.deepEqual(window, { title: 'Cleaning', description: null, startsAt: new Date(STARTS_AT), durationMinutes: 120 });
+        assert.equal(recurrence, null);
+        assert.equal(validateWindowRequest({ title: 'Cleaning', starts_at: STARTS_AT, duration_minutes: 45 }).window.durationMinutes, 45);
+    });
+
+    it('requires a title and a starts_at with offset', () => {
+        assert.match(validateWindowRequest({ title: ' ', starts_at: STARTS_AT, duration_minutes: 45 }).error, /title is required/);
+        assert.match(validateWindowRequest({ title: 'Cleaning', starts_at: '2026-11-02T08:00:00', duration_minutes: 45 }).error, /starts_at must be an ISO 8601 timestamp with offset/);
+    });
+
+    it('refuses both ends_at and duration_minutes, and windows out of bounds', () => {
+        assert.match(validateWindowRequest({ title: 'Cleaning', starts_at: STARTS_AT, ends_at: STARTS_AT, duration_minutes: 45 }).error, /not both/);
+        assert.match(validateWindowRequest({ title: 'Cleaning', starts_at: STARTS_AT, ends_at: '2026-11-02T14:00:30Z' }).error, /whole number of minutes/);
+        assert.match(validateWindowRequest({ title: 'Cleaning', starts_at: STARTS_AT, ends_at: STARTS_AT }).error, /between 1 and 20160 minutes/);
+        assert.match(validateWindowRequest({ title: 'Cleaning', starts_at: STARTS_AT, duration_minutes: 20161 }).error, /between 1 and 20160 minutes/);
+    });
+
+    it('validates the recurrence', () => {
+        const body = { title: 'Cleaning', starts_at: STARTS_AT, duration_minutes: 45 };
+        assert.deepEqual(validateWindowRequest({ ...body, recurrence: { unit: 'month' } }).recurrence, { unit: 'month', interval: 1, untilAt: null });
+        assert.deepEqual(
+            validateWindowRequest({ ...body, recurrence: { unit: 'week', interval: 2, until: '2027-01-01T00:00:00Z' } }).recurrence,
+            { unit: 'week', interval: 2, untilAt: new Date('2027-01-01T00:00:00Z') }
+        );
+        assert.match(validateWindowRequest({ ...body, recurrence: [] }).error, /recurrence must be an object/);
+        assert.match(validateWindowRequest({ ...body, recurrence: { unit: 'hour' } }).error, /recurrence\.unit is required/);
+        assert.match(validateWindowRequest({ ...body, recurrence: { unit: 'day', interval: 366 } }).error, /between 1 and 365/);
+        assert.match(validateWindowRequest({ ...body, recurrence: { unit: 'day', until: STARTS_AT } }).error, /must be after starts_at/);
+    });
+});
+
+describe('generateScheduledWindows', () => {
+    afterEach(() => delete process.env.MAINTENANCE_HORIZON_DAYS);
+
+    it('passes the horizon, the step ratio and the schedule to the query', async () => {
+        process.env.MAINTENANCE_HORIZON_DAYS = '30';
+        const calls = [];
+        const windows = await generateScheduledWindows(async (query, params) => {
+            calls.push({ query, params });
+            return { rows: [{ windows: '4' }] };
+        }, { scheduleId: 12 });
+
+        assert.equal(windows, 4);
+        assert.deepEqual(calls[0].params, ['active', 30, MIN_STEP_RATIO, 12]);
+        assert.match(calls[0].query, /AND s\.schedule_id = \$4/);
+    });
+
+    it('bounds the occurrence series above the last occurrence before the horizon', () => {
+        const firstStarts = Array.from({ length: 366 }, (_, day) => new Date(Date.UTC(2027, 0, 1 + day, 8)));
+        for (const unit of RECURRENCE_UNITS) {
+            for (const interval of [1, 2, 3]) {
+                const stepSeconds = STEP_SECONDS[unit] * interval;
+                for (const firstStart of firstStarts) {
+                    for (const horizonDays of [1, 31, 90, 400, 1500]) {
+                        const horizon = firstStart.getTime() + horizonDays * DAY_MS;
+                        // generate_series(0, bound) in the query
+                        const bound = Math.max(0, Math.floor((horizon - firstStart.getTime()) / 1000 / (stepSeconds * MIN_STEP_RATIO))) + 1;
+                        assert.ok(
+                            addSteps(firstStart, unit, (bound + 1) * interval).getTime() >= horizon,
+                            `${unit} x${interval} from ${firstStart.toISOString()} over ${horizonDays} days`
+                        );
+                    }
+                }
+            }
+        }
+    });
+});
@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    toCapabilities,
+    isFieldSupported,
+    findUnsupportedFields,
+    validateModelFields
+} = require('../src/functions/modelCapabilities');
+
+const MODEL = { manufacturer: 'Acme', series: 'PM', model: 'PM-100' };
+
+/**
+ * Lists the fields with an error of a model write
+ * @param {Object} body - Fields received
+ * @param {Object} [options] - Options of validateModelFields
+ * @returns {Array<string>} Fields with an error
+ */
+function errorFields(body, options) {
+    return validateModelFields(body, options).fieldErrors.map(({ field }) => field);
+}
+
+describe('model capabilities', () => {
+    it('has no restrictions without a supported model or without measured_fields', () => {
+        assert.equal(toCapabilities({ model: null }), null);
+        assert.equal(isFieldSupported(null, 'thd_current_l1'), true);
+        assert.equal(isFieldSupported(toCapabilities({ model: 'PM-100', measured_fields: null }), 'watts'), true);
+    });
+
+    it('accepts the listed fields and the required ones, and removes THD when it is not measured', () => {
+        const capabilities = toCapabilities({ model: 'PM-100', measured_fields: ['watts', 'thd_current_l1'], measures_thd: false });
+        assert.equal(isFieldSupported(capabilities, 'timestamp'), true);
+        assert.equal(isFieldSupported(capabilities, 'watts'), true);
+        assert.equal(isFieldSupported(capabilities, 'var'), false);
+        assert.equal(isFieldSupported(capabilities, 'thd_current_l1'), false);
+        assert.deepEqual(findUnsupportedFields({ serial_number: 'A', watts: 1, var: null, frequency: 60 }, capabilities), ['frequency']);
+    });
+});
+
+describe('validateModelFields', () => {
+    it('requires manufacturer, series and model on creation and trims them', () => {
+        assert.deepEqual(errorFields({ manufacturer: 'Acme' }, { create: true }), ['series', 'model']);
+        const { fieldErrors, fields } = validateModelFields({ ...MODEL, model: ' PM-100 ' }, { create: true });
+        assert.deepEqual(fieldErrors, []);
+        assert.equal(fields.model, 'PM-100');
+        assert.deepEqual(errorFields({ measures_thd: true }), []);
+    });
+
+    it('reports unknown keys, register maps and measurement fields', () => {
+        const { invalidKeys, fieldErrors, fields } = validateModelFields({
+            serial: 3,
+            register_map: 'modbus-x',
+            measured_fields: ['watts', 'watts', 'megawatts']
+        });
+        assert.deepEqual(invalidKeys, ['serial']);
+        assert.deepEqual(fieldErrors.map(({ field, value }) => ({ field, value })), [
+            { field: 'register_map', value: 'modbus-x' },
+            { field: 'measured_fields', value: ['megawatts'] }
+        ]);
+        assert.deepEqual(fields.measured_fields, ['watts', 'megawatts']);
+        assert.deepEqual(errorFields({ register_map: 'sunspec-meter-int', measured_fields: null }), []);
+        assert.deepEqual(errorFields({ measured_fields: [] }), ['measured_fields']);
+        assert.deepEqual(errorFields({ measured_fields: ['timestamp'] }), ['measured_fields']);
+        assert.deepEqual(errorFields({ measures_thd: 'yes' }), ['measures_thd']);
+    });
+
+    it('checks registry_defaults keys, scale factors and powermeter field rules', () => {
+        assert.deepEqual(errorFields({ registry_defaults: [] }), ['registry_defaults']);
+        assert.deepEqual(errorFields({ registry_defaults: { ct_ratio: 40, current_scale_factor: -2, expected_interval_seconds: 300 } }), []);
+        assert.deepEqual(errorFields({ registry_defaults: { serial_number: 'A', current_scale_factor: 11, ct_ratio: 0 } }), [
+            'registry_defaults.serial_number',
+            'registry_defaults.current_scale_factor',
+            'registry_defaults.ct_ratio'
+        ]);
+    });
+
+    it('refuses THD fields and thd_enable on a model without THD, merged with the stored row', () => {
+        assert.deepEqual(errorFields({ measures_thd: false, measured_fields: ['watts', 'thd_voltage_ln'] }), ['measured_fields']);
+        assert.deepEqual(errorFields({ measures_thd: false }, { current: { registry_defaults: { thd_enable: 1 } } }), ['registry_defaults.thd_enable']);
+        assert.deepEqual(errorFields({ measured_fields: ['thd_voltage_ln'] }, { current: { measures_thd: false } }), ['measured_fields']);
+        assert.deepEqual(errorFields({ measures_thd: true }, { current: { measured_fields: ['thd_voltage_ln'] } }), []);
+    });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseRollups, buildHierarchy } = require('../src/functions/powermeterHierarchy');
+
+const THRESHOLDS = { defaultIntervalSeconds: 300, lateIntervals: 2, offlineIntervals: 6 };
+const ALL_ROLLUPS = ['meter_count', 'month_kwh', 'online_status'];
+
+// Ordered by client and installation, as the endpoint query returns them
+const ROWS = [
+    { client_id: 1, client_alias: 'Acme', installation_id: 10, installation_alias: 'Plant', installation_status: 'active', powermeter_id: 100, serial_number: 'A', powermeter_alias: 'Main', status: 'active', seconds_since_seen: '30.4', expected_interval_seconds: null },
+    { client_id: 1, client_alias: 'Acme', installation_id: 10, installation_alias: 'Plant', installation_status: 'active', powermeter_id: 101, serial_number: 'B', powermeter_alias: 'Chiller', status: 'active', seconds_since_seen: null, expected_interval_seconds: 60 },
+    { client_id: 1, client_alias: 'Acme', installation_id: 11, installation_alias: 'Office', installation_status: 'archived', powermeter_id: 102, serial_number: 'C', powermeter_alias: null, status: 'decommissioned', seconds_since_seen: '9000', expected_interval_seconds: null },
+    { client_id: null, client_alias: null, installation_id: 12, installation_alias: 'Lab', installation_status: 'active', powermeter_id: 103, serial_number: 'D', powermeter_alias: null, status: 'active', seconds_since_seen: '700', expected_interval_seconds: null }
+];
+const MONTH_ENERGY = new Map([['100', 120.5], ['102', 4]]);
+
+describe('parseRollups', () => {
+    it('reads a comma separated list without repeats, or all', () => {
+        assert.deepEqual(parseRollups(null), []);
+        assert.deepEqual(parseRollups('month_kwh, meter_count,month_kwh,'), ['month_kwh', 'meter_count']);
+        assert.deepEqual(parseRollups('all'), ALL_ROLLUPS);
+    });
+
+    it('refuses an unknown rollup', () => {
+        assert.equal(parseRollups('meter_count,kwh'), null);
+    });
+});
+
+describe('buildHierarchy', () => {
+    it('nests meters under their installation and client, clients without id included', () => {
+        const { clients, totals } = buildHierarchy(ROWS, { depth: 'powermeters', rollups: [] });
+        assert.deepEqual(clients.map(client => client.client_id), [1, null]);
+        assert.deepEqual(clients[0].installations.map(installation => installation.powermeters.map(meter => meter.serial_number)), [['A', 'B'], ['C']]);
+        assert.equal('rollups' in clients[0], false);
+        assert.equal('rollups' in clients[0].installations[0].powermeters[0], false);
+        assert.deepEqual(totals, {});
+    });
+
+    it('rolls meters up to installations, clients and the whole tree', () => {
+        const { clients, totals } = buildHierarchy(ROWS, { depth: 'powermeters', rollups: ALL_ROLLUPS, monthEnergy: MONTH_ENERGY, thresholds: THRESHOLDS });
+        const [plant, office] = clients[0].installations;
+
+        assert.deepEqual(plant.powermeters.map(meter => meter.rollups), [
+            { month_kwh: 120.5, online_status: 'online' },
+            { month_kwh: null, online_status: 'offline' }
+        ]);
+        assert.deepEqual(office.rollups, { meter_count: 1, month_kwh: 4, online_status: { online: 0, late: 0, offline: 0 } });
+        assert.deepEqual(clients[0].rollups, { meter_count: 3, month_kwh: 124.5, online_status: { online: 1, late: 0, offline: 1 } });
+        assert.deepEqual(clients[1].rollups, { meter_count: 1, month_kwh: null, online_status: { online: 0, late: 1, offline: 0 } });
+        assert.deepEqual(totals, { meter_count: 4, month_kwh: 124.5, online_status: { online: 1, late: 1, offline: 1 } });
+    });
+
+    it('leaves out the levels below depth but keeps their rollups', () => {
+        const byClient = buildHierarchy(ROWS, { depth: 'clients', rollups: ['meter_count'] });
+        assert.deepEqual(byClient.clients[0], { client_id: 1, client_alias: 'Acme', rollups: { meter_count: 3 } });
+
+        const byInstallation = buildHierarchy(ROWS, { depth: 'installations', rollups: ['meter_count'] });
+        assert.deepEqual(byInstallation.clients[1].installations, [
+            { installation_id: 12, installation_alias: 'Lab', installation_status: 'active', rollups: { meter_count: 1 } }
+        ]);
+    });
+});
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parsePromotionRequest } = require('../src/functions/powermeterPromotion');
+
+/**
+ * Builds a request whose body is the given JSON value
+ * @param {*} body - Parsed body, or an Error thrown by request.json()
+ * @returns {Object} Request stub
+ */
+function requestWith(body) {
+    return { json: async () => { if (body instanceof Error) throw body; return body; } };
+}
+
+describe('parsePromotionRequest', () => {
+    it('maps the enviroments to their schemas', async () => {
+        assert.deepEqual(await parsePromotionRequest(requestWith({ serial_number: 1001, from: 'Dev', to: 'production', measurements: 'move' })), {
+            serialNumber: '1001',
+            targetSchema: 'public',
+            expectedSchema: 'dev',
+            measurementsMode: 'move',
+            reason: null
+        });
+        const { expectedSchema } = await parsePromotionRequest(requestWith({ serial_number: 'A', to: 'demo', measurements: 'discard' }));
+        assert.equal(expectedSchema, undefined);
+    });
+
+    it('refuses bodies that are not a JSON object', async () => {
+        assert.equal((await parsePromotionRequest(requestWith(new SyntaxError('Unexpected token')))).error, 'Invalid JSON payload.');
+        assert.equal((await parsePromotionRequest(requestWith([]))).error, 'Body must be a JSON object.');
+    });
+
+    it('requires serial_number, to and the measurements mode', async () => {
+        assert.match((await parsePromotionRequest(requestWith({ serial_number: '', to: 'demo', measurements: 'move' }))).error, /serial_number and to/);
+        assert.match((await parsePromotionRequest(requestWith({ serial_number: 'A', measurements: 'move' }))).error, /serial_number and to/);
+        assert.match((await parsePromotionRequest(requestWith({ serial_number: 'A', to: 'demo' }))).error, /measurements is required\. Allowed values: move, discard/);
+    });
+
+    it('refuses unknown enviroments and invalid reasons', async () => {
+        assert.match((await parsePromotionRequest(requestWith({ serial_number: 'A', to: 'staging', measurements: 'move' }))).error, /Invalid enviroment in to\/from/);
+        assert.match((await parsePromotionRequest(requestWith({ serial_number: 'A', from: 'qa', to: 'demo', measurements: 'move' }))).error, /Invalid enviroment in to\/from/);
+        assert.match((await parsePromotionRequest(requestWith({ serial_number: 'A', to: 'demo', measurements: 'move', reason: 'x'.repeat(501) }))).error, /at most 500 characters/);
+    });
+});
@@ -0,0 +1,61 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const pgPool = require('../src/functions/pgPool');
+
+const SUPPORTED_MODELS = [
+    { manufacturer: 'Acme', series: 'PM', model: 'PM-100', registry_defaults: { ct_ratio: 40, firmware_v: '1.0' } },
+    { manufacturer: 'Acme', series: 'PX', model: 'PM-200', registry_defaults: null },
+    { manufacturer: 'Volt', series: 'PX', model: 'PM-200', registry_defaults: null }
+];
+const TIME_ZONES = ['America/Mexico_City', 'America/Monterrey', 'America/Tijuana', 'UTC'];
+mock.method(pgPool, 'executeQuery', async query => ({
+    rows: /supported_timezones/.test(query) ? TIME_ZONES.map(timeZone => ({ time_zone: timeZone })) : SUPPORTED_MODELS
+}));
+
+const { suggestClosest, resolvePowermeterReferences } = require('../src/functions/powermeterReferences');
+
+describe('suggestClosest', () => {
+    it('suggests entries within the edit distance, closest first', () => {
+        assert.deepEqual(suggestClosest('PM-10', ['PM-100', 'PM-200', 'XR-9']), ['PM-100', 'PM-200']);
+        assert.deepEqual(suggestClosest('pm-100', ['PM-100']), ['PM-100']);
+    });
+
+    it('suggests entries containing the value', () => {
+        assert.deepEqual(suggestClosest('Mexico', TIME_ZONES), ['America/Mexico_City']);
+    });
+
+    it('returns at most three distinct suggestions and none for an empty value', () => {
+        assert.equal(suggestClosest('America', TIME_ZONES.concat(TIME_ZONES)).length, 3);
+        assert.deepEqual(suggestClosest('', TIME_ZONES), []);
+        assert.deepEqual(suggestClosest(null, TIME_ZONES), []);
+    });
+});
+
+describe('resolvePowermeterReferences', () => {
+    it('reports unknown models and time zones with suggestions', async () => {
+        const { referenceErrors } = await resolvePowermeterReferences({ model: 'PM-10', time_zone: 'America/Mexico' });
+        assert.deepEqual(referenceErrors.map(({ field, suggestions }) => ({ field, suggestions })), [
+            { field: 'time_zone', suggestions: ['America/Mexico_City'] },
+            { field: 'model', suggestions: ['PM-100', 'PM-200'] }
+        ]);
+    });
+
+    it('asks for manufacturer and series when several offer the model', async () => {
+        const { referenceErrors } = await resolvePowermeterReferences({ model: 'PM-200' });
+        assert.match(referenceErrors[0].error, /several manufacturers or series/);
+        assert.equal(referenceErrors[0].suggestions.length, 2);
+    });
+
+    it('completes a registration with the model and its registry defaults', async () => {
+        const { referenceErrors, fields, prefilledFields } = await resolvePowermeterReferences(
+            { model: 'PM-100', ct_ratio: 20 },
+            { prefillDefaults: true }
+        );
+        assert.deepEqual(referenceErrors, []);
+        assert.equal(fields.manufacturer, 'Acme');
+        assert.equal(fields.ct_ratio, 20);
+        assert.ok(prefilledFields.includes('series'));
+        assert.equal(prefilledFields.includes('ct_ratio'), false);
+    });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parsePowermeterListRequest, buildPowermeterListQuery } = require('../src/functions/powermeterRegistry');
+
+/**
+ * Parses a listing query string like the endpoint does
+ * @param {string} search - Query string
+ * @returns {Object} { filters, limit, offset } or { error }
+ */
+function parseListing(search) {
+    return parsePowermeterListRequest(new URLSearchParams(search));
+}
+
+describe('parsePowermeterListRequest', () => {
+    it('keeps only the filters sent and defaults the page', () => {
+        assert.deepEqual(parseListing('user_id=1&installation_id=3&model=&status=active&serial_number=A'), {
+            filters: { installation_id: '3', status: 'active' },
+            limit: 100,
+            offset: 0
+        });
+    });
+
+    it('refuses an unknown status and a page out of bounds', () => {
+        assert.match(parseListing('status=retired').error, /Invalid status\. Allowed values: active, decommissioned/);
+        for (const page of ['limit=0', 'limit=1001', 'limit=ten', 'offset=-1', 'offset=1.5']) {
+            assert.match(parseListing(page).error, /limit must be an integer between 1 and 1000/, page);
+        }
+        assert.equal(parseListing('limit=1000&offset=20').limit, 1000);
+    });
+});
+
+describe('buildPowermeterListQuery', () => {
+    it('combines the filters with AND, as parameters, after the user', () => {
+        const { query, params } = buildPowermeterListQuery('demo', '1', parseListing('client_id=5&status=active&limit=10&offset=20'));
+        assert.deepEqual(params, ['1', '5', 'active', 10, 20]);
+        assert.match(query, /FROM demo\.powermeters p/);
+        assert.match(query, /WHERE ui\.user_id = \$1 AND p\.client_id = \$2 AND p\.status = \$3\s/);
+        assert.match(query, /LIMIT \$4 OFFSET \$5/);
+    });
+
+    it('lists every meter of the user without filters', () => {
+        const { query, params } = buildPowermeterListQuery('public', '1', parseListing(''));
+        assert.deepEqual(params, ['1', 100, 0]);
+        assert.match(query, /WHERE ui\.user_id = \$1\s+ORDER BY/);
+    });
+});
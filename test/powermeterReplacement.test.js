@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseReplacementRequest } = require('../src/functions/powermeterReplacement');
+
+const CUTOVER_AT = '2025-06-02T15:00:00Z';
+
+/**
+ * Builds a request whose body is the given JSON value
+ * @param {*} body - Parsed body, or an Error thrown by request.json()
+ * @returns {Object} Request stub
+ */
+function requestWith(body) {
+    return { json: async () => { if (body instanceof Error) throw body; return body; } };
+}
+
+describe('parseReplacementRequest', () => {
+    it('parses the fields, leaving counters not sent as null', async () => {
+        const { replacement } = await parseReplacementRequest(requestWith({
+            new_serial_number: 2002,
+            cutover_at: CUTOVER_AT,
+            final_kwh_imported_total: 1520.5,
+            initial_kwh_imported_total: 0
+        }));
+        assert.deepEqual(replacement, {
+            newSerial: '2002',
+            cutoverAt: new Date(CUTOVER_AT),
+            reason: null,
+            counters: {
+                final_kwh_imported_total: 1520.5,
+                initial_kwh_imported_total: 0,
+                final_varh_imported_q1: null,
+                initial_varh_imported_q1: null
+            }
+        });
+    });
+
+    it('defaults cutover_at to now', async () => {
+        const before = Date.now();
+        const { replacement } = await parseReplacementRequest(requestWith({ new_serial_number: 'B' }));
+        assert.ok(replacement.cutoverAt.getTime() >= before && replacement.cutoverAt.getTime() <= Date.now());
+    });
+
+    it('refuses bodies that are not a JSON object, unknown fields and a missing serial', async () => {
+        assert.equal((await parseReplacementRequest(requestWith(new SyntaxError('Unexpected token')))).error, 'Invalid JSON payload.');
+        assert.equal((await parseReplacementRequest(requestWith(null))).error, 'Body must be a JSON object.');
+        assert.deepEqual((await parseReplacementRequest(requestWith({ new_serial_number: 'B', serial_number: 'A' }))).details.invalidKeys, ['serial_number']);
+        assert.equal((await parseReplacementRequest(requestWith({ new_serial_number: '  ' }))).error, 'Missing required field: new_serial_number.');
+    });
+
+    it('refuses invalid and future cutovers', async () => {
+        assert.equal((await parseReplacementRequest(requestWith({ new_serial_number: 'B', cutover_at: 'yesterday' }))).error, 'cutover_at must be an ISO 8601 timestamp.');
+        const future = new Date(Date.now() + 10 * 60 * 1000).toISOString();
+        assert.equal((await parseReplacementRequest(requestWith({ new_serial_number: 'B', cutover_at: future }))).error, 'cutover_at cannot be in the future.');
+    });
+
+    it('reports every invalid counter and reason', async () => {
+        const { error, details } = await parseReplacementRequest(requestWith({
+            new_serial_number: 'B',
+            final_kwh_imported_total: -1,
+            initial_varh_imported_q1: '3',
+            reason: 'x'.repeat(501)
+        }));
+        assert.equal(error, 'Invalid field value(s).');
+        assert.deepEqual(details.fieldErrors.map(({ field }) => field), ['final_kwh_imported_total', 'initial_varh_imported_q1', 'reason']);
+    });
+});
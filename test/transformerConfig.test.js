@@ -0,0 +1,80 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    parseEffectiveFrom,
+    pickTransformerConfig,
+    transformerConfigAt,
+    recordConfigChange
+} = require('../src/functions/transformerConfig');
+
+const JUNE = Date.parse('2025-06-01T00:00:00Z');
+const JULY = Date.parse('2025-07-01T00:00:00Z');
+const PERIODS = [
+    { effectiveFromMs: -Infinity, config: { ct_ratio: 20 } },
+    { effectiveFromMs: JUNE, config: { ct_ratio: 40 } },
+    { effectiveFromMs: JULY, config: { ct_ratio: 80 } }
+];
+
+describe('transformerConfigAt', () => {
+    it('picks the configuration in force at the reading', () => {
+        assert.deepEqual(transformerConfigAt(PERIODS, JUNE - 1), { ct_ratio: 20 });
+        assert.deepEqual(transformerConfigAt(PERIODS, JUNE), { ct_ratio: 40 });
+        assert.deepEqual(transformerConfigAt(PERIODS, JULY + 1), { ct_ratio: 80 });
+    });
+
+    it('returns null without history, so the registry applies', () => {
+        assert.equal(transformerConfigAt(undefined, JUNE), null);
+        assert.equal(transformerConfigAt([{ effectiveFromMs: JULY, config: { ct_ratio: 80 } }], JUNE), null);
+    });
+});
+
+describe('parseEffectiveFrom', () => {
+    it('defaults to now and refuses invalid or future timestamps', () => {
+        assert.ok(Math.abs(parseEffectiveFrom(undefined).effectiveFrom.getTime() - Date.now()) < 1000);
+        assert.match(parseEffectiveFrom('soon').error, /ISO 8601/);
+        assert.match(parseEffectiveFrom(new Date(Date.now() + 3600000).toISOString()).error, /future/);
+    });
+});
+
+describe('pickTransformerConfig', () => {
+    it('keeps every CT/VT field, null when missing', () => {
+        const config = pickTransformerConfig({ ct_ratio: 40, model: 'PM-1' });
+        assert.equal(config.ct_ratio, 40);
+        assert.equal(config.vt_ratio, null);
+        assert.equal('model' in config, false);
+    });
+});
+
+describe('recordConfigChange', () => {
+    it('refuses a retroactive change and reports the last stored reading', async () => {
+        const lastTimestamp = new Date('2025-06-15T12:00:00Z');
+        const client = {
+            query: mock.fn(async query => (/MAX\("timestamp"\)/.test(query)
+                ? { rows: [{ last_timestamp: lastTimestamp }] }
+                : { rows: [] }))
+        };
+        const outcome = await recordConfigChange(client, {
+            schema: 'public',
+            powermeterId: 7,
+            previous: { ct_ratio: 20 },
+            next: { ct_ratio: 40 },
+            effectiveFrom: new Date(JUNE),
+            changedBy: 'installer'
+        });
+
+        assert.equal(outcome.status, 409);
+        assert.equal(outcome.details.last_reading_at, lastTimestamp.toISOString());
+        assert.match(outcome.details.limitation, /cannot be retroactive/);
+        assert.equal(client.query.mock.calls.some(call => /INSERT/.test(call.arguments[0])), false);
+    });
+
+    it('records nothing when no CT/VT value changed', async () => {
+        const client = { query: mock.fn(async () => ({ rows: [] })) };
+        const outcome = await recordConfigChange(client, {
+            schema: 'public', powermeterId: 7, previous: { ct_ratio: '40' }, next: { ct_ratio: 40 }, effectiveFrom: new Date(), changedBy: 'u'
+        });
+        assert.deepEqual(outcome, { configChange: null });
+        assert.equal(client.query.mock.callCount(), 0);
+    });
+});